@@ -1,3 +1,4 @@
+import { useMemo } from 'react';
 import {
   Sidebar,
   SidebarContent,
@@ -14,7 +15,13 @@ import {
 } from './ui/dropdown-menu';
 import { CanvasSettings } from './CanvasSettings.jsx';
 import { PatternSelector } from './PatternSelector.jsx';
+import { StitchRoutePanel } from './StitchRoutePanel.jsx';
+import { HitomezashiPanel } from './HitomezashiPanel.jsx';
+import { LayersPanel } from './LayersPanel.jsx';
+import { HistoryPanel } from './HistoryPanel.jsx';
+import { ReferenceImagePanel } from './ReferenceImagePanel.jsx';
 import { ScanQrCode, ChevronsUpDown, Github, Mail, SquareArrowOutUpRight } from 'lucide-react';
+import { getLibraryFacets } from '../lib/patternSearch.js';
 
 export function AppSidebar({
   sidebarTab,
@@ -28,10 +35,16 @@ export function AppSidebar({
   onPatternNameChange,
   patternDescription,
   onPatternDescriptionChange,
+  patternTags,
+  onPatternTagsChange,
+  patternFolder,
+  onPatternFolderChange,
   tileSize,
   onTileSizeChange,
   gridSize,
   onGridSizeChange,
+  gridType,
+  onGridTypeChange,
   onCanvasSliderCommit,
   displayUnit,
   onDisplayUnitChange,
@@ -39,16 +52,37 @@ export function AppSidebar({
   artboardHeight,
   onNewPattern,
   onSavePattern,
+  onSavePatternAs,
   saveState,
   onResetSettings,
   onExportPattern,
   onImportPattern,
+  onCopyShareLink,
   onExportImage,
+  onExportSvg,
+  onExportPdf,
+  onPlanEmbroidery,
+  onExportEmbroidery,
+  onPlanPlotter,
+  onExportPlotter,
+  onExportDxf,
   onCopyPatternToClipboard,
+  onExportLibrary,
+  onReadLibraryBackup,
+  onRestoreLibrary,
   savedPatterns,
   activePatternId,
   onSelectPattern,
   onDeletePattern,
+  onLoadPatternVersions,
+  onRestorePatternVersion,
+  onBranchPatternVersion,
+  onRenamePattern,
+  onDuplicatePattern,
+  trashedPatterns,
+  onRestorePattern,
+  onDeletePatternForever,
+  onEmptyTrash,
   gridColor,
   onGridColorChange,
   onGridColorPickerOpenChange,
@@ -61,7 +95,38 @@ export function AppSidebar({
   colorPresets,
   onAddColorPreset,
   onRemoveColorPreset,
+  routePlannerOpen,
+  onRoutePlannerOpenChange,
+  stitchPlan,
+  routeOverlay,
+  onRouteOverlayChange,
+  onRestartRoute,
+  onGenerateHitomezashi,
+  layers,
+  activeLayerId,
+  stitches,
+  selectedCount,
+  onSelectLayer,
+  onAddLayer,
+  onUpdateLayer,
+  onMoveLayer,
+  onDeleteLayer,
+  onMoveSelectionToLayer,
+  historyTree,
+  historyDepth,
+  onHistoryDepthChange,
+  onJumpToHistory,
+  referenceImage,
+  aligningReference,
+  onAligningReferenceChange,
+  onLoadReference,
+  onUpdateReference,
+  onFitReference,
+  onRemoveReference,
 }) {
+  // Folders already in use, offered when filing the current pattern
+  const libraryFolders = useMemo(() => getLibraryFacets(savedPatterns).folders, [savedPatterns]);
+
   return (
       <Sidebar>
         <Tabs
@@ -103,10 +168,17 @@ export function AppSidebar({
                     onPatternNameChange={onPatternNameChange}
                     patternDescription={patternDescription}
                     onPatternDescriptionChange={onPatternDescriptionChange}
+                    patternTags={patternTags}
+                    onPatternTagsChange={onPatternTagsChange}
+                    patternFolder={patternFolder}
+                    onPatternFolderChange={onPatternFolderChange}
+                    folderOptions={libraryFolders}
                     tileSize={tileSize}
                     onTileSizeChange={onTileSizeChange}
                     gridSize={gridSize}
                     onGridSizeChange={onGridSizeChange}
+                    gridType={gridType}
+                    onGridTypeChange={onGridTypeChange}
                     onCanvasSliderCommit={onCanvasSliderCommit}
                     displayUnit={displayUnit}
                     onDisplayUnitChange={onDisplayUnitChange}
@@ -114,6 +186,7 @@ export function AppSidebar({
                     artboardHeight={artboardHeight}
                     onNewPattern={onNewPattern}
                     onSavePattern={onSavePattern}
+                    onSavePatternAs={onSavePatternAs}
                     saveState={saveState}
                     onResetSettings={onResetSettings}
                     gridColor={gridColor}
@@ -130,8 +203,59 @@ export function AppSidebar({
                     onRemoveColorPreset={onRemoveColorPreset}
                     onExportPattern={onExportPattern}
                     onImportPattern={onImportPattern}
+                    onCopyShareLink={onCopyShareLink}
                     onExportImage={onExportImage}
+                    onExportSvg={onExportSvg}
+                    onExportPdf={onExportPdf}
+                    onPlanEmbroidery={onPlanEmbroidery}
+                    onExportEmbroidery={onExportEmbroidery}
+                    onPlanPlotter={onPlanPlotter}
+                    onExportPlotter={onExportPlotter}
+                    onExportDxf={onExportDxf}
                     onCopyPatternToClipboard={onCopyPatternToClipboard}
+                    onExportLibrary={onExportLibrary}
+                    onReadLibraryBackup={onReadLibraryBackup}
+                    onRestoreLibrary={onRestoreLibrary}
+                  />
+                  <LayersPanel
+                    layers={layers}
+                    activeLayerId={activeLayerId}
+                    stitches={stitches}
+                    selectedCount={selectedCount}
+                    onSelectLayer={onSelectLayer}
+                    onAddLayer={onAddLayer}
+                    onUpdateLayer={onUpdateLayer}
+                    onMoveLayer={onMoveLayer}
+                    onDeleteLayer={onDeleteLayer}
+                    onMoveSelectionToLayer={onMoveSelectionToLayer}
+                  />
+                  <ReferenceImagePanel
+                    reference={referenceImage}
+                    aligning={aligningReference}
+                    onAligningChange={onAligningReferenceChange}
+                    onLoad={onLoadReference}
+                    onUpdate={onUpdateReference}
+                    onFit={onFitReference}
+                    onRemove={onRemoveReference}
+                  />
+                  <HistoryPanel
+                    tree={historyTree}
+                    depth={historyDepth}
+                    onDepthChange={onHistoryDepthChange}
+                    onJump={onJumpToHistory}
+                  />
+                  <StitchRoutePanel
+                    open={routePlannerOpen}
+                    onOpenChange={onRoutePlannerOpenChange}
+                    plan={stitchPlan}
+                    routeOverlay={routeOverlay}
+                    onRouteOverlayChange={onRouteOverlayChange}
+                    onRestartRoute={onRestartRoute}
+                  />
+                  <HitomezashiPanel
+                    tileSize={tileSize}
+                    gridType={gridType}
+                    onGenerate={onGenerateHitomezashi}
                   />
                 </SidebarGroupContent>
               </SidebarGroup>
@@ -145,6 +269,15 @@ export function AppSidebar({
                     activePatternId={activePatternId}
                     onSelectPattern={onSelectPattern}
                     onDeletePattern={onDeletePattern}
+                    onLoadVersions={onLoadPatternVersions}
+                    onRestoreVersion={onRestorePatternVersion}
+                    onBranchVersion={onBranchPatternVersion}
+                    onRenamePattern={onRenamePattern}
+                    onDuplicatePattern={onDuplicatePattern}
+                    trashedPatterns={trashedPatterns}
+                    onRestorePattern={onRestorePattern}
+                    onDeletePatternForever={onDeletePatternForever}
+                    onEmptyTrash={onEmptyTrash}
                   />
                 </SidebarGroupContent>
               </SidebarGroup>
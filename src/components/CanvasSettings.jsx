@@ -1,4 +1,4 @@
-import { useState, useRef } from 'react';
+import { useEffect, useState, useRef } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
 import { Label } from './ui/label';
 import { Input } from './ui/input';
@@ -20,10 +20,21 @@ import {
   DropdownMenuTrigger,
 } from './ui/dropdown-menu';
 import { Spinner } from './ui/spinner';
+import { PdfExportDialog } from './PdfExportDialog';
+import { EmbroideryExportDialog } from './EmbroideryExportDialog';
+import { PlotterExportDialog } from './PlotterExportDialog';
+import { DxfExportDialog } from './DxfExportDialog';
+import { PatternImportErrorsDialog } from './PatternImportErrorsDialog';
+import { PatternNameDialog } from './PatternNameDialog';
+import { LibraryRestoreDialog } from './LibraryRestoreDialog';
 import { ColorPicker } from './ui/color-picker';
-import { ChevronRight, Info, Download, Upload, Check, Copy } from 'lucide-react';
+import { ChevronRight, Info, Download, Upload, Check, Copy, Printer, Archive, ArchiveRestore, Link, Scissors, PenTool, DraftingCompass } from 'lucide-react';
 import { toast } from 'sonner';
 import { formatValueNumber, UNITS } from '../lib/unitConverter.js';
+import { GRID_TYPES, getTileSizeStep, isTriangularGrid } from '../lib/gridGeometry.js';
+import { PATTERN_FILE_EXTENSION, PATTERN_FORMAT_VERSION } from '../lib/patternFormat.js';
+import { LIBRARY_BACKUP_EXTENSION } from '../lib/libraryBackup.js';
+import { SHARE_LINK_WARNING_LENGTH } from '../lib/shareLink.js';
 
 export function CanvasSettings({
   patternTiles,
@@ -35,10 +46,17 @@ export function CanvasSettings({
   onPatternNameChange,
   patternDescription,
   onPatternDescriptionChange,
+  patternTags = [],
+  onPatternTagsChange,
+  patternFolder = '',
+  onPatternFolderChange,
+  folderOptions = [],
   tileSize,
   onTileSizeChange,
   gridSize,
   onGridSizeChange,
+  gridType = GRID_TYPES.square,
+  onGridTypeChange,
   onCanvasSliderCommit,
   displayUnit,
   onDisplayUnitChange,
@@ -46,6 +64,7 @@ export function CanvasSettings({
   artboardHeight,
   onNewPattern,
   onSavePattern,
+  onSavePatternAs,
   saveState = 'idle',
   onResetSettings,
   gridColor,
@@ -62,18 +81,70 @@ export function CanvasSettings({
   onRemoveColorPreset,
   onExportPattern,
   onImportPattern,
+  onCopyShareLink,
   onExportImage,
+  onExportSvg,
+  onExportPdf,
+  onPlanEmbroidery,
+  onExportEmbroidery,
+  onPlanPlotter,
+  onExportPlotter,
+  onExportDxf,
   onCopyPatternToClipboard,
+  onExportLibrary,
+  onReadLibraryBackup,
+  onRestoreLibrary,
 }) {
   const [isGridAppearanceOpen, setIsGridAppearanceOpen] = useState(false);
+  const [isPdfDialogOpen, setIsPdfDialogOpen] = useState(false);
+  const [isEmbroideryDialogOpen, setIsEmbroideryDialogOpen] = useState(false);
+  const [isPlotterDialogOpen, setIsPlotterDialogOpen] = useState(false);
+  const [isDxfDialogOpen, setIsDxfDialogOpen] = useState(false);
+  const [versionNote, setVersionNote] = useState('');
+  const [isSaveAsOpen, setIsSaveAsOpen] = useState(false);
+  const [importFailure, setImportFailure] = useState(null);
+  const [libraryRestore, setLibraryRestore] = useState(null);
+  // Tags are typed as comma-separated text and applied when the field loses focus
+  const patternTagsText = patternTags.join(', ');
+  const [tagsText, setTagsText] = useState(patternTagsText);
+
+  useEffect(() => {
+    setTagsText(patternTagsText);
+  }, [patternTagsText]);
   const fileInputRef = useRef(null);
+  const libraryFileInputRef = useRef(null);
+  const triangular = isTriangularGrid(gridType);
+  // Triangular tiles use even sizes so repeats land on lattice points
+  const tileSizeStep = getTileSizeStep(gridType);
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files ?? [];
+    if (!file) return;
+    event.target.value = '';
+
+    const result = await onImportPattern(file);
+    if (!result.success) {
+      setImportFailure({ fileName: file.name, errors: result.errors });
+      return;
+    }
+    toast.success(`Imported "${result.pattern.name}"`, {
+      description: result.fromVersion < PATTERN_FORMAT_VERSION
+        ? `Upgraded from file format version ${result.fromVersion}. Export again to share it in the current format.`
+        : undefined,
+    });
+  };
 
-  const handleFileChange = (event) => {
+  const handleLibraryFileChange = async (event) => {
     const [file] = event.target.files ?? [];
-    if (file) {
-      onImportPattern(file);
-      event.target.value = '';
+    if (!file) return;
+    event.target.value = '';
+
+    const result = await onReadLibraryBackup(file);
+    if (!result.success) {
+      setImportFailure({ fileName: file.name, errors: result.errors, isLibrary: true });
+      return;
     }
+    setLibraryRestore({ fileName: file.name, backup: result.backup, preview: result.preview });
   };
 
   const handleNewPatternClick = () => {
@@ -90,6 +161,37 @@ export function CanvasSettings({
     });
   };
 
+  const handleSaveClick = async () => {
+    // The note belongs to this save's version only
+    const saved = await onSavePattern({ note: versionNote });
+    if (saved) {
+      setVersionNote('');
+    }
+  };
+
+  const handleSaveAsConfirm = async (name) => {
+    const saved = await onSavePatternAs({ name, note: versionNote });
+    if (saved) {
+      setVersionNote('');
+    }
+    return saved;
+  };
+
+  const handleCopyShareLink = () => {
+    onCopyShareLink()
+      .then((link) => {
+        toast.success('Share link copied!', {
+          description: link.length > SHARE_LINK_WARNING_LENGTH
+            ? `The link is ${link.length.toLocaleString()} characters long; some apps may cut it off. Export as JSON for large patterns.`
+            : 'Anyone with the link can open a copy of this pattern.',
+        });
+      })
+      .catch((error) => {
+        console.error('Failed to copy share link:', error);
+        toast.error('Failed to copy share link');
+      });
+  };
+
   const handleCopyForPatternsJson = () => {
     onCopyPatternToClipboard()
       .then(() => {
@@ -129,8 +231,66 @@ export function CanvasSettings({
           />
         </div>
 
+        <div className="grid grid-cols-2 gap-2">
+          <div className="space-y-2">
+            <Label htmlFor="pattern-folder">Folder</Label>
+            <Input
+              type="text"
+              id="pattern-folder"
+              list="pattern-folder-options"
+              value={patternFolder}
+              onChange={(e) => onPatternFolderChange(e.target.value)}
+              placeholder="None"
+            />
+            <datalist id="pattern-folder-options">
+              {folderOptions.map((folder) => (
+                <option key={folder} value={folder} />
+              ))}
+            </datalist>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="pattern-tags">Tags</Label>
+            <Input
+              type="text"
+              id="pattern-tags"
+              value={tagsText}
+              onChange={(e) => setTagsText(e.target.value)}
+              onBlur={() => onPatternTagsChange(tagsText)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') onPatternTagsChange(tagsText);
+              }}
+              placeholder="client, indigo"
+            />
+          </div>
+        </div>
+
         
 
+        <div className="space-y-2">
+          <div className="flex items-center gap-1">
+            <Label htmlFor="grid-type">Grid Type</Label>
+            <TooltipProvider>
+              <Tooltip>
+                <TooltipTrigger asChild>
+                  <Info className="h-3 w-3 text-muted-foreground cursor-help" />
+                </TooltipTrigger>
+                <TooltipContent>
+                  <p>Triangular grids place dots in a 60° lattice for kikkō, uroko and asanoha motifs</p>
+                </TooltipContent>
+              </Tooltip>
+            </TooltipProvider>
+          </div>
+          <Select value={gridType} onValueChange={onGridTypeChange}>
+            <SelectTrigger id="grid-type" className="w-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={GRID_TYPES.square}>Square</SelectItem>
+              <SelectItem value={GRID_TYPES.triangular}>Triangular (60°)</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+
         <div className="space-y-2">
           <Label htmlFor="artboard-size">Artboard Size</Label>
           <ButtonGroup className="w-full">
@@ -215,16 +375,20 @@ export function CanvasSettings({
                   <Info className="h-3 w-3 text-muted-foreground cursor-help" />
                 </TooltipTrigger>
                 <TooltipContent>
-                  <p>Number of grid cells horizontally per pattern tile</p>
+                  <p>
+                    {triangular
+                      ? 'Number of half triangle edges horizontally per pattern tile'
+                      : 'Number of grid cells horizontally per pattern tile'}
+                  </p>
                 </TooltipContent>
               </Tooltip>
             </TooltipProvider>
           </div>
           <Slider
             id="tile-size-x"
-            min={5}
+            min={triangular ? 2 : 5}
             max={20}
-            step={1}
+            step={tileSizeStep}
             value={[tileSize.x]}
             onValueChange={(value) => onTileSizeChange('x', value[0])}
             className="w-full"
@@ -240,16 +404,20 @@ export function CanvasSettings({
                   <Info className="h-3 w-3 text-muted-foreground cursor-help" />
                 </TooltipTrigger>
                 <TooltipContent>
-                  <p>Number of grid cells vertically per pattern tile</p>
+                  <p>
+                    {triangular
+                      ? 'Number of triangle rows vertically per pattern tile'
+                      : 'Number of grid cells vertically per pattern tile'}
+                  </p>
                 </TooltipContent>
               </Tooltip>
             </TooltipProvider>
           </div>
           <Slider
             id="tile-size-y"
-            min={5}
+            min={triangular ? 2 : 5}
             max={20}
-            step={1}
+            step={tileSizeStep}
             value={[tileSize.y]}
             onValueChange={(value) => onTileSizeChange('y', value[0])}
             className="w-full"
@@ -403,13 +571,20 @@ export function CanvasSettings({
         </Collapsible>
 
         <div className="space-y-2 border-t border-border pt-4">
+          <Input
+            type="text"
+            aria-label="Version note"
+            value={versionNote}
+            onChange={(e) => setVersionNote(e.target.value)}
+            placeholder="Version note (optional)"
+          />
           <div className="grid grid-cols-2 gap-2">
             <Button type="button" onClick={handleNewPatternClick} className="w-full">
               New
             </Button>
             <Button 
               type="button" 
-              onClick={onSavePattern} 
+              onClick={handleSaveClick} 
               className={`w-full transition-colors duration-300 ${saveState === 'saved' ? 'bg-emerald-700 hover:bg-emerald-700' : ''}`}
               variant="default"
               disabled={saveState === 'saving'}
@@ -419,6 +594,15 @@ export function CanvasSettings({
               {saveState === 'saving' ? 'Saving...' : saveState === 'saved' ? 'Saved!' : 'Save'}
             </Button>
           </div>
+          <Button
+            type="button"
+            onClick={() => setIsSaveAsOpen(true)}
+            variant="outline"
+            className="w-full"
+            disabled={saveState === 'saving'}
+          >
+            Save As…
+          </Button>
           <Button type="button" onClick={onResetSettings} variant="outline" className="w-full">
             Reset to Defaults
           </Button>
@@ -457,11 +641,44 @@ export function CanvasSettings({
                   </DropdownMenuItem>
                 </DropdownMenuSubContent>
               </DropdownMenuSub>
-              <DropdownMenuItem disabled>
-                <Download className="mr-2 h-4 w-4" />
-                Export as SVG
+              <DropdownMenuSub>
+                <DropdownMenuSubTrigger>
+                  <Download className="mr-2 h-4 w-4" />
+                  Export as SVG
+                </DropdownMenuSubTrigger>
+                <DropdownMenuSubContent>
+                  <DropdownMenuItem onClick={() => onExportSvg({ includeBackground: false })}>
+                    Stitches Only
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => onExportSvg({ includeBackground: true })}>
+                    With Fabric Background
+                  </DropdownMenuItem>
+                  <DropdownMenuItem onClick={() => onExportSvg({ includeBackground: true, includeGrid: true, includeTileOutlines: true })}>
+                    With Background &amp; Grid
+                  </DropdownMenuItem>
+                </DropdownMenuSubContent>
+              </DropdownMenuSub>
+              <DropdownMenuItem onClick={() => setIsPdfDialogOpen(true)}>
+                <Printer className="mr-2 h-4 w-4" />
+                Export Print PDF…
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => setIsEmbroideryDialogOpen(true)}>
+                <Scissors className="mr-2 h-4 w-4" />
+                Export Embroidery…
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => setIsPlotterDialogOpen(true)}>
+                <PenTool className="mr-2 h-4 w-4" />
+                Export for Plotter…
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => setIsDxfDialogOpen(true)}>
+                <DraftingCompass className="mr-2 h-4 w-4" />
+                Export DXF…
               </DropdownMenuItem>
               <DropdownMenuSeparator />
+              <DropdownMenuItem onClick={handleCopyShareLink}>
+                <Link className="mr-2 h-4 w-4" />
+                Copy Share Link
+              </DropdownMenuItem>
               <DropdownMenuItem onClick={handleCopyForPatternsJson}>
                 <Copy className="mr-2 h-4 w-4" />
                 Copy JSON
@@ -471,15 +688,87 @@ export function CanvasSettings({
                 <Upload className="mr-2 h-4 w-4" />
                 Import JSON
               </DropdownMenuItem>
+              <DropdownMenuSeparator />
+              <DropdownMenuItem onClick={onExportLibrary}>
+                <Archive className="mr-2 h-4 w-4" />
+                Back Up Library
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => libraryFileInputRef.current?.click()}>
+                <ArchiveRestore className="mr-2 h-4 w-4" />
+                Restore Library…
+              </DropdownMenuItem>
             </DropdownMenuContent>
           </DropdownMenu>
           <input
             ref={fileInputRef}
             type="file"
-            accept="application/json"
+            accept={`${PATTERN_FILE_EXTENSION},.json,application/json`}
             className="hidden"
             onChange={handleFileChange}
           />
+          <input
+            ref={libraryFileInputRef}
+            type="file"
+            accept={`${LIBRARY_BACKUP_EXTENSION},.json,application/json`}
+            className="hidden"
+            onChange={handleLibraryFileChange}
+          />
+          <PatternImportErrorsDialog
+            open={importFailure !== null}
+            onOpenChange={(open) => !open && setImportFailure(null)}
+            fileName={importFailure?.fileName}
+            errors={importFailure?.errors}
+            description={importFailure?.isLibrary
+              ? 'The file is not a valid Sashiko library backup. Nothing was restored.'
+              : undefined}
+          />
+          <LibraryRestoreDialog
+            open={libraryRestore !== null}
+            onOpenChange={(open) => !open && setLibraryRestore(null)}
+            fileName={libraryRestore?.fileName}
+            backup={libraryRestore?.backup}
+            preview={libraryRestore?.preview}
+            onRestore={onRestoreLibrary}
+          />
+          <PdfExportDialog
+            open={isPdfDialogOpen}
+            onOpenChange={setIsPdfDialogOpen}
+            tileSize={tileSize}
+            patternTiles={patternTiles}
+            gridSize={gridSize}
+            gridType={gridType}
+            onExport={onExportPdf}
+          />
+          <EmbroideryExportDialog
+            open={isEmbroideryDialogOpen}
+            onOpenChange={setIsEmbroideryDialogOpen}
+            onPlan={onPlanEmbroidery}
+            onExport={onExportEmbroidery}
+          />
+          <PlotterExportDialog
+            open={isPlotterDialogOpen}
+            onOpenChange={setIsPlotterDialogOpen}
+            onPlan={onPlanPlotter}
+            onExport={onExportPlotter}
+          />
+          <DxfExportDialog
+            open={isDxfDialogOpen}
+            onOpenChange={setIsDxfDialogOpen}
+            tileSize={tileSize}
+            patternTiles={patternTiles}
+            gridSize={gridSize}
+            gridType={gridType}
+            onExport={onExportDxf}
+          />
+          <PatternNameDialog
+            open={isSaveAsOpen}
+            onOpenChange={setIsSaveAsOpen}
+            title="Save As"
+            description="Save the current design as a new pattern in the library. The saved original is left as it is."
+            confirmLabel="Save"
+            initialName={`${patternName} (copy)`}
+            onConfirm={handleSaveAsConfirm}
+          />
         </div>
       </CardContent>
     </Card>
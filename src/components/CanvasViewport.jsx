@@ -1,12 +1,23 @@
-import { forwardRef, useEffect, useImperativeHandle, useLayoutEffect, useRef, useState } from 'react';
+import { forwardRef, useCallback, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { flushSync } from 'react-dom';
 import { PatternCanvas } from './PatternCanvas.jsx';
+import { StitchRouteOverlay } from './StitchRouteOverlay.jsx';
+import { SelectionTransformBar } from './SelectionTransformBar.jsx';
+import { ZoomControls } from './ZoomControls.jsx';
+import { getRotationSteps, getStitchBounds } from '../lib/stitchTransform.js';
 import { normalizeTileSize } from '../lib/patternUtils.js';
+import { getCellSize, normalizeGridType } from '../lib/gridGeometry.js';
+import { DEFAULT_ZOOM, clampZoom, getFitZoom, stepZoom } from '../lib/viewZoom.js';
+import { POINTER_TYPES, getPinchState } from '../lib/pointerInput.js';
 import { DEFAULT_GRID_SIZE } from '../hooks/useUiState.js';
 
 // Canvas terminology:
 // - "canvas" = the entire grid area where drawing happens (with margin around artboard)
 // - "artboard" = the total area of pattern tiles we draw inside
+// - "viewport" = the part of the canvas visible in the scroll container (the only part that gets a bitmap)
 const CANVAS_MARGIN_CELLS = 40; // 40 grid cells of margin around artboard
+// Ctrl+wheel / pinch sensitivity (zoom factor per wheel pixel, exponential so in and out feel equal)
+const WHEEL_ZOOM_SPEED = 0.002;
 
 export const CanvasViewport = forwardRef(function CanvasViewport({
   patternTiles,
@@ -17,7 +28,8 @@ export const CanvasViewport = forwardRef(function CanvasViewport({
   tempCurvature,
   selectedStitchIds,
   onSelectStitchIds,
-  onAddStitch,
+  onAddStitches,
+  onTransformSelection,
   drawingState,
   onDrawingStateChange,
   defaultStitchColor,
@@ -26,22 +38,53 @@ export const CanvasViewport = forwardRef(function CanvasViewport({
   tileSize,
   stitchSize,
   repeatPattern,
+  symmetry,
+  drawStyle,
+  drawColor,
   showGrid,
   gridColor,
   tileOutlineColor,
   artboardOutlineColor,
+  stitchRoute,
+  routePlaying,
+  routeSpeed,
+  routeRestartKey,
+  onRouteFinished,
+  referenceImage,
+  referenceBitmap,
+  alignReference,
+  onReferenceChange,
 }, ref) {
   const containerRef = useRef(null);
   const canvasWrapperRef = useRef(null);
   const canvasRef = useRef(null);
   const [isPanning, setIsPanning] = useState(false);
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
+  const panPointerRef = useRef(null);
+  // Fingers on the viewport (pointerId -> client position) for two-finger pan and pinch zoom
+  const touchPointsRef = useRef(new Map());
+  const pinchRef = useRef(null); // { startZoom, startDistance, canvasPoint } while two fingers are down
+  // Pointers used for navigation (pan, pinch, resting palm): their events never reach the canvas
+  const navigationPointersRef = useRef(new Set());
+  // Palm rejection: once a stylus has touched the canvas, fingers only pan and zoom
+  const stylusActiveRef = useRef(false);
+  // View zoom (display only, never saved with the pattern)
+  // Each request carries the canvas point that must stay under a screen point after zooming
+  const [zoomRequest, setZoomRequest] = useState({ zoom: DEFAULT_ZOOM, anchor: null });
+  const zoom = zoomRequest.zoom;
+  const zoomRef = useRef(DEFAULT_ZOOM);
+  const pendingZoomRef = useRef(null); // Latest request whose scroll position is not applied yet
+  // Visible part of the canvas in canvas pixels (100% zoom)
+  const [viewport, setViewport] = useState({ x: 0, y: 0, width: 0, height: 0 });
   
   const patternTileSize = normalizeTileSize(tileSize);
   const patternGridSize = gridSize ?? DEFAULT_GRID_SIZE;
+  const gridType = normalizeGridType(pattern?.gridType);
+  // Pixel size of one stored grid unit (the triangular grid is narrower in x and shorter in y)
+  const cell = getCellSize(gridType, patternGridSize);
   // Artboard = the total area containing all pattern tiles (separate width and height for non-square tiles)
-  const artboardWidth = patternTiles.x * patternTileSize.x * patternGridSize;
-  const artboardHeight = patternTiles.y * patternTileSize.y * patternGridSize;
+  const artboardWidth = patternTiles.x * patternTileSize.x * cell.x;
+  const artboardHeight = patternTiles.y * patternTileSize.y * cell.y;
   // Canvas = artboard + 40 grid cells margin on all sides
   const canvasMarginPixels = CANVAS_MARGIN_CELLS * patternGridSize;
   const canvasWidth = artboardWidth + (2 * canvasMarginPixels);
@@ -49,11 +92,194 @@ export const CanvasViewport = forwardRef(function CanvasViewport({
   // Artboard is centered in canvas (offset by margin)
   const artboardOffset = canvasMarginPixels;
 
+  // Selection bounds (grid units) for positioning the transform actions
+  const selectionBounds = useMemo(
+    () => (drawingState.mode === 'select'
+      ? getStitchBounds((pattern?.stitches ?? []).filter((stitch) => selectedStitchIds.has(stitch.id)))
+      : null),
+    [drawingState.mode, pattern?.stitches, selectedStitchIds]
+  );
+
+  // Canvas point (100% zoom pixels) under a screen point, including zoom requests not yet rendered
+  const getCanvasPointAt = useCallback((screenPoint) => {
+    const pending = pendingZoomRef.current;
+    if (pending) {
+      return {
+        x: pending.anchor.canvasPoint.x + (screenPoint.x - pending.anchor.screenPoint.x) / pending.zoom,
+        y: pending.anchor.canvasPoint.y + (screenPoint.y - pending.anchor.screenPoint.y) / pending.zoom,
+      };
+    }
+    const rect = canvasWrapperRef.current?.getBoundingClientRect();
+    if (!rect) return { x: 0, y: 0 };
+    return { x: (screenPoint.x - rect.left) / zoomRef.current, y: (screenPoint.y - rect.top) / zoomRef.current };
+  }, []);
+
+  // Center of the visible area in client coordinates
+  const getViewportCenter = useCallback(() => {
+    const rect = containerRef.current?.getBoundingClientRect();
+    return rect ? { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 } : { x: 0, y: 0 };
+  }, []);
+
+  // Zoom so that canvasPoint ends up under screenPoint (both default to the viewport center)
+  const requestZoom = useCallback((nextZoom, { screenPoint, canvasPoint } = {}) => {
+    const anchorScreenPoint = screenPoint ?? getViewportCenter();
+    const request = {
+      zoom: clampZoom(nextZoom),
+      anchor: { screenPoint: anchorScreenPoint, canvasPoint: canvasPoint ?? getCanvasPointAt(anchorScreenPoint) },
+    };
+    pendingZoomRef.current = request;
+    setZoomRequest(request);
+  }, [getCanvasPointAt, getViewportCenter]);
+
+  // Zoom the viewport is heading to (wheel events can arrive faster than renders)
+  const getTargetZoom = useCallback(() => pendingZoomRef.current?.zoom ?? zoomRef.current, []);
+
+  // Fit a rectangle in canvas pixels (100% zoom) into the visible area
+  const zoomToRect = useCallback((rect) => {
+    const container = containerRef.current;
+    if (!container) return;
+    requestZoom(getFitZoom(rect, { width: container.clientWidth, height: container.clientHeight }), {
+      canvasPoint: { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 },
+    });
+  }, [requestZoom]);
+
+  const zoomIn = () => requestZoom(stepZoom(getTargetZoom(), 1));
+  const zoomOut = () => requestZoom(stepZoom(getTargetZoom(), -1));
+  const resetZoom = () => requestZoom(DEFAULT_ZOOM);
+
+  const zoomToFit = () => zoomToRect({
+    x: artboardOffset,
+    y: artboardOffset,
+    width: artboardWidth,
+    height: artboardHeight,
+  });
+
+  const hasSelection = selectedStitchIds.size > 0;
+  const zoomToSelection = () => {
+    const bounds = getStitchBounds((pattern?.stitches ?? []).filter((stitch) => selectedStitchIds.has(stitch.id)));
+    if (!bounds) return;
+    // Keep a few cells around the selection so a single straight stitch does not fill the screen
+    const padding = 2;
+    zoomToRect({
+      x: artboardOffset + (bounds.minX - padding) * cell.x,
+      y: artboardOffset + (bounds.minY - padding) * cell.y,
+      width: (bounds.maxX - bounds.minX + 2 * padding) * cell.x,
+      height: (bounds.maxY - bounds.minY + 2 * padding) * cell.y,
+    });
+  };
+
   useImperativeHandle(ref, () => ({
-    exportAsImage: (resolutionMultiplier) => canvasRef.current?.exportAsImage(resolutionMultiplier),
+    exportAsImage: (resolutionMultiplier, options) => canvasRef.current?.exportAsImage(resolutionMultiplier, options),
     getCanvasElement: () => canvasRef.current?.getCanvasElement(),
+    getPointerGridPoint: () => canvasRef.current?.getPointerGridPoint() ?? null,
+    zoomIn,
+    zoomOut,
+    resetZoom,
+    zoomToFit,
+    zoomToSelection,
   }));
 
+  // Measure which part of the canvas is visible (whole screen pixels, so the canvas bitmap stays crisp)
+  const updateViewport = useCallback(() => {
+    const container = containerRef.current;
+    const wrapper = canvasWrapperRef.current;
+    if (!container || !wrapper) return;
+    const containerRect = container.getBoundingClientRect();
+    const wrapperRect = wrapper.getBoundingClientRect();
+    const clientLeft = containerRect.left + container.clientLeft;
+    const clientTop = containerRect.top + container.clientTop;
+    const left = Math.floor(Math.max(0, clientLeft - wrapperRect.left));
+    const top = Math.floor(Math.max(0, clientTop - wrapperRect.top));
+    const right = Math.ceil(Math.min(wrapperRect.width, clientLeft + container.clientWidth - wrapperRect.left));
+    const bottom = Math.ceil(Math.min(wrapperRect.height, clientTop + container.clientHeight - wrapperRect.top));
+    const scale = zoomRef.current;
+    const next = {
+      x: left / scale,
+      y: top / scale,
+      width: Math.max(0, right - left) / scale,
+      height: Math.max(0, bottom - top) / scale,
+    };
+    setViewport((prev) => (
+      prev.x === next.x && prev.y === next.y && prev.width === next.width && prev.height === next.height ? prev : next
+    ));
+  }, []);
+
+  // Redraw in the same frame as the scroll so the viewport-sized canvas never lags behind
+  const handleScroll = () => {
+    flushSync(updateViewport);
+  };
+
+  // Track container size changes (window resize, sidebar toggle)
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => updateViewport());
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [updateViewport]);
+
+  // Apply a zoom request: scroll so its anchor stays in place
+  useLayoutEffect(() => {
+    zoomRef.current = zoomRequest.zoom;
+    const container = containerRef.current;
+    const wrapper = canvasWrapperRef.current;
+    if (pendingZoomRef.current === zoomRequest) {
+      pendingZoomRef.current = null;
+    }
+    if (!zoomRequest.anchor || !container || !wrapper) return;
+    const { canvasPoint, screenPoint } = zoomRequest.anchor;
+    const rect = wrapper.getBoundingClientRect();
+    container.scrollLeft += rect.left + canvasPoint.x * zoomRequest.zoom - screenPoint.x;
+    container.scrollTop += rect.top + canvasPoint.y * zoomRequest.zoom - screenPoint.y;
+  }, [zoomRequest]);
+
+  // The visible part changes with zoom and canvas size (also when the scroll position stays the same)
+  useLayoutEffect(() => {
+    updateViewport();
+  }, [zoomRequest, canvasWidth, canvasHeight, updateViewport]);
+
+  // Ctrl/Cmd + wheel zooms around the cursor (trackpad pinch arrives as ctrl + wheel too)
+  // Safari reports trackpad pinch as gesture events instead
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleWheel = (event) => {
+      if (!event.ctrlKey && !event.metaKey) return;
+      event.preventDefault();
+      const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+      requestZoom(getTargetZoom() * Math.exp(-delta * WHEEL_ZOOM_SPEED), {
+        screenPoint: { x: event.clientX, y: event.clientY },
+      });
+    };
+
+    let gestureStartZoom = null;
+    const handleGestureStart = (event) => {
+      event.preventDefault();
+      gestureStartZoom = getTargetZoom();
+    };
+    const handleGestureChange = (event) => {
+      event.preventDefault();
+      if (gestureStartZoom === null) return;
+      requestZoom(gestureStartZoom * event.scale, { screenPoint: { x: event.clientX, y: event.clientY } });
+    };
+    const handleGestureEnd = (event) => {
+      event.preventDefault();
+      gestureStartZoom = null;
+    };
+
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    container.addEventListener('gesturestart', handleGestureStart);
+    container.addEventListener('gesturechange', handleGestureChange);
+    container.addEventListener('gestureend', handleGestureEnd);
+    return () => {
+      container.removeEventListener('wheel', handleWheel);
+      container.removeEventListener('gesturestart', handleGestureStart);
+      container.removeEventListener('gesturechange', handleGestureChange);
+      container.removeEventListener('gestureend', handleGestureEnd);
+    };
+  }, [requestZoom, getTargetZoom]);
+
   // Center viewport on canvas (which contains artboard with padding) on mount and when size changes
   useLayoutEffect(() => {
     if (!containerRef.current) return;
@@ -66,54 +292,120 @@ export const CanvasViewport = forwardRef(function CanvasViewport({
       const containerWidth = containerRef.current.clientWidth;
       const containerHeight = containerRef.current.clientHeight;
       
-      const scrollX = Math.max(0, (canvasWidth - containerWidth) / 2);
-      const scrollY = Math.max(0, (canvasHeight - containerHeight) / 2);
+      const scrollX = Math.max(0, (canvasWidth * zoomRef.current - containerWidth) / 2);
+      const scrollY = Math.max(0, (canvasHeight * zoomRef.current - containerHeight) / 2);
       
       containerRef.current.scrollLeft = scrollX;
       containerRef.current.scrollTop = scrollY;
+      updateViewport();
     });
-  }, [canvasWidth, canvasHeight]);
+  }, [canvasWidth, canvasHeight, updateViewport]);
 
-  const handleMouseDown = (e) => {
-    // Don't interfere with canvas interactions in select or draw mode
-    if (drawingState.mode === 'select' || drawingState.mode === 'draw') {
-      return;
+  const startPan = (e) => {
+    e.preventDefault();
+    // Keep panning while the pointer is outside the viewport
+    containerRef.current.setPointerCapture?.(e.pointerId);
+    panPointerRef.current = e.pointerId;
+    setIsPanning(true);
+    setPanStart({ 
+      x: e.clientX + containerRef.current.scrollLeft, 
+      y: e.clientY + containerRef.current.scrollTop 
+    });
+    containerRef.current.style.cursor = 'grabbing';
+  };
+
+  const stopPan = () => {
+    panPointerRef.current = null;
+    if (isPanning) {
+      setIsPanning(false);
+      // Reset cursor based on mode
+      if (drawingState.mode === 'pan') {
+        containerRef.current.style.cursor = 'grab';
+      } else {
+        containerRef.current.style.cursor = '';
+      }
     }
-    
-    // Enable panning with middle mouse button OR left click in pan mode
-    const shouldPan = e.button === 1 || (e.button === 0 && drawingState.mode === 'pan');
-    
-    if (shouldPan) {
+  };
+
+  // A second finger turns the touch into pan/zoom: whatever the first finger started on the canvas is dropped
+  const startPinch = () => {
+    const touches = touchPointsRef.current;
+    canvasRef.current?.cancelPointerInteraction();
+    stopPan();
+    touches.forEach((_, pointerId) => navigationPointersRef.current.add(pointerId));
+    const [first, second] = touches.values();
+    const { center, distance } = getPinchState(first, second);
+    pinchRef.current = { startZoom: getTargetZoom(), startDistance: distance, canvasPoint: getCanvasPointAt(center) };
+  };
+
+  // Pointer handlers run in the capture phase so navigation pointers can be kept away from the canvas
+  const handlePointerDown = (e) => {
+    if (e.pointerType === POINTER_TYPES.pen) {
+      stylusActiveRef.current = true;
+    }
+
+    // Buttons on the canvas (selection transform bar) handle their own taps
+    if (e.pointerType === POINTER_TYPES.touch && !e.target.closest?.('button')) {
+      const touches = touchPointsRef.current;
+      touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (touches.size === 2) {
+        startPinch();
+      } else if (touches.size > 2 || stylusActiveRef.current) {
+        navigationPointersRef.current.add(e.pointerId);
+      }
+    }
+
+    const isNavigation = navigationPointersRef.current.has(e.pointerId);
+    if (isNavigation) {
       e.preventDefault();
-      setIsPanning(true);
-      setPanStart({ 
-        x: e.clientX + containerRef.current.scrollLeft, 
-        y: e.clientY + containerRef.current.scrollTop 
-      });
-      containerRef.current.style.cursor = 'grabbing';
+      e.stopPropagation();
+    }
+    if (pinchRef.current) return;
+
+    // Pan with the left or middle button in pan mode, or with a finger while a stylus draws
+    const shouldPan = (drawingState.mode === 'pan' && (e.button === 0 || e.button === 1))
+      || (isNavigation && e.pointerType === POINTER_TYPES.touch);
+    if (shouldPan) {
+      startPan(e);
     }
   };
 
-  const handleMouseMove = (e) => {
-    if (isPanning && containerRef.current) {
+  const handlePointerMove = (e) => {
+    const touches = touchPointsRef.current;
+    if (touches.has(e.pointerId)) {
+      touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    }
+
+    const pinch = pinchRef.current;
+    if (pinch && touches.size >= 2) {
+      // The canvas point under the fingers follows their midpoint (pan) while their spread scales the zoom
+      const [first, second] = touches.values();
+      const { center, distance } = getPinchState(first, second);
+      requestZoom(pinch.startZoom * (distance / pinch.startDistance), { screenPoint: center, canvasPoint: pinch.canvasPoint });
+    } else if (isPanning && e.pointerId === panPointerRef.current && containerRef.current) {
       e.preventDefault();
-      e.stopPropagation();
       const newScrollLeft = panStart.x - e.clientX;
       const newScrollTop = panStart.y - e.clientY;
       containerRef.current.scrollLeft = newScrollLeft;
       containerRef.current.scrollTop = newScrollTop;
     }
+
+    if (navigationPointersRef.current.has(e.pointerId) || e.pointerId === panPointerRef.current) {
+      e.stopPropagation();
+    }
   };
 
-  const handleMouseUp = () => {
-    if (isPanning) {
-      setIsPanning(false);
-      // Reset cursor based on mode
-      if (drawingState.mode === 'pan') {
-        containerRef.current.style.cursor = 'grab';
-      } else {
-        containerRef.current.style.cursor = '';
-      }
+  const handlePointerUp = (e) => {
+    const isNavigation = navigationPointersRef.current.delete(e.pointerId);
+    // Lifting any finger ends the pinch; the fingers still down keep navigating until released
+    if (touchPointsRef.current.delete(e.pointerId)) {
+      pinchRef.current = null;
+    }
+    if (e.pointerId === panPointerRef.current) {
+      stopPan();
+    }
+    if (isNavigation) {
+      e.stopPropagation();
     }
   };
 
@@ -178,76 +470,124 @@ export const CanvasViewport = forwardRef(function CanvasViewport({
   }, [drawingState, onDrawingStateChange]);
 
   return (
-    <div
-      ref={containerRef}
-      className="relative flex-1 overflow-auto bg-background"
-      style={{ 
-        cursor: isPanning ? 'grabbing' : (drawingState.mode === 'pan' ? 'grab' : 'default'),
-        userSelect: 'none',
-        WebkitUserSelect: 'none',
-        touchAction: 'none',
-        outline: 'none',
-        // Prevent spacebar from scrolling when in pan mode
-        overflowAnchor: 'none',
-      }}
-      onMouseDown={handleMouseDown}
-      onMouseMove={handleMouseMove}
-      onMouseUp={handleMouseUp}
-      onMouseLeave={handleMouseUp}
-      onKeyDown={(e) => {
-        // Prevent spacebar scroll at the container level
-        if (e.code === 'Space' || e.key === ' ') {
-          e.preventDefault();
-          e.stopPropagation();
-          return false;
-        }
-      }}
-      onKeyUp={(e) => {
-        // Prevent spacebar scroll at the container level
-        if (e.code === 'Space' || e.key === ' ') {
-          e.preventDefault();
-          e.stopPropagation();
-          return false;
-        }
-      }}
-      tabIndex={-1}
-    >
+    <div className="relative flex min-h-0 min-w-0 flex-1">
       <div
-        ref={canvasWrapperRef}
-        style={{
-          width: canvasWidth,
-          height: canvasHeight,
-          position: 'relative',
+        ref={containerRef}
+        className="relative flex flex-1 overflow-auto bg-background"
+        style={{ 
+          cursor: isPanning ? 'grabbing' : (drawingState.mode === 'pan' ? 'grab' : 'default'),
+          userSelect: 'none',
+          WebkitUserSelect: 'none',
+          touchAction: 'none',
+          outline: 'none',
+          // Prevent spacebar from scrolling when in pan mode
+          overflowAnchor: 'none',
+        }}
+        onPointerDownCapture={handlePointerDown}
+        onPointerMoveCapture={handlePointerMove}
+        onPointerUpCapture={handlePointerUp}
+        onPointerCancelCapture={handlePointerUp}
+        onScroll={handleScroll}
+        onKeyDown={(e) => {
+          // Prevent spacebar scroll at the container level
+          if (e.code === 'Space' || e.key === ' ') {
+            e.preventDefault();
+            e.stopPropagation();
+            return false;
+          }
+        }}
+        onKeyUp={(e) => {
+          // Prevent spacebar scroll at the container level
+          if (e.code === 'Space' || e.key === ' ') {
+            e.preventDefault();
+            e.stopPropagation();
+            return false;
+          }
         }}
+        tabIndex={-1}
       >
-        <PatternCanvas
-          ref={canvasRef}
-          canvasWidth={canvasWidth}
-          canvasHeight={canvasHeight}
-          cellSize={patternGridSize}
-          artboardOffset={artboardOffset}
-          artboardWidth={artboardWidth}
-          artboardHeight={artboardHeight}
-          pattern={pattern}
-          stitchColors={stitchColors}
-          tempStitchColor={tempStitchColor}
-          tempGapSize={tempGapSize}
-          tempCurvature={tempCurvature}
-          selectedStitchIds={selectedStitchIds}
-          onSelectStitchIds={onSelectStitchIds}
-          onAddStitch={onAddStitch}
-          drawingState={drawingState}
-          onDrawingStateChange={onDrawingStateChange}
-          defaultStitchColor={defaultStitchColor}
-          backgroundColor={backgroundColor}
-          stitchSize={stitchSize}
-          repeatPattern={repeatPattern}
-          showGrid={showGrid}
-          gridColor={gridColor}
-          tileOutlineColor={tileOutlineColor}
-          artboardOutlineColor={artboardOutlineColor}
-        />
+        <div
+          ref={canvasWrapperRef}
+          style={{
+            // On-screen size of the zoomed canvas (centered while smaller than the viewport)
+            width: canvasWidth * zoom,
+            height: canvasHeight * zoom,
+            position: 'relative',
+            flexShrink: 0,
+            margin: 'auto',
+          }}
+        >
+          <PatternCanvas
+            ref={canvasRef}
+            canvasWidth={canvasWidth}
+            canvasHeight={canvasHeight}
+            cellSize={patternGridSize}
+            artboardOffset={artboardOffset}
+            artboardWidth={artboardWidth}
+            artboardHeight={artboardHeight}
+            pattern={pattern}
+            stitchColors={stitchColors}
+            tempStitchColor={tempStitchColor}
+            tempGapSize={tempGapSize}
+            tempCurvature={tempCurvature}
+            selectedStitchIds={selectedStitchIds}
+            onSelectStitchIds={onSelectStitchIds}
+            onAddStitches={onAddStitches}
+            onTransformSelection={onTransformSelection}
+            drawingState={drawingState}
+            onDrawingStateChange={onDrawingStateChange}
+            defaultStitchColor={defaultStitchColor}
+            backgroundColor={backgroundColor}
+            stitchSize={stitchSize}
+            repeatPattern={repeatPattern}
+            symmetry={symmetry}
+            drawStyle={drawStyle}
+            drawColor={drawColor}
+            showGrid={showGrid}
+            gridColor={gridColor}
+            tileOutlineColor={tileOutlineColor}
+            artboardOutlineColor={artboardOutlineColor}
+            zoom={zoom}
+            viewport={viewport}
+            referenceImage={referenceImage}
+            referenceBitmap={referenceBitmap}
+            alignReference={alignReference}
+            onReferenceChange={onReferenceChange}
+          />
+          {selectionBounds && onTransformSelection && (
+            <SelectionTransformBar
+              left={(artboardOffset + selectionBounds.minX * cell.x) * zoom - 8}
+              top={(artboardOffset + selectionBounds.minY * cell.y) * zoom - 14}
+              onTransform={onTransformSelection}
+              rotationSteps={getRotationSteps(gridType)}
+            />
+          )}
+          {stitchRoute && (
+            <StitchRouteOverlay
+              route={stitchRoute}
+              canvasWidth={canvasWidth}
+              canvasHeight={canvasHeight}
+              cellSize={patternGridSize}
+              artboardOffset={artboardOffset}
+              playing={routePlaying}
+              speed={routeSpeed}
+              restartKey={routeRestartKey}
+              onFinished={onRouteFinished}
+              zoom={zoom}
+              viewport={viewport}
+            />
+          )}
+        </div>
       </div>
+      <ZoomControls
+        zoom={zoom}
+        hasSelection={hasSelection}
+        onZoomIn={zoomIn}
+        onZoomOut={zoomOut}
+        onZoomReset={resetZoom}
+        onZoomToFit={zoomToFit}
+        onZoomToSelection={zoomToSelection}
+      />
     </div>
   );
 });
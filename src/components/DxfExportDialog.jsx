@@ -0,0 +1,209 @@
+import { useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { DXF_EXPORT_DEFAULTS } from '../lib/dxfExport.js';
+import { getCellScale } from '../lib/gridGeometry.js';
+import { normalizePatternTiles, normalizeTileSize } from '../lib/patternUtils.js';
+import { pxToMm } from '../lib/unitConverter.js';
+
+const MIN_CELL_SIZE_MM = 1;
+const MAX_CELL_SIZE_MM = 50;
+
+function isPositive(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+// DXF export options for stencils: slot outlines or centerlines, slot width and bridges
+export function DxfExportDialog({
+  open,
+  onOpenChange,
+  tileSize,
+  patternTiles,
+  gridSize,
+  gridType,
+  onExport,
+}) {
+  const [geometry, setGeometry] = useState(DXF_EXPORT_DEFAULTS.geometry);
+  const [cellSizeMm, setCellSizeMm] = useState(String(DXF_EXPORT_DEFAULTS.cellSizeMm));
+  const [slotWidthMm, setSlotWidthMm] = useState(String(DXF_EXPORT_DEFAULTS.slotWidthMm));
+  const [bridges, setBridges] = useState(DXF_EXPORT_DEFAULTS.bridges);
+  const [bridgeWidthMm, setBridgeWidthMm] = useState(String(DXF_EXPORT_DEFAULTS.bridgeWidthMm));
+  const [bridgeSpacingMm, setBridgeSpacingMm] = useState(String(DXF_EXPORT_DEFAULTS.bridgeSpacingMm));
+  const [includeArtboard, setIncludeArtboard] = useState(DXF_EXPORT_DEFAULTS.includeArtboard);
+
+  const isSlots = geometry === 'slots';
+  const parsedCellSize = parseFloat(cellSizeMm);
+  const parsedSlotWidth = parseFloat(slotWidthMm);
+  const parsedBridgeWidth = parseFloat(bridgeWidthMm);
+  const parsedBridgeSpacing = parseFloat(bridgeSpacingMm);
+  const isCellSizeValid = Number.isFinite(parsedCellSize) &&
+    parsedCellSize >= MIN_CELL_SIZE_MM && parsedCellSize <= MAX_CELL_SIZE_MM;
+  const isSlotWidthValid = !isSlots || isPositive(parsedSlotWidth);
+  const areBridgesValid = !bridges || (isPositive(parsedBridgeWidth) && isPositive(parsedBridgeSpacing));
+  const canExport = isCellSizeValid && isSlotWidthValid && areBridgesValid;
+
+  const cellScale = getCellScale(gridType);
+  const normalizedTileSize = normalizeTileSize(tileSize);
+  const normalizedPatternTiles = normalizePatternTiles(patternTiles);
+  const width = normalizedPatternTiles.x * normalizedTileSize.x * parsedCellSize * cellScale.x;
+  const height = normalizedPatternTiles.y * normalizedTileSize.y * parsedCellSize * cellScale.y;
+
+  const handleExport = () => {
+    if (!canExport) return;
+    onExport({
+      geometry,
+      cellSizeMm: parsedCellSize,
+      slotWidthMm: parsedSlotWidth,
+      bridges,
+      bridgeWidthMm: parsedBridgeWidth,
+      bridgeSpacingMm: parsedBridgeSpacing,
+      includeArtboard,
+    });
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export DXF</DialogTitle>
+          <DialogDescription>
+            CAD drawing in millimeters for laser-cut stencils. Curves stay true arcs and each thread color gets its own layer.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 text-sm">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label>Each Dash As</Label>
+              <Select value={geometry} onValueChange={setGeometry}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="slots">Slot outline</SelectItem>
+                  <SelectItem value="centerlines">Centerline</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="dxf-slot-width">Slot Width (mm)</Label>
+              <Input
+                id="dxf-slot-width"
+                type="number"
+                min={0.1}
+                step={0.1}
+                value={slotWidthMm}
+                onChange={(e) => setSlotWidthMm(e.target.value)}
+                disabled={!isSlots}
+                aria-invalid={!isSlotWidthValid}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="dxf-cell-size">Grid Cell Size (mm)</Label>
+            <Input
+              id="dxf-cell-size"
+              type="number"
+              min={MIN_CELL_SIZE_MM}
+              max={MAX_CELL_SIZE_MM}
+              step={0.5}
+              value={cellSizeMm}
+              onChange={(e) => setCellSizeMm(e.target.value)}
+              aria-invalid={!isCellSizeValid}
+            />
+            <p className="text-xs text-muted-foreground">
+              One grid cell is {gridSize}px on screen (≈{pxToMm(gridSize)}mm at 96 DPI).
+            </p>
+          </div>
+
+          <div className="space-y-2">
+            <div className="flex items-center gap-2">
+              <input
+                id="dxf-bridges"
+                type="checkbox"
+                checked={bridges}
+                onChange={(e) => setBridges(e.target.checked)}
+                className="h-4 w-4 accent-primary"
+              />
+              <Label htmlFor="dxf-bridges" className="font-normal">
+                Add bridges so cut pieces stay attached
+              </Label>
+            </div>
+            {bridges && (
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label htmlFor="dxf-bridge-width">Bridge Width (mm)</Label>
+                  <Input
+                    id="dxf-bridge-width"
+                    type="number"
+                    min={0.1}
+                    step={0.1}
+                    value={bridgeWidthMm}
+                    onChange={(e) => setBridgeWidthMm(e.target.value)}
+                    aria-invalid={!isPositive(parsedBridgeWidth)}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="dxf-bridge-spacing">One Bridge Every (mm)</Label>
+                  <Input
+                    id="dxf-bridge-spacing"
+                    type="number"
+                    min={1}
+                    step={1}
+                    value={bridgeSpacingMm}
+                    onChange={(e) => setBridgeSpacingMm(e.target.value)}
+                    aria-invalid={!isPositive(parsedBridgeSpacing)}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <input
+              id="dxf-artboard"
+              type="checkbox"
+              checked={includeArtboard}
+              onChange={(e) => setIncludeArtboard(e.target.checked)}
+              className="h-4 w-4 accent-primary"
+            />
+            <Label htmlFor="dxf-artboard" className="font-normal">
+              Include the artboard outline (ARTBOARD layer)
+            </Label>
+          </div>
+
+          <div className="rounded-md border border-border bg-muted/50 p-3 text-xs text-muted-foreground">
+            {isCellSizeValid ? (
+              <p>
+                Stencil size: {(width / 10).toFixed(1)} × {(height / 10).toFixed(1)} cm
+              </p>
+            ) : (
+              <p>Enter a cell size between {MIN_CELL_SIZE_MM} and {MAX_CELL_SIZE_MM} mm.</p>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={handleExport} disabled={!canExport}>
+            Export DXF
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
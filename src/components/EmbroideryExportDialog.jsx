@@ -0,0 +1,159 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { toast } from 'sonner';
+import { EMBROIDERY_EXPORT_DEFAULTS, EMBROIDERY_FORMATS } from '../lib/embroideryExport.js';
+
+const MIN_CELL_SIZE_MM = 1;
+const MAX_CELL_SIZE_MM = 50;
+
+// Machine embroidery export: format, real size and how dashes are sewn, with the resulting stitch plan
+export function EmbroideryExportDialog({
+  open,
+  onOpenChange,
+  onPlan,
+  onExport,
+}) {
+  const [format, setFormat] = useState(EMBROIDERY_EXPORT_DEFAULTS.format);
+  const [cellSizeMm, setCellSizeMm] = useState(String(EMBROIDERY_EXPORT_DEFAULTS.cellSizeMm));
+  const [beanStitch, setBeanStitch] = useState(EMBROIDERY_EXPORT_DEFAULTS.beanStitch);
+  const [plan, setPlan] = useState(null);
+
+  const parsedCellSize = parseFloat(cellSizeMm);
+  const isCellSizeValid = Number.isFinite(parsedCellSize) &&
+    parsedCellSize >= MIN_CELL_SIZE_MM && parsedCellSize <= MAX_CELL_SIZE_MM;
+
+  const options = useMemo(
+    () => (isCellSizeValid ? { format, cellSizeMm: parsedCellSize, beanStitch } : null),
+    [format, parsedCellSize, beanStitch, isCellSizeValid]
+  );
+
+  // Planning walks every dash on the artboard, so it only runs while the dialog is open
+  useEffect(() => {
+    setPlan(open && options ? onPlan(options) : null);
+  }, [open, options, onPlan]);
+
+  const isEmpty = plan !== null && plan.stitchCount === 0;
+
+  const handleExport = () => {
+    if (!options || isEmpty) return;
+    try {
+      onExport(options);
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Failed to export embroidery file:', error);
+      toast.error(`Failed to export embroidery file: ${error.message}`);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export Embroidery File</DialogTitle>
+          <DialogDescription>
+            Convert the artboard into a stitch file for embroidery machines, with jump stitches between lines and a color stop per thread color.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 text-sm">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label>Format</Label>
+              <Select value={format} onValueChange={setFormat}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(EMBROIDERY_FORMATS).map(([key, embroideryFormat]) => (
+                    <SelectItem key={key} value={key}>
+                      {embroideryFormat.label} ({embroideryFormat.extension})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="embroidery-cell-size">Grid Cell Size (mm)</Label>
+              <Input
+                id="embroidery-cell-size"
+                type="number"
+                min={MIN_CELL_SIZE_MM}
+                max={MAX_CELL_SIZE_MM}
+                step={0.5}
+                value={cellSizeMm}
+                onChange={(e) => setCellSizeMm(e.target.value)}
+                aria-invalid={!isCellSizeValid}
+              />
+            </div>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <input
+              id="embroidery-bean-stitch"
+              type="checkbox"
+              checked={beanStitch}
+              onChange={(e) => setBeanStitch(e.target.checked)}
+              className="h-4 w-4 accent-primary"
+            />
+            <Label htmlFor="embroidery-bean-stitch" className="font-normal">
+              Bean stitch dashes (sewn three times, so gaps stay thin)
+            </Label>
+          </div>
+
+          <div className="rounded-md border border-border bg-muted/50 p-3 text-xs text-muted-foreground">
+            {!isCellSizeValid ? (
+              <p>Enter a cell size between {MIN_CELL_SIZE_MM} and {MAX_CELL_SIZE_MM} mm.</p>
+            ) : isEmpty ? (
+              <p>There are no visible stitches to export.</p>
+            ) : plan && (
+              <>
+                <p>
+                  Design size: {(plan.width / 10).toFixed(1)} × {(plan.height / 10).toFixed(1)} cm
+                </p>
+                <p>
+                  {plan.stitchCount.toLocaleString()} stitches · {plan.jumpCount.toLocaleString()} jump{plan.jumpCount === 1 ? '' : 's'} · {plan.colors.length} thread color{plan.colors.length === 1 ? '' : 's'}
+                </p>
+                <div className="mt-2 flex flex-wrap items-center gap-1">
+                  <span>Thread order:</span>
+                  {plan.colors.map((color, index) => (
+                    <span
+                      key={color}
+                      className="inline-block h-4 w-4 rounded-sm border border-border"
+                      style={{ backgroundColor: color }}
+                      title={`${index + 1}. ${color}`}
+                    />
+                  ))}
+                </div>
+                {format !== 'pes' && plan.colors.length > 1 && (
+                  <p className="mt-2">
+                    {EMBROIDERY_FORMATS[format].label} files don't store thread colors; set them on the machine in the order above.
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={handleExport} disabled={!options || isEmpty}>
+            Export {EMBROIDERY_FORMATS[format].extension.slice(1).toUpperCase()}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -34,14 +34,26 @@ export function HelpButton() {
                 <span className="font-medium min-w-30">Select Tool (V):</span>
                 <span className="text-muted-foreground">Click stitches to select them. Hold Shift/Ctrl to select multiple. Drag to select multiple stitches at once.</span>
               </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Transform:</span>
+                <span className="text-muted-foreground">Drag inside the selection box (or use the arrow keys) to move selected stitches. The bar above the box rotates, flips and scales them on the grid.</span>
+              </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Stitch Tool (P):</span>
-                <span className="text-muted-foreground">Click on grid points to draw stitches between them.</span>
+                <span className="text-muted-foreground">Click on grid points to draw stitches between them. The arrow next to the tool picks the draw style: Line (two clicks per stitch), Polyline (each click continues from the last point; double-click or Escape to finish) or Drag (drag along the grid to add a stitch for every step).</span>
               </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Pan Tool (Space):</span>
                 <span className="text-muted-foreground">Hold spacebar to pan around the canvas.</span>
               </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Zoom:</span>
+                <span className="text-muted-foreground">Ctrl+scroll or pinch to zoom around the cursor (25%-800%). On a tablet, drag with two fingers to pan. The controls at the bottom right zoom to fit or to the selection. Zoom only changes the view, never the pattern.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Touch &amp; Pen:</span>
+                <span className="text-muted-foreground">Tap instead of clicking; a line end is placed where your finger lifts. Long-press a stitch to add it to or remove it from the selection. Once a stylus is used, fingers only pan and zoom so a resting palm never draws.</span>
+              </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Stitch Color:</span>
                 <span className="text-muted-foreground">Choose a color for new stitches or change the color of selected stitches.</span>
@@ -54,10 +66,26 @@ export function HelpButton() {
                 <span className="font-medium min-w-30">Repeat Pattern (R):</span>
                 <span className="text-muted-foreground">Toggle to see your pattern repeated across multiple tiles. Lines drawn with repeat on will automatically tile.</span>
               </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Symmetry:</span>
+                <span className="text-muted-foreground">Mirror (X, Y or both), rotate (2–8 fold) or kaleidoscope each drawn stitch about the tile center. A ghost preview shows all copies before you click.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Layers:</span>
+                <span className="text-muted-foreground">The Layers panel in the sidebar holds named layers. New stitches go into the highlighted layer. Hide, lock, reorder or fade layers; hidden and locked stitches cannot be selected. Double-click a name to rename it.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Reference Photo:</span>
+                <span className="text-muted-foreground">Load a photo of an existing piece in the Reference Photo panel to trace it beneath the grid. Set its opacity, scale and rotation, or use Align Corners and drag each corner onto a grid point to straighten a photo taken at an angle. Hide it with the eye button; exports leave it out unless you include it.</span>
+              </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Undo/Redo:</span>
                 <span className="text-muted-foreground">Undo (Ctrl+Z) or redo (Ctrl+Y) your last actions.</span>
               </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">History:</span>
+                <span className="text-muted-foreground">The History panel lists every step of the open pattern. Click a step to jump to it. Edits made after an undo start a branch, so undone steps stay listed and can be restored. Each pattern keeps its own history.</span>
+              </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Show Grid (H):</span>
                 <span className="text-muted-foreground">Toggle visibility of grid dots, artboard boundary, and Repeat Pattern tile boundaries.</span>
@@ -69,6 +97,10 @@ export function HelpButton() {
           <section>
             <h3 className="text-lg font-semibold mb-3">Pattern Settings</h3>
             <div className="space-y-2 text-sm">
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Grid Type:</span>
+                <span className="text-muted-foreground">Square grid or triangular 60° lattice for kikkō, uroko and asanoha motifs. On the triangular grid stitches snap to the lattice, rotate in 60° steps and tile sizes are even. Switching the grid moves existing stitches to the nearest points of the new grid.</span>
+              </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Artboard Size:</span>
                 <span className="text-muted-foreground">Displays the total size of the artboard. Units can be changed between pixels, millimeters, and centimeters.</span>
@@ -91,7 +123,7 @@ export function HelpButton() {
               </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Grid Size:</span>
-                <span className="text-muted-foreground">Size of each grid cell in pixels.</span>
+                <span className="text-muted-foreground">Size of each grid cell in pixels. Saved with the pattern and used for stitch dash lengths; use zoom to look closer.</span>
               </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Fabric Color:</span>
@@ -107,7 +139,23 @@ export function HelpButton() {
               </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Save Pattern:</span>
-                <span className="text-muted-foreground">Save your current pattern to the library.</span>
+                <span className="text-muted-foreground">Save your current pattern to the library. Each save is kept as a version; add an optional note above the Save button. Save As… saves a copy under a new name.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Rename & Trash:</span>
+                <span className="text-muted-foreground">The ⋮ menu on a library pattern renames, duplicates or moves it to the Trash. Trashed patterns can be restored from the trash button in the library for 30 days.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Versions:</span>
+                <span className="text-muted-foreground">Open the ⋮ menu on a saved pattern and choose Versions to preview earlier saves, restore one, or branch it into a new pattern.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Search Library:</span>
+                <span className="text-muted-foreground">Type in the library search box to match names, descriptions and tags. The filter button narrows by folder, tag, tile size, colors or stitches and changes the sort order. Set a pattern's folder and tags under its description.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Hitomezashi:</span>
+                <span className="text-muted-foreground">Generate an on/off stitch grid from row and column bit-strings, words (vowels = 1) or a random seed. Straight and diagonal (kuchi) styles.</span>
               </div>
             </div>
           </section>
@@ -148,6 +196,30 @@ export function HelpButton() {
                 <kbd className="min-w-30 rounded border border-border bg-muted px-2 py-1 font-mono text-xs">Backspace</kbd>
                 <span className="text-muted-foreground">Delete selected stitch(es)</span>
               </div>
+              <div className="flex items-start gap-3">
+                <kbd className="min-w-30 rounded border border-border bg-muted px-2 py-1 font-mono text-xs">Arrow Keys</kbd>
+                <span className="text-muted-foreground">Move selected stitch(es) by one grid cell</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <kbd className="min-w-30 rounded border border-border bg-muted px-2 py-1 font-mono text-xs">Ctrl + C / X</kbd>
+                <span className="text-muted-foreground">Copy or cut selected stitch(es) to the clipboard</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <kbd className="min-w-30 rounded border border-border bg-muted px-2 py-1 font-mono text-xs">Ctrl + V</kbd>
+                <span className="text-muted-foreground">Paste stitches at the cursor (works across patterns)</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <kbd className="min-w-30 rounded border border-border bg-muted px-2 py-1 font-mono text-xs">Ctrl + = / −</kbd>
+                <span className="text-muted-foreground">Zoom in / out</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <kbd className="min-w-30 rounded border border-border bg-muted px-2 py-1 font-mono text-xs">Ctrl + 0</kbd>
+                <span className="text-muted-foreground">Reset zoom to 100%</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <kbd className="min-w-30 rounded border border-border bg-muted px-2 py-1 font-mono text-xs">Shift + 1 / 2</kbd>
+                <span className="text-muted-foreground">Zoom to fit / zoom to selection</span>
+              </div>
             </div>
           </section>
 
@@ -163,9 +235,29 @@ export function HelpButton() {
                 <span className="font-medium min-w-30">Export Image:</span>
                 <span className="text-muted-foreground">Download your pattern as a PNG image.</span>
               </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Embroidery:</span>
+                <span className="text-muted-foreground">Export Embroidery writes a DST, PES or EXP stitch file at the size you choose per grid cell. Dashes are sewn as bean stitches, lines are joined by jump stitches and each thread color gets a color stop.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Plotter:</span>
+                <span className="text-muted-foreground">Export for Plotter writes HPGL or G-code to mark fabric with a pen plotter, drawing every dash or whole lines. Set the size per grid cell, the origin, and for G-code the pen up/down commands and feed rate.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">DXF:</span>
+                <span className="text-muted-foreground">Export DXF draws each dash as a stencil slot outline or a centerline in millimeters, one layer per thread color, with optional bridges for laser-cut stencils.</span>
+              </div>
               <div className="flex items-start gap-3">
                 <span className="font-medium min-w-30">Import JSON:</span>
-                <span className="text-muted-foreground">Load a pattern from a JSON file.</span>
+                <span className="text-muted-foreground">Load a pattern from a .sashiko.json file. Files from older versions are upgraded automatically; if a file can't be read, each invalid field is listed.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Share Link:</span>
+                <span className="text-muted-foreground">Copy Share Link puts the whole pattern in a link. Whoever opens it sees a preview and can open a copy in their own library, even offline.</span>
+              </div>
+              <div className="flex items-start gap-3">
+                <span className="font-medium min-w-30">Library Backup:</span>
+                <span className="text-muted-foreground">Back Up Library downloads every saved pattern with its versions, thumbnails, reference photos, settings and color presets in one file. Restore Library shows what's in a backup first; for patterns already in the library choose Merge, Skip or Overwrite.</span>
               </div>
             </div>
           </section>
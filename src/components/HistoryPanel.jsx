@@ -0,0 +1,93 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Card, CardContent } from './ui/card';
+import { Label } from './ui/label';
+import { ScrollArea } from './ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { ChevronRight, GitBranch } from 'lucide-react';
+import { HISTORY_DEPTH_OPTIONS, getHistoryRows } from '../lib/historyTree.js';
+
+const STATUS_CLASSES = {
+  current: 'border-primary bg-accent font-medium',
+  past: 'border-transparent hover:bg-accent/50',
+  future: 'border-transparent text-muted-foreground hover:bg-accent/50',
+  branch: 'border-transparent text-muted-foreground italic hover:bg-accent/50',
+};
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+export function HistoryPanel({
+  tree,
+  depth,
+  onDepthChange,
+  onJump,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const rows = useMemo(() => getHistoryRows(tree), [tree]);
+  const currentRowRef = useRef(null);
+
+  // Keep the current state in view as edits are added or undone
+  useEffect(() => {
+    if (isOpen) {
+      currentRowRef.current?.scrollIntoView({ block: 'nearest' });
+    }
+  }, [isOpen, tree?.currentId]);
+
+  return (
+    <Card>
+      <CardContent className="text-sm">
+        <Collapsible open={isOpen} onOpenChange={setIsOpen} className="space-y-2">
+          <CollapsibleTrigger className="flex w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm font-medium hover:bg-accent">
+            <span>History</span>
+            <ChevronRight className={`h-4 w-4 transition-transform duration-200 ${isOpen ? 'rotate-90' : ''}`} />
+          </CollapsibleTrigger>
+          <CollapsibleContent className="space-y-4 pt-2">
+            {rows.length === 0 ? (
+              <p className="text-muted-foreground">Changes to this pattern will be listed here.</p>
+            ) : (
+              <ScrollArea className="h-64 rounded-md border">
+                <div className="space-y-0.5 p-1">
+                  {rows.map((row) => (
+                    <button
+                      key={row.id}
+                      ref={row.status === 'current' ? currentRowRef : undefined}
+                      type="button"
+                      className={`flex w-full items-center gap-1 rounded-md border px-2 py-1 text-left ${STATUS_CLASSES[row.status]}`}
+                      style={{ paddingLeft: `${0.5 + row.depth * 0.75}rem` }}
+                      title={row.status === 'branch' ? 'Abandoned branch: click to restore this state' : formatTime(row.timestamp)}
+                      onClick={() => onJump(row.id)}
+                    >
+                      {row.branchStart && <GitBranch className="h-3 w-3 shrink-0" />}
+                      <span className="flex-1 truncate">{row.label}</span>
+                      <span className="text-xs text-muted-foreground">{formatTime(row.timestamp)}</span>
+                    </button>
+                  ))}
+                </div>
+              </ScrollArea>
+            )}
+
+            <div className="flex items-center justify-between gap-2">
+              <Label>Steps to Keep</Label>
+              <Select value={String(depth)} onValueChange={(value) => onDepthChange(Number(value))}>
+                <SelectTrigger className="w-24">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {HISTORY_DEPTH_OPTIONS.map((option) => (
+                    <SelectItem key={option} value={String(option)}>{option}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <p className="text-xs text-muted-foreground">
+              Click any step to go back to it. Editing after an undo starts a new branch, so the steps you undid stay listed (indented) and can be restored.
+            </p>
+          </CollapsibleContent>
+        </Collapsible>
+      </CardContent>
+    </Card>
+  );
+}
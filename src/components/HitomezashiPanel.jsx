@@ -0,0 +1,241 @@
+import { useMemo, useState } from 'react';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { ChevronRight, Dices, Sparkles } from 'lucide-react';
+import { toast } from 'sonner';
+import {
+  HITOMEZASHI_VARIANTS,
+  formatBits,
+  generateHitomezashi,
+  getHitomezashiLineCounts,
+  isSeamlessTile,
+  parseBits,
+  randomBits,
+  textToBits,
+} from '../lib/hitomezashi.js';
+import { isTriangularGrid } from '../lib/gridGeometry.js';
+
+const PREVIEW_SIZE = 160;
+
+const newSeed = () => Math.random().toString(36).slice(2, 8);
+
+export function HitomezashiPanel({ tileSize, gridType, onGenerate }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [source, setSource] = useState('bits'); // 'bits' | 'text' | 'random'
+  const [variant, setVariant] = useState(HITOMEZASHI_VARIANTS.straight);
+  const [unit, setUnit] = useState(1);
+  const [rowBitsInput, setRowBitsInput] = useState('10110');
+  const [columnBitsInput, setColumnBitsInput] = useState('01101');
+  const [rowText, setRowText] = useState('sashiko');
+  const [columnText, setColumnText] = useState('hitomezashi');
+  const [seed, setSeed] = useState(newSeed);
+
+  const lineCounts = getHitomezashiLineCounts(tileSize, unit, variant);
+
+  // Resolve the row/column sequences from the selected source
+  const { rowBits, columnBits } = useMemo(() => {
+    if (source === 'text') {
+      return { rowBits: textToBits(rowText), columnBits: textToBits(columnText) };
+    }
+    if (source === 'random') {
+      return {
+        rowBits: randomBits(`${seed}-rows`, lineCounts.rows),
+        columnBits: randomBits(`${seed}-columns`, lineCounts.columns),
+      };
+    }
+    return { rowBits: parseBits(rowBitsInput), columnBits: parseBits(columnBitsInput) };
+  }, [source, rowText, columnText, seed, lineCounts.rows, lineCounts.columns, rowBitsInput, columnBitsInput]);
+
+  const stitches = useMemo(
+    () => generateHitomezashi({ rowBits, columnBits, tileSize, unit, variant }),
+    [rowBits, columnBits, tileSize, unit, variant]
+  );
+
+  // Hitomezashi runs along square grid lines, so it is only offered on the square grid
+  const squareGrid = !isTriangularGrid(gridType);
+  const canGenerate = squareGrid && rowBits.length > 0 && columnBits.length > 0 && stitches.length > 0;
+  const seamless = isSeamlessTile(tileSize, unit);
+  const previewScale = PREVIEW_SIZE / Math.max(tileSize.x, tileSize.y);
+
+  const handleGenerate = () => {
+    if (!canGenerate) return;
+    // The designer refuses stitches when the active layer is hidden or locked
+    if (onGenerate(stitches) === false) return;
+    toast.success(`Added ${stitches.length} Hitomezashi stitches`);
+  };
+
+  return (
+    <Card>
+      <CardContent className="text-sm">
+        <Collapsible open={isOpen} onOpenChange={setIsOpen} className="space-y-2">
+          <CollapsibleTrigger className="flex w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm font-medium hover:bg-accent">
+            <span>Hitomezashi Generator</span>
+            <ChevronRight className={`h-4 w-4 transition-transform duration-200 ${isOpen ? 'rotate-90' : ''}`} />
+          </CollapsibleTrigger>
+          <CollapsibleContent className="space-y-4 pt-2">
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-2">
+                <Label>Style</Label>
+                <Select value={variant} onValueChange={setVariant}>
+                  <SelectTrigger className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={HITOMEZASHI_VARIANTS.straight}>Straight</SelectItem>
+                    <SelectItem value={HITOMEZASHI_VARIANTS.diagonal}>Diagonal (Kuchi)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Stitch Length</Label>
+                <Select value={String(unit)} onValueChange={(value) => setUnit(Number(value))}>
+                  <SelectTrigger className="w-full">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="1">1 cell</SelectItem>
+                    <SelectItem value="2">2 cells</SelectItem>
+                    <SelectItem value="3">3 cells</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label>Sequence Source</Label>
+              <Select value={source} onValueChange={setSource}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="bits">Bit-strings</SelectItem>
+                  <SelectItem value="text">Words (vowel = 1)</SelectItem>
+                  <SelectItem value="random">Random seed</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {source === 'bits' && (
+              <div className="space-y-2">
+                <Label htmlFor="hitomezashi-row-bits">
+                  {variant === HITOMEZASHI_VARIANTS.diagonal ? 'Diagonals (\\)' : 'Rows'}
+                </Label>
+                <Input
+                  id="hitomezashi-row-bits"
+                  value={rowBitsInput}
+                  onChange={(e) => setRowBitsInput(e.target.value)}
+                  placeholder="e.g. 10110"
+                  className="font-mono"
+                />
+                <Label htmlFor="hitomezashi-column-bits">
+                  {variant === HITOMEZASHI_VARIANTS.diagonal ? 'Diagonals (/)' : 'Columns'}
+                </Label>
+                <Input
+                  id="hitomezashi-column-bits"
+                  value={columnBitsInput}
+                  onChange={(e) => setColumnBitsInput(e.target.value)}
+                  placeholder="e.g. 01101"
+                  className="font-mono"
+                />
+              </div>
+            )}
+
+            {source === 'text' && (
+              <div className="space-y-2">
+                <Label htmlFor="hitomezashi-row-text">
+                  {variant === HITOMEZASHI_VARIANTS.diagonal ? 'Diagonals (\\)' : 'Rows'}
+                </Label>
+                <Input
+                  id="hitomezashi-row-text"
+                  value={rowText}
+                  onChange={(e) => setRowText(e.target.value)}
+                  placeholder="Any word"
+                />
+                <Label htmlFor="hitomezashi-column-text">
+                  {variant === HITOMEZASHI_VARIANTS.diagonal ? 'Diagonals (/)' : 'Columns'}
+                </Label>
+                <Input
+                  id="hitomezashi-column-text"
+                  value={columnText}
+                  onChange={(e) => setColumnText(e.target.value)}
+                  placeholder="Any word"
+                />
+              </div>
+            )}
+
+            {source === 'random' && (
+              <div className="space-y-2">
+                <Label htmlFor="hitomezashi-seed">Seed</Label>
+                <div className="flex gap-2">
+                  <Input
+                    id="hitomezashi-seed"
+                    value={seed}
+                    onChange={(e) => setSeed(e.target.value)}
+                    className="font-mono"
+                  />
+                  <Button type="button" variant="outline" size="icon" onClick={() => setSeed(newSeed())} title="New seed">
+                    <Dices className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {source !== 'bits' && (
+              <div className="space-y-1 font-mono text-xs text-muted-foreground">
+                <div className="truncate">{formatBits(rowBits) || '–'}</div>
+                <div className="truncate">{formatBits(columnBits) || '–'}</div>
+              </div>
+            )}
+
+            {/* Tile preview */}
+            <div className="flex justify-center rounded-md border border-border bg-muted/40 p-2">
+              <svg
+                width={tileSize.x * previewScale}
+                height={tileSize.y * previewScale}
+                viewBox={`0 0 ${tileSize.x} ${tileSize.y}`}
+                className="overflow-visible"
+              >
+                {stitches.map((stitch, index) => (
+                  <line
+                    key={index}
+                    x1={stitch.start.x}
+                    y1={stitch.start.y}
+                    x2={stitch.end.x}
+                    y2={stitch.end.y}
+                    stroke="currentColor"
+                    strokeWidth={0.15}
+                    strokeLinecap="round"
+                  />
+                ))}
+              </svg>
+            </div>
+
+            {!squareGrid && (
+              <p className="text-xs text-muted-foreground">
+                Hitomezashi needs the square grid. Switch the grid type in the pattern settings to add it.
+              </p>
+            )}
+
+            {squareGrid && !seamless && (
+              <p className="text-xs text-muted-foreground">
+                Use an even number of stitches per tile side ({tileSize.x} × {tileSize.y} cells now) for seamless repeats.
+              </p>
+            )}
+
+            <Button type="button" className="w-full" onClick={handleGenerate} disabled={!canGenerate}>
+              <Sparkles className="h-4 w-4" />
+              Add to Pattern
+            </Button>
+            <p className="text-xs text-muted-foreground">
+              Stitches are added to the current tile using the toolbar&apos;s stitch settings and color. Undo removes them in one step.
+            </p>
+          </CollapsibleContent>
+        </Collapsible>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,225 @@
+import { useMemo, useState } from 'react';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Slider } from './ui/slider';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { ArrowDown, ArrowUp, ChevronRight, Eye, EyeOff, Lock, LockOpen, Plus, Trash2 } from 'lucide-react';
+import { getStitchLayerId } from '../lib/layers.js';
+
+// One row per layer, top layer first (like the draw order seen on the canvas)
+function LayerRow({
+  layer,
+  stitchCount,
+  active,
+  isTop,
+  isBottom,
+  canDelete,
+  onSelect,
+  onUpdate,
+  onMove,
+  onDelete,
+}) {
+  const [editingName, setEditingName] = useState(null);
+
+  const commitName = () => {
+    const name = editingName?.trim();
+    if (name && name !== layer.name) {
+      onUpdate(layer.id, { name });
+    }
+    setEditingName(null);
+  };
+
+  return (
+    <div
+      className={`flex items-center gap-1 rounded-md border px-1 py-1 ${active ? 'border-primary bg-accent' : 'border-transparent hover:bg-accent/50'}`}
+      onClick={() => onSelect(layer.id)}
+    >
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-7 w-7"
+        title={layer.visible ? 'Hide layer' : 'Show layer'}
+        onClick={(event) => {
+          event.stopPropagation();
+          onUpdate(layer.id, { visible: !layer.visible });
+        }}
+      >
+        {layer.visible ? <Eye className="h-3.5 w-3.5" /> : <EyeOff className="h-3.5 w-3.5 text-muted-foreground" />}
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-7 w-7"
+        title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+        onClick={(event) => {
+          event.stopPropagation();
+          onUpdate(layer.id, { locked: !layer.locked });
+        }}
+      >
+        {layer.locked ? <Lock className="h-3.5 w-3.5" /> : <LockOpen className="h-3.5 w-3.5 text-muted-foreground" />}
+      </Button>
+
+      {editingName !== null ? (
+        <Input
+          autoFocus
+          value={editingName}
+          className="h-7 flex-1 px-2 text-sm"
+          onClick={(event) => event.stopPropagation()}
+          onChange={(event) => setEditingName(event.target.value)}
+          onBlur={commitName}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') commitName();
+            if (event.key === 'Escape') setEditingName(null);
+          }}
+        />
+      ) : (
+        <button
+          type="button"
+          className={`flex-1 truncate text-left ${layer.visible ? '' : 'text-muted-foreground'}`}
+          title="Double-click to rename"
+          onDoubleClick={() => setEditingName(layer.name)}
+        >
+          {layer.name}
+          <span className="ml-1 text-xs text-muted-foreground">({stitchCount})</span>
+        </button>
+      )}
+
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-7 w-7"
+        title="Move up"
+        disabled={isTop}
+        onClick={(event) => {
+          event.stopPropagation();
+          onMove(layer.id, 1);
+        }}
+      >
+        <ArrowUp className="h-3.5 w-3.5" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-7 w-7"
+        title="Move down"
+        disabled={isBottom}
+        onClick={(event) => {
+          event.stopPropagation();
+          onMove(layer.id, -1);
+        }}
+      >
+        <ArrowDown className="h-3.5 w-3.5" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-7 w-7"
+        title="Delete layer and its stitches"
+        disabled={!canDelete}
+        onClick={(event) => {
+          event.stopPropagation();
+          onDelete(layer.id);
+        }}
+      >
+        <Trash2 className="h-3.5 w-3.5" />
+      </Button>
+    </div>
+  );
+}
+
+export function LayersPanel({
+  layers,
+  activeLayerId,
+  stitches,
+  selectedCount,
+  onSelectLayer,
+  onAddLayer,
+  onUpdateLayer,
+  onMoveLayer,
+  onDeleteLayer,
+  onMoveSelectionToLayer,
+}) {
+  const [isOpen, setIsOpen] = useState(true);
+  // Opacity while the slider is dragged (committed on release as one undo step)
+  const [opacityDraft, setOpacityDraft] = useState(null);
+
+  const stitchCounts = useMemo(() => {
+    const counts = new Map();
+    (stitches ?? []).forEach((stitch) => {
+      const layerId = getStitchLayerId(stitch, layers);
+      counts.set(layerId, (counts.get(layerId) ?? 0) + 1);
+    });
+    return counts;
+  }, [stitches, layers]);
+
+  const activeLayer = layers.find((layer) => layer.id === activeLayerId) ?? layers[layers.length - 1];
+  const opacityPercent = opacityDraft ?? Math.round(activeLayer.opacity * 100);
+
+  return (
+    <Card>
+      <CardContent className="text-sm">
+        <Collapsible open={isOpen} onOpenChange={setIsOpen} className="space-y-2">
+          <CollapsibleTrigger className="flex w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm font-medium hover:bg-accent">
+            <span>Layers</span>
+            <ChevronRight className={`h-4 w-4 transition-transform duration-200 ${isOpen ? 'rotate-90' : ''}`} />
+          </CollapsibleTrigger>
+          <CollapsibleContent className="space-y-4 pt-2">
+            <div className="space-y-1">
+              {[...layers].reverse().map((layer, index) => (
+                <LayerRow
+                  key={layer.id}
+                  layer={layer}
+                  stitchCount={stitchCounts.get(layer.id) ?? 0}
+                  active={layer.id === activeLayer.id}
+                  isTop={index === 0}
+                  isBottom={index === layers.length - 1}
+                  canDelete={layers.length > 1}
+                  onSelect={onSelectLayer}
+                  onUpdate={onUpdateLayer}
+                  onMove={onMoveLayer}
+                  onDelete={onDeleteLayer}
+                />
+              ))}
+            </div>
+
+            <div className="space-y-2">
+              <Label>{activeLayer.name} Opacity: {opacityPercent}%</Label>
+              <Slider
+                min={10}
+                max={100}
+                step={5}
+                value={[opacityPercent]}
+                onValueChange={(values) => setOpacityDraft(values[0])}
+                onValueCommit={(values) => {
+                  setOpacityDraft(null);
+                  onUpdateLayer(activeLayer.id, { opacity: values[0] / 100 });
+                }}
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <Button variant="outline" size="sm" onClick={onAddLayer}>
+                <Plus />
+                Add Layer
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={selectedCount === 0}
+                onClick={() => onMoveSelectionToLayer(activeLayer.id)}
+              >
+                Move Selection Here
+              </Button>
+            </div>
+
+            <p className="text-xs text-muted-foreground">
+              New stitches go into the highlighted layer. Hidden and locked layers cannot be selected on the canvas.
+            </p>
+          </CollapsibleContent>
+        </Collapsible>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,162 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { ScrollArea } from './ui/scroll-area';
+import { Spinner } from './ui/spinner';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { CONFLICT_RESOLUTIONS } from '../lib/libraryBackup.js';
+
+const RESOLUTION_LABELS = {
+  [CONFLICT_RESOLUTIONS.merge]: 'Merge',
+  [CONFLICT_RESOLUTIONS.skip]: 'Skip',
+  [CONFLICT_RESOLUTIONS.overwrite]: 'Overwrite',
+};
+
+function formatDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : 'unknown date';
+}
+
+function ResolutionSelect({ value, onChange, label }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger size="sm" className="w-28" aria-label={label}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {Object.entries(RESOLUTION_LABELS).map(([resolution, resolutionLabel]) => (
+          <SelectItem key={resolution} value={resolution}>{resolutionLabel}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Preview of a library backup with a choice per pattern that is already in the library
+export function LibraryRestoreDialog({
+  open,
+  onOpenChange,
+  fileName,
+  backup,
+  preview = [],
+  onRestore,
+}) {
+  const [defaultResolution, setDefaultResolution] = useState(CONFLICT_RESOLUTIONS.merge);
+  const [resolutions, setResolutions] = useState({});
+  const [restoreSettings, setRestoreSettings] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Every new file starts from the defaults
+  useEffect(() => {
+    if (open) {
+      setDefaultResolution(CONFLICT_RESOLUTIONS.merge);
+      setResolutions({});
+      setRestoreSettings(true);
+    }
+  }, [open, backup]);
+
+  if (!backup) return null;
+
+  const conflicts = preview.filter((item) => item.existing);
+  const settingsCount = Object.keys(backup.uiSettings).length;
+
+  const handleDefaultResolutionChange = (resolution) => {
+    // Changing "all conflicts" overrides the choices made per pattern
+    setDefaultResolution(resolution);
+    setResolutions({});
+  };
+
+  const handleRestore = async () => {
+    setIsWorking(true);
+    const success = await onRestore(backup, { resolutions, defaultResolution, restoreSettings: restoreSettings && settingsCount > 0 });
+    setIsWorking(false);
+    if (success) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Restore {fileName}</DialogTitle>
+          <DialogDescription>
+            {preview.length} pattern{preview.length === 1 ? '' : 's'}, {backup.versions.length} version{backup.versions.length === 1 ? '' : 's'}, {backup.thumbnails.length} thumbnail{backup.thumbnails.length === 1 ? '' : 's'} and {backup.referenceImages.length} reference photo{backup.referenceImages.length === 1 ? '' : 's'}
+            {backup.exportedAt && <> · backed up {formatDate(Date.parse(backup.exportedAt))}</>}
+          </DialogDescription>
+        </DialogHeader>
+
+        {conflicts.length > 0 && (
+          <div className="flex flex-wrap items-center justify-between gap-2 rounded-md border border-border p-3 text-sm">
+            <span>
+              {conflicts.length} pattern{conflicts.length === 1 ? ' is' : 's are'} already in the library. For all of them:
+            </span>
+            <ResolutionSelect value={defaultResolution} onChange={handleDefaultResolutionChange} label="Resolution for all conflicts" />
+            <p className="w-full text-xs text-muted-foreground">
+              Merge keeps the newer copy and combines both version lists. Overwrite replaces the library pattern and its versions.
+            </p>
+          </div>
+        )}
+
+        <ScrollArea className="max-h-72 rounded-md border">
+          <ul className="divide-y divide-border text-sm">
+            {preview.map((item) => (
+              <li key={item.id} className="flex items-center justify-between gap-3 px-3 py-2">
+                <div className="min-w-0">
+                  <div className="truncate font-medium">{item.name}</div>
+                  <div className="text-xs text-muted-foreground">
+                    Saved {formatDate(item.updatedAt)} · {item.versionCount} version{item.versionCount === 1 ? '' : 's'}
+                    {item.existing && (
+                      <> · library copy{item.existing.inTrash ? ' (in Trash)' : ''} saved {formatDate(item.existing.updatedAt)}</>
+                    )}
+                  </div>
+                </div>
+                {item.existing ? (
+                  <ResolutionSelect
+                    value={resolutions[item.id] ?? defaultResolution}
+                    onChange={(resolution) => setResolutions((prev) => ({ ...prev, [item.id]: resolution }))}
+                    label={`Resolution for ${item.name}`}
+                  />
+                ) : (
+                  <span className="shrink-0 text-xs text-muted-foreground">New</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </ScrollArea>
+
+        {settingsCount > 0 && (
+          <div className="flex items-center gap-2">
+            <input
+              id="restore-library-settings"
+              type="checkbox"
+              checked={restoreSettings}
+              onChange={(e) => setRestoreSettings(e.target.checked)}
+              className="h-4 w-4 accent-primary"
+            />
+            <Label htmlFor="restore-library-settings" className="font-normal">
+              Also restore app settings and color presets
+            </Label>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isWorking}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={handleRestore} disabled={isWorking}>
+            {isWorking && <Spinner className="mr-1 h-4 w-4" />}
+            Restore
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,10 +1,19 @@
-import { forwardRef, useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState, memo } from 'react';
+import { forwardRef, useCallback, useEffect, useImperativeHandle, useLayoutEffect, useMemo, useRef, useState, memo } from 'react';
 import { renderStitch, calculateStitchOffset, getArcParams } from './Stitches';
-import { DEFAULT_GRID_COLOR, DEFAULT_TILE_OUTLINE_COLOR, DEFAULT_ARTBOARD_OUTLINE_COLOR, DEFAULT_GAP_SIZE } from '../hooks/useUiState';
+import { expandStitchInstances } from '../lib/stitchLayout';
+import { DEFAULT_SYMMETRY, getSymmetryCopies } from '../lib/symmetry';
+import { getStitchBounds } from '../lib/stitchTransform';
+import { getStitchLayers, getVisibleStitches, normalizeLayers } from '../lib/layers';
+import { getCellSize, getLatticePath, isLatticePoint, normalizeGridType, snapToLattice } from '../lib/gridGeometry';
+import { DEFAULT_ZOOM, getCanvasPixelRatio } from '../lib/viewZoom';
+import { LONG_PRESS_DELAY, exceedsTapSlop, getPickRadius, getSnapRadius } from '../lib/pointerInput';
+import { drawStitchInstance, getStitchInstanceBounds, groupTileInstances, renderTileCache } from '../lib/tileRenderCache';
+import { getPlacedCorners, renderReferenceCache } from '../lib/referenceImage';
+import { DRAW_STYLES, DEFAULT_DRAW_STYLE, DEFAULT_GRID_COLOR, DEFAULT_TILE_OUTLINE_COLOR, DEFAULT_ARTBOARD_OUTLINE_COLOR, DEFAULT_GAP_SIZE } from '../hooks/useUiState';
 
-const SNAP_THRESHOLD = 15;
-const SELECT_THRESHOLD = 5;
 const DOT_RADIUS = 2.5;
+const SELECTION_BOX_PADDING = 8; // Pixels between selected stitches and the transform box
+const REFERENCE_HANDLE_RADIUS = 6; // Screen pixels of the reference photo's corner handles
 
 function wrapCoordinate(value, gridSize) {
   if (!gridSize) return value;
@@ -72,6 +81,19 @@ function distancePointToArc(px, py, cx, cy, radius, startAngle, endAngle, counte
   return Math.min(distToStart, distToEnd);
 }
 
+// Check if a point lies inside a convex or concave polygon (even-odd rule)
+function isPointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
 function distancePointToSegment(px, py, x1, y1, x2, y2) {
   const dx = x2 - x1;
   const dy = y2 - y1;
@@ -85,13 +107,16 @@ function distancePointToSegment(px, py, x1, y1, x2, y2) {
   return Math.hypot(px - projX, py - projY);
 }
 
-function getNearestGridPoint(clickX, clickY, patternGridSize) {
-  const gridX = Math.round(clickX / patternGridSize);
-  const gridY = Math.round(clickY / patternGridSize);
-  const pixelX = gridX * patternGridSize;
-  const pixelY = gridY * patternGridSize;
+// Nearest lattice point to a canvas pixel, in artboard grid coordinates (null when too far away)
+function getNearestGridPoint(clickX, clickY, artboardOffset, cell, gridType, snapThreshold = getSnapRadius()) {
+  const { x: gridX, y: gridY } = snapToLattice(gridType, {
+    x: (clickX - artboardOffset) / cell.x,
+    y: (clickY - artboardOffset) / cell.y,
+  });
+  const pixelX = artboardOffset + gridX * cell.x;
+  const pixelY = artboardOffset + gridY * cell.y;
   const distance = Math.hypot(clickX - pixelX, clickY - pixelY);
-  return distance < SNAP_THRESHOLD ? { gridX, gridY } : null;
+  return distance < snapThreshold ? { gridX, gridY } : null;
 }
 
 // Check if a line intersects with a rectangle
@@ -142,6 +167,50 @@ function lineIntersectsArtboard(startX, startY, endX, endY, artboardX, artboardY
   return true;
 }
 
+// Resolve how a stitch is drawn (selection highlight and live property previews included)
+function createStitchStyleResolver({
+  selectedStitchIds,
+  stitchColors,
+  stitchLayers,
+  defaultStitchColor,
+  tempStitchColor,
+  tempGapSize,
+  tempCurvature,
+}) {
+  return (stitch) => {
+    const isSelected = selectedStitchIds.has(stitch.id);
+    const tempColor = tempStitchColor && isSelected ? tempStitchColor : null;
+    return {
+      color: (tempColor || (stitchColors.get(stitch.id) ?? stitch.color ?? defaultStitchColor)) ?? defaultStitchColor,
+      selected: isSelected,
+      gapSize: (tempGapSize !== null && isSelected) ? tempGapSize : stitch.gapSize,
+      stitchSize: stitch.stitchSize || 'small',
+      stitchWidth: stitch.stitchWidth || 'normal',
+      curvature: (tempCurvature !== null && isSelected) ? tempCurvature : (stitch.curvature || 0),
+      opacity: stitchLayers.get(stitch.id)?.opacity ?? 1,
+    };
+  };
+}
+
+// Per visible layer (bottom first): repeating lines grouped into cached tile bitmaps, absolute lines drawn directly
+function buildLayerRenderPlan(instances, { layers, stitchLayers, tileSize, getStyle, cell, gridSize, pixelRatio }) {
+  return layers
+    .filter((layer) => layer.visible)
+    .map((layer) => {
+      const { groups, absolute } = groupTileInstances(
+        instances.filter((instance) => stitchLayers.get(instance.stitch.id) === layer),
+        tileSize
+      );
+      return {
+        absolute,
+        groups: groups.map((group) => ({
+          tiles: group.tiles,
+          cache: renderTileCache(group.instances, { getStyle, cell, gridSize, pixelRatio }),
+        })),
+      };
+    });
+}
+
 // PatternCanvas component renders the drawing surface:
 // - Canvas = the entire grid area (includes artboard + padding)
 // - Artboard = the total area containing all pattern tiles (inside the canvas)
@@ -159,67 +228,211 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
   tempCurvature,
   selectedStitchIds,
   onSelectStitchIds,
-  onAddStitch,
+  onAddStitches,
+  onTransformSelection,
   drawingState,
   onDrawingStateChange,
   defaultStitchColor,
   backgroundColor,
   stitchSize,
   repeatPattern = true,
+  symmetry = DEFAULT_SYMMETRY,
+  drawStyle = DEFAULT_DRAW_STYLE,
+  drawColor,
   showGrid = true,
   gridColor = DEFAULT_GRID_COLOR,
   tileOutlineColor = DEFAULT_TILE_OUTLINE_COLOR,
   artboardOutlineColor = DEFAULT_ARTBOARD_OUTLINE_COLOR,
+  zoom = DEFAULT_ZOOM, // View zoom (scales the display only, never the pattern)
+  viewport,          // Visible part of the canvas {x, y, width, height} in canvas pixels (whole canvas when omitted)
+  referenceImage,    // Reference photo settings and placement (drawn beneath the grid, null when none)
+  referenceBitmap,   // Decoded reference photo
+  alignReference = false, // Pointer drags the reference photo's corners instead of drawing or selecting
+  onReferenceChange,
 }, ref) {
   const canvasRef = useRef(null);
   const [dragSelectRect, setDragSelectRect] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const isDraggingRef = useRef(false);
-  const justFinishedDragRef = useRef(false);
+  // Current press: client position, pointer type and whether it moved past the tap slop
+  const pressRef = useRef(null);
+  const longPressTimerRef = useRef(null);
+  // Grid point under the cursor while drawing (for the ghost preview)
+  const [hoverPoint, setHoverPoint] = useState(null);
+  // Grid points passed over by the current drag stroke (drag draw style)
+  const dragPathRef = useRef(null);
+  const [dragPath, setDragPath] = useState(null);
+  // Moving the selection with the transform box: offset in grid cells while dragging
+  const moveDragRef = useRef(null);
+  const [moveOffset, setMoveOffset] = useState(null);
+  const [isOverSelection, setIsOverSelection] = useState(false);
+  // Last pointer position in artboard grid units (paste target)
+  const pointerGridRef = useRef(null);
+  // Aligning the reference photo: corner (or whole photo) being dragged, and its corners while dragging
+  const referenceDragRef = useRef(null);
+  const [referenceDraft, setReferenceDraft] = useState(null);
   
-  // Store visible stitch instances (computed during rendering)
-  // Map: stitchId -> Array of {startX, startY, endX, endY, curvature} in canvas pixel coordinates
-  const visibleStitchInstancesRef = useRef(new Map());
-  
-  // Normalize tileSize to {x, y} format (supports legacy number format)
+  // Tile size in grid cells (legacy number sizes are migrated when the pattern is loaded)
   const patternTileSize = useMemo(() => {
     const ts = pattern?.tileSize;
-    if (typeof ts === 'number') {
-      return { x: Math.max(1, ts), y: Math.max(1, ts) };
-    }
-    if (ts && typeof ts === 'object') {
-      return { x: Math.max(1, ts.x ?? 1), y: Math.max(1, ts.y ?? 1) };
-    }
-    return { x: 1, y: 1 };
+    return { x: Math.max(1, ts?.x ?? 1), y: Math.max(1, ts?.y ?? 1) };
   }, [pattern?.tileSize]);
   
   const patternGridSize = cellSize; // Pixel size per grid cell
-  const canvasGridWidth = useMemo(() => Math.round(canvasWidth / patternGridSize), [canvasWidth, patternGridSize]);
-  const canvasGridHeight = useMemo(() => Math.round(canvasHeight / patternGridSize), [canvasHeight, patternGridSize]);
-  const artboardGridWidth = useMemo(() => Math.round(artboardWidth / patternGridSize), [artboardWidth, patternGridSize]);
-  const artboardGridHeight = useMemo(() => Math.round(artboardHeight / patternGridSize), [artboardHeight, patternGridSize]);
+  const gridType = normalizeGridType(pattern?.gridType);
+  // Pixel size of one stored coordinate unit (differs per axis on the triangular grid)
+  const cell = useMemo(() => getCellSize(gridType, patternGridSize), [gridType, patternGridSize]);
+  const artboardGridWidth = useMemo(() => Math.round(artboardWidth / cell.x), [artboardWidth, cell]);
+  const artboardGridHeight = useMemo(() => Math.round(artboardHeight / cell.y), [artboardHeight, cell]);
   
   // Calculate number of tiles in X and Y directions separately for non-square artboards
   const tilesX = useMemo(() => Math.ceil(artboardGridWidth / patternTileSize.x), [artboardGridWidth, patternTileSize.x]);
   const tilesY = useMemo(() => Math.ceil(artboardGridHeight / patternTileSize.y), [artboardGridHeight, patternTileSize.y]);
   
   // Memoize tile pixel dimensions to avoid repeated calculations
-  const tilePixelWidth = useMemo(() => patternTileSize.x * patternGridSize, [patternTileSize.x, patternGridSize]);
-  const tilePixelHeight = useMemo(() => patternTileSize.y * patternGridSize, [patternTileSize.y, patternGridSize]);
+  const tilePixelWidth = useMemo(() => patternTileSize.x * cell.x, [patternTileSize.x, cell]);
+  const tilePixelHeight = useMemo(() => patternTileSize.y * cell.y, [patternTileSize.y, cell]);
+
+  // Layer of every stitch (hidden layers are not drawn, locked layers cannot be selected)
+  const layers = useMemo(() => normalizeLayers(pattern?.layers), [pattern?.layers]);
+  const stitchLayers = useMemo(() => getStitchLayers(pattern?.stitches, layers), [pattern?.stitches, layers]);
+
+  // Bounds of the selected stitches in stored grid coordinates (repeating stitches sit in the first tile)
+  const selectionBounds = useMemo(
+    () => getStitchBounds((pattern?.stitches ?? []).filter((stitch) => selectedStitchIds.has(stitch.id))),
+    [pattern?.stitches, selectedStitchIds]
+  );
   
-  // Memoize artboard boundaries for intersection checks
-  const artboardBounds = useMemo(() => ({
-    startPixelX: artboardOffset,
-    endPixelX: artboardOffset + artboardWidth,
-    startPixelY: artboardOffset,
-    endPixelY: artboardOffset + artboardHeight,
-  }), [artboardOffset, artboardWidth, artboardHeight]);
+  // Only the visible part of the canvas gets a bitmap
+  const viewX = viewport?.x ?? 0;
+  const viewY = viewport?.y ?? 0;
+  const viewWidth = viewport?.width ?? canvasWidth;
+  const viewHeight = viewport?.height ?? canvasHeight;
+  // Bitmap pixels per canvas pixel on screen (tile caches are rendered at this resolution)
+  const screenPixelRatio = zoom * (window.devicePixelRatio ?? 1);
+
+  // Stitches as drawn: visible layers only, bottom layer first, selection shifted while it is being moved
+  const drawnStitches = useMemo(() => {
+    const visibleStitches = getVisibleStitches(pattern?.stitches, layers);
+    if (!moveOffset) return visibleStitches;
+    return visibleStitches.map((stitch) => (
+      selectedStitchIds.has(stitch.id)
+        ? {
+          ...stitch,
+          start: { x: stitch.start.x + moveOffset.dx, y: stitch.start.y + moveOffset.dy },
+          end: { x: stitch.end.x + moveOffset.dx, y: stitch.end.y + moveOffset.dy },
+        }
+        : stitch
+    ));
+  }, [pattern?.stitches, layers, moveOffset, selectedStitchIds]);
+
+  // Expand pattern lines into every tile instance (shared with vector exports)
+  const stitchInstances = useMemo(() => expandStitchInstances(drawnStitches, {
+    tileSize: patternTileSize,
+    patternTiles: { x: tilesX, y: tilesY },
+  }), [drawnStitches, patternTileSize, tilesX, tilesY]);
+
+  const getStitchStyle = useMemo(() => createStitchStyleResolver({
+    selectedStitchIds,
+    stitchColors,
+    stitchLayers,
+    defaultStitchColor,
+    tempStitchColor,
+    tempGapSize,
+    tempCurvature,
+  }), [selectedStitchIds, stitchColors, stitchLayers, defaultStitchColor, tempStitchColor, tempGapSize, tempCurvature]);
+
+  // Tile bitmaps are rebuilt only when stitches or their look change, not on scroll, hover or zoom within the cap
+  const layerRenderPlan = useMemo(() => buildLayerRenderPlan(stitchInstances, {
+    layers,
+    stitchLayers,
+    tileSize: patternTileSize,
+    getStyle: getStitchStyle,
+    cell,
+    gridSize: patternGridSize,
+    pixelRatio: screenPixelRatio,
+  }), [stitchInstances, layers, stitchLayers, patternTileSize, getStitchStyle, cell, patternGridSize, screenPixelRatio]);
+
+  // Reference photo corners in canvas pixels (null when there is no photo to show)
+  // Only placement fields are dependencies, so opacity changes don't warp the photo again
+  const referenceCorners = referenceImage?.corners;
+  const referenceScale = referenceImage?.scale;
+  const referenceRotation = referenceImage?.rotation;
+  const showReference = Boolean(referenceImage?.visible && referenceBitmap);
+  const referenceQuad = useMemo(() => {
+    if (!showReference) return null;
+    const corners = referenceDraft ?? getPlacedCorners({
+      corners: referenceCorners,
+      scale: referenceScale,
+      rotation: referenceRotation,
+    });
+    return corners.map((point) => ({ x: artboardOffset + point.x * cell.x, y: artboardOffset + point.y * cell.y }));
+  }, [showReference, referenceCorners, referenceScale, referenceRotation, referenceDraft, artboardOffset, cell]);
+
+  // The warped photo is cached like the tile bitmaps, so scrolling and hovering only copy it
+  const referenceLayer = useMemo(() => {
+    if (!referenceQuad) return null;
+    const cache = renderReferenceCache(referenceBitmap, referenceQuad, screenPixelRatio);
+    return cache && { cache, opacity: referenceImage.opacity };
+  }, [referenceQuad, referenceBitmap, referenceImage?.opacity, screenPixelRatio]);
+
+  // Selectable instances in canvas pixels (locked layers excluded): stitchId -> [[startX, startY, endX, endY, curvature]]
+  const hitInstances = useMemo(() => {
+    const byStitch = new Map();
+    stitchInstances.forEach((instance) => {
+      const { stitch } = instance;
+      if (stitchLayers.get(stitch.id).locked) return;
+      if (!byStitch.has(stitch.id)) {
+        byStitch.set(stitch.id, []);
+      }
+      byStitch.get(stitch.id).push([
+        artboardOffset + instance.startX * cell.x,
+        artboardOffset + instance.startY * cell.y,
+        artboardOffset + instance.endX * cell.x,
+        artboardOffset + instance.endY * cell.y,
+        getStitchStyle(stitch).curvature,
+      ]);
+    });
+    return byStitch;
+  }, [stitchInstances, stitchLayers, getStitchStyle, artboardOffset, cell]);
+
+  // Pointer position in canvas pixels at 100% zoom (undoes the view zoom and the viewport offset)
+  const getCanvasPoint = (event) => {
+    const rect = canvasRef.current?.getBoundingClientRect();
+    if (!rect) return null;
+    return { x: viewX + (event.clientX - rect.left) / zoom, y: viewY + (event.clientY - rect.top) / zoom };
+  };
+
+  // Snap and pick distances stay constant on screen at every zoom level (larger for fingers)
+  const findGridPoint = (point, pointerType) => getNearestGridPoint(
+    point.x, point.y, artboardOffset, cell, gridType, getSnapRadius(pointerType) / zoom
+  );
+
+  const clearLongPress = () => {
+    clearTimeout(longPressTimerRef.current);
+    longPressTimerRef.current = null;
+  };
+  useEffect(() => clearLongPress, []);
+
+  // Drop the current press without applying it (another finger joined, or the browser took over)
+  const cancelPointerInteraction = () => {
+    clearLongPress();
+    pressRef.current = null;
+    dragPathRef.current = null;
+    setDragPath(null);
+    moveDragRef.current = null;
+    setMoveOffset(null);
+    referenceDragRef.current = null;
+    setReferenceDraft(null);
+    isDraggingRef.current = false;
+    setIsDragging(false);
+    setDragSelectRect(null);
+    setHoverPoint(null);
+  };
 
   useImperativeHandle(ref, () => ({
-    exportAsImage: (resolutionMultiplier = 1) => {
-      const canvas = canvasRef.current;
-      if (!canvas) return null;
-      
+    // The reference photo is left out unless includeReference is set
+    exportAsImage: (resolutionMultiplier = 1, { includeReference = false } = {}) => {
       // Calculate the extended area: artboard + 1 tile margin on all sides
       // Extended area is where pattern stitches can repeat/extend
       // Use memoized tile dimensions
@@ -242,25 +455,238 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
       tempCanvas.width = extendedAreaWidth * exportScale;
       tempCanvas.height = extendedAreaHeight * exportScale;
       
-      // Scale for device pixel ratio and resolution multiplier
-      tempCtx.scale(exportScale, exportScale);
-      
-      // Draw the extended area portion from the main canvas
-      // Source: extended area region from main canvas
-      // Destination: entire temp canvas (scaled up/down by resolutionMultiplier)
-      tempCtx.drawImage(
-        canvas,
-        extendedAreaOffsetX * dpr, extendedAreaOffsetY * dpr, // Source x, y (scaled)
-        extendedAreaWidth * dpr, extendedAreaHeight * dpr,     // Source width, height (scaled)
-        0, 0,                                                   // Dest x, y
-        extendedAreaWidth, extendedAreaHeight                  // Dest width, height
-      );
+      // The on-screen canvas only holds the visible part, so paint the extended area at export resolution
+      // Exports show the pattern itself: no selection highlight, live previews or drawing feedback
+      const getStyle = createStitchStyleResolver({
+        selectedStitchIds: new Set(),
+        stitchColors,
+        stitchLayers,
+        defaultStitchColor,
+        tempStitchColor: null,
+        tempGapSize: null,
+        tempCurvature: null,
+      });
+      const instances = expandStitchInstances(getVisibleStitches(pattern?.stitches, layers), {
+        tileSize: patternTileSize,
+        patternTiles: { x: tilesX, y: tilesY },
+      });
+      const renderPlan = buildLayerRenderPlan(instances, {
+        layers,
+        stitchLayers,
+        tileSize: patternTileSize,
+        getStyle,
+        cell,
+        gridSize: patternGridSize,
+        pixelRatio: exportScale,
+      });
+      let exportReferenceLayer = null;
+      if (includeReference && referenceImage && referenceBitmap) {
+        const corners = getPlacedCorners(referenceImage).map((point) => ({
+          x: artboardOffset + point.x * cell.x,
+          y: artboardOffset + point.y * cell.y,
+        }));
+        const cache = renderReferenceCache(referenceBitmap, corners, exportScale);
+        exportReferenceLayer = cache && { cache, opacity: referenceImage.opacity };
+      }
+      tempCtx.setTransform(exportScale, 0, 0, exportScale, -extendedAreaOffsetX * exportScale, -extendedAreaOffsetY * exportScale);
+      paintScene(tempCtx, {
+        x: extendedAreaOffsetX,
+        y: extendedAreaOffsetY,
+        width: extendedAreaWidth,
+        height: extendedAreaHeight,
+      }, renderPlan, getStyle, false, exportReferenceLayer);
       
       return tempCanvas.toDataURL('image/png');
     },
     getCanvasElement: () => canvasRef.current,
+    getPointerGridPoint: () => pointerGridRef.current,
+    cancelPointerInteraction,
   }));
 
+  // Transform box around the selection in canvas pixels (null when nothing is selected)
+  const getSelectionRect = () => {
+    if (!selectionBounds || drawingState.mode !== 'select') return null;
+    return {
+      x: artboardOffset + selectionBounds.minX * cell.x - SELECTION_BOX_PADDING,
+      y: artboardOffset + selectionBounds.minY * cell.y - SELECTION_BOX_PADDING,
+      width: (selectionBounds.maxX - selectionBounds.minX) * cell.x + 2 * SELECTION_BOX_PADDING,
+      height: (selectionBounds.maxY - selectionBounds.minY) * cell.y + 2 * SELECTION_BOX_PADDING,
+    };
+  };
+
+  const isInsideSelectionRect = (x, y) => {
+    const rect = getSelectionRect();
+    return Boolean(rect) && x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+  };
+
+  // Normalize a repeating stitch (artboard grid coordinates) to its anchor tile
+  const normalizeRepeatStitch = (startGridX, startGridY, endGridX, endGridY) => {
+    let finalStart, finalEnd;
+
+    // CRITICAL: The anchor (start point) should be whichever endpoint is closest to the GLOBAL origin (0,0)
+    // NOT their individual tile origins, to ensure consistent behavior for cross-tile lines
+
+    // Calculate distance from each point to the global origin (0,0)
+    const startDistToOrigin = Math.sqrt(startGridX * startGridX + startGridY * startGridY);
+    const endDistToOrigin = Math.sqrt(endGridX * endGridX + endGridY * endGridY);
+
+    // Whichever point is closer to the global origin becomes the anchor (start)
+    let actualStartX = startGridX;
+    let actualStartY = startGridY;
+    let actualEndX = endGridX;
+    let actualEndY = endGridY;
+
+    if (endDistToOrigin < startDistToOrigin) {
+      // End is closer to origin, so make it the anchor
+      actualStartX = endGridX;
+      actualStartY = endGridY;
+      actualEndX = startGridX;
+      actualEndY = startGridY;
+    }
+
+    // Determine which tile the anchor point belongs to
+    const anchorTileX = Math.floor(actualStartX / patternTileSize.x);
+    const anchorTileY = Math.floor(actualStartY / patternTileSize.y);
+
+    // Check if this is a boundary line (runs exactly along a tile edge)
+    const isVerticalBoundaryLine = actualStartX === actualEndX && (actualStartX % patternTileSize.x === 0);
+    const isHorizontalBoundaryLine = actualStartY === actualEndY && (actualStartY % patternTileSize.y === 0);
+
+    if (isVerticalBoundaryLine || isHorizontalBoundaryLine) {
+      // Boundary lines need special handling
+      // Lines at tile multiples (x=10,20,30 with tileSizeX=10) should all map to the SAME boundary
+      // We use modulo, but when result is 0 for non-zero input, we treat it as the boundary
+
+      const normalizeBoundaryCoordX = (coord) => {
+        const mod = coord % patternTileSize.x;
+        // coord=0 -> 0 (left edge)
+        // coord=10,20,30... -> 0 (these are all the same repeating boundary)
+        return mod;
+      };
+
+      const normalizeBoundaryCoordY = (coord) => {
+        const mod = coord % patternTileSize.y;
+        // coord=0 -> 0 (top edge)
+        // coord=10,20,30... -> 0 (these are all the same repeating boundary)
+        return mod;
+      };
+
+      // Calculate the offset between start and end
+      const dx = actualEndX - actualStartX;
+      const dy = actualEndY - actualStartY;
+
+      // Normalize the start point
+      finalStart = {
+        x: normalizeBoundaryCoordX(actualStartX),
+        y: normalizeBoundaryCoordY(actualStartY),
+      };
+
+      // Apply the offset to get the end point
+      finalEnd = {
+        x: finalStart.x + dx,
+        y: finalStart.y + dy,
+      };
+    } else {
+      // Non-boundary lines: normalize both points relative to the anchor's tile
+      // This ensures consistent coordinates regardless of which tiles the line crosses
+
+      // Normalize both points to the anchor's tile
+      const normalizedStartX = actualStartX - (anchorTileX * patternTileSize.x);
+      const normalizedStartY = actualStartY - (anchorTileY * patternTileSize.y);
+      const normalizedEndX = actualEndX - (anchorTileX * patternTileSize.x);
+      const normalizedEndY = actualEndY - (anchorTileY * patternTileSize.y);
+
+      finalStart = {
+        x: normalizedStartX,
+        y: normalizedStartY,
+      };
+      finalEnd = {
+        x: normalizedEndX,
+        y: normalizedEndY,
+      };
+    }
+
+    return { start: finalStart, end: finalEnd };
+  };
+
+  // Resolve the stitch(es) for a line drawn between two artboard grid points
+  // Returns the drawn stitch followed by its symmetry copies, or [] when the line misses the drawable area
+  const resolveDrawnStitches = (firstPoint, point) => {
+    // Check if the line intersects with the artboard (extended by 1 tile on all sides)
+    const startPixelX = artboardOffset + firstPoint.x * cell.x;
+    const startPixelY = artboardOffset + firstPoint.y * cell.y;
+    const endPixelX = artboardOffset + point.gridX * cell.x;
+    const endPixelY = artboardOffset + point.gridY * cell.y;
+
+    // Use memoized tile dimensions
+    const maxTileSize = Math.max(tilePixelWidth, tilePixelHeight);
+    if (!lineIntersectsArtboard(startPixelX, startPixelY, endPixelX, endPixelY, artboardOffset, artboardOffset, artboardWidth, artboardHeight, maxTileSize)) {
+      // Line doesn't intersect drawable area, don't add it
+      return [];
+    }
+
+    const startGridX = firstPoint.x;
+    const startGridY = firstPoint.y;
+    const endGridX = point.gridX;
+    const endGridY = point.gridY;
+
+    // Check if the line intersects the actual artboard (not just the drawable area)
+    const lineIntersectsArtboardArea = !(
+      (startGridX < 0 && endGridX < 0) ||
+      (startGridY < 0 && endGridY < 0) ||
+      (startGridX > artboardGridWidth && endGridX > artboardGridWidth) ||
+      (startGridY > artboardGridHeight && endGridY > artboardGridHeight)
+    );
+
+    // When repeat is ON and line touches artboard, reduce coordinates to first tile pattern
+    // For cross-tile lines, we keep the relative offset so they repeat correctly
+    if (repeatPattern && lineIntersectsArtboardArea) {
+      const drawn = normalizeRepeatStitch(startGridX, startGridY, endGridX, endGridY);
+      // Copies mirror/rotate about the center of the tile and are re-anchored like drawn lines
+      const copies = getSymmetryCopies(
+        drawn.start,
+        drawn.end,
+        symmetry,
+        { x: patternTileSize.x / 2, y: patternTileSize.y / 2 },
+        {
+          normalize: ({ start, end }) => normalizeRepeatStitch(start.x, start.y, end.x, end.y),
+          gridType,
+        }
+      );
+      return [drawn, ...copies].map((stitch) => ({ ...stitch, repeat: true }));
+    }
+
+    // Store absolute artboard coordinates (not wrapped)
+    // This handles: repeat OFF or margin-only lines
+    // Symmetry uses the center of the tile the line starts in
+    const drawn = {
+      start: { x: startGridX, y: startGridY },
+      end: { x: endGridX, y: endGridY },
+    };
+    const center = {
+      x: (Math.floor(startGridX / patternTileSize.x) + 0.5) * patternTileSize.x,
+      y: (Math.floor(startGridY / patternTileSize.y) + 0.5) * patternTileSize.y,
+    };
+    const copies = getSymmetryCopies(drawn.start, drawn.end, symmetry, center, { gridType });
+    return [drawn, ...copies].map((stitch) => ({ ...stitch, repeat: false }));
+  };
+
+  // Resolve a drag stroke into one stitch per grid step (plus symmetry copies), skipping repeated steps
+  const resolveStrokeStitches = (path) => {
+    const seen = new Set();
+    const stitches = [];
+    for (let i = 1; i < path.length; i++) {
+      const point = { gridX: path[i].x, gridY: path[i].y };
+      resolveDrawnStitches(path[i - 1], point).forEach((stitch) => {
+        const key = [`${stitch.start.x},${stitch.start.y}`, `${stitch.end.x},${stitch.end.y}`].sort().join('|');
+        if (seen.has(key)) return;
+        seen.add(key);
+        stitches.push(stitch);
+      });
+    }
+    return stitches;
+  };
+
   // Memoize visual settings to prevent unnecessary re-renders
   const visualSettings = useMemo(() => ({
     backgroundColor,
@@ -269,26 +695,28 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
     artboardOutlineColor,
   }), [backgroundColor, gridColor, tileOutlineColor, artboardOutlineColor]);
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    
-    // Clear visible stitch instances FIRST to prevent memory accumulation
-    visibleStitchInstancesRef.current.clear();
-    
-    const ctx = canvas.getContext('2d');
-    const dpr = window.devicePixelRatio ?? 1;
-
-    canvas.width = canvasWidth * dpr;
-    canvas.height = canvasHeight * dpr;
-    canvas.style.width = `${canvasWidth}px`;
-    canvas.style.height = `${canvasHeight}px`;
-    ctx.setTransform(1, 0, 0, 1, 0, 0);
-    ctx.scale(dpr, dpr);
+  // Paint a region of the canvas (in canvas pixels) with a context already transformed to canvas pixels
+  // `interactive` adds the drawing feedback (ghost preview, selection box, drag rectangle)
+  // `reference` is the cached reference photo drawn beneath the grid (null leaves it out)
+  const paintScene = (ctx, region, renderPlan, getStyle, interactive, reference) => {
+    const regionRight = region.x + region.width;
+    const regionBottom = region.y + region.height;
+    const intersectsRegion = (minX, minY, maxX, maxY) => (
+      maxX >= region.x && minX <= regionRight && maxY >= region.y && minY <= regionBottom
+    );
 
-    // Fill entire canvas background
+    // Fill the painted region with the fabric color
     ctx.fillStyle = visualSettings.backgroundColor;
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    ctx.fillRect(region.x, region.y, region.width, region.height);
+
+    if (reference) {
+      const { cache, opacity } = reference;
+      if (intersectsRegion(cache.x, cache.y, cache.x + cache.width, cache.y + cache.height)) {
+        ctx.globalAlpha = opacity;
+        ctx.drawImage(cache.canvas, cache.x, cache.y, cache.width, cache.height);
+        ctx.globalAlpha = 1;
+      }
+    }
 
     if (showGrid) {
       // Draw artboard boundary (the area where pattern tiles are drawn)
@@ -342,259 +770,109 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
       // Use 2×2 pixel dots for all grid sizes
       const dotSize = 2;
       const dotOffset = dotSize / 2;
-      for (let x = 0; x <= canvasGridWidth; x += 1) {
-        for (let y = 0; y <= canvasGridHeight; y += 1) {
-          const centerX = x * patternGridSize;
-          const centerY = y * patternGridSize;
+      // Lattice points in artboard grid coordinates, covering the painted part of the canvas
+      const firstGridX = Math.max(-Math.floor(artboardOffset / cell.x), Math.floor((region.x - artboardOffset) / cell.x));
+      const lastGridX = Math.min(Math.floor((canvasWidth - artboardOffset) / cell.x), Math.ceil((regionRight - artboardOffset) / cell.x));
+      const firstGridY = Math.max(-Math.floor(artboardOffset / cell.y), Math.floor((region.y - artboardOffset) / cell.y));
+      const lastGridY = Math.min(Math.floor((canvasHeight - artboardOffset) / cell.y), Math.ceil((regionBottom - artboardOffset) / cell.y));
+      for (let x = firstGridX; x <= lastGridX; x += 1) {
+        for (let y = firstGridY; y <= lastGridY; y += 1) {
+          if (!isLatticePoint(gridType, x, y)) continue;
+          const centerX = artboardOffset + x * cell.x;
+          const centerY = artboardOffset + y * cell.y;
           ctx.fillRect(centerX - dotOffset, centerY - dotOffset, dotSize, dotSize);
         }
       }
     }
 
-    const stitches = pattern?.stitches ?? [];
-
-    ctx.lineCap = 'round'; // Use butt to get precise pixel alignment
-    stitches.forEach((stitch) => {
-      const isSelected = selectedStitchIds.has(stitch.id);
-      const tempColor = tempStitchColor && isSelected ? tempStitchColor : null;
-      const colorOverride = tempColor || (stitchColors.get(stitch.id) ?? stitch.color ?? defaultStitchColor);
-      
-      // Check if this is a repeatable pattern line vs absolute positioned line
-      // Pattern lines have start point WITHIN first tile (0 to tileSize.x/y)
-      // tileSize represents cells per tile, valid pattern coords are 0 to tileSize (inclusive)
-      // Note: Lines starting at tileSize boundary need special handling to avoid duplication
-      const isPatternLine = stitch.repeat !== false &&
-                           stitch.start.x >= 0 && stitch.start.x <= patternTileSize.x &&
-                           stitch.start.y >= 0 && stitch.start.y <= patternTileSize.y;
-      
-      // Check if this line starts exactly at a tile boundary
-      const startsAtBoundaryX = stitch.start.x === patternTileSize.x || stitch.start.x === 0;
-      const startsAtBoundaryY = stitch.start.y === patternTileSize.y || stitch.start.y === 0;
-      
-      if (isPatternLine) {
-        // Pattern line with repeat ON - render in all artboard tiles
-        // Also render in outer tiles (-1 and tilesX/tilesY) for lines that cross into canvas padding
-        for (let tileRow = -1; tileRow < tilesY + 1; tileRow++) {
-          for (let tileCol = -1; tileCol < tilesX + 1; tileCol++) {
-            // CORNER-SPECIFIC FIX: Lines from corners with negative coords going backward
-            // These should NOT appear in the first row/col or corresponding outer tiles
-            // Example: corner (0,0)→(0,-5) is vertical going UP
-            //          → should appear in rows 1,2,3... and bottom outer tiles
-            //          → should NOT appear in first row (0) or top outer tiles
-            const startOnLeftEdge = stitch.start.x === 0;
-            const startOnRightEdge = stitch.start.x === patternTileSize.x;
-            const startOnTopEdge = stitch.start.y === 0;
-            const startOnBottomEdge = stitch.start.y === patternTileSize.y;
-            const startsAtNormalizedCorner = (startOnLeftEdge || startOnRightEdge) && (startOnTopEdge || startOnBottomEdge);
-            
-            const hasNegativeX = stitch.end.x < 0;
-            const hasNegativeY = stitch.end.y < 0;
-            
-            const isInFirstRow = tileRow === 0;
-            const isInFirstCol = tileCol === 0;
-            const isInTopOuterTile = tileRow < 0;
-            const isInLeftOuterTile = tileCol < 0;
-            
-            // Lines starting at top edge (y=0) going UP (negative Y): skip in first row and top outer tiles
-            // These lines belong to the row below, so shift rendering down
-            if (startOnTopEdge && hasNegativeY && (isInFirstRow || isInTopOuterTile)) {
-              continue;
-            }
-            // Lines starting at left edge (x=0) going LEFT (negative X): skip in first col and left outer tiles  
-            // These lines belong to the column to the right, so shift rendering right
-            if (startOnLeftEdge && hasNegativeX && (isInFirstCol || isInLeftOuterTile)) {
-              continue;
-            }
-            
-            // Check if this is an outer tile (beyond the artboard, in the canvas padding)
-            const isOuterTile = tileRow < 0 || tileRow >= tilesY || 
-                                tileCol < 0 || tileCol >= tilesX;
-            
-            // BOUNDARY LINE HANDLING:
-            // - Lines crossing boundaries OR running along boundaries: repeat in outer tiles in crossing/running direction
-            // - Lines crossing corners: repeat 5x5 (all outer tiles)
-            // - Lines just touching boundaries: repeat 4x4 (skip outer tiles)
-            if (isOuterTile) {
-              const startOnCorner = (startOnLeftEdge || startOnRightEdge) && (startOnTopEdge || startOnBottomEdge);
-              const extendsRightBeyond = stitch.end.x > patternTileSize.x;
-              const extendsBottomBeyond = stitch.end.y > patternTileSize.y;
-              const isInLeftOuterTile = tileCol < 0;
-              const isInRightOuterTile = tileCol >= tilesX;
-              const isInTopOuterTile = tileRow < 0;
-              const isInBottomOuterTile = tileRow >= tilesY;
-              // CORNER-SPECIFIC: Line starting at corner extending right: skip in right outer tiles
-              if (startOnCorner && startOnRightEdge && extendsRightBeyond && isInRightOuterTile) {
-                continue;
-              }
-              // CORNER-SPECIFIC: Line starting at corner extending down: skip in bottom outer tiles
-              if (startOnCorner && startOnBottomEdge && extendsBottomBeyond && isInBottomOuterTile) {
-                continue;
-              }
-              
-              // A line ACTUALLY CROSSES a tile boundary if the endpoint goes outside [0, tileSize]
-              // This is different from just touching a boundary point
-              const crossesHorizontally = stitch.end.x < 0 || stitch.end.x > patternTileSize.x;
-              const crossesVertically = stitch.end.y < 0 || stitch.end.y > patternTileSize.y;
-              
-              // A line runs along a boundary if BOTH endpoints are on the SAME boundary
-              // AND the line doesn't move in that direction (vertical line has same X, horizontal line has same Y)
-              const bothOnVerticalBoundary = 
-                (stitch.start.x === 0 || stitch.start.x === patternTileSize.x) &&
-                (stitch.end.x === 0 || stitch.end.x === patternTileSize.x) &&
-                stitch.start.x === stitch.end.x &&
-                stitch.start.y !== stitch.end.y; // Must move in Y direction (vertical line)
-              
-              const bothOnHorizontalBoundary = 
-                (stitch.start.y === 0 || stitch.start.y === patternTileSize.y) &&
-                (stitch.end.y === 0 || stitch.end.y === patternTileSize.y) &&
-                stitch.start.y === stitch.end.y &&
-                stitch.start.x !== stitch.end.x; // Must move in X direction (horizontal line)
-              
-              // Lines crossing horizontally OR running along vertical boundary: repeat in X direction (left/right outer tiles)
-              const shouldRepeatInXDirection = crossesHorizontally || bothOnVerticalBoundary;
-              
-              // Lines crossing vertically OR running along horizontal boundary: repeat in Y direction (top/bottom outer tiles)
-              const shouldRepeatInYDirection = crossesVertically || bothOnHorizontalBoundary;
-              
-              // Determine which outer tiles to render in
-              const isLeftRightOuterTile = tileCol < 0 || tileCol >= tilesX;
-              const isTopBottomOuterTile = tileRow < 0 || tileRow >= tilesY;
-              
-              // Skip this outer tile if line shouldn't repeat in this direction
-              if (isLeftRightOuterTile && !shouldRepeatInXDirection) {
-                continue;
-              }
-              if (isTopBottomOuterTile && !shouldRepeatInYDirection) {
-                continue;
-              }
-            }
-            
-            // Calculate position within this specific tile
-            const tileBaseX = tileCol * patternTileSize.x;
-            const tileBaseY = tileRow * patternTileSize.y;
-            
-            // Pattern-relative coordinates + tile base = absolute position in this tile
-            const startX = artboardOffset + ((stitch.start.x + tileBaseX) * patternGridSize);
-            const startY = artboardOffset + ((stitch.start.y + tileBaseY) * patternGridSize);
-            const endX = artboardOffset + ((stitch.end.x + tileBaseX) * patternGridSize);
-            const endY = artboardOffset + ((stitch.end.y + tileBaseY) * patternGridSize);
-
-            // Skip if line is completely outside canvas bounds
-            if (startX > canvasWidth + patternGridSize || startY > canvasHeight + patternGridSize) {
-              continue;
-            }
-            
-            // For outer tiles (in canvas padding), only render if the line actually crosses into the artboard
-            if (isOuterTile) {
-              // Use memoized artboard boundaries
-              // Check if this line segment intersects with the artboard area
-              // A line intersects if any part of it is within [artboardStart, artboardEnd] for both x and y
-              const lineMinX = Math.min(startX, endX);
-              const lineMaxX = Math.max(startX, endX);
-              const lineMinY = Math.min(startY, endY);
-              const lineMaxY = Math.max(startY, endY);
-              
-              const intersectsArtboard = !(
-                lineMaxX < artboardBounds.startPixelX ||
-                lineMinX > artboardBounds.endPixelX ||
-                lineMaxY < artboardBounds.startPixelY ||
-                lineMinY > artboardBounds.endPixelY
-              );
-              
-              if (!intersectsArtboard) {
-                continue; // Skip - line doesn't touch the artboard from this outer tile
-              }
-            }
-
-            const isSelected = selectedStitchIds.has(stitch.id);
-            const stitchSizeForLine = stitch.stitchSize || 'small';
-            const stitchWidthValue = stitch.stitchWidth || 'normal';
-            const currentGapSize = (tempGapSize !== null && isSelected) ? tempGapSize : stitch.gapSize;
-            const stitchGapOffset = calculateStitchOffset(currentGapSize);
-            const currentCurvature = (tempCurvature !== null && isSelected) ? tempCurvature : (stitch.curvature || 0);
-
-            // Render the stitch using shared rendering function
-            const rendered = renderStitch(
-              ctx,
-              startX,
-              startY,
-              endX,
-              endY,
-              stitchGapOffset,
-              currentGapSize,
-              stitchSizeForLine,
-              stitchWidthValue,
-              colorOverride ?? defaultStitchColor,
-              isSelected,
-              patternGridSize,
-              currentCurvature
-            );
-
-            // Track this visible instance for selection (if rendered successfully)
-            if (rendered) {
-              if (!visibleStitchInstancesRef.current.has(stitch.id)) {
-                visibleStitchInstancesRef.current.set(stitch.id, []);
-              }
-              // Use array instead of object to reduce memory overhead
-              visibleStitchInstancesRef.current.get(stitch.id).push([startX, startY, endX, endY, currentCurvature]);
-            }
-          }
-        }
-      } else {
-        // Absolute coordinates - non-repeating line at specific position
-        const startX = artboardOffset + (stitch.start.x * patternGridSize);
-        const startY = artboardOffset + (stitch.start.y * patternGridSize);
-        const endX = artboardOffset + (stitch.end.x * patternGridSize);
-        const endY = artboardOffset + (stitch.end.y * patternGridSize);
-
-        if (startX > canvasWidth + patternGridSize || startY > canvasHeight + patternGridSize) {
-          return;
-        }
-
-        const isSelected = selectedStitchIds.has(stitch.id);
-        const stitchSizeForLine = stitch.stitchSize || 'small';
-        const stitchWidthValue = stitch.stitchWidth || 'normal';
-        const currentGapSize = (tempGapSize !== null && isSelected) ? tempGapSize : stitch.gapSize;
-        const stitchGapOffset = calculateStitchOffset(currentGapSize);
-        const currentCurvature = (tempCurvature !== null && isSelected) ? tempCurvature : (stitch.curvature || 0);
-
-        // Render the stitch using shared rendering function
-        const rendered = renderStitch(
-          ctx,
-          startX,
-          startY,
-          endX,
-          endY,
-          stitchGapOffset,
-          currentGapSize,
-          stitchSizeForLine,
-          stitchWidthValue,
-          colorOverride ?? defaultStitchColor,
-          isSelected,
-          patternGridSize,
-          currentCurvature
-        );
-
-        // Track this visible instance for selection (if rendered successfully)
-        if (rendered) {
-          if (!visibleStitchInstancesRef.current.has(stitch.id)) {
-            visibleStitchInstancesRef.current.set(stitch.id, []);
+    ctx.lineCap = 'round';
+    renderPlan.forEach((layerPlan) => {
+      // Repeating lines: copy each tile's cached bitmap into the visible tiles
+      layerPlan.groups.forEach(({ tiles, cache }) => {
+        if (!cache) return;
+        tiles.forEach(({ row, col }) => {
+          const x = artboardOffset + col * tilePixelWidth + cache.x;
+          const y = artboardOffset + row * tilePixelHeight + cache.y;
+          if (intersectsRegion(x, y, x + cache.width, y + cache.height)) {
+            ctx.drawImage(cache.canvas, x, y, cache.width, cache.height);
           }
-          // Use array instead of object to reduce memory overhead
-          visibleStitchInstancesRef.current.get(stitch.id).push([startX, startY, endX, endY, currentCurvature]);
-        }
+        });
+      });
+      // Absolute lines are drawn directly when they reach into the region
+      layerPlan.absolute.forEach((instance) => {
+        const style = getStyle(instance.stitch);
+        const bounds = getStitchInstanceBounds(instance, style, cell, artboardOffset, artboardOffset);
+        if (intersectsRegion(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY)) {
+          drawStitchInstance(ctx, instance, style, cell, patternGridSize, artboardOffset, artboardOffset);
         }
+      });
     });
 
-    if (drawingState.mode === 'draw' && drawingState.firstPoint) {
+    if (!interactive) return;
+
+    // Last point of the drag stroke, or the start of the line being drawn
+    const anchorPoint = dragPath ? dragPath[dragPath.length - 1] : drawingState.firstPoint;
+    if (drawingState.mode === 'draw' && anchorPoint) {
       ctx.save();
       ctx.fillStyle = '#0000FF';
       ctx.beginPath();
-      const firstPointX = drawingState.firstPoint.x * patternGridSize;
-      const firstPointY = drawingState.firstPoint.y * patternGridSize;
-      ctx.arc(firstPointX, firstPointY, 2, 0, Math.PI * 2); // 2px radius = 4px diameter
+      const anchorX = artboardOffset + anchorPoint.x * cell.x;
+      const anchorY = artboardOffset + anchorPoint.y * cell.y;
+      ctx.arc(anchorX, anchorY, 2, 0, Math.PI * 2); // 2px radius = 4px diameter
       ctx.fill();
       ctx.restore();
+
+      // Ghost preview of the stroke or line (and its symmetry copies) before it is committed
+      let pendingStitches = [];
+      if (dragPath) {
+        pendingStitches = resolveStrokeStitches(dragPath);
+      } else if (hoverPoint && (hoverPoint.gridX !== anchorPoint.x || hoverPoint.gridY !== anchorPoint.y)) {
+        pendingStitches = resolveDrawnStitches(anchorPoint, hoverPoint);
+      }
+      if (pendingStitches.length > 0) {
+        const ghostStitches = pendingStitches.map((stitch, index) => ({ ...stitch, id: `ghost-${index}` }));
+        const ghostInstances = expandStitchInstances(ghostStitches, {
+          tileSize: patternTileSize,
+          patternTiles: { x: tilesX, y: tilesY },
+        });
+        ctx.save();
+        ctx.strokeStyle = drawColor ?? defaultStitchColor;
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ghostInstances.forEach((instance) => {
+          ctx.beginPath();
+          ctx.moveTo(artboardOffset + instance.startX * cell.x, artboardOffset + instance.startY * cell.y);
+          ctx.lineTo(artboardOffset + instance.endX * cell.x, artboardOffset + instance.endY * cell.y);
+          ctx.stroke();
+        });
+        ctx.restore();
+      }
+    }
+
+    // Draw the transform box around the selection (drag inside it to move)
+    const selectionRect = getSelectionRect();
+    if (selectionRect && !dragSelectRect) {
+      const offsetX = (moveOffset?.dx ?? 0) * cell.x;
+      const offsetY = (moveOffset?.dy ?? 0) * cell.y;
+      const handleSize = 6;
+      ctx.save();
+      ctx.strokeStyle = '#3b82f6';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 3]);
+      ctx.strokeRect(selectionRect.x + offsetX, selectionRect.y + offsetY, selectionRect.width, selectionRect.height);
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#ffffff';
+      [
+        [selectionRect.x, selectionRect.y],
+        [selectionRect.x + selectionRect.width, selectionRect.y],
+        [selectionRect.x, selectionRect.y + selectionRect.height],
+        [selectionRect.x + selectionRect.width, selectionRect.y + selectionRect.height],
+      ].forEach(([cornerX, cornerY]) => {
+        ctx.fillRect(cornerX + offsetX - handleSize / 2, cornerY + offsetY - handleSize / 2, handleSize, handleSize);
+        ctx.strokeRect(cornerX + offsetX - handleSize / 2, cornerY + offsetY - handleSize / 2, handleSize, handleSize);
+      });
+      ctx.restore();
     }
 
     // Draw drag selection rectangle
@@ -612,68 +890,301 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
       ctx.strokeRect(x, y, width, height);
       ctx.restore();
     }
+
+    // Outline and corner handles of the reference photo while it is being aligned
+    if (alignReference && referenceQuad) {
+      const handleRadius = REFERENCE_HANDLE_RADIUS / zoom;
+      ctx.save();
+      ctx.strokeStyle = '#f97316';
+      ctx.lineWidth = 1.5 / zoom;
+      ctx.setLineDash([6 / zoom, 4 / zoom]);
+      ctx.beginPath();
+      referenceQuad.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = '#ffffff';
+      referenceQuad.forEach((point) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, handleRadius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+      ctx.restore();
+    }
+  };
+
+  // Paint before the browser does, so the canvas never shows a stale region after scrolling
+  useLayoutEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    // Viewport-sized bitmap; the view zoom only scales it for the screen
+    const pixelRatio = getCanvasPixelRatio(viewWidth, viewHeight, zoom, window.devicePixelRatio ?? 1);
+
+    canvas.width = Math.max(1, Math.round(viewWidth * pixelRatio));
+    canvas.height = Math.max(1, Math.round(viewHeight * pixelRatio));
+    canvas.style.left = `${viewX * zoom}px`;
+    canvas.style.top = `${viewY * zoom}px`;
+    canvas.style.width = `${viewWidth * zoom}px`;
+    canvas.style.height = `${viewHeight * zoom}px`;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, -viewX * pixelRatio, -viewY * pixelRatio);
+
+    paintScene(ctx, { x: viewX, y: viewY, width: viewWidth, height: viewHeight }, layerRenderPlan, getStitchStyle, true, referenceLayer);
   }, [
+    alignReference,
     artboardOffset,
     artboardWidth,
     artboardHeight,
-    artboardBounds,
-    canvasGridWidth,
-    canvasGridHeight,
+    artboardGridWidth,
+    artboardGridHeight,
     canvasWidth,
     canvasHeight,
+    cell,
+    gridType,
     patternGridSize,
     defaultStitchColor,
+    dragPath,
     dragSelectRect,
     drawingState.firstPoint,
     drawingState.mode,
-    pattern,
+    drawColor,
+    getStitchStyle,
+    hoverPoint,
+    layerRenderPlan,
+    moveOffset,
+    referenceLayer,
+    referenceQuad,
+    selectionBounds,
+    symmetry,
     patternTileSize,
     repeatPattern,
-    selectedStitchIds,
     showGrid,
-    stitchColors,
     tilesX,
     tilesY,
     tilePixelWidth,
     tilePixelHeight,
+    viewX,
+    viewY,
+    viewWidth,
+    viewHeight,
     visualSettings, // Single memoized object instead of 6 separate dependencies
+    zoom,
   ]);
 
-  const handleMouseDown = (event) => {
+  const handlePointerDown = (event) => {
+    // Primary button, pen tip or finger only (pan mode and two-finger gestures belong to the viewport)
+    if (event.button !== 0 || drawingState.mode === 'pan') return;
+    const canvasPoint = getCanvasPoint(event);
+    if (!canvasPoint) return;
+    // Keep receiving moves and the release while the pointer is outside the canvas
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    pressRef.current = { x: event.clientX, y: event.clientY, pointerType: event.pointerType, moved: false };
+
+    // Aligning the reference photo: grab a corner handle, or the photo itself to move it
+    if (alignReference) {
+      event.preventDefault();
+      if (!referenceQuad) return;
+      const handleRadius = Math.max(REFERENCE_HANDLE_RADIUS, getPickRadius(event.pointerType)) / zoom;
+      const corners = getPlacedCorners(referenceImage);
+      const cornerIndex = referenceQuad.findIndex((point) => (
+        Math.hypot(point.x - canvasPoint.x, point.y - canvasPoint.y) <= handleRadius
+      ));
+      if (cornerIndex !== -1) {
+        referenceDragRef.current = { cornerIndex, corners };
+      } else if (isPointInPolygon(canvasPoint.x, canvasPoint.y, referenceQuad)) {
+        referenceDragRef.current = { cornerIndex: null, corners, startX: canvasPoint.x, startY: canvasPoint.y };
+      } else {
+        return;
+      }
+      setReferenceDraft(corners);
+      return;
+    }
+
+    // Drag draw style: start a stroke at the grid point under the pointer
+    if (drawingState.mode === 'draw' && drawStyle === DRAW_STYLES.drag) {
+      event.preventDefault();
+      const point = findGridPoint(canvasPoint, event.pointerType);
+      if (!point) return;
+      setHoverPoint(null);
+      dragPathRef.current = [{ x: point.gridX, y: point.gridY }];
+      setDragPath(dragPathRef.current);
+      return;
+    }
+
     if (drawingState.mode !== 'select') return;
     
     // Prevent default to avoid any text selection or other browser behaviors
     event.preventDefault();
     
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const rect = canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
+    const { x, y } = canvasPoint;
+
+    // Touch and pen have no Shift key: pressing and holding still adds or removes the stitch instead
+    if (event.pointerType !== 'mouse') {
+      clearLongPress();
+      longPressTimerRef.current = setTimeout(() => {
+        longPressTimerRef.current = null;
+        const press = pressRef.current;
+        if (!press || press.moved) return;
+        // The release that follows is no longer a tap, and the press neither moves nor box-selects
+        pressRef.current = null;
+        moveDragRef.current = null;
+        setMoveOffset(null);
+        isDraggingRef.current = false;
+        setIsDragging(false);
+        setDragSelectRect(null);
+        selectAt(canvasPoint, press.pointerType, true);
+        navigator.vibrate?.(10);
+      }, LONG_PRESS_DELAY);
+    }
+
+    // Start moving the selection when pressing inside its transform box
+    if (isInsideSelectionRect(x, y)) {
+      moveDragRef.current = { startX: x, startY: y };
+      setMoveOffset({ dx: 0, dy: 0 });
+      return;
+    }
     
     isDraggingRef.current = true;
     setIsDragging(true);
     setDragSelectRect({ startX: x, startY: y, endX: x, endY: y });
   };
 
-  const handleMouseMove = (event) => {
-    if (!isDraggingRef.current || drawingState.mode !== 'select') {
+  const handlePointerMove = (event) => {
+    // Moving past the tap slop turns the press into a drag (no tap, no long-press)
+    const press = pressRef.current;
+    if (press && !press.moved && exceedsTapSlop(press, event)) {
+      press.moved = true;
+      clearLongPress();
+    }
+
+    // Remember the grid point under the pointer (used as paste target)
+    const canvasPoint = getCanvasPoint(event);
+    if (!canvasPoint) return;
+    pointerGridRef.current = snapToLattice(gridType, {
+      x: (canvasPoint.x - artboardOffset) / cell.x,
+      y: (canvasPoint.y - artboardOffset) / cell.y,
+    });
+
+    // Drag a reference photo corner (snapping to grid points within reach) or the whole photo
+    const referenceDrag = referenceDragRef.current;
+    if (referenceDrag) {
+      const { cornerIndex, corners } = referenceDrag;
+      if (cornerIndex === null) {
+        const dx = (canvasPoint.x - referenceDrag.startX) / cell.x;
+        const dy = (canvasPoint.y - referenceDrag.startY) / cell.y;
+        setReferenceDraft(corners.map((point) => ({ x: point.x + dx, y: point.y + dy })));
+      } else {
+        const snapped = findGridPoint(canvasPoint, event.pointerType);
+        const corner = snapped
+          ? { x: snapped.gridX, y: snapped.gridY }
+          : { x: (canvasPoint.x - artboardOffset) / cell.x, y: (canvasPoint.y - artboardOffset) / cell.y };
+        setReferenceDraft(corners.map((point, index) => (index === cornerIndex ? corner : point)));
+      }
+      return;
+    }
+    if (alignReference) return;
+
+    // Extend the drag stroke through every grid step between the last point and the pointer
+    if (dragPathRef.current) {
+      const point = findGridPoint(canvasPoint, event.pointerType);
+      const path = dragPathRef.current;
+      const last = path[path.length - 1];
+      if (!point || (point.gridX === last.x && point.gridY === last.y)) return;
+      const steps = getLatticePath(gridType, last, { x: point.gridX, y: point.gridY }).slice(1);
+      dragPathRef.current = [...path, ...steps];
+      setDragPath(dragPathRef.current);
+      return;
+    }
+
+    // Track the hovered grid point for the ghost preview while a line is started
+    if (drawingState.mode === 'draw' && drawingState.firstPoint) {
+      const point = findGridPoint(canvasPoint, event.pointerType);
+      setHoverPoint((prev) => {
+        if (prev === point) return prev;
+        if (prev && point && prev.gridX === point.gridX && prev.gridY === point.gridY) return prev;
+        return point;
+      });
+      return;
+    }
+
+    if (drawingState.mode !== 'select') {
+      return;
+    }
+
+    const { x, y } = canvasPoint;
+
+    // Moving the selection: snap the offset to a lattice step so stitches stay on grid points
+    if (moveDragRef.current) {
+      const { x: dx, y: dy } = snapToLattice(gridType, {
+        x: (x - moveDragRef.current.startX) / cell.x,
+        y: (y - moveDragRef.current.startY) / cell.y,
+      });
+      setMoveOffset((prev) => (prev && prev.dx === dx && prev.dy === dy ? prev : { dx, dy }));
+      return;
+    }
+
+    if (!isDraggingRef.current) {
+      const overSelection = isInsideSelectionRect(x, y);
+      setIsOverSelection((prev) => (prev === overSelection ? prev : overSelection));
       return;
     }
-    
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const rect = canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
     
     setDragSelectRect((prev) => prev ? { ...prev, endX: x, endY: y } : null);
   };
 
-  const handleMouseUp = (event) => {
-    // If we're not dragging, just clear the rect state and return without touching selection
+  const handlePointerUp = (event) => {
+    clearLongPress();
+    const press = pressRef.current;
+    pressRef.current = null;
+    // A press released without moving past the tap slop is a tap (picks a stitch)
+    const isTap = Boolean(press) && !press.moved;
+
+    // Finish aligning the reference photo: the dragged corners already include its scale and rotation
+    if (referenceDragRef.current) {
+      referenceDragRef.current = null;
+      const corners = referenceDraft;
+      setReferenceDraft(null);
+      if (corners && !isTap) {
+        onReferenceChange?.({ corners, scale: 1, rotation: 0 });
+      }
+      return;
+    }
+    if (alignReference) return;
+
+    // Finish the drag stroke: all of its stitches are added together (one history entry)
+    if (dragPathRef.current) {
+      const path = dragPathRef.current;
+      dragPathRef.current = null;
+      setDragPath(null);
+      const strokeStitches = resolveStrokeStitches(path);
+      if (strokeStitches.length > 0) {
+        onAddStitches(strokeStitches.map((stitch) => ({ ...stitch, stitchSize })));
+      }
+      return;
+    }
+
+    // Finish moving the selection (one undoable change)
+    if (moveDragRef.current) {
+      moveDragRef.current = null;
+      const offset = moveOffset;
+      setMoveOffset(null);
+      if (offset && (offset.dx !== 0 || offset.dy !== 0)) {
+        onTransformSelection?.({ type: 'translate', dx: offset.dx, dy: offset.dy });
+      } else if (isTap) {
+        handleTap(event, press.pointerType);
+      }
+      return;
+    }
+
+    // If we're not dragging, just clear the rect state
+    // Drawing places its point wherever the press is released (aim with the ghost preview, then lift)
     if (!isDraggingRef.current) {
       setDragSelectRect(null);
+      if (isTap || (press && drawingState.mode === 'draw')) {
+        handleTap(event, press.pointerType);
+      }
       return;
     }
     
@@ -694,19 +1205,20 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
     const minY = Math.min(dragSelectRect.startY, dragSelectRect.endY);
     const maxY = Math.max(dragSelectRect.startY, dragSelectRect.endY);
     
-    // Check if it was just a tiny drag (essentially a click)
+    // Check if it was just a tiny drag (essentially a tap)
     const width = maxX - minX;
     const height = maxY - minY;
-    if (width < 5 && height < 5) {
+    if (width < 5 / zoom && height < 5 / zoom) {
       setDragSelectRect(null);
-      return; // Let handleCanvasClick handle it
+      handleTap(event, event.pointerType);
+      return;
     }
     
     // Find all stitches that intersect with the selection rectangle
-    // Use the visible instances computed during rendering
+    // Use the instances of drawn stitches (unlocked layers only)
     const selectedIds = new Set();
     
-    visibleStitchInstancesRef.current.forEach((instances, stitchId) => {
+    hitInstances.forEach((instances, stitchId) => {
       // Check if any visible instance of this stitch intersects with selection
       for (const instance of instances) {
         // instance is [startX, startY, endX, endY]
@@ -717,9 +1229,6 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
       }
     });
     
-    // Mark that we just finished a drag selection to prevent click handler from firing
-    justFinishedDragRef.current = true;
-    
     // Update selection (add to existing if shift/ctrl is held)
     if (event.shiftKey || event.ctrlKey || event.metaKey) {
       const combined = new Set([...selectedStitchIds, ...selectedIds]);
@@ -731,30 +1240,34 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
     setDragSelectRect(null);
   };
 
-  const handleCanvasClick = (event) => {
-    // Ignore click if it's right after a drag selection
-    if (justFinishedDragRef.current) {
-      justFinishedDragRef.current = false;
-      return;
-    }
+  const handlePointerLeave = () => {
+    // Presses keep pointer capture, so this only ends hovering (mouse and pen)
+    setHoverPoint(null);
+    pointerGridRef.current = null;
+  };
 
-    // Ignore click if pan mode is active (hand tool)
-    if (drawingState.mode === 'pan') {
-      return;
+  // Long-press selects on touch and pen, so the browser's own long-press menu stays away
+  const handleContextMenu = (event) => {
+    if (event.pointerType && event.pointerType !== 'mouse') {
+      event.preventDefault();
     }
-    
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const rect = canvas.getBoundingClientRect();
-    const clickX = event.clientX - rect.left;
-    const clickY = event.clientY - rect.top;
+  };
+
+  const handleTap = (event, pointerType) => {
+    const canvasPoint = getCanvasPoint(event);
+    if (!canvasPoint) return;
 
     if (drawingState.mode === 'draw') {
-      const point = getNearestGridPoint(clickX, clickY, patternGridSize);
+      // Drag style draws on press/release only
+      if (drawStyle === DRAW_STYLES.drag) {
+        return;
+      }
+      const point = findGridPoint(canvasPoint, pointerType);
       if (!point) {
         return;
       }
       if (!drawingState.firstPoint) {
+        setHoverPoint(null);
         onDrawingStateChange({ ...drawingState, firstPoint: { x: point.gridX, y: point.gridY } });
         return;
       }
@@ -763,150 +1276,31 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
         return;
       }
 
-      // Check if the line intersects with the artboard (extended by 1 tile on all sides)
-      const startPixelX = drawingState.firstPoint.x * patternGridSize;
-      const startPixelY = drawingState.firstPoint.y * patternGridSize;
-      const endPixelX = point.gridX * patternGridSize;
-      const endPixelY = point.gridY * patternGridSize;
-      
-      // Use memoized tile dimensions
-      const maxTileSize = Math.max(tilePixelWidth, tilePixelHeight);
-      if (!lineIntersectsArtboard(startPixelX, startPixelY, endPixelX, endPixelY, artboardOffset, artboardOffset, artboardWidth, artboardHeight, maxTileSize)) {
-        // Line doesn't intersect drawable area, don't add it
-        onDrawingStateChange({ ...drawingState, firstPoint: null });
-        return;
+      const drawnStitches = resolveDrawnStitches(drawingState.firstPoint, point);
+      if (drawnStitches.length > 0) {
+        // Drawn stitch + symmetry copies are added together (one history entry)
+        onAddStitches(drawnStitches.map((stitch) => ({ ...stitch, stitchSize })));
       }
-
-      // Convert canvas grid coordinates to artboard-relative coordinates
-      const artboardGridOffset = Math.round(artboardOffset / patternGridSize);
-      const startGridX = drawingState.firstPoint.x - artboardGridOffset;
-      const startGridY = drawingState.firstPoint.y - artboardGridOffset;
-      const endGridX = point.gridX - artboardGridOffset;
-      const endGridY = point.gridY - artboardGridOffset;
-
-      // Check if the line intersects the actual artboard (not just the drawable area)
-      const lineIntersectsArtboardArea = !(
-        (startGridX < 0 && endGridX < 0) ||
-        (startGridY < 0 && endGridY < 0) ||
-        (startGridX > artboardGridWidth && endGridX > artboardGridWidth) ||
-        (startGridY > artboardGridHeight && endGridY > artboardGridHeight)
-      );
-
-      // When repeat is ON and line touches artboard, reduce coordinates to first tile pattern
-      // For cross-tile lines, we keep the relative offset so they repeat correctly
-      let finalStart, finalEnd;
-      let shouldRepeat = false;
-      
-      if (repeatPattern && lineIntersectsArtboardArea) {
-        // CRITICAL: The anchor (start point) should be whichever endpoint is closest to the GLOBAL origin (0,0)
-        // NOT their individual tile origins, to ensure consistent behavior for cross-tile lines
-        
-        // Calculate distance from each point to the global origin (0,0)
-        const startDistToOrigin = Math.sqrt(startGridX * startGridX + startGridY * startGridY);
-        const endDistToOrigin = Math.sqrt(endGridX * endGridX + endGridY * endGridY);
-        
-        // Whichever point is closer to the global origin becomes the anchor (start)
-        let actualStartX = startGridX;
-        let actualStartY = startGridY;
-        let actualEndX = endGridX;
-        let actualEndY = endGridY;
-        
-        if (endDistToOrigin < startDistToOrigin) {
-          // End is closer to origin, so make it the anchor
-          actualStartX = endGridX;
-          actualStartY = endGridY;
-          actualEndX = startGridX;
-          actualEndY = startGridY;
-        }
-        
-        // Determine which tile the anchor point belongs to
-        const anchorTileX = Math.floor(actualStartX / patternTileSize.x);
-        const anchorTileY = Math.floor(actualStartY / patternTileSize.y);
-        
-        // Check if this is a boundary line (runs exactly along a tile edge)
-        const isVerticalBoundaryLine = actualStartX === actualEndX && (actualStartX % patternTileSize.x === 0);
-        const isHorizontalBoundaryLine = actualStartY === actualEndY && (actualStartY % patternTileSize.y === 0);
-        
-        if (isVerticalBoundaryLine || isHorizontalBoundaryLine) {
-          // Boundary lines need special handling
-          // Lines at tile multiples (x=10,20,30 with tileSizeX=10) should all map to the SAME boundary
-          // We use modulo, but when result is 0 for non-zero input, we treat it as the boundary
-          
-          const normalizeBoundaryCoordX = (coord) => {
-            const mod = coord % patternTileSize.x;
-            // coord=0 -> 0 (left edge)
-            // coord=10,20,30... -> 0 (these are all the same repeating boundary)
-            return mod;
-          };
-          
-          const normalizeBoundaryCoordY = (coord) => {
-            const mod = coord % patternTileSize.y;
-            // coord=0 -> 0 (top edge)
-            // coord=10,20,30... -> 0 (these are all the same repeating boundary)
-            return mod;
-          };
-          
-          // Calculate the offset between start and end
-          const dx = actualEndX - actualStartX;
-          const dy = actualEndY - actualStartY;
-          
-          // Normalize the start point
-          finalStart = {
-            x: normalizeBoundaryCoordX(actualStartX),
-            y: normalizeBoundaryCoordY(actualStartY),
-          };
-          
-          // Apply the offset to get the end point
-          finalEnd = {
-            x: finalStart.x + dx,
-            y: finalStart.y + dy,
-          };
-        } else {
-          // Non-boundary lines: normalize both points relative to the anchor's tile
-          // This ensures consistent coordinates regardless of which tiles the line crosses
-          
-          // Normalize both points to the anchor's tile
-          const normalizedStartX = actualStartX - (anchorTileX * patternTileSize.x);
-          const normalizedStartY = actualStartY - (anchorTileY * patternTileSize.y);
-          const normalizedEndX = actualEndX - (anchorTileX * patternTileSize.x);
-          const normalizedEndY = actualEndY - (anchorTileY * patternTileSize.y);
-          
-          finalStart = {
-            x: normalizedStartX,
-            y: normalizedStartY,
-          };
-          finalEnd = {
-            x: normalizedEndX,
-            y: normalizedEndY,
-          };
-        }
-        shouldRepeat = true;
-      } else {
-        // Store absolute artboard coordinates (not wrapped)
-        // This handles: repeat OFF or margin-only lines
-        finalStart = {
-          x: startGridX,
-          y: startGridY,
-        };
-        finalEnd = {
-          x: endGridX,
-          y: endGridY,
-        };
-        shouldRepeat = false;
-      }
-      
-      // Include stitch size and repeat setting in the stitch data
-      onAddStitch({ start: finalStart, end: finalEnd, stitchSize, repeat: shouldRepeat });
-      onDrawingStateChange({ ...drawingState, firstPoint: null });
+      setHoverPoint(null);
+      // Polyline continues from the end point until double-click, Escape or tapping it again
+      const nextFirstPoint = drawStyle === DRAW_STYLES.polyline ? { x: point.gridX, y: point.gridY } : null;
+      onDrawingStateChange({ ...drawingState, firstPoint: nextFirstPoint });
       return;
     }
 
-    // Use visible stitch instances from rendering for click selection
+    selectAt(canvasPoint, pointerType, event.ctrlKey || event.metaKey || event.shiftKey);
+  };
+
+  // Pick the stitch closest to a point; additive toggles it instead of replacing the selection
+  const selectAt = (canvasPoint, pointerType, additive) => {
+    const { x: clickX, y: clickY } = canvasPoint;
+
+    // Use the same stitch instances that are drawn for click selection
     // This ensures selection matches exactly what's visible on screen
     let closest = null;
-    let closestDistance = SELECT_THRESHOLD;
+    let closestDistance = getPickRadius(pointerType) / zoom;
 
-    visibleStitchInstancesRef.current.forEach((instances, stitchId) => {
+    hitInstances.forEach((instances, stitchId) => {
       // Check each visible instance of this stitch for proximity to click
       for (const instance of instances) {
         // instance is [startX, startY, endX, endY, curvature]
@@ -962,7 +1356,7 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
 
     if (closest) {
       const next = new Set(selectedStitchIds);
-      if (event.ctrlKey || event.metaKey || event.shiftKey) {
+      if (additive) {
         if (next.has(closest)) {
           next.delete(closest);
         } else {
@@ -973,28 +1367,37 @@ const PatternCanvasComponent = forwardRef(function PatternCanvas({
         next.add(closest);
       }
       onSelectStitchIds(next);
-    } else if (!(event.ctrlKey || event.metaKey || event.shiftKey)) {
+    } else if (!additive) {
       onSelectStitchIds(new Set());
     }
   };
 
+  // Double-click finishes a polyline
+  const handleCanvasDoubleClick = () => {
+    if (drawingState.mode !== 'draw' || !drawingState.firstPoint) return;
+    setHoverPoint(null);
+    onDrawingStateChange({ ...drawingState, firstPoint: null });
+  };
+
   const getCursorClass = () => {
     if (drawingState.mode === 'pan') return 'cursor-grab';
+    if (alignReference) return 'cursor-move';
     if (drawingState.mode === 'draw') return 'cursor-crosshair';
+    if (moveOffset || isOverSelection) return 'cursor-move';
     return 'cursor-default';
   };
 
   return (
     <canvas
       ref={canvasRef}
-      width={canvasWidth}
-      height={canvasHeight}
-      className={`mx-auto ${getCursorClass()}`}
-      onClick={handleCanvasClick}
-      onMouseDown={handleMouseDown}
-      onMouseMove={handleMouseMove}
-      onMouseUp={handleMouseUp}
-      onMouseLeave={handleMouseUp}
+      className={`absolute ${getCursorClass()}`}
+      onDoubleClick={handleCanvasDoubleClick}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={cancelPointerInteraction}
+      onPointerLeave={handlePointerLeave}
+      onContextMenu={handleContextMenu}
     />
   );
 });
@@ -1023,7 +1426,11 @@ function arePropsEqual(prevProps, nextProps) {
   }
   
   // Check if pattern structure changed
-  if (prevProps.pattern?.tileSize !== nextProps.pattern?.tileSize) {
+  if (
+    prevProps.pattern?.tileSize !== nextProps.pattern?.tileSize ||
+    prevProps.pattern?.gridType !== nextProps.pattern?.gridType ||
+    prevProps.pattern?.layers !== nextProps.pattern?.layers
+  ) {
     return false;
   }
   
@@ -1034,7 +1441,21 @@ function arePropsEqual(prevProps, nextProps) {
     prevProps.artboardWidth !== nextProps.artboardWidth ||
     prevProps.artboardHeight !== nextProps.artboardHeight ||
     prevProps.cellSize !== nextProps.cellSize ||
-    prevProps.artboardOffset !== nextProps.artboardOffset
+    prevProps.artboardOffset !== nextProps.artboardOffset ||
+    prevProps.zoom !== nextProps.zoom ||
+    prevProps.viewport?.x !== nextProps.viewport?.x ||
+    prevProps.viewport?.y !== nextProps.viewport?.y ||
+    prevProps.viewport?.width !== nextProps.viewport?.width ||
+    prevProps.viewport?.height !== nextProps.viewport?.height
+  ) {
+    return false;
+  }
+
+  // Check the reference photo and whether it is being aligned
+  if (
+    prevProps.referenceImage !== nextProps.referenceImage ||
+    prevProps.referenceBitmap !== nextProps.referenceBitmap ||
+    prevProps.alignReference !== nextProps.alignReference
   ) {
     return false;
   }
@@ -1047,20 +1468,24 @@ function arePropsEqual(prevProps, nextProps) {
     prevProps.tileOutlineColor !== nextProps.tileOutlineColor ||
     prevProps.artboardOutlineColor !== nextProps.artboardOutlineColor ||
     prevProps.repeatPattern !== nextProps.repeatPattern ||
-    prevProps.defaultStitchColor !== nextProps.defaultStitchColor
+    prevProps.defaultStitchColor !== nextProps.defaultStitchColor ||
+    prevProps.symmetry !== nextProps.symmetry ||
+    prevProps.drawStyle !== nextProps.drawStyle ||
+    prevProps.drawColor !== nextProps.drawColor
   ) {
     return false;
   }
   
-  // Skip re-render if only stitchSize changed but no stitches are selected
-  // This prevents re-renders when dragging the gap slider and no stitches are selected
-  if (prevProps.stitchSize !== nextProps.stitchSize) {
-    // If there are selected stitches, we need to re-render to show updated appearance
-    if (nextProps.selectedStitchIds && nextProps.selectedStitchIds.size > 0) {
-      return false;
-    }
-    // If no selected stitches, the stitchSize only affects NEW stitches, so we can skip re-render
-    return true;
+  // New stitches take their size from props and are committed through these callbacks;
+  // pointer handlers close over them, so a stale render would draw with old settings
+  // (handleAddStitches also changes with the active layer, width, gap and color)
+  if (
+    prevProps.stitchSize !== nextProps.stitchSize ||
+    prevProps.onAddStitches !== nextProps.onAddStitches ||
+    prevProps.onTransformSelection !== nextProps.onTransformSelection ||
+    prevProps.onReferenceChange !== nextProps.onReferenceChange
+  ) {
+    return false;
   }
 
   // Check if tempCurvature changed
@@ -1,26 +1,44 @@
 import { useState } from 'react';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
-import { Trash2, MoreVertical } from 'lucide-react';
+import { Badge } from './ui/badge';
+import { PatternVersionsDialog } from './PatternVersionsDialog';
+import { PatternNameDialog } from './PatternNameDialog';
+import { usePatternThumbnail } from '../hooks/usePatternThumbnail.js';
+import { Trash2, MoreVertical, History, Pencil, Copy } from 'lucide-react';
 
 export function PatternCard({ 
   pattern, 
   isActive, 
   canDelete = false, 
   onSelectPattern, 
-  onDeletePattern 
+  onDeletePattern,
+  onLoadVersions,
+  onRestoreVersion,
+  onBranchVersion,
+  onRenamePattern,
+  onDuplicatePattern,
 }) {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isVersionsOpen, setIsVersionsOpen] = useState(false);
+  const [isRenameOpen, setIsRenameOpen] = useState(false);
+  const thumbnailUrl = usePatternThumbnail(pattern);
 
   return (
     <Card
       className={isActive ? 'border-primary/60 bg-card/80 shadow-md' : 'bg-card/60'}
     >
       <CardHeader>
+        {/* Thumbnail (placeholder keeps the card height steady while it is drawn) */}
+        <div className="mb-2 aspect-video w-full overflow-hidden rounded-md border border-border bg-muted">
+          {thumbnailUrl && (
+            <img src={thumbnailUrl} alt="" className="h-full w-full object-cover" draggable={false} />
+          )}
+        </div>
         <div className="flex items-center justify-between">
           <CardTitle className="text-sm">{pattern.name}</CardTitle>
           <div className="flex items-center gap-2">
-            {canDelete && (
+            {(canDelete || onDuplicatePattern) && (
               <div className="relative">
                 <button
                   type="button"
@@ -39,19 +57,61 @@ export function PatternCard({
                       className="fixed inset-0 z-10"
                       onClick={() => setIsMenuOpen(false)}
                     />
-                    <div className="absolute right-0 top-8 z-20 w-32 rounded-lg border border-border bg-popover shadow-xl">
+                    <div className="absolute right-0 top-8 z-20 w-40 rounded-lg border border-border bg-popover shadow-xl">
+                      {canDelete && (
+                        <button
+                          type="button"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setIsMenuOpen(false);
+                            setIsRenameOpen(true);
+                          }}
+                          className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm hover:bg-muted rounded-lg transition-colors"
+                        >
+                          <Pencil className="h-4 w-4" />
+                          Rename
+                        </button>
+                      )}
                       <button
                         type="button"
                         onClick={(e) => {
                           e.stopPropagation();
                           setIsMenuOpen(false);
-                          onDeletePattern?.(pattern.id);
+                          onDuplicatePattern?.(pattern);
                         }}
-                        className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm text-destructive hover:bg-muted rounded-lg transition-colors"
+                        className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm hover:bg-muted rounded-lg transition-colors"
                       >
-                        <Trash2 className="h-4 w-4" />
-                        Delete
+                        <Copy className="h-4 w-4" />
+                        Duplicate
                       </button>
+                      {canDelete && (
+                        <>
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setIsMenuOpen(false);
+                              setIsVersionsOpen(true);
+                            }}
+                            className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm hover:bg-muted rounded-lg transition-colors"
+                          >
+                            <History className="h-4 w-4" />
+                            Versions
+                          </button>
+                          <button
+                            type="button"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setIsMenuOpen(false);
+                              onDeletePattern?.(pattern.id);
+                            }}
+                            className="flex w-full items-center gap-2 px-3 py-2 text-left text-sm text-destructive hover:bg-muted rounded-lg transition-colors"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                            Move to Trash
+                          </button>
+                        </>
+                      )}
                     </div>
                   </>
                 )}
@@ -62,6 +122,13 @@ export function PatternCard({
         <CardDescription className="text-xs">
           {pattern.description}
         </CardDescription>
+        {pattern.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-1 pt-1">
+            {pattern.tags.map((tag) => (
+              <Badge key={tag} variant="secondary" className="px-1.5 py-0 text-[10px] font-normal">{tag}</Badge>
+            ))}
+          </div>
+        )}
       </CardHeader>
       <CardFooter>
         <Button
@@ -73,6 +140,27 @@ export function PatternCard({
           {isActive ? 'Active Pattern' : 'Load Pattern'}
         </Button>
       </CardFooter>
+      {canDelete && (
+        <>
+          <PatternVersionsDialog
+            open={isVersionsOpen}
+            onOpenChange={setIsVersionsOpen}
+            pattern={pattern}
+            onLoadVersions={onLoadVersions}
+            onRestoreVersion={onRestoreVersion}
+            onBranchVersion={onBranchVersion}
+          />
+          <PatternNameDialog
+            open={isRenameOpen}
+            onOpenChange={setIsRenameOpen}
+            title="Rename Pattern"
+            description="The pattern keeps its versions and history; the rename is recorded as a new version."
+            confirmLabel="Rename"
+            initialName={pattern.name}
+            onConfirm={(name) => onRenamePattern(pattern.id, name)}
+          />
+        </>
+      )}
     </Card>
   );
 }
\ No newline at end of file
@@ -3,8 +3,10 @@ import { CanvasViewport } from './CanvasViewport.jsx';
 import { Toolbar } from './Toolbar.jsx';
 import { AppSidebar } from './AppSidebar.jsx';
 import { HelpButton } from './HelpButton.jsx';
+import { ROUTE_SPEEDS } from './StitchRoutePanel.jsx';
 import OfflineIndicator from './OfflineIndicator.jsx';
 import VersionBadge from './VersionBadge.jsx';
+import { SharedPatternDialog } from './SharedPatternDialog.jsx';
 import { SidebarProvider, SidebarTrigger } from './ui/sidebar';
 import { Toaster } from './ui/sonner';
 import { toast } from 'sonner';
@@ -15,6 +17,8 @@ import { usePatternState } from '../hooks/usePatternState.js';
 import { usePatternImportExport } from '../hooks/usePatternImportExport.js';
 import { usePropertyEditor } from '../hooks/usePropertyEditor.js';
 import { usePatternActions } from '../hooks/usePatternActions.js';
+import { useStitchClipboard } from '../hooks/useStitchClipboard.js';
+import { useReferenceImage } from '../hooks/useReferenceImage.js';
 import { 
   useUiState,
   DEFAULT_STITCH_COLOR,
@@ -33,10 +37,33 @@ import {
   loadCurrentPattern,
 } from '../lib/patternStorage.js';
 import { initializeDatabase } from '../lib/db.js';
+import { normalizeTags } from '../lib/patternSearch.js';
+import { getSharedPatternData, readSharedPattern } from '../lib/shareLink.js';
+import { planStitchingRoute } from '../lib/stitchPlanner.js';
+import { convertStitchesToGrid, transformStitches } from '../lib/stitchTransform.js';
+import { convertTileSizeToGrid, getCellScale, getCellSize, getNudgeStep, normalizeGridType } from '../lib/gridGeometry.js';
+import { assignStitchLayers, createLayer, getEditableStitchIds, getStitchLayerId, getVisibleStitches, moveLayer, normalizeLayers } from '../lib/layers.js';
 
 export default function PatternDesigner() {
   // Pattern library management
-  const { savedPatterns, saveState, savePattern, removePattern } = usePatternLibrary();
+  const {
+    savedPatterns,
+    trashedPatterns,
+    saveState,
+    savePattern,
+    removePattern,
+    restorePattern,
+    deletePatternForever,
+    emptyTrash,
+    renamePattern,
+    duplicatePattern,
+    loadVersions,
+    restoreVersion,
+    branchVersion,
+    exportLibrary,
+    readLibraryBackup,
+    restoreLibrary,
+  } = usePatternLibrary();
 
   // Core pattern state management
   const {
@@ -48,14 +75,35 @@ export default function PatternDesigner() {
     setSelectedStitchIds,
     drawingState,
     setDrawingState,
+    activeLayerId,
+    setActiveLayerId,
   } = usePatternState();
 
-  // Undo/redo history
-  const historyManager = useHistory(10);
+  // Pattern-level grid: square cells or a triangular (60°) lattice
+  const gridType = normalizeGridType(currentPattern.gridType);
+
+  // Stitch layers (bottom to top); new stitches go into the active layer
+  const layers = useMemo(() => normalizeLayers(currentPattern.layers), [currentPattern.layers]);
+  const activeLayer = layers.find((layer) => layer.id === activeLayerId) ?? layers[layers.length - 1];
 
   // Canvas settings management (background, grid colors, display unit, etc.)
   const uiState = useUiState();
 
+  // Becomes true once the saved working pattern (or a fresh one) is open
+  const [isPatternLoaded, setIsPatternLoaded] = useState(false);
+
+  // Undo/redo history of the open pattern (one branching tree per pattern id)
+  const historyManager = useHistory(isPatternLoaded ? currentPattern.id : null, { depth: uiState.historyDepth });
+
+  // Reference photo traced over in the open pattern (one per pattern id, never part of the pattern itself)
+  const referenceManager = useReferenceImage(isPatternLoaded ? currentPattern.id : null);
+  const [isAligningReference, setIsAligningReference] = useState(false);
+
+  // Aligning ends when another pattern is opened
+  useEffect(() => {
+    setIsAligningReference(false);
+  }, [currentPattern.id]);
+
   // Use constant for default stitch color (fallback for rendering)
   const defaultStitchColor = DEFAULT_STITCH_COLOR;
   
@@ -66,6 +114,8 @@ export default function PatternDesigner() {
     stitchWidth, setStitchWidth,
     gapSize, setGapSize,
     repeatPattern, setRepeatPattern,
+    symmetry, setSymmetry,
+    drawStyle, setDrawStyle,
     sidebarTab, setSidebarTab,
   } = uiState;
   
@@ -79,6 +129,11 @@ export default function PatternDesigner() {
   const isGapSliderActiveRef = useRef(false);
   const isCurvatureSliderActiveRef = useRef(false);
 
+  // Stitching route planner (computed only while the panel or overlay is in use)
+  const [isRoutePlannerOpen, setIsRoutePlannerOpen] = useState(false);
+  const [routeOverlay, setRouteOverlay] = useState({ visible: false, playing: false, speed: ROUTE_SPEEDS.normal });
+  const [routeRestartKey, setRouteRestartKey] = useState(0);
+
   const canvasRef = useRef(null);
   const hasInitializedRef = useRef(false); // Track if initial load is complete
 
@@ -121,10 +176,12 @@ export default function PatternDesigner() {
         
         // Mark initialization as complete
         hasInitializedRef.current = true;
+        setIsPatternLoaded(true);
       } catch (error) {
         console.error('Failed to initialize database:', error);
         toast.error('Failed to load saved data. Using defaults.');
         hasInitializedRef.current = true;
+        setIsPatternLoaded(true);
       }
     };
 
@@ -132,7 +189,7 @@ export default function PatternDesigner() {
   }, [setCurrentPattern, setStitchColors, createNewPattern, uiState]);
 
   // Pattern import/export operations
-  const { exportPattern, importPattern, exportImage, copyPatternToClipboard } = usePatternImportExport({
+  const { exportPattern, importPattern, copyShareLink, exportImage, exportSvg, exportPdf, planEmbroideryExport, exportEmbroidery, planPlotterExport, exportPlotter, exportDxf, copyPatternToClipboard } = usePatternImportExport({
     currentPattern,
     stitchColors,
     backgroundColor: uiState.backgroundColor,
@@ -145,6 +202,9 @@ export default function PatternDesigner() {
     gapSize,
     repeatPattern,
     showGrid: uiState.showGrid,
+    tileSize: uiState.tileSize,
+    gridSize: uiState.gridSize,
+    patternTiles: uiState.patternTiles,
     setCurrentPattern,
     setStitchColors,
     setSelectedStitchIds,
@@ -153,8 +213,9 @@ export default function PatternDesigner() {
     setGridColor: uiState.setGridColor,
     setTileOutlineColor: uiState.setTileOutlineColor,
     setArtboardOutlineColor: uiState.setArtboardOutlineColor,
+    referenceImage: referenceManager.reference,
+    onImportReferenceImage: referenceManager.importReference,
     canvasRef,
-    historyManager,
   });
 
   // Property editor handlers - stitch size/width with temporary state system
@@ -365,7 +426,10 @@ export default function PatternDesigner() {
         // Save current state to history after property editing is complete
         historyManager.pushHistory({
           pattern: {
-            stitches: currentPattern.stitches, // Only save stitches, not config
+            stitches: currentPattern.stitches, // Only save stitches, layers and tile structure, not view config
+            layers: currentPattern.layers,
+            tileSize: currentPattern.tileSize,
+            gridType: currentPattern.gridType,
           },
           stitchColors,
         });
@@ -399,12 +463,15 @@ export default function PatternDesigner() {
     
     historyManager.pushHistory({
       pattern: {
-        stitches: currentPattern.stitches, // Only save stitches, not config
+        stitches: currentPattern.stitches, // Only save stitches, layers and tile structure, not view config
+        layers: currentPattern.layers,
+        tileSize: currentPattern.tileSize,
+        gridType: currentPattern.gridType,
       },
       stitchColors,
     });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentPattern.stitches, stitchColors]); // Only trigger on stitches or colors, NOT config changes
+  }, [currentPattern.stitches, currentPattern.layers, currentPattern.tileSize, currentPattern.gridType, stitchColors, historyManager.pushHistory]); // Only trigger on undoable pattern data, NOT view config changes
 
   // Auto-save UI state to IndexedDB (separate from undo/redo history)
   useAutoSave({
@@ -436,62 +503,115 @@ export default function PatternDesigner() {
     const tileSize = normalizeTileSize(uiState.tileSize);
     const gridSize = uiState.gridSize ?? DEFAULT_GRID_SIZE;
     const tilesX = uiState.patternTiles.x || 4;
-    const width = tilesX * (tileSize.x || 10) * gridSize;
+    const width = tilesX * (tileSize.x || 10) * gridSize * getCellScale(gridType).x;
     return isNaN(width) ? 800 : width; // Fallback to 800 if calculation fails
-  }, [uiState.patternTiles.x, uiState.tileSize, uiState.gridSize]);
+  }, [uiState.patternTiles.x, uiState.tileSize, uiState.gridSize, gridType]);
 
   const artboardHeight = useMemo(() => {
     const tileSize = normalizeTileSize(uiState.tileSize);
     const gridSize = uiState.gridSize ?? DEFAULT_GRID_SIZE;
     const tilesY = uiState.patternTiles.y || 4;
-    const height = tilesY * (tileSize.y || 10) * gridSize;
+    const height = tilesY * (tileSize.y || 10) * gridSize * getCellScale(gridType).y;
     return isNaN(height) ? 800 : height; // Fallback to 800 if calculation fails
-  }, [uiState.patternTiles.y, uiState.tileSize, uiState.gridSize]);
+  }, [uiState.patternTiles.y, uiState.tileSize, uiState.gridSize, gridType]);
+
+  // Artboard size in grid units and the cell size, for placing the reference photo
+  const getReferencePlacement = useCallback(() => {
+    const cell = getCellSize(gridType, uiState.gridSize ?? DEFAULT_GRID_SIZE);
+    return { artboardSize: { x: artboardWidth / cell.x, y: artboardHeight / cell.y }, cell };
+  }, [gridType, uiState.gridSize, artboardWidth, artboardHeight]);
+
+  const handleLoadReference = useCallback(
+    (file) => referenceManager.loadFile(file, getReferencePlacement()),
+    [referenceManager, getReferencePlacement]
+  );
+
+  const handleFitReference = useCallback(
+    () => referenceManager.fitReference(getReferencePlacement()),
+    [referenceManager, getReferencePlacement]
+  );
+
+  // Corner handles only show while the photo is visible
+  const alignReference = isAligningReference && Boolean(referenceManager.reference?.visible);
+
+  const stitchPlan = useMemo(() => {
+    if (!isRoutePlannerOpen && !routeOverlay.visible) return null;
+    return planStitchingRoute(getVisibleStitches(currentPattern.stitches, layers), {
+      tileSize: uiState.tileSize,
+      patternTiles: uiState.patternTiles,
+      gridSize: uiState.gridSize ?? DEFAULT_GRID_SIZE,
+      gridType,
+      stitchColors,
+    });
+  }, [isRoutePlannerOpen, routeOverlay.visible, currentPattern.stitches, layers, uiState.tileSize, uiState.patternTiles, uiState.gridSize, gridType, stitchColors]);
+
+  const handleRestartRoute = useCallback(() => {
+    setRouteOverlay((prev) => ({ ...prev, visible: true, playing: true }));
+    setRouteRestartKey((prev) => prev + 1);
+  }, []);
+
+  const handleRouteFinished = useCallback(() => {
+    setRouteOverlay((prev) => ({ ...prev, playing: false }));
+  }, []);
 
   const handleModeChange = useCallback((mode) => {
     setDrawingState({ mode, firstPoint: null });
   }, []);
 
+  // Picking a draw style switches to the stitch tool and drops any half-drawn line
+  const handleDrawStyleChange = useCallback((style) => {
+    setDrawStyle(style);
+    setDrawingState({ mode: 'draw', firstPoint: null });
+  }, [setDrawStyle]);
+
   const handleSelectAll = useCallback(() => {
-    const allIds = currentPattern.stitches.map((stitch) => stitch.id);
-    setSelectedStitchIds(new Set(allIds));
-  }, [currentPattern.stitches]);
+    // Hidden and locked layers are left out of the selection
+    setSelectedStitchIds(getEditableStitchIds(currentPattern.stitches, layers));
+  }, [currentPattern.stitches, layers]);
 
   const handleDeselectAll = useCallback(() => {
     setSelectedStitchIds(new Set());
   }, []);
 
+  // Put a state from the history back (stitches, layers, colors and tile structure; view settings stay)
+  const restoreHistoryState = useCallback((state) => {
+    if (!state) return;
+    const { tileSize, gridType } = state.pattern;
+    setCurrentPattern(prev => ({
+      ...prev, // Keep current config (gridSize, patternTiles, etc.)
+      stitches: state.pattern.stitches,
+      layers: state.pattern.layers ?? prev.layers,
+      tileSize: tileSize ?? prev.tileSize,
+      gridType: gridType ?? prev.gridType,
+    }));
+    if (tileSize) uiState.setTileSize(tileSize);
+    setStitchColors(state.stitchColors);
+    setSelectedStitchIds(new Set()); // Clear selection on undo/redo
+    setDrawingState((prev) => ({ ...prev, firstPoint: null }));
+  }, [uiState]);
+
   const handleUndo = useCallback(() => {
-    const prevState = historyManager.undo();
-    if (prevState) {
-      // Only restore stitches, preserve current canvas settings
-      setCurrentPattern(prev => ({
-        ...prev, // Keep current config (gridSize, tileSize, patternTiles, etc.)
-        stitches: prevState.pattern.stitches, // Restore only stitches
-      }));
-      setStitchColors(prevState.stitchColors);
-      setSelectedStitchIds(new Set()); // Clear selection on undo
-    }
-  }, [historyManager]);
+    restoreHistoryState(historyManager.undo());
+  }, [historyManager, restoreHistoryState]);
 
   const handleRedo = useCallback(() => {
-    const nextState = historyManager.redo();
-    if (nextState) {
-      // Only restore stitches, preserve current canvas settings
-      setCurrentPattern(prev => ({
-        ...prev, // Keep current config (gridSize, tileSize, patternTiles, etc.)
-        stitches: nextState.pattern.stitches, // Restore only stitches
-      }));
-      setStitchColors(nextState.stitchColors);
-      setSelectedStitchIds(new Set()); // Clear selection on redo
-    }
-  }, [historyManager]);
+    restoreHistoryState(historyManager.redo());
+  }, [historyManager, restoreHistoryState]);
 
-  const handleAddStitch = useCallback(({ start, end, stitchSize, repeat }) => {
-    const newId = `stitch-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
-    
-    const newStitch = {
-      id: newId,
+  // Jump to any state listed in the history panel (including abandoned branches)
+  const handleJumpToHistory = useCallback((nodeId) => {
+    restoreHistoryState(historyManager.jumpTo(nodeId));
+  }, [historyManager, restoreHistoryState]);
+
+  // Add several stitches in one update so they form a single history entry
+  // (used for symmetry copies, which are committed together with the drawn stitch)
+  const handleAddStitches = useCallback((newStitchData) => {
+    if (!activeLayer.visible || activeLayer.locked) {
+      toast.error(`"${activeLayer.name}" is ${activeLayer.locked ? 'locked' : 'hidden'}. Pick another layer to draw on.`);
+      return false;
+    }
+    const newStitches = newStitchData.map(({ start, end, stitchSize, repeat }) => ({
+      id: `stitch-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
       start,
       end,
       color: null,
@@ -499,22 +619,30 @@ export default function PatternDesigner() {
       stitchWidth: stitchWidth,
       gapSize: gapSize,
       repeat: repeat !== undefined ? repeat : true,
-    };
+      layerId: activeLayer.id,
+    }));
     setCurrentPattern((prev) => ({
       ...prev,
-      stitches: [...prev.stitches, newStitch],
+      stitches: [...prev.stitches, ...newStitches],
     }));
     
-    // Apply the selected stitch color to the new stitch
+    // Apply the selected stitch color to the new stitches
     setStitchColors((prev) => {
       const next = new Map(prev);
-      next.set(newId, selectedStitchColor);
+      newStitches.forEach((stitch) => next.set(stitch.id, selectedStitchColor));
       return next;
     });
     
     // Don't auto-select newly created stitches
     setSelectedStitchIds(new Set());
-  }, [selectedStitchColor, stitchWidth, gapSize]);
+    return true;
+  }, [selectedStitchColor, stitchWidth, gapSize, activeLayer]);
+
+  // Add generated Hitomezashi stitches as one batch (single undo step)
+  const handleGenerateHitomezashi = useCallback((generatedStitches) => {
+    historyManager.setNextLabel('Generate Hitomezashi');
+    return handleAddStitches(generatedStitches.map(({ start, end }) => ({ start, end, stitchSize, repeat: true })));
+  }, [handleAddStitches, stitchSize, historyManager]);
 
   const handleDeleteSelected = useCallback(() => {
     if (selectedStitchIds.size === 0) return;
@@ -531,6 +659,103 @@ export default function PatternDesigner() {
     setDrawingState((prev) => ({ ...prev, firstPoint: null }));
   }, [selectedStitchIds]);
 
+  // Move/rotate/flip/scale the selection as one undoable change
+  const handleTransformSelection = useCallback((transform) => {
+    if (selectedStitchIds.size === 0) return;
+    const tileSize = normalizeTileSize(uiState.tileSize);
+    // Moves are named by the history itself; rotate/flip/scale also move stitches, so name them here
+    const actionLabels = { rotate: 'Rotate', flip: 'Flip', scale: 'Scale' };
+    if (actionLabels[transform.type]) {
+      const count = selectedStitchIds.size;
+      historyManager.setNextLabel(`${actionLabels[transform.type]} ${count} stitch${count === 1 ? '' : 'es'}`);
+    }
+    setCurrentPattern((prev) => ({
+      ...prev,
+      stitches: transformStitches(prev.stitches, selectedStitchIds, transform, tileSize, normalizeGridType(prev.gridType)),
+    }));
+  }, [selectedStitchIds, uiState.tileSize, historyManager]);
+
+  // Layer changes are single pattern updates, so each one is one undo step
+  const updateLayers = useCallback((update) => {
+    setCurrentPattern((prev) => {
+      const prevLayers = normalizeLayers(prev.layers);
+      return {
+        ...prev,
+        layers: update(prevLayers),
+        stitches: assignStitchLayers(prev.stitches, prevLayers),
+      };
+    });
+  }, []);
+
+  // Drop stitches of the given layers from the selection
+  const deselectLayerStitches = useCallback((layerIds) => {
+    setSelectedStitchIds((prev) => {
+      const next = new Set(
+        currentPattern.stitches
+          .filter((stitch) => prev.has(stitch.id) && !layerIds.includes(getStitchLayerId(stitch, layers)))
+          .map((stitch) => stitch.id)
+      );
+      return next.size === prev.size ? prev : next;
+    });
+  }, [currentPattern.stitches, layers]);
+
+  const handleAddLayer = useCallback(() => {
+    const layer = createLayer(layers);
+    updateLayers((prev) => [...prev, layer]);
+    setActiveLayerId(layer.id);
+  }, [layers, updateLayers]);
+
+  const handleUpdateLayer = useCallback((layerId, changes) => {
+    updateLayers((prev) => prev.map((layer) => (layer.id === layerId ? { ...layer, ...changes } : layer)));
+    // Hidden and locked stitches cannot stay selected
+    if (changes.visible === false || changes.locked === true) {
+      deselectLayerStitches([layerId]);
+    }
+  }, [updateLayers, deselectLayerStitches]);
+
+  const handleMoveLayer = useCallback((layerId, direction) => {
+    updateLayers((prev) => moveLayer(prev, layerId, direction));
+  }, [updateLayers]);
+
+  // Deleting a layer deletes its stitches too (undoable); the last layer is kept
+  const handleDeleteLayer = useCallback((layerId) => {
+    if (layers.length <= 1) return;
+    const removedIds = new Set(
+      currentPattern.stitches
+        .filter((stitch) => getStitchLayerId(stitch, layers) === layerId)
+        .map((stitch) => stitch.id)
+    );
+    setCurrentPattern((prev) => {
+      const prevLayers = normalizeLayers(prev.layers);
+      return {
+        ...prev,
+        layers: prevLayers.filter((layer) => layer.id !== layerId),
+        stitches: assignStitchLayers(prev.stitches, prevLayers).filter((stitch) => !removedIds.has(stitch.id)),
+      };
+    });
+    setStitchColors((prev) => {
+      const next = new Map(prev);
+      removedIds.forEach((id) => next.delete(id));
+      return next;
+    });
+    deselectLayerStitches([layerId]);
+  }, [currentPattern.stitches, layers, deselectLayerStitches]);
+
+  // Move the selected stitches to another layer
+  const handleMoveSelectionToLayer = useCallback((layerId) => {
+    if (selectedStitchIds.size === 0) return;
+    setCurrentPattern((prev) => ({
+      ...prev,
+      stitches: prev.stitches.map((stitch) => (
+        selectedStitchIds.has(stitch.id) ? { ...stitch, layerId } : stitch
+      )),
+    }));
+    const target = layers.find((layer) => layer.id === layerId);
+    if (target && (!target.visible || target.locked)) {
+      setSelectedStitchIds(new Set());
+    }
+  }, [selectedStitchIds, layers]);
+
   const handleChangeRepeatPattern = useCallback((newRepeat) => {
     if (selectedStitchIds.size > 0) {
       // Update selected stitches
@@ -560,6 +785,14 @@ export default function PatternDesigner() {
     setCurrentPattern((prev) => ({ ...prev, description }));
   }, []);
 
+  const handlePatternTagsChange = useCallback((tags) => {
+    setCurrentPattern((prev) => ({ ...prev, tags: normalizeTags(tags) }));
+  }, []);
+
+  const handlePatternFolderChange = useCallback((folder) => {
+    setCurrentPattern((prev) => ({ ...prev, folder }));
+  }, []);
+
   const handleTileSizeChange = useCallback((axis, value) => {
     const newTileSize = {
       ...uiState.tileSize,
@@ -627,6 +860,33 @@ export default function PatternDesigner() {
     setCurrentPattern((prev) => ({ ...prev, gridSize }));
   }, [uiState]);
 
+  // Switching the grid moves every stitch and the tile onto the new lattice, keeping their physical size
+  const handleGridTypeChange = useCallback((nextGridType) => {
+    if (nextGridType === gridType) return;
+    const tileSize = convertTileSizeToGrid(normalizeTileSize(uiState.tileSize), gridType, nextGridType);
+    const stitches = convertStitchesToGrid(currentPattern.stitches, gridType, nextGridType);
+    uiState.setTileSize(tileSize);
+    setCurrentPattern((prev) => ({ ...prev, gridType: nextGridType, tileSize, stitches }));
+    setDrawingState((prev) => ({ ...prev, firstPoint: null }));
+
+    // Stitches shorter than one step of the new grid collapse to a point and are removed
+    const droppedCount = currentPattern.stitches.length - stitches.length;
+    if (droppedCount > 0) {
+      const keptIds = new Set(stitches.map(s => s.id));
+      setStitchColors(prevColors => {
+        const newColors = new Map(prevColors);
+        for (const [id] of prevColors) {
+          if (!keptIds.has(id)) {
+            newColors.delete(id);
+          }
+        }
+        return newColors;
+      });
+      setSelectedStitchIds(prevSelected => new Set([...prevSelected].filter(id => keptIds.has(id))));
+      toast.warning(`${droppedCount} stitch${droppedCount === 1 ? ' was' : 'es were'} too short for the new grid and removed`);
+    }
+  }, [uiState, gridType, currentPattern.stitches, setStitchColors, setSelectedStitchIds]);
+
   const handlePatternTilesChange = useCallback((axis, value) => {
     const newPatternTiles = {
       ...uiState.patternTiles,
@@ -646,6 +906,7 @@ export default function PatternDesigner() {
   const handleSelectPattern = useCallback((pattern) => {
     if (!pattern) return;
     const cloned = clonePattern(pattern);
+    // Undo history follows the pattern id, so this pattern's own history comes back with it
     setCurrentPattern(cloned);
     const colorMap = deriveColorMap(cloned);
     setStitchColors(colorMap);
@@ -684,42 +945,40 @@ export default function PatternDesigner() {
       if (cloned.tileSize) uiState.setTileSize(cloned.tileSize);
       if (cloned.patternTiles) uiState.setPatternTiles(cloned.patternTiles);
     }
-    
-    // Reset history with loaded pattern as initial state
-    historyManager.clearHistory({
-      pattern: { stitches: cloned.stitches },
-      stitchColors: colorMap,
-    });
-  }, [historyManager, uiState, setSelectedStitchColor, setStitchSize, setStitchWidth, setGapSize, setRepeatPattern]);
+  }, [uiState, setSelectedStitchColor, setStitchSize, setStitchWidth, setGapSize, setRepeatPattern]);
 
-  const handleSavePattern = useCallback(async () => {
-    const patternUiState = {
-      // Fabric and grid colors
-      backgroundColor: uiState.backgroundColor,
-      gridColor: uiState.gridColor,
-      tileOutlineColor: uiState.tileOutlineColor,
-      artboardOutlineColor: uiState.artboardOutlineColor,
-      // Artboard configuration
-      gridSize: uiState.gridSize,
-      tileSize: uiState.tileSize,
-      patternTiles: uiState.patternTiles,
-      // Stitch defaults
-      selectedStitchColor,
-      stitchSize,
-      stitchWidth,
-      gapSize,
-      repeatPattern,
-      // Display preferences
-      showGrid: uiState.showGrid,
-      displayUnit: uiState.displayUnit,
-      colorPresets: uiState.colorPresets,
-    };
-    
-    const result = await savePattern(currentPattern, stitchColors, patternUiState);
+  // UI state saved with a library pattern
+  const getPatternUiState = useCallback(() => ({
+    // Fabric and grid colors
+    backgroundColor: uiState.backgroundColor,
+    gridColor: uiState.gridColor,
+    tileOutlineColor: uiState.tileOutlineColor,
+    artboardOutlineColor: uiState.artboardOutlineColor,
+    // Artboard configuration
+    gridSize: uiState.gridSize,
+    tileSize: uiState.tileSize,
+    patternTiles: uiState.patternTiles,
+    // Stitch defaults
+    selectedStitchColor,
+    stitchSize,
+    stitchWidth,
+    gapSize,
+    repeatPattern,
+    // Display preferences
+    showGrid: uiState.showGrid,
+    displayUnit: uiState.displayUnit,
+    colorPresets: uiState.colorPresets,
+  }), [uiState, selectedStitchColor, stitchSize, stitchWidth, gapSize, repeatPattern]);
+
+  const handleSavePattern = useCallback(async ({ note } = {}) => {
+    const result = await savePattern(currentPattern, stitchColors, getPatternUiState(), { note });
     
     if (result.success) {
-      // Update current pattern ID if it changed (new pattern or renamed)
+      // Update current pattern ID if it changed (first save of a new or built-in pattern)
       if (result.pattern.id !== currentPattern.id) {
+        // The saved pattern keeps the undo history and reference photo that led to it
+        historyManager.adoptHistory(result.pattern.id);
+        referenceManager.adoptReference(result.pattern.id);
         setCurrentPattern({
           ...currentPattern,
           id: result.pattern.id,
@@ -728,10 +987,81 @@ export default function PatternDesigner() {
     } else {
       alert(`Failed to save pattern: ${result.error}`);
     }
-  }, [currentPattern, stitchColors, uiState, selectedStitchColor, stitchSize, stitchWidth, gapSize, repeatPattern, savePattern]);
+    return result.success;
+  }, [currentPattern, stitchColors, getPatternUiState, savePattern, historyManager, referenceManager]);
+
+  // Save As: a new library pattern under a new ID; the editor continues on the copy
+  const handleSavePatternAs = useCallback(async ({ name, note } = {}) => {
+    const result = await savePattern({ ...currentPattern, name }, stitchColors, getPatternUiState(), { note, asNew: true });
+    if (!result.success) {
+      toast.error(`Failed to save pattern: ${result.error}`);
+      return false;
+    }
+    // The copy takes the undo history along; the original keeps its stored history and photo
+    historyManager.adoptHistory(result.pattern.id);
+    referenceManager.adoptReference(result.pattern.id, { keepOriginal: true });
+    setCurrentPattern((prev) => ({ ...prev, id: result.pattern.id, name: result.pattern.name }));
+    toast.success(`Saved as "${result.pattern.name}"`);
+    return true;
+  }, [currentPattern, stitchColors, getPatternUiState, savePattern, historyManager, referenceManager]);
+
+  const handleRenamePattern = useCallback(async (patternId, name) => {
+    const result = await renamePattern(patternId, name);
+    if (!result.success) {
+      toast.error(`Failed to rename pattern: ${result.error}`);
+      return false;
+    }
+    // Keep the open pattern's name in step, so the next save doesn't undo the rename
+    if (currentPattern.id === patternId) {
+      setCurrentPattern((prev) => ({ ...prev, name: result.pattern.name }));
+    }
+    toast.success(`Renamed to "${result.pattern.name}"`);
+    return true;
+  }, [currentPattern.id, renamePattern]);
+
+  const handleDuplicatePattern = useCallback(async (pattern) => {
+    const result = await duplicatePattern(pattern);
+    if (!result.success) {
+      toast.error(`Failed to duplicate pattern: ${result.error}`);
+      return;
+    }
+    toast.success(`Created "${result.pattern.name}"`, {
+      action: {
+        label: 'Open',
+        onClick: () => handleSelectPattern(result.pattern),
+      },
+    });
+  }, [duplicatePattern, handleSelectPattern]);
 
-  const handleDeletePattern = useCallback((patternId) => {
-    removePattern(patternId);
+  const handleRestorePatternVersion = useCallback(async (versionId) => {
+    const result = await restoreVersion(versionId);
+    if (!result.success) {
+      toast.error(`Failed to restore version: ${result.error}`);
+      return false;
+    }
+    // Open the restored pattern (the editor's undo history can still go back to the state before)
+    handleSelectPattern(result.pattern);
+    toast.success('Version restored');
+    return true;
+  }, [restoreVersion, handleSelectPattern]);
+
+  const handleBranchPatternVersion = useCallback(async (versionId) => {
+    const result = await branchVersion(versionId);
+    if (!result.success) {
+      toast.error(`Failed to branch version: ${result.error}`);
+      return false;
+    }
+    handleSelectPattern(result.pattern);
+    toast.success(`Created "${result.pattern.name}"`);
+    return true;
+  }, [branchVersion, handleSelectPattern]);
+
+  const handleDeletePattern = useCallback(async (patternId) => {
+    const success = await removePattern(patternId);
+    if (!success) {
+      toast.error('Failed to move pattern to trash');
+      return;
+    }
     
     // If the deleted pattern was currently loaded, switch to blank
     if (currentPattern.id === patternId) {
@@ -739,8 +1069,105 @@ export default function PatternDesigner() {
     }
     
     // Show success toast
-    toast.success('Pattern deleted successfully');
-  }, [currentPattern.id, handleNewPattern, removePattern]);
+    toast.success('Pattern moved to trash', {
+      action: {
+        label: 'Undo',
+        onClick: () => restorePattern(patternId),
+      },
+    });
+  }, [currentPattern.id, handleNewPattern, removePattern, restorePattern]);
+
+  const handleRestoreTrashedPattern = useCallback(async (patternId) => {
+    const result = await restorePattern(patternId);
+    if (result.success) {
+      toast.success(`Restored "${result.pattern.name}"`);
+    } else {
+      toast.error(`Failed to restore pattern: ${result.error}`);
+    }
+  }, [restorePattern]);
+
+  const handleDeletePatternForever = useCallback(async (patternId) => {
+    const success = await deletePatternForever(patternId);
+    if (success) {
+      toast.success('Pattern deleted');
+    } else {
+      toast.error('Failed to delete pattern');
+    }
+  }, [deletePatternForever]);
+
+  const handleEmptyTrash = useCallback(async () => {
+    const count = await emptyTrash();
+    toast.success(`Deleted ${count} pattern${count === 1 ? '' : 's'}`);
+  }, [emptyTrash]);
+
+  // Share links: the pattern in the URL hash is previewed read-only, never loaded into the editor (or autosave) directly
+  const [sharedPattern, setSharedPattern] = useState(null);
+
+  useEffect(() => {
+    const openSharedPattern = async () => {
+      const data = getSharedPatternData(window.location.hash);
+      if (!data) return;
+      // Drop the hash so a reload doesn't open the preview again
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      const { pattern, errors } = await readSharedPattern(data);
+      if (!pattern) {
+        const [error] = errors;
+        toast.error("Couldn't open the shared pattern", {
+          description: `${error.path ? `${error.path} ` : 'The link '}${error.message}`,
+        });
+        return;
+      }
+      setSharedPattern(pattern);
+    };
+
+    openSharedPattern();
+    window.addEventListener('hashchange', openSharedPattern);
+    return () => window.removeEventListener('hashchange', openSharedPattern);
+  }, []);
+
+  const handleSaveSharedPattern = useCallback(async (pattern, { open }) => {
+    const result = await savePattern(pattern, new Map(), pattern.uiState, { note: 'Added from a share link', asNew: true });
+    if (!result.success) {
+      toast.error(`Failed to save pattern: ${result.error}`);
+      return false;
+    }
+    if (open) {
+      handleSelectPattern(result.pattern);
+    }
+    toast.success(`Added "${result.pattern.name}" to your library`);
+    return true;
+  }, [savePattern, handleSelectPattern]);
+
+  const handleExportLibrary = useCallback(async () => {
+    try {
+      const count = await exportLibrary(uiState);
+      toast.success(`Backed up ${count} pattern${count === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Failed to back up library:', error);
+      toast.error(`Failed to back up library: ${error.message}`);
+    }
+  }, [exportLibrary, uiState]);
+
+  const handleRestoreLibrary = useCallback(async (backup, { restoreSettings, ...options }) => {
+    const result = await restoreLibrary(backup, options);
+    if (!result.success) {
+      toast.error(`Failed to restore library: ${result.error}`);
+      return false;
+    }
+    if (restoreSettings) {
+      uiState.applyUiSettings(backup.uiSettings);
+    }
+    const { added, merged, overwritten, skipped } = result.summary;
+    toast.success('Library restored', {
+      description: [
+        `${added} added`,
+        merged > 0 && `${merged} merged`,
+        overwritten > 0 && `${overwritten} overwritten`,
+        skipped > 0 && `${skipped} skipped`,
+      ].filter(Boolean).join(', '),
+    });
+    return true;
+  }, [restoreLibrary, uiState]);
 
   const handleColorChange = useCallback((color) => {
     if (!color) return;
@@ -782,6 +1209,21 @@ export default function PatternDesigner() {
   }, [tempStitchColor, selectedStitchIds]);
 
   // Keyboard shortcuts
+  // Copy/cut/paste of selected stitches (system clipboard, pasted at the cursor)
+  const { copySelection, cutSelection, pasteStitches } = useStitchClipboard({
+    currentPattern,
+    stitchColors,
+    selectedStitchIds,
+    setCurrentPattern,
+    setStitchColors,
+    setSelectedStitchIds,
+    tileSize: uiState.tileSize,
+    gridType,
+    targetLayer: activeLayer,
+    onDeleteSelected: handleDeleteSelected,
+    getPasteTarget: useCallback(() => canvasRef.current?.getPointerGridPoint() ?? null, []),
+  });
+
   useKeyboardShortcuts({
     onUndo: handleUndo,
     onRedo: handleRedo,
@@ -791,6 +1233,19 @@ export default function PatternDesigner() {
     onToggleGrid: useCallback(() => uiState.setShowGrid((prev) => !prev), [uiState]),
     onDelete: handleDeleteSelected,
     onEscape: useCallback(() => setDrawingState((prev) => ({ ...prev, firstPoint: null })), []),
+    onNudge: useCallback((dx, dy) => {
+      // One arrow press moves to the next lattice point in that direction
+      const step = getNudgeStep(gridType);
+      handleTransformSelection({ type: 'translate', dx: dx * step.x, dy: dy * step.y });
+    }, [handleTransformSelection, gridType]),
+    onCopy: copySelection,
+    onCut: cutSelection,
+    onPaste: pasteStitches,
+    onZoomIn: useCallback(() => canvasRef.current?.zoomIn(), []),
+    onZoomOut: useCallback(() => canvasRef.current?.zoomOut(), []),
+    onZoomReset: useCallback(() => canvasRef.current?.resetZoom(), []),
+    onZoomToFit: useCallback(() => canvasRef.current?.zoomToFit(), []),
+    onZoomToSelection: useCallback(() => canvasRef.current?.zoomToSelection(), []),
     selectedCount: selectedStitchIds.size,
   });
 
@@ -809,10 +1264,16 @@ export default function PatternDesigner() {
         onPatternNameChange={handlePatternNameChange}
         patternDescription={currentPattern.description || ''}
         onPatternDescriptionChange={handlePatternDescriptionChange}
+        patternTags={currentPattern.tags ?? []}
+        onPatternTagsChange={handlePatternTagsChange}
+        patternFolder={currentPattern.folder ?? ''}
+        onPatternFolderChange={handlePatternFolderChange}
         tileSize={normalizeTileSize(uiState.tileSize)}
         onTileSizeChange={handleTileSizeChange}
         gridSize={uiState.gridSize || DEFAULT_GRID_SIZE}
         onGridSizeChange={handleGridSizeChange}
+        gridType={gridType}
+        onGridTypeChange={handleGridTypeChange}
         onCanvasSliderCommit={uiState.handleCanvasSliderCommit}
         displayUnit={uiState.displayUnit}
         onDisplayUnitChange={uiState.setDisplayUnit}
@@ -820,18 +1281,39 @@ export default function PatternDesigner() {
         artboardHeight={artboardHeight}
         onNewPattern={handleNewPattern}
         onSavePattern={handleSavePattern}
+        onSavePatternAs={handleSavePatternAs}
         saveState={saveState}
         onResetSettings={handleResetSettings}
         onExportPattern={exportPattern}
         onImportPattern={importPattern}
+        onCopyShareLink={copyShareLink}
         onExportImage={exportImage}
+        onExportSvg={exportSvg}
+        onExportPdf={exportPdf}
+        onPlanEmbroidery={planEmbroideryExport}
+        onExportEmbroidery={exportEmbroidery}
+        onPlanPlotter={planPlotterExport}
+        onExportPlotter={exportPlotter}
+        onExportDxf={exportDxf}
         onCopyPatternToClipboard={copyPatternToClipboard}
+        onExportLibrary={handleExportLibrary}
+        onReadLibraryBackup={readLibraryBackup}
+        onRestoreLibrary={handleRestoreLibrary}
         savedPatterns={savedPatterns}
         activePatternId={currentPattern.id}
         onSelectPattern={(pattern) => {
           handleSelectPattern(pattern);
         }}
         onDeletePattern={handleDeletePattern}
+        onLoadPatternVersions={loadVersions}
+        onRestorePatternVersion={handleRestorePatternVersion}
+        onBranchPatternVersion={handleBranchPatternVersion}
+        onRenamePattern={handleRenamePattern}
+        onDuplicatePattern={handleDuplicatePattern}
+        trashedPatterns={trashedPatterns}
+        onRestorePattern={handleRestoreTrashedPattern}
+        onDeletePatternForever={handleDeletePatternForever}
+        onEmptyTrash={handleEmptyTrash}
         gridColor={uiState.gridColor}
         onGridColorChange={uiState.handleGridColorChange}
         onGridColorPickerOpenChange={uiState.handleGridColorPickerOpenChange}
@@ -844,6 +1326,34 @@ export default function PatternDesigner() {
         colorPresets={uiState.colorPresets}
         onAddColorPreset={uiState.handleAddColorPreset}
         onRemoveColorPreset={uiState.handleRemoveColorPreset}
+        routePlannerOpen={isRoutePlannerOpen}
+        onRoutePlannerOpenChange={setIsRoutePlannerOpen}
+        stitchPlan={stitchPlan}
+        routeOverlay={routeOverlay}
+        onRouteOverlayChange={setRouteOverlay}
+        onRestartRoute={handleRestartRoute}
+        onGenerateHitomezashi={handleGenerateHitomezashi}
+        layers={layers}
+        activeLayerId={activeLayer.id}
+        stitches={currentPattern.stitches}
+        selectedCount={selectedStitchIds.size}
+        onSelectLayer={setActiveLayerId}
+        onAddLayer={handleAddLayer}
+        onUpdateLayer={handleUpdateLayer}
+        onMoveLayer={handleMoveLayer}
+        onDeleteLayer={handleDeleteLayer}
+        onMoveSelectionToLayer={handleMoveSelectionToLayer}
+        historyTree={historyManager.tree}
+        historyDepth={uiState.historyDepth}
+        onHistoryDepthChange={uiState.setHistoryDepth}
+        onJumpToHistory={handleJumpToHistory}
+        referenceImage={referenceManager.reference}
+        aligningReference={alignReference}
+        onAligningReferenceChange={setIsAligningReference}
+        onLoadReference={handleLoadReference}
+        onUpdateReference={referenceManager.updateReference}
+        onFitReference={handleFitReference}
+        onRemoveReference={referenceManager.removeReference}
       />
 
       {/* Main Content Area */}
@@ -853,10 +1363,16 @@ export default function PatternDesigner() {
             <Toolbar
               drawingMode={drawingState.mode}
               onModeChange={handleModeChange}
+              drawStyle={drawStyle}
+              onDrawStyleChange={handleDrawStyleChange}
               onSelectAll={handleSelectAll}
               onDeselectAll={handleDeselectAll}
               repeatPattern={repeatPattern}
               onRepeatPatternChange={handleChangeRepeatPattern}
+              symmetry={symmetry}
+              onSymmetryChange={setSymmetry}
+              tileSize={uiState.tileSize}
+              gridType={gridType}
               selectedStitchColor={selectedStitchColor}
               tempStitchColor={tempStitchColor}
               onSelectedStitchColorChange={handleColorChange}
@@ -910,7 +1426,8 @@ export default function PatternDesigner() {
             tempCurvature={tempCurvature}
             selectedStitchIds={selectedStitchIds}
             onSelectStitchIds={setSelectedStitchIds}
-            onAddStitch={handleAddStitch}
+            onAddStitches={handleAddStitches}
+            onTransformSelection={handleTransformSelection}
             drawingState={drawingState}
             onDrawingStateChange={setDrawingState}
             defaultStitchColor={defaultStitchColor}
@@ -919,13 +1436,31 @@ export default function PatternDesigner() {
             tileSize={uiState.tileSize}
             stitchSize={stitchSize}
             repeatPattern={repeatPattern}
+            symmetry={symmetry}
+            drawStyle={drawStyle}
+            drawColor={selectedStitchColor}
             showGrid={uiState.showGrid}
             gridColor={uiState.gridColor}
             tileOutlineColor={uiState.tileOutlineColor}
             artboardOutlineColor={uiState.artboardOutlineColor}
+            stitchRoute={routeOverlay.visible ? stitchPlan?.route : null}
+            routePlaying={routeOverlay.playing}
+            routeSpeed={routeOverlay.speed}
+            routeRestartKey={routeRestartKey}
+            onRouteFinished={handleRouteFinished}
+            referenceImage={referenceManager.reference}
+            referenceBitmap={referenceManager.image}
+            alignReference={alignReference}
+            onReferenceChange={referenceManager.updateReference}
           />
         </div>
       </main>
+      <SharedPatternDialog
+        open={sharedPattern !== null}
+        onOpenChange={(open) => !open && setSharedPattern(null)}
+        pattern={sharedPattern}
+        onSaveCopy={handleSaveSharedPattern}
+      />
       <Toaster />
     </SidebarProvider>
   );
@@ -0,0 +1,59 @@
+import { Button } from './ui/button';
+import { ScrollArea } from './ui/scroll-area';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+
+// Long lists (e.g. every stitch missing the same field) are cut off; the first errors show the problem
+const MAX_LISTED_ERRORS = 50;
+
+export function PatternImportErrorsDialog({
+  open,
+  onOpenChange,
+  fileName,
+  errors = [],
+  description = 'The file is not a valid Sashiko pattern. Fix the fields below, or export the pattern again from the app that made it.',
+}) {
+  const listedErrors = errors.slice(0, MAX_LISTED_ERRORS);
+  const hiddenCount = errors.length - listedErrors.length;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Couldn't import {fileName}</DialogTitle>
+          <DialogDescription>
+            {description}
+          </DialogDescription>
+        </DialogHeader>
+
+        <ScrollArea className="max-h-72 rounded-md border">
+          <ul className="space-y-1 p-3 text-sm">
+            {listedErrors.map((error, index) => (
+              <li key={index}>
+                <code className="rounded bg-muted px-1 py-0.5 text-xs">{error.path || 'File'}</code>{' '}
+                <span className="text-muted-foreground">{error.message}</span>
+              </li>
+            ))}
+          </ul>
+          {hiddenCount > 0 && (
+            <p className="px-3 pb-3 text-xs text-muted-foreground">
+              …and {hiddenCount} more error{hiddenCount === 1 ? '' : 's'}.
+            </p>
+          )}
+        </ScrollArea>
+
+        <DialogFooter>
+          <Button type="button" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
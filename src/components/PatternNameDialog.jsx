@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Spinner } from './ui/spinner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+
+// Asks for a pattern name (Save As and Rename)
+export function PatternNameDialog({
+  open,
+  onOpenChange,
+  title,
+  description,
+  confirmLabel,
+  initialName = '',
+  onConfirm,
+}) {
+  const [name, setName] = useState(initialName);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Start from the current name every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setName(initialName);
+    }
+  }, [open, initialName]);
+
+  const trimmedName = name.trim();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!trimmedName) return;
+    setIsWorking(true);
+    const success = await onConfirm(trimmedName);
+    setIsWorking(false);
+    if (success) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <form onSubmit={handleSubmit} className="grid gap-4">
+          <DialogHeader>
+            <DialogTitle>{title}</DialogTitle>
+            {description && <DialogDescription>{description}</DialogDescription>}
+          </DialogHeader>
+
+          <div className="grid gap-2">
+            <Label htmlFor="pattern-name-dialog-input">Name</Label>
+            <Input
+              id="pattern-name-dialog-input"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoFocus
+              onFocus={(e) => e.target.select()}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isWorking}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={!trimmedName || isWorking}>
+              {isWorking && <Spinner className="mr-1 h-4 w-4" />}
+              {confirmLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
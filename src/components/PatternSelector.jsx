@@ -1,63 +1,251 @@
-
-import { ChevronRight } from 'lucide-react';
+import { useMemo, useState } from 'react';
+import { ArrowLeft, ChevronRight, Search, SlidersHorizontal, Trash2 } from 'lucide-react';
 import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
 import { PatternCard } from './PatternCard';
+import { PatternTrash } from './PatternTrash';
+import {
+  COLOR_COUNT_FILTERS,
+  DEFAULT_LIBRARY_FILTERS,
+  SORT_OPTIONS,
+  STITCH_COUNT_FILTERS,
+  filterAndSortPatterns,
+  getLibraryFacets,
+  hasActiveFilters,
+  normalizeFolder,
+} from '../lib/patternSearch.js';
+
+const SECTION_TRIGGER_CLASS = 'text-sidebar-foreground/70 ring-sidebar-ring flex shrink-0 items-center justify-between w-full rounded-md px-3 py-3 text-sm font-medium outline-hidden transition-[margin,opacity] duration-200 ease-linear focus-visible:ring-2 hover:bg-sidebar-accent';
 
-export function PatternSelector({ patterns, activePatternId, onSelectPattern, onDeletePattern }) {
-  // Separate built-in patterns from user-saved patterns
-  const builtInPatterns = patterns.filter(p => p.isStarterPattern === true);
-  const userPatterns = patterns.filter(p => !p.isStarterPattern);
+// One collapsible group of pattern cards
+function PatternSection({ title, count, children }) {
+  return (
+    <Collapsible defaultOpen className="group/collapsible">
+      <CollapsibleTrigger className={SECTION_TRIGGER_CLASS}>
+        <span className="truncate">{title}</span>
+        <div className="flex items-center gap-2">
+          <span className="text-xs font-normal">{count}</span>
+          <ChevronRight className="h-4 w-4 transition-transform group-data-[state=open]/collapsible:rotate-90" />
+        </div>
+      </CollapsibleTrigger>
+      <CollapsibleContent>
+        <div className="grid gap-2 py-4">
+          {children}
+        </div>
+      </CollapsibleContent>
+    </Collapsible>
+  );
+}
+
+// Filter dropdown with an "any" entry first
+function FilterSelect({ label, value, onChange, options }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-full" size="sm" aria-label={label}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map((option) => (
+          <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+export function PatternSelector({
+  patterns,
+  activePatternId,
+  onSelectPattern,
+  onDeletePattern,
+  onLoadVersions,
+  onRestoreVersion,
+  onBranchVersion,
+  onRenamePattern,
+  onDuplicatePattern,
+  trashedPatterns = [],
+  onRestorePattern,
+  onDeletePatternForever,
+  onEmptyTrash,
+}) {
+  const [filters, setFilters] = useState(DEFAULT_LIBRARY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const facets = useMemo(() => getLibraryFacets(patterns), [patterns]);
+  const visiblePatterns = useMemo(() => filterAndSortPatterns(patterns, filters), [patterns, filters]);
+  const isFiltered = hasActiveFilters(filters);
+
+  // Separate built-in patterns from user-saved patterns; user patterns are grouped by folder
+  const builtInPatterns = visiblePatterns.filter(p => p.isStarterPattern === true);
+  const userPatterns = visiblePatterns.filter(p => !p.isStarterPattern);
+  const folderSections = facets.folders
+    .map((folder) => ({ folder, patterns: userPatterns.filter((p) => normalizeFolder(p.folder) === folder) }))
+    .filter((section) => section.patterns.length > 0);
+  const unfiledPatterns = userPatterns.filter((p) => !normalizeFolder(p.folder));
+
+  const renderCards = (list, canDelete) => list.map((pattern) => (
+    <PatternCard
+      key={pattern.id}
+      pattern={pattern}
+      isActive={activePatternId === pattern.id}
+      canDelete={canDelete}
+      onSelectPattern={onSelectPattern}
+      onDeletePattern={onDeletePattern}
+      onLoadVersions={onLoadVersions}
+      onRestoreVersion={onRestoreVersion}
+      onBranchVersion={onBranchVersion}
+      onRenamePattern={onRenamePattern}
+      onDuplicatePattern={onDuplicatePattern}
+    />
+  ));
+
+  if (showTrash) {
+    return (
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 px-1 pt-1">
+          <Button type="button" variant="ghost" size="sm" onClick={() => setShowTrash(false)}>
+            <ArrowLeft className="mr-1 h-4 w-4" />
+            Library
+          </Button>
+          <span className="text-sm font-medium">Trash</span>
+        </div>
+        <PatternTrash
+          patterns={trashedPatterns}
+          onRestorePattern={onRestorePattern}
+          onDeletePatternForever={onDeletePatternForever}
+          onEmptyTrash={onEmptyTrash}
+        />
+      </div>
+    );
+  }
 
   return (
     <div className="space-y-2">
-      {/* Built-in Patterns */}
-      <Collapsible defaultOpen className="group/collapsible">
-        <CollapsibleTrigger className="text-sidebar-foreground/70 ring-sidebar-ring flex shrink-0 items-center justify-between w-full rounded-md px-3 py-3 text-sm font-medium outline-hidden transition-[margin,opacity] duration-200 ease-linear focus-visible:ring-2 hover:bg-sidebar-accent">
-          <span>Starter Patterns</span>
-          <div className="flex items-center gap-2">
-            <ChevronRight className="h-4 w-4 transition-transform group-data-[state=open]/collapsible:rotate-90" />
+      {/* Search, sort and filters */}
+      <div className="space-y-2 px-1 pt-1">
+        <div className="flex items-center gap-2">
+          <div className="relative flex-1">
+            <Search className="pointer-events-none absolute left-2.5 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+            <Input
+              type="search"
+              value={filters.query}
+              onChange={(e) => setFilter('query', e.target.value)}
+              placeholder="Search name, description, tags"
+              aria-label="Search patterns"
+              className="pl-8"
+            />
           </div>
-        </CollapsibleTrigger>
-        <CollapsibleContent>
-          <div className="grid gap-2 py-4">
-            {builtInPatterns.map((pattern) => (
-              <PatternCard
-                key={pattern.id}
-                pattern={pattern}
-                isActive={activePatternId === pattern.id}
-                canDelete={false}
-                onSelectPattern={onSelectPattern}
-                onDeletePattern={onDeletePattern}
-              />
-            ))}
+          <Button
+            type="button"
+            variant={showFilters ? 'secondary' : 'outline'}
+            size="icon"
+            onClick={() => setShowFilters(!showFilters)}
+            title="Filters"
+            aria-pressed={showFilters}
+          >
+            <SlidersHorizontal className="h-4 w-4" />
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            className="relative"
+            onClick={() => setShowTrash(true)}
+            title={`Trash (${trashedPatterns.length})`}
+          >
+            <Trash2 className="h-4 w-4" />
+            {trashedPatterns.length > 0 && (
+              <span className="absolute -right-1 -top-1 flex h-4 min-w-4 items-center justify-center rounded-full bg-primary px-1 text-[10px] text-primary-foreground">
+                {trashedPatterns.length}
+              </span>
+            )}
+          </Button>
+        </div>
+
+        {showFilters && (
+          <div className="grid grid-cols-2 gap-2">
+            <FilterSelect
+              label="Sort by"
+              value={filters.sortBy}
+              onChange={(value) => setFilter('sortBy', value)}
+              options={[
+                { value: SORT_OPTIONS.updated, label: 'Last updated' },
+                { value: SORT_OPTIONS.created, label: 'Date created' },
+                { value: SORT_OPTIONS.name, label: 'Name' },
+              ]}
+            />
+            <FilterSelect
+              label="Folder"
+              value={filters.folder}
+              onChange={(value) => setFilter('folder', value)}
+              options={[{ value: 'any', label: 'All folders' }, ...facets.folders.map((folder) => ({ value: folder, label: folder }))]}
+            />
+            <FilterSelect
+              label="Tag"
+              value={filters.tag}
+              onChange={(value) => setFilter('tag', value)}
+              options={[{ value: 'any', label: 'All tags' }, ...facets.tags.map((tag) => ({ value: tag, label: tag }))]}
+            />
+            <FilterSelect
+              label="Tile size"
+              value={filters.tileSize}
+              onChange={(value) => setFilter('tileSize', value)}
+              options={[{ value: 'any', label: 'Any tile size' }, ...facets.tileSizes.map((size) => ({ value: size, label: `${size} tile` }))]}
+            />
+            <FilterSelect
+              label="Colors"
+              value={filters.colorCount}
+              onChange={(value) => setFilter('colorCount', value)}
+              options={Object.entries(COLOR_COUNT_FILTERS).map(([value, { label }]) => ({ value, label }))}
+            />
+            <FilterSelect
+              label="Stitches"
+              value={filters.stitchCount}
+              onChange={(value) => setFilter('stitchCount', value)}
+              options={Object.entries(STITCH_COUNT_FILTERS).map(([value, { label }]) => ({ value, label }))}
+            />
+          </div>
+        )}
+
+        {isFiltered && (
+          <div className="flex items-center justify-between text-xs text-muted-foreground">
+            <span>{visiblePatterns.length} of {patterns.length} patterns</span>
+            <button
+              type="button"
+              className="underline-offset-2 hover:text-foreground hover:underline"
+              onClick={() => setFilters((prev) => ({ ...DEFAULT_LIBRARY_FILTERS, sortBy: prev.sortBy }))}
+            >
+              Clear filters
+            </button>
           </div>
-        </CollapsibleContent>
-      </Collapsible>
+        )}
+      </div>
+
+      {visiblePatterns.length === 0 && (
+        <p className="px-3 py-6 text-center text-sm text-muted-foreground">No patterns match.</p>
+      )}
+
+      {/* Built-in Patterns */}
+      {builtInPatterns.length > 0 && (
+        <PatternSection title="Starter Patterns" count={builtInPatterns.length}>
+          {renderCards(builtInPatterns, false)}
+        </PatternSection>
+      )}
 
-      {/* User Saved Patterns */}
-      {userPatterns.length > 0 && (
-        <Collapsible defaultOpen className="group/collapsible">
-          <CollapsibleTrigger className="text-sidebar-foreground/70 ring-sidebar-ring flex shrink-0 items-center justify-between w-full rounded-md px-3 py-3 text-sm font-medium outline-hidden transition-[margin,opacity] duration-200 ease-linear focus-visible:ring-2 hover:bg-sidebar-accent">
-            <span>My Patterns</span>
-            <div className="flex items-center gap-2">
-              <ChevronRight className="h-4 w-4 transition-transform group-data-[state=open]/collapsible:rotate-90" />
-            </div>
-          </CollapsibleTrigger>
-          <CollapsibleContent>
-            <div className="grid gap-2 py-4">
-              {userPatterns.map((pattern) => (
-                <PatternCard
-                  key={pattern.id}
-                  pattern={pattern}
-                  isActive={activePatternId === pattern.id}
-                  canDelete={true}
-                  onSelectPattern={onSelectPattern}
-                  onDeletePattern={onDeletePattern}
-                />
-              ))}
-            </div>
-          </CollapsibleContent>
-        </Collapsible>
+      {/* User Saved Patterns, one section per folder */}
+      {folderSections.map(({ folder, patterns: folderPatterns }) => (
+        <PatternSection key={folder} title={folder} count={folderPatterns.length}>
+          {renderCards(folderPatterns, true)}
+        </PatternSection>
+      ))}
+      {unfiledPatterns.length > 0 && (
+        <PatternSection title="My Patterns" count={unfiledPatterns.length}>
+          {renderCards(unfiledPatterns, true)}
+        </PatternSection>
       )}
     </div>
   );
@@ -0,0 +1,95 @@
+import { toast } from 'sonner';
+import { RotateCcw, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { TRASH_RETENTION_DAYS } from '../lib/patternStorage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getDaysLeft(deletedAt) {
+  return Math.max(0, Math.ceil((deletedAt + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS));
+}
+
+// Same confirm toast as clearing the artboard
+function confirmDelete(title, description, onConfirm) {
+  toast.warning(title, {
+    description,
+    duration: Infinity,
+    action: {
+      label: 'Delete',
+      onClick: () => onConfirm(),
+    },
+    cancel: {
+      label: 'Cancel',
+    },
+  });
+}
+
+export function PatternTrash({
+  patterns,
+  onRestorePattern,
+  onDeletePatternForever,
+  onEmptyTrash,
+}) {
+  if (patterns.length === 0) {
+    return (
+      <p className="px-3 py-6 text-center text-sm text-muted-foreground">
+        Trash is empty. Deleted patterns stay here for {TRASH_RETENTION_DAYS} days.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2 px-1 text-xs text-muted-foreground">
+        <span>Deleted after {TRASH_RETENTION_DAYS} days</span>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          className="text-destructive"
+          onClick={() => confirmDelete(
+            'Empty trash?',
+            `${patterns.length} pattern${patterns.length === 1 ? '' : 's'} and their versions will be deleted for good.`,
+            onEmptyTrash
+          )}
+        >
+          Empty Trash
+        </Button>
+      </div>
+
+      <ul className="grid gap-2">
+        {patterns.map((pattern) => {
+          const daysLeft = getDaysLeft(pattern.deletedAt);
+          return (
+            <li key={pattern.id} className="rounded-lg border border-border bg-card/60 p-3">
+              <div className="truncate text-sm font-medium">{pattern.name}</div>
+              <div className="text-xs text-muted-foreground">
+                Deleted {new Date(pattern.deletedAt).toLocaleDateString()} · {daysLeft === 0 ? 'removed today' : `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`}
+              </div>
+              <div className="mt-2 grid grid-cols-2 gap-2">
+                <Button type="button" variant="outline" size="sm" onClick={() => onRestorePattern(pattern.id)}>
+                  <RotateCcw className="mr-1 h-4 w-4" />
+                  Restore
+                </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  className="text-destructive"
+                  onClick={() => confirmDelete(
+                    `Delete "${pattern.name}" forever?`,
+                    'Its versions and undo history are deleted too.',
+                    () => onDeletePatternForever(pattern.id)
+                  )}
+                >
+                  <Trash2 className="mr-1 h-4 w-4" />
+                  Delete
+                </Button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Button } from './ui/button';
+import { ScrollArea } from './ui/scroll-area';
+import { Spinner } from './ui/spinner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { buildPatternSvg } from '../lib/svgExport.js';
+import { deriveColorMap } from '../lib/patternUtils.js';
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Render a stored version the way the SVG export would, with its own fabric color
+function getVersionPreviewUrl(pattern) {
+  const svg = buildPatternSvg(pattern, {
+    stitchColors: deriveColorMap(pattern),
+    backgroundColor: pattern.uiState?.backgroundColor,
+    artboardOutlineColor: pattern.uiState?.artboardOutlineColor,
+    includeTileOutlines: true,
+  });
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+export function PatternVersionsDialog({
+  open,
+  onOpenChange,
+  pattern,
+  onLoadVersions,
+  onRestoreVersion,
+  onBranchVersion,
+}) {
+  const [versions, setVersions] = useState(null);
+  const [selectedVersionId, setSelectedVersionId] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Reload the list every time the dialog opens (saves add versions in the meantime)
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    setVersions(null);
+    onLoadVersions(pattern.id).then((loaded) => {
+      if (cancelled) return;
+      setVersions(loaded);
+      setSelectedVersionId(loaded[0]?.id ?? null);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, pattern.id, onLoadVersions]);
+
+  const selectedVersion = versions?.find((version) => version.id === selectedVersionId) ?? null;
+  const previewUrl = useMemo(
+    () => (selectedVersion ? getVersionPreviewUrl(selectedVersion.pattern) : null),
+    [selectedVersion]
+  );
+  const isLatest = selectedVersion !== null && selectedVersion.id === versions?.[0]?.id;
+
+  const handleAction = async (action) => {
+    if (!selectedVersion) return;
+    setIsWorking(true);
+    const success = await action(selectedVersion.id);
+    setIsWorking(false);
+    if (success) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Versions of {pattern.name}</DialogTitle>
+          <DialogDescription>
+            Every save is kept as a version. Restore one to make it the saved pattern again, or branch it into a new pattern.
+          </DialogDescription>
+        </DialogHeader>
+
+        {versions === null ? (
+          <div className="flex h-64 items-center justify-center">
+            <Spinner className="h-5 w-5" />
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="py-8 text-center text-sm text-muted-foreground">
+            No versions yet. Save the pattern to record one.
+          </p>
+        ) : (
+          <div className="grid gap-4 sm:grid-cols-[14rem_1fr]">
+            <ScrollArea className="h-72 rounded-md border">
+              <div className="space-y-0.5 p-1">
+                {versions.map((version, index) => (
+                  <button
+                    key={version.id}
+                    type="button"
+                    className={`w-full rounded-md border px-2 py-1.5 text-left text-sm ${version.id === selectedVersionId ? 'border-primary bg-accent' : 'border-transparent hover:bg-accent/50'}`}
+                    onClick={() => setSelectedVersionId(version.id)}
+                  >
+                    <div className="font-medium">
+                      {formatDate(version.createdAt)}
+                      {index === 0 && <span className="ml-1 text-xs text-muted-foreground">(latest)</span>}
+                    </div>
+                    {version.note && (
+                      <div className="truncate text-xs text-muted-foreground" title={version.note}>{version.note}</div>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </ScrollArea>
+
+            {selectedVersion && (
+              <div className="space-y-2">
+                <div className="flex h-64 items-center justify-center rounded-md border bg-muted/50 p-2">
+                  <img
+                    src={previewUrl}
+                    alt={`Preview of ${selectedVersion.pattern.name}`}
+                    className="max-h-full max-w-full object-contain"
+                  />
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {selectedVersion.pattern.name} · {selectedVersion.pattern.stitches.length} stitch{selectedVersion.pattern.stitches.length === 1 ? '' : 'es'}
+                </p>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button
+            type="button"
+            variant="outline"
+            disabled={!selectedVersion || isWorking}
+            onClick={() => handleAction(onBranchVersion)}
+          >
+            Branch into New Pattern
+          </Button>
+          <Button
+            type="button"
+            disabled={!selectedVersion || isLatest || isWorking}
+            onClick={() => handleAction(onRestoreVersion)}
+          >
+            Restore
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,208 @@
+import { useMemo, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { calculatePdfLayout, PAPER_SIZES, PDF_EXPORT_DEFAULTS } from '../lib/pdfExport.js';
+import { pxToMm } from '../lib/unitConverter.js';
+
+const MIN_CELL_SIZE_MM = 1;
+const MAX_CELL_SIZE_MM = 50;
+
+export function PdfExportDialog({
+  open,
+  onOpenChange,
+  tileSize,
+  patternTiles,
+  gridSize,
+  gridType,
+  onExport,
+}) {
+  const [cellSizeMm, setCellSizeMm] = useState(String(PDF_EXPORT_DEFAULTS.cellSizeMm));
+  const [paperSize, setPaperSize] = useState(PDF_EXPORT_DEFAULTS.paperSize);
+  const [orientation, setOrientation] = useState(PDF_EXPORT_DEFAULTS.orientation);
+  const [overlapMm, setOverlapMm] = useState(String(PDF_EXPORT_DEFAULTS.overlapMm));
+  const [stitchColorMode, setStitchColorMode] = useState(PDF_EXPORT_DEFAULTS.stitchColorMode);
+  const [includeBackground, setIncludeBackground] = useState(PDF_EXPORT_DEFAULTS.includeBackground);
+  const [includeGrid, setIncludeGrid] = useState(PDF_EXPORT_DEFAULTS.includeGrid);
+
+  const parsedCellSize = parseFloat(cellSizeMm);
+  const parsedOverlap = parseFloat(overlapMm);
+  const isCellSizeValid = Number.isFinite(parsedCellSize) &&
+    parsedCellSize >= MIN_CELL_SIZE_MM && parsedCellSize <= MAX_CELL_SIZE_MM;
+  const isOverlapValid = Number.isFinite(parsedOverlap) && parsedOverlap >= 0;
+
+  const layout = useMemo(() => {
+    if (!isCellSizeValid || !isOverlapValid) return null;
+    return calculatePdfLayout({
+      tileSize,
+      patternTiles,
+      cellSizeMm: parsedCellSize,
+      gridType,
+      paperSize,
+      orientation,
+      overlapMm: parsedOverlap,
+    });
+  }, [tileSize, patternTiles, parsedCellSize, gridType, paperSize, orientation, parsedOverlap, isCellSizeValid, isOverlapValid]);
+
+  const handleExport = () => {
+    if (!layout) return;
+    onExport({
+      cellSizeMm: parsedCellSize,
+      paperSize,
+      orientation,
+      overlapMm: parsedOverlap,
+      stitchColorMode,
+      includeBackground,
+      includeGrid,
+    });
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export Print PDF</DialogTitle>
+          <DialogDescription>
+            Print the artboard at real size, split over pages with overlap guides and a 10 cm calibration ruler.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 text-sm">
+          <div className="space-y-2">
+            <Label htmlFor="pdf-cell-size">Grid Cell Size (mm)</Label>
+            <Input
+              id="pdf-cell-size"
+              type="number"
+              min={MIN_CELL_SIZE_MM}
+              max={MAX_CELL_SIZE_MM}
+              step={0.5}
+              value={cellSizeMm}
+              onChange={(e) => setCellSizeMm(e.target.value)}
+              aria-invalid={!isCellSizeValid}
+            />
+            <p className="text-xs text-muted-foreground">
+              One grid cell is {gridSize}px on screen (≈{pxToMm(gridSize)}mm at 96 DPI).
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label>Paper</Label>
+              <Select value={paperSize} onValueChange={setPaperSize}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(PAPER_SIZES).map(([key, paper]) => (
+                    <SelectItem key={key} value={key}>{paper.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Orientation</Label>
+              <Select value={orientation} onValueChange={setOrientation}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="portrait">Portrait</SelectItem>
+                  <SelectItem value="landscape">Landscape</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="pdf-overlap">Page Overlap (mm)</Label>
+              <Input
+                id="pdf-overlap"
+                type="number"
+                min={0}
+                max={30}
+                step={1}
+                value={overlapMm}
+                onChange={(e) => setOverlapMm(e.target.value)}
+                aria-invalid={!isOverlapValid}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Stitch Color</Label>
+              <Select value={stitchColorMode} onValueChange={setStitchColorMode}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="black">Black (ink saving)</SelectItem>
+                  <SelectItem value="original">Thread colors</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label>Fabric Background</Label>
+              <Select value={includeBackground ? 'on' : 'off'} onValueChange={(value) => setIncludeBackground(value === 'on')}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="off">Off</SelectItem>
+                  <SelectItem value="on">On</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Grid Dots &amp; Tiles</Label>
+              <Select value={includeGrid ? 'on' : 'off'} onValueChange={(value) => setIncludeGrid(value === 'on')}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="on">On</SelectItem>
+                  <SelectItem value="off">Off</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="rounded-md border border-border bg-muted/50 p-3 text-xs text-muted-foreground">
+            {layout ? (
+              <>
+                <p>
+                  Finished size: {(layout.artboardWidth / 10).toFixed(1)} × {(layout.artboardHeight / 10).toFixed(1)} cm
+                </p>
+                <p>
+                  {layout.columns * layout.rows} pattern page{layout.columns * layout.rows === 1 ? '' : 's'} ({layout.columns} across × {layout.rows} down) + cover page
+                </p>
+              </>
+            ) : (
+              <p>Enter a cell size between {MIN_CELL_SIZE_MM} and {MAX_CELL_SIZE_MM} mm.</p>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={handleExport} disabled={!layout}>
+            Export PDF
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
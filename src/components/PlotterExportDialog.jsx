@@ -0,0 +1,241 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { Textarea } from './ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { PLOTTER_EXPORT_DEFAULTS, PLOTTER_FORMATS, PLOTTER_ORIGINS } from '../lib/plotterExport.js';
+
+const MIN_CELL_SIZE_MM = 1;
+const MAX_CELL_SIZE_MM = 50;
+
+function formatMeters(mm) {
+  return mm >= 1000 ? `${(mm / 1000).toFixed(2)} m` : `${(mm / 10).toFixed(1)} cm`;
+}
+
+// Pen/cutting plotter export: HPGL or G-code with pen commands, scale and origin, plus the pen travel it needs
+export function PlotterExportDialog({
+  open,
+  onOpenChange,
+  onPlan,
+  onExport,
+}) {
+  const [format, setFormat] = useState(PLOTTER_EXPORT_DEFAULTS.format);
+  const [geometry, setGeometry] = useState(PLOTTER_EXPORT_DEFAULTS.geometry);
+  const [cellSizeMm, setCellSizeMm] = useState(String(PLOTTER_EXPORT_DEFAULTS.cellSizeMm));
+  const [origin, setOrigin] = useState(PLOTTER_EXPORT_DEFAULTS.origin);
+  const [penPerColor, setPenPerColor] = useState(PLOTTER_EXPORT_DEFAULTS.penPerColor);
+  const [units, setUnits] = useState(PLOTTER_EXPORT_DEFAULTS.units);
+  const [feedRate, setFeedRate] = useState(String(PLOTTER_EXPORT_DEFAULTS.feedRate));
+  const [penUpCommand, setPenUpCommand] = useState(PLOTTER_EXPORT_DEFAULTS.penUpCommand);
+  const [penDownCommand, setPenDownCommand] = useState(PLOTTER_EXPORT_DEFAULTS.penDownCommand);
+  const [plan, setPlan] = useState(null);
+
+  const isGcode = format === 'gcode';
+  const parsedCellSize = parseFloat(cellSizeMm);
+  const parsedFeedRate = parseFloat(feedRate);
+  const isCellSizeValid = Number.isFinite(parsedCellSize) &&
+    parsedCellSize >= MIN_CELL_SIZE_MM && parsedCellSize <= MAX_CELL_SIZE_MM;
+  const isFeedRateValid = !isGcode || (Number.isFinite(parsedFeedRate) && parsedFeedRate > 0);
+
+  // Only the options that change the pen paths trigger a new plan
+  const planOptions = useMemo(
+    () => (isCellSizeValid ? { geometry, cellSizeMm: parsedCellSize, penPerColor } : null),
+    [geometry, parsedCellSize, penPerColor, isCellSizeValid]
+  );
+
+  useEffect(() => {
+    setPlan(open && planOptions ? onPlan(planOptions) : null);
+  }, [open, planOptions, onPlan]);
+
+  const isEmpty = plan !== null && plan.pathCount === 0;
+  const canExport = planOptions !== null && isFeedRateValid && !isEmpty;
+
+  const handleExport = () => {
+    if (!canExport) return;
+    onExport({
+      ...planOptions,
+      format,
+      origin,
+      units,
+      feedRate: parsedFeedRate,
+      penUpCommand,
+      penDownCommand,
+    });
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export for Plotter</DialogTitle>
+          <DialogDescription>
+            Draw the stitch lines onto fabric with a pen or cutting plotter. Paths are ordered to keep pen travel short.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 text-sm">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label>Format</Label>
+              <Select value={format} onValueChange={setFormat}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(PLOTTER_FORMATS).map(([key, plotterFormat]) => (
+                    <SelectItem key={key} value={key}>
+                      {plotterFormat.label} ({plotterFormat.extension})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Draw</Label>
+              <Select value={geometry} onValueChange={setGeometry}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="dashes">Stitch dashes</SelectItem>
+                  <SelectItem value="lines">Whole lines</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="plotter-cell-size">Grid Cell Size (mm)</Label>
+              <Input
+                id="plotter-cell-size"
+                type="number"
+                min={MIN_CELL_SIZE_MM}
+                max={MAX_CELL_SIZE_MM}
+                step={0.5}
+                value={cellSizeMm}
+                onChange={(e) => setCellSizeMm(e.target.value)}
+                aria-invalid={!isCellSizeValid}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Origin (0,0)</Label>
+              <Select value={origin} onValueChange={setOrigin}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(PLOTTER_ORIGINS).map(([key, label]) => (
+                    <SelectItem key={key} value={key}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {isGcode && (
+            <>
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label>Units</Label>
+                  <Select value={units} onValueChange={setUnits}>
+                    <SelectTrigger className="w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="mm">Millimeters (G21)</SelectItem>
+                      <SelectItem value="in">Inches (G20)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="plotter-feed-rate">Feed Rate (mm/min)</Label>
+                  <Input
+                    id="plotter-feed-rate"
+                    type="number"
+                    min={1}
+                    step={100}
+                    value={feedRate}
+                    onChange={(e) => setFeedRate(e.target.value)}
+                    aria-invalid={!isFeedRateValid}
+                  />
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label htmlFor="plotter-pen-up">Pen Up Command</Label>
+                  <Textarea
+                    id="plotter-pen-up"
+                    rows={2}
+                    value={penUpCommand}
+                    onChange={(e) => setPenUpCommand(e.target.value)}
+                    className="font-mono text-xs"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="plotter-pen-down">Pen Down Command</Label>
+                  <Textarea
+                    id="plotter-pen-down"
+                    rows={2}
+                    value={penDownCommand}
+                    onChange={(e) => setPenDownCommand(e.target.value)}
+                    className="font-mono text-xs"
+                  />
+                </div>
+              </div>
+            </>
+          )}
+
+          <div className="flex items-center gap-2">
+            <input
+              id="plotter-pen-per-color"
+              type="checkbox"
+              checked={penPerColor}
+              onChange={(e) => setPenPerColor(e.target.checked)}
+              className="h-4 w-4 accent-primary"
+            />
+            <Label htmlFor="plotter-pen-per-color" className="font-normal">
+              {isGcode ? 'Pause for a pen change per thread color' : 'One pen per thread color'}
+            </Label>
+          </div>
+
+          <div className="rounded-md border border-border bg-muted/50 p-3 text-xs text-muted-foreground">
+            {!isCellSizeValid ? (
+              <p>Enter a cell size between {MIN_CELL_SIZE_MM} and {MAX_CELL_SIZE_MM} mm.</p>
+            ) : isEmpty ? (
+              <p>There are no visible stitches to export.</p>
+            ) : plan && (
+              <>
+                <p>
+                  Artboard: {(plan.width / 10).toFixed(1)} × {(plan.height / 10).toFixed(1)} cm
+                </p>
+                <p>
+                  {plan.pathCount.toLocaleString()} path{plan.pathCount === 1 ? '' : 's'} · {formatMeters(plan.drawLength)} drawn · {formatMeters(plan.travelLength)} pen-up travel
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={handleExport} disabled={!canExport}>
+            Export {PLOTTER_FORMATS[format].label}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,174 @@
+import { useRef, useState } from 'react';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Slider } from './ui/slider';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { ChevronRight, Eye, EyeOff, ImagePlus, Maximize, Move, Trash2 } from 'lucide-react';
+import { toast } from 'sonner';
+import { MAX_REFERENCE_SCALE, MIN_REFERENCE_SCALE } from '../lib/referenceImage.js';
+
+// Photo of an existing piece shown beneath the grid for tracing: load, place, align and hide it
+export function ReferenceImagePanel({
+  reference,
+  aligning,
+  onAligningChange,
+  onLoad,
+  onUpdate,
+  onFit,
+  onRemove,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files ?? [];
+    if (!file) return;
+    event.target.value = '';
+    try {
+      await onLoad(file);
+      setIsOpen(true);
+    } catch (error) {
+      console.error('Failed to load reference image:', error);
+      toast.error(`Failed to load photo: ${error.message}`);
+    }
+  };
+
+  const handleRemove = () => {
+    onAligningChange(false);
+    onRemove();
+  };
+
+  const opacityPercent = Math.round((reference?.opacity ?? 0) * 100);
+  const scalePercent = Math.round((reference?.scale ?? 1) * 100);
+  const rotation = Math.round(reference?.rotation ?? 0);
+
+  return (
+    <Card>
+      <CardContent className="text-sm">
+        <Collapsible open={isOpen} onOpenChange={setIsOpen} className="space-y-2">
+          <CollapsibleTrigger className="flex w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm font-medium hover:bg-accent">
+            <span>Reference Photo</span>
+            <ChevronRight className={`h-4 w-4 transition-transform duration-200 ${isOpen ? 'rotate-90' : ''}`} />
+          </CollapsibleTrigger>
+          <CollapsibleContent className="space-y-4 pt-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              className="hidden"
+              onChange={handleFileChange}
+            />
+
+            {!reference ? (
+              <>
+                <p className="text-xs text-muted-foreground">
+                  Load a photo of an existing piece to trace it. It is shown beneath the grid and saved with this pattern only.
+                </p>
+                <Button variant="outline" size="sm" className="w-full" onClick={() => fileInputRef.current?.click()}>
+                  <ImagePlus />
+                  Load Photo…
+                </Button>
+              </>
+            ) : (
+              <>
+                <div className="flex items-center gap-1">
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7"
+                    title={reference.visible ? 'Hide photo' : 'Show photo'}
+                    onClick={() => {
+                      if (reference.visible) onAligningChange(false);
+                      onUpdate({ visible: !reference.visible });
+                    }}
+                  >
+                    {reference.visible ? <Eye className="h-3.5 w-3.5" /> : <EyeOff className="h-3.5 w-3.5 text-muted-foreground" />}
+                  </Button>
+                  <span className={`flex-1 truncate ${reference.visible ? '' : 'text-muted-foreground'}`} title={reference.name}>
+                    {reference.name || 'Reference photo'}
+                  </span>
+                  <Button variant="ghost" size="icon" className="h-7 w-7" title="Remove photo" onClick={handleRemove}>
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </div>
+
+                <div className="space-y-2">
+                  <Label>Opacity: {opacityPercent}%</Label>
+                  <Slider
+                    min={5}
+                    max={100}
+                    step={5}
+                    value={[opacityPercent]}
+                    onValueChange={(values) => onUpdate({ opacity: values[0] / 100 })}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label>Scale: {scalePercent}%</Label>
+                  <Slider
+                    min={MIN_REFERENCE_SCALE * 100}
+                    max={MAX_REFERENCE_SCALE * 100}
+                    step={1}
+                    value={[scalePercent]}
+                    onValueChange={(values) => onUpdate({ scale: values[0] / 100 })}
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label>Rotation: {rotation}°</Label>
+                  <Slider
+                    min={-180}
+                    max={180}
+                    step={1}
+                    value={[rotation]}
+                    onValueChange={(values) => onUpdate({ rotation: values[0] })}
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-2">
+                  <Button
+                    variant={aligning ? 'default' : 'outline'}
+                    size="sm"
+                    disabled={!reference.visible}
+                    onClick={() => onAligningChange(!aligning)}
+                  >
+                    <Move />
+                    {aligning ? 'Done' : 'Align Corners'}
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={onFit}>
+                    <Maximize />
+                    Fit to Artboard
+                  </Button>
+                </div>
+                {aligning && (
+                  <p className="text-xs text-muted-foreground">
+                    Drag each corner handle onto the grid point it belongs to (handles snap to nearby grid points) to straighten a photo taken at an angle. Drag inside the photo to move it.
+                  </p>
+                )}
+
+                <div className="flex items-center gap-2">
+                  <input
+                    id="reference-include-in-export"
+                    type="checkbox"
+                    checked={reference.includeInExport}
+                    onChange={(e) => onUpdate({ includeInExport: e.target.checked })}
+                    className="h-4 w-4 accent-primary"
+                  />
+                  <Label htmlFor="reference-include-in-export" className="font-normal">
+                    Include in PNG and JSON exports
+                  </Label>
+                </div>
+
+                <Button variant="outline" size="sm" className="w-full" onClick={() => fileInputRef.current?.click()}>
+                  <ImagePlus />
+                  Replace Photo…
+                </Button>
+              </>
+            )}
+          </CollapsibleContent>
+        </Collapsible>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,68 @@
+import { FlipHorizontal2, FlipVertical2, RotateCcw, RotateCw } from 'lucide-react';
+import { Button } from './ui/button';
+import { ButtonGroup } from './ui/button-group';
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
+import { ROTATION_STEPS, SCALE_FACTORS } from '../lib/stitchTransform.js';
+
+// Floating actions shown above the selection's transform box
+export function SelectionTransformBar({
+  left,
+  top,
+  onTransform,
+  rotationSteps = ROTATION_STEPS,
+}) {
+  const renderAction = (key, label, content, transform) => (
+    <Tooltip key={key}>
+      <TooltipTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-7 min-w-7 px-1.5 text-xs"
+          onClick={(event) => {
+            event.stopPropagation();
+            onTransform(transform);
+          }}
+        >
+          {content}
+        </Button>
+      </TooltipTrigger>
+      <TooltipContent>
+        <p>{label}</p>
+      </TooltipContent>
+    </Tooltip>
+  );
+
+  return (
+    <TooltipProvider>
+      <div
+        className="absolute z-10 flex gap-1 rounded-md border border-border bg-background/95 p-1 shadow-sm"
+        style={{ left, top, transform: 'translateY(-100%)' }}
+        onMouseDown={(event) => event.stopPropagation()}
+      >
+        <ButtonGroup>
+          {rotationSteps.map((angle) => renderAction(
+            `rotate-${angle}`,
+            `Rotate ${Math.abs(angle)}° ${angle < 0 ? 'counter-clockwise' : 'clockwise'}`,
+            <span className="flex items-center gap-0.5">
+              {angle < 0 ? <RotateCcw className="h-3.5 w-3.5" /> : <RotateCw className="h-3.5 w-3.5" />}
+              {Math.abs(angle)}°
+            </span>,
+            { type: 'rotate', angle }
+          ))}
+        </ButtonGroup>
+        <ButtonGroup>
+          {renderAction('flip-horizontal', 'Flip Horizontally', <FlipHorizontal2 className="h-3.5 w-3.5" />, { type: 'flip', axis: 'horizontal' })}
+          {renderAction('flip-vertical', 'Flip Vertically', <FlipVertical2 className="h-3.5 w-3.5" />, { type: 'flip', axis: 'vertical' })}
+        </ButtonGroup>
+        <ButtonGroup>
+          {SCALE_FACTORS.map((factor) => renderAction(
+            `scale-${factor}`,
+            `Scale ×${factor}`,
+            `×${factor}`,
+            { type: 'scale', factor }
+          ))}
+        </ButtonGroup>
+      </div>
+    </TooltipProvider>
+  );
+}
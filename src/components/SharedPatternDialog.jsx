@@ -0,0 +1,79 @@
+import { useMemo, useState } from 'react';
+import { Button } from './ui/button';
+import { Spinner } from './ui/spinner';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from './ui/dialog';
+import { buildPatternSvg } from '../lib/svgExport.js';
+import { deriveColorMap } from '../lib/patternUtils.js';
+
+// Read-only preview of a pattern opened from a share link; nothing is saved until the user picks an action
+export function SharedPatternDialog({
+  open,
+  onOpenChange,
+  pattern,
+  onSaveCopy,
+}) {
+  const [isWorking, setIsWorking] = useState(false);
+
+  const previewUrl = useMemo(() => {
+    if (!pattern) return null;
+    const svg = buildPatternSvg(pattern, {
+      stitchColors: deriveColorMap(pattern),
+      backgroundColor: pattern.uiState?.backgroundColor,
+      artboardOutlineColor: pattern.uiState?.artboardOutlineColor,
+      includeTileOutlines: true,
+    });
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }, [pattern]);
+
+  if (!pattern) return null;
+
+  const handleSave = async (openAfterSave) => {
+    setIsWorking(true);
+    const success = await onSaveCopy(pattern, { open: openAfterSave });
+    setIsWorking(false);
+    if (success) {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Shared pattern: {pattern.name}</DialogTitle>
+          <DialogDescription>
+            {pattern.description || 'Someone shared this Sashiko pattern with you.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex aspect-video items-center justify-center overflow-hidden rounded-md border border-border bg-muted">
+          <img src={previewUrl} alt={`Preview of ${pattern.name}`} className="max-h-full max-w-full object-contain" />
+        </div>
+        <p className="text-xs text-muted-foreground">
+          {pattern.stitches.length} stitch{pattern.stitches.length === 1 ? '' : 'es'} · {pattern.tileSize.x}×{pattern.tileSize.y} tile · {pattern.patternTiles.x}×{pattern.patternTiles.y} repeats.
+          {' '}Your current pattern is not changed until you open the copy.
+        </p>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isWorking}>
+            Close
+          </Button>
+          <Button type="button" variant="outline" onClick={() => handleSave(false)} disabled={isWorking}>
+            Save to Library
+          </Button>
+          <Button type="button" onClick={() => handleSave(true)} disabled={isWorking}>
+            {isWorking && <Spinner className="mr-1 h-4 w-4" />}
+            Open as Copy
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
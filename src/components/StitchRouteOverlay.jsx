@@ -0,0 +1,216 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { curvatureToBulge, getArcParams } from './Stitches';
+import { DEFAULT_ZOOM, getCanvasPixelRatio } from '../lib/viewZoom';
+
+const JUMP_COLOR = '#ef4444';
+const ROUTE_LINE_WIDTH = 3;
+const HEAD_RADIUS = 5;
+
+// Flatten the planned route into drawable steps in canvas pixels
+// Each step: { type: 'stitch' | 'hidden' | 'jump', x1, y1, x2, y2, arc, color, length, offset }
+function buildSteps(route, cellSize, artboardOffset) {
+  const steps = [];
+  let offset = 0;
+  const toPx = (value) => artboardOffset + value * cellSize;
+
+  const pushStep = (type, segment, color) => {
+    const x1 = toPx(segment.x1);
+    const y1 = toPx(segment.y1);
+    const x2 = toPx(segment.x2);
+    const y2 = toPx(segment.y2);
+    const chordLength = Math.hypot(x2 - x1, y2 - y1);
+    const arcParams = segment.curvature
+      ? getArcParams(x1, y1, x2, y2, curvatureToBulge(chordLength, segment.curvature))
+      : null;
+
+    let arc = null;
+    let length = chordLength;
+    if (arcParams) {
+      let sweep = arcParams.endAngle - arcParams.startAngle;
+      if (arcParams.counterClockwise && sweep > 0) sweep -= 2 * Math.PI;
+      if (!arcParams.counterClockwise && sweep < 0) sweep += 2 * Math.PI;
+      arc = { ...arcParams, sweep };
+      length = Math.abs(sweep) * arcParams.radius;
+    }
+
+    steps.push({ type, x1, y1, x2, y2, arc, color, length, offset });
+    offset += length;
+  };
+
+  route.forEach((run) => {
+    const first = run.segments[0];
+    if (run.jumpFrom) {
+      pushStep('jump', { x1: run.jumpFrom.x, y1: run.jumpFrom.y, x2: first.x1, y2: first.y1, curvature: 0 }, JUMP_COLOR);
+    }
+    run.segments.forEach((segment) => {
+      pushStep(segment.hidden ? 'hidden' : 'stitch', segment, run.color);
+    });
+  });
+
+  return { steps, totalLength: offset };
+}
+
+// Point along a step at fraction t (0-1)
+function pointAlongStep(step, t) {
+  if (step.arc) {
+    const angle = step.arc.startAngle + step.arc.sweep * t;
+    return {
+      x: step.arc.cx + step.arc.radius * Math.cos(angle),
+      y: step.arc.cy + step.arc.radius * Math.sin(angle),
+    };
+  }
+  return {
+    x: step.x1 + (step.x2 - step.x1) * t,
+    y: step.y1 + (step.y2 - step.y1) * t,
+  };
+}
+
+// Draw a step (or the first fraction t of it)
+function drawStep(ctx, step, t = 1) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.strokeStyle = step.color;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  if (step.type === 'jump') {
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.globalAlpha = 0.8;
+  } else if (step.type === 'hidden') {
+    // Thread carried on the back of the fabric
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([2, 3]);
+    ctx.globalAlpha = 0.6;
+  } else {
+    ctx.lineWidth = ROUTE_LINE_WIDTH;
+    ctx.globalAlpha = 0.9;
+  }
+
+  if (step.arc) {
+    const { cx, cy, radius, startAngle, sweep, counterClockwise } = step.arc;
+    ctx.arc(cx, cy, radius, startAngle, startAngle + sweep * t, counterClockwise);
+  } else {
+    const end = pointAlongStep(step, t);
+    ctx.moveTo(step.x1, step.y1);
+    ctx.lineTo(end.x, end.y);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Animated overlay of the planned stitching route
+ * Sits on top of PatternCanvas (same viewport-sized bitmap) and ignores pointer events
+ * Stopped: shows the whole route. Playing: draws the route progressively with a needle marker.
+ */
+export function StitchRouteOverlay({
+  route,
+  canvasWidth,
+  canvasHeight,
+  cellSize,
+  artboardOffset,
+  playing = false,
+  speed = 15, // Grid cells per second
+  restartKey = 0,
+  onFinished,
+  zoom = DEFAULT_ZOOM, // View zoom of the canvas underneath
+  viewport,             // Visible part of the canvas in canvas pixels (whole canvas when omitted)
+}) {
+  const canvasRef = useRef(null);
+  // Progress along the route in pixels (Infinity = show complete route)
+  const progressRef = useRef(Infinity);
+
+  const viewX = viewport?.x ?? 0;
+  const viewY = viewport?.y ?? 0;
+  const viewWidth = viewport?.width ?? canvasWidth;
+  const viewHeight = viewport?.height ?? canvasHeight;
+
+  const { steps, totalLength } = useMemo(
+    () => buildSteps(route ?? [], cellSize, artboardOffset),
+    [route, cellSize, artboardOffset]
+  );
+
+  // Restart from the beginning when requested
+  useEffect(() => {
+    if (restartKey > 0) {
+      progressRef.current = 0;
+    }
+  }, [restartKey]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    // Same viewport-sized bitmap as the pattern canvas underneath
+    const pixelRatio = getCanvasPixelRatio(viewWidth, viewHeight, zoom, window.devicePixelRatio ?? 1);
+    canvas.width = Math.max(1, Math.round(viewWidth * pixelRatio));
+    canvas.height = Math.max(1, Math.round(viewHeight * pixelRatio));
+    canvas.style.left = `${viewX * zoom}px`;
+    canvas.style.top = `${viewY * zoom}px`;
+    canvas.style.width = `${viewWidth * zoom}px`;
+    canvas.style.height = `${viewHeight * zoom}px`;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, -viewX * pixelRatio, -viewY * pixelRatio);
+
+    const draw = (progress) => {
+      ctx.clearRect(viewX, viewY, viewWidth, viewHeight);
+      let head = null;
+      for (const step of steps) {
+        if (step.offset >= progress) break;
+        const t = step.length > 0 ? Math.min(1, (progress - step.offset) / step.length) : 1;
+        drawStep(ctx, step, t);
+        head = { point: pointAlongStep(step, t), color: step.type === 'jump' ? JUMP_COLOR : step.color };
+      }
+      // Needle marker while the route is being drawn
+      if (head && progress < totalLength) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(head.point.x, head.point.y, HEAD_RADIUS, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = head.color;
+        ctx.lineWidth = 2;
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+      }
+    };
+
+    if (!playing) {
+      draw(progressRef.current);
+      return;
+    }
+
+    // Resume from the start if the previous animation already completed
+    if (progressRef.current >= totalLength) {
+      progressRef.current = 0;
+    }
+
+    const pixelsPerSecond = speed * cellSize;
+    let frameId = null;
+    let lastTime = null;
+    const tick = (time) => {
+      if (lastTime !== null) {
+        progressRef.current = Math.min(totalLength, progressRef.current + ((time - lastTime) / 1000) * pixelsPerSecond);
+      }
+      lastTime = time;
+      draw(progressRef.current);
+      if (progressRef.current >= totalLength) {
+        onFinished?.();
+        return;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+
+    return () => {
+      if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+  }, [steps, totalLength, cellSize, playing, speed, restartKey, onFinished, zoom, viewX, viewY, viewWidth, viewHeight]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="pointer-events-none absolute left-0 top-0"
+    />
+  );
+}
@@ -0,0 +1,128 @@
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Label } from './ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from './ui/collapsible';
+import { ChevronRight, Eye, EyeOff, Pause, Play, RotateCcw } from 'lucide-react';
+import { formatThreadLength } from '../lib/stitchPlanner.js';
+
+export const ROUTE_SPEEDS = {
+  slow: 5,
+  normal: 15,
+  fast: 40,
+};
+
+export function StitchRoutePanel({
+  open,
+  onOpenChange,
+  plan,
+  routeOverlay,
+  onRouteOverlayChange,
+  onRestartRoute,
+}) {
+  const hasRoute = (plan?.route?.length ?? 0) > 0;
+  const speedKey = Object.keys(ROUTE_SPEEDS).find((key) => ROUTE_SPEEDS[key] === routeOverlay.speed) ?? 'normal';
+
+  const handleTogglePlay = () => {
+    onRouteOverlayChange({
+      ...routeOverlay,
+      visible: true,
+      playing: !routeOverlay.playing,
+    });
+  };
+
+  return (
+    <Card>
+      <CardContent className="text-sm">
+        <Collapsible open={open} onOpenChange={onOpenChange} className="space-y-2">
+          <CollapsibleTrigger className="flex w-full items-center justify-between rounded-md border border-input bg-background px-3 py-2 text-sm font-medium hover:bg-accent">
+            <span>Stitching Route</span>
+            <ChevronRight className={`h-4 w-4 transition-transform duration-200 ${open ? 'rotate-90' : ''}`} />
+          </CollapsibleTrigger>
+          <CollapsibleContent className="space-y-4 pt-2">
+            {!hasRoute ? (
+              <p className="text-muted-foreground">Draw some stitches to plan a stitching route.</p>
+            ) : (
+              <>
+                <div className="space-y-1">
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Thread (total)</span>
+                    <span className="font-medium">{formatThreadLength(plan.totals.stitchLengthCm)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Rows to stitch</span>
+                    <span className="font-medium">{plan.totals.runCount}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">Travel between rows</span>
+                    <span className="font-medium">{formatThreadLength(plan.totals.jumpLengthCm)}</span>
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <Label>Thread per Color</Label>
+                  <ul className="space-y-1">
+                    {plan.colors.map((entry) => (
+                      <li key={entry.color} className="flex items-center gap-2">
+                        <span
+                          className="h-3 w-3 shrink-0 rounded-full border border-border"
+                          style={{ backgroundColor: entry.color }}
+                        />
+                        <span className="flex-1 truncate font-mono text-xs">{entry.color}</span>
+                        <span className="text-xs text-muted-foreground">
+                          {entry.runCount} row{entry.runCount === 1 ? '' : 's'}
+                        </span>
+                        <span className="w-16 text-right font-medium">{formatThreadLength(entry.stitchLengthCm)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-xs text-muted-foreground">
+                    Lengths follow the stitch lines at screen scale (front and back of the fabric). Add extra for knots and tails.
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label>Route Overlay</Label>
+                  <div className="grid grid-cols-3 gap-2">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => onRouteOverlayChange({ ...routeOverlay, visible: !routeOverlay.visible, playing: false })}
+                    >
+                      {routeOverlay.visible ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                      {routeOverlay.visible ? 'Hide' : 'Show'}
+                    </Button>
+                    <Button type="button" variant="outline" onClick={handleTogglePlay}>
+                      {routeOverlay.playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                      {routeOverlay.playing ? 'Pause' : 'Play'}
+                    </Button>
+                    <Button type="button" variant="outline" onClick={onRestartRoute}>
+                      <RotateCcw className="h-4 w-4" />
+                      Restart
+                    </Button>
+                  </div>
+                  <Select
+                    value={speedKey}
+                    onValueChange={(value) => onRouteOverlayChange({ ...routeOverlay, speed: ROUTE_SPEEDS[value] })}
+                  >
+                    <SelectTrigger className="w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="slow">Slow</SelectItem>
+                      <SelectItem value="normal">Normal</SelectItem>
+                      <SelectItem value="fast">Fast</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-muted-foreground">
+                    Solid lines are stitched rows, dotted lines carry the thread behind the fabric, red dashes are moves between rows.
+                  </p>
+                </div>
+              </>
+            )}
+          </CollapsibleContent>
+        </Collapsible>
+      </CardContent>
+    </Card>
+  );
+}
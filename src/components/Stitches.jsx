@@ -93,6 +93,19 @@ export function getArcParams(x1, y1, x2, y2, bulge) {
   return { cx, cy, radius, startAngle, endAngle, counterClockwise };
 }
 
+// Convert curvature percentage (0-100% of full circle) into arc bulge for a chord
+// 25% = 90deg (quarter), 50% = 180deg (semi), 100% = 360deg (full)
+export function curvatureToBulge(chordLength, curvature = 0) {
+  // Convert percentage to angle in degrees (100% = 360deg)
+  // Clamp to 99% to avoid infinite bulge at 360deg
+  const clampedCurvature = Math.max(-99, Math.min(99, curvature));
+  const angleDeg = clampedCurvature * 3.6;
+  const angleRad = (angleDeg * Math.PI) / 180;
+
+  // Calculate bulge using: b = (chord/2) * tan(angle/4)
+  return (chordLength / 2) * Math.tan(angleRad / 4);
+}
+
 // Calculate dash and gap lengths for stitches with intelligent sizing
 // Returns { dashLength, gapLength } based on stitch size, line length, and gap settings
 export function calculateStitchDashPattern(drawableLength, lineLength, stitchSize, gapBetweenStitches, gridSize) {
@@ -202,120 +215,192 @@ export function calculateLineWidth(stitchWidth) {
   return STITCH_WIDTHS[stitchWidth] || STITCH_WIDTHS.normal;
 }
 
-// Render a single stitch instance on the canvas
-export function renderStitch(
-  ctx, 
-  startX, 
-  startY, 
-  endX, 
-  endY, 
+// Resolve the drawable path of a stitch (offset ends applied) and its dash pattern
+// Returns null if the stitch is too short to draw
+// Shared by canvas rendering and vector exports so both produce identical dashes
+export function resolveStitchPath(
+  startX,
+  startY,
+  endX,
+  endY,
   stitchOffset,
   gapBetweenStitches,
   stitchSizeForLine,
-  stitchWidthValue,
-  colorOverride,
-  isSelected,
   gridSize,
   curvature = 0
 ) {
-  // Calculate bulge from curvature percentage (0-100% of full circle)
-  // 25% = 90deg (quarter), 50% = 180deg (semi), 100% = 360deg (full)
   const dx = endX - startX;
   const dy = endY - startY;
   const chordLength = Math.hypot(dx, dy);
-  
-  // Convert percentage to angle in degrees (100% = 360deg)
-  // Clamp to 99% to avoid infinite bulge at 360deg
-  const clampedCurvature = Math.max(-99, Math.min(99, curvature));
-  const angleDeg = clampedCurvature * 3.6;
-  const angleRad = (angleDeg * Math.PI) / 180;
-  
-  // Calculate bulge using: b = (chord/2) * tan(angle/4)
-  const bulge = (chordLength / 2) * Math.tan(angleRad / 4);
+  const bulge = curvatureToBulge(chordLength, curvature);
 
   // Check if we should draw an arc
   const arcParams = getArcParams(startX, startY, endX, endY, bulge);
 
   if (arcParams) {
-    // === DRAW ARC ===
+    // === ARC ===
     const { cx, cy, radius, startAngle, endAngle, counterClockwise } = arcParams;
-    
+
     // Calculate angular offset for the gaps at ends
     // Arc Length S = R * theta -> theta = S / R
     const angleOffset = stitchOffset / radius;
-    
+
     // Apply offset to angles (shorten the arc)
     // Direction depends on counterClockwise
     const direction = counterClockwise ? -1 : 1;
     const offsetStartAngle = startAngle + (angleOffset * direction);
     const offsetEndAngle = endAngle - (angleOffset * direction);
-    
+
     // Calculate drawable arc length
     // Total angle difference
     let angleDiff = offsetEndAngle - offsetStartAngle;
     // Normalize angle diff
     if (counterClockwise && angleDiff > 0) angleDiff -= 2 * Math.PI;
     if (!counterClockwise && angleDiff < 0) angleDiff += 2 * Math.PI;
-    
+
     const drawableLength = Math.abs(angleDiff * radius);
     const totalLength = drawableLength + (2 * stitchOffset); // Approx
-    
+
     // Calculate dash and gap pattern
     const { dashLength, gapLength } = calculateStitchDashPattern(
-      drawableLength, 
-      totalLength, 
-      stitchSizeForLine, 
+      drawableLength,
+      totalLength,
+      stitchSizeForLine,
       gapBetweenStitches,
       gridSize
     );
-    
-    if (dashLength <= 0) return false;
 
-    const lineWidth = calculateLineWidth(stitchWidthValue);
+    if (dashLength <= 0) return null;
 
-    ctx.save();
-    ctx.beginPath();
-    ctx.setLineDash([dashLength, gapLength]);
-    ctx.strokeStyle = isSelected ? DEFAULT_SELECTED_COLOR : colorOverride;
-    ctx.lineWidth = lineWidth;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-    
-    ctx.arc(cx, cy, radius, offsetStartAngle, offsetEndAngle, counterClockwise);
-    
-    ctx.stroke();
-    ctx.restore();
-    return true;
+    return {
+      type: 'arc',
+      cx,
+      cy,
+      radius,
+      startAngle: offsetStartAngle,
+      endAngle: offsetEndAngle,
+      counterClockwise,
+      drawableLength,
+      dashLength,
+      gapLength,
+    };
   }
 
-  // === DRAW STRAIGHT LINE ===
-  // dx and dy are already calculated at the top of the function
-  const length = Math.hypot(dx, dy);
-  if (length === 0) return false;
+  // === STRAIGHT LINE ===
+  const length = chordLength;
+  if (length === 0) return null;
 
   const unitX = dx / length;
   const unitY = dy / length;
 
-  // Offset start and end along the line
-  const offsetStartX = startX + unitX * stitchOffset;
-  const offsetStartY = startY + unitY * stitchOffset;
-  const offsetEndX = endX - unitX * stitchOffset;
-  const offsetEndY = endY - unitY * stitchOffset;
-
   // Calculate the drawable length (after removing offsets)
   const drawableLength = length - (2 * stitchOffset);
 
   // Calculate dash and gap pattern
   const { dashLength, gapLength } = calculateStitchDashPattern(
-    drawableLength, 
-    length, 
-    stitchSizeForLine, 
+    drawableLength,
+    length,
+    stitchSizeForLine,
     gapBetweenStitches,
     gridSize
   );
-  
+
   // Only draw if dash length is positive (line is long enough)
-  if (dashLength <= 0) return false;
+  if (dashLength <= 0) return null;
+
+  return {
+    type: 'line',
+    // Offset start and end along the line
+    x1: startX + unitX * stitchOffset,
+    y1: startY + unitY * stitchOffset,
+    x2: endX - unitX * stitchOffset,
+    y2: endY - unitY * stitchOffset,
+    drawableLength,
+    dashLength,
+    gapLength,
+  };
+}
+
+// Split a resolved stitch path into its individual dashes
+// Mirrors how the canvas applies setLineDash([dashLength, gapLength]) from the path start
+// Line dashes: { type: 'line', x1, y1, x2, y2 }
+// Arc dashes:  { type: 'arc', x1, y1, x2, y2, cx, cy, radius, startAngle, endAngle, counterClockwise }
+export function calculateStitchDashes(path) {
+  if (!path) return [];
+
+  const { drawableLength, dashLength, gapLength } = path;
+  const ranges = [];
+  const epsilon = 1e-6;
+  let position = 0;
+  while (position < drawableLength - epsilon) {
+    const dashEnd = Math.min(position + dashLength, drawableLength);
+    ranges.push([position, dashEnd]);
+    if (gapLength <= 0 && dashEnd >= drawableLength) break;
+    position = dashEnd + gapLength;
+  }
+
+  if (path.type === 'arc') {
+    const { cx, cy, radius, startAngle, counterClockwise } = path;
+    const direction = counterClockwise ? -1 : 1;
+    return ranges.map(([from, to]) => {
+      const dashStartAngle = startAngle + direction * (from / radius);
+      const dashEndAngle = startAngle + direction * (to / radius);
+      return {
+        type: 'arc',
+        x1: cx + radius * Math.cos(dashStartAngle),
+        y1: cy + radius * Math.sin(dashStartAngle),
+        x2: cx + radius * Math.cos(dashEndAngle),
+        y2: cy + radius * Math.sin(dashEndAngle),
+        cx,
+        cy,
+        radius,
+        startAngle: dashStartAngle,
+        endAngle: dashEndAngle,
+        counterClockwise,
+      };
+    });
+  }
+
+  const { x1, y1, x2, y2 } = path;
+  const unitX = (x2 - x1) / drawableLength;
+  const unitY = (y2 - y1) / drawableLength;
+  return ranges.map(([from, to]) => ({
+    type: 'line',
+    x1: x1 + unitX * from,
+    y1: y1 + unitY * from,
+    x2: x1 + unitX * to,
+    y2: y1 + unitY * to,
+  }));
+}
+
+// Render a single stitch instance on the canvas
+export function renderStitch(
+  ctx,
+  startX,
+  startY,
+  endX,
+  endY,
+  stitchOffset,
+  gapBetweenStitches,
+  stitchSizeForLine,
+  stitchWidthValue,
+  colorOverride,
+  isSelected,
+  gridSize,
+  curvature = 0
+) {
+  const path = resolveStitchPath(
+    startX,
+    startY,
+    endX,
+    endY,
+    stitchOffset,
+    gapBetweenStitches,
+    stitchSizeForLine,
+    gridSize,
+    curvature
+  );
+  if (!path) return false;
 
   // Calculate line width
   const lineWidth = calculateLineWidth(stitchWidthValue);
@@ -323,13 +408,17 @@ export function renderStitch(
   // Render the stitch
   ctx.save();
   ctx.beginPath();
-  ctx.setLineDash([dashLength, gapLength]);
+  ctx.setLineDash([path.dashLength, path.gapLength]);
   ctx.strokeStyle = isSelected ? DEFAULT_SELECTED_COLOR : colorOverride;
   ctx.lineWidth = lineWidth;
   ctx.lineCap = 'round';
   ctx.lineJoin = 'round';
-  ctx.moveTo(offsetStartX, offsetStartY);
-  ctx.lineTo(offsetEndX, offsetEndY);
+  if (path.type === 'arc') {
+    ctx.arc(path.cx, path.cy, path.radius, path.startAngle, path.endAngle, path.counterClockwise);
+  } else {
+    ctx.moveTo(path.x1, path.y1);
+    ctx.lineTo(path.x2, path.y2);
+  }
   ctx.stroke();
   ctx.restore();
 
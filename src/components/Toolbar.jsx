@@ -1,4 +1,4 @@
-import { MousePointer, Edit3, Hand, Grip, Eye, EyeOff, Undo2, Redo2, ChevronDown, Settings2 } from 'lucide-react';
+import { MousePointer, Edit3, Hand, Grip, Eye, EyeOff, Undo2, Redo2, ChevronDown, Settings2, FlipHorizontal2, FlipVertical2, Grid2x2, RotateCw, Snowflake, Ban, Spline, Brush } from 'lucide-react';
 import { useCallback, useMemo, useState } from 'react';
 import { ButtonGroup, ButtonGroupSeparator } from './ui/button-group';
 import { Button } from './ui/button';
@@ -10,12 +10,37 @@ import { Label } from './ui/label';
 import { ColorPicker } from './ui/color-picker';
 import { STITCH_WIDTHS } from './Stitches.jsx';
 import { formatValueNumber } from '../lib/unitConverter.js';
+import { SYMMETRY_FOLDS, SYMMETRY_MODES, isExactSymmetry, isSymmetryActive } from '../lib/symmetry.js';
+import { DRAW_STYLES } from '../hooks/useUiState.js';
+
+// Draw styles of the stitch tool
+const DRAW_STYLE_OPTIONS = [
+  { style: DRAW_STYLES.line, label: 'Line', icon: Edit3, hint: 'Click two grid points per stitch.' },
+  { style: DRAW_STYLES.polyline, label: 'Polyline', icon: Spline, hint: 'Each click continues from the last point. Double-click or Escape to finish.' },
+  { style: DRAW_STYLES.drag, label: 'Drag', icon: Brush, hint: 'Drag along the grid to add a stitch for every step, in one undo step.' },
+];
+
+// Symmetry options shown in the toolbar popover
+const SYMMETRY_OPTIONS = [
+  { mode: SYMMETRY_MODES.none, label: 'Off', icon: Ban },
+  { mode: SYMMETRY_MODES.mirrorX, label: 'Mirror X', icon: FlipHorizontal2 },
+  { mode: SYMMETRY_MODES.mirrorY, label: 'Mirror Y', icon: FlipVertical2 },
+  { mode: SYMMETRY_MODES.mirrorXY, label: 'Mirror XY', icon: Grid2x2 },
+  { mode: SYMMETRY_MODES.rotate, label: 'Rotate', icon: RotateCw },
+  { mode: SYMMETRY_MODES.kaleidoscope, label: 'Kaleidoscope', icon: Snowflake },
+];
 
 export function Toolbar({
   drawingMode,
   onModeChange,
+  drawStyle = DRAW_STYLES.line,
+  onDrawStyleChange,
   repeatPattern,
   onRepeatPatternChange,
+  symmetry,
+  onSymmetryChange,
+  tileSize,
+  gridType,
   selectedStitchColor,
   tempStitchColor,
   onSelectedStitchColorChange,
@@ -81,6 +106,13 @@ export function Toolbar({
 
   const currentCurvature = tempCurvature ?? (selectedStitch?.curvature || 0);
 
+  const drawStyleOption = DRAW_STYLE_OPTIONS.find((option) => option.style === drawStyle) ?? DRAW_STYLE_OPTIONS[0];
+  const DrawStyleIcon = drawStyleOption.icon;
+
+  const symmetryActive = isSymmetryActive(symmetry);
+  const SymmetryIcon = SYMMETRY_OPTIONS.find((option) => option.mode === symmetry.mode && symmetryActive)?.icon ?? FlipHorizontal2;
+  const usesFolds = symmetry.mode === SYMMETRY_MODES.rotate || symmetry.mode === SYMMETRY_MODES.kaleidoscope;
+
   return (
     <TooltipProvider>
       <div className="flex items-center gap-4">
@@ -113,13 +145,48 @@ export function Toolbar({
                 size="icon"
                 onClick={() => onModeChange('draw')}
               >
-                <Edit3 />
+                <DrawStyleIcon />
               </Button>
             </TooltipTrigger>
             <TooltipContent>
-              <p>Stitch Tool (P)</p>
+              <p>Stitch Tool (P) · {drawStyleOption.label}</p>
             </TooltipContent>
           </Tooltip>
+
+          <Popover>
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <PopoverTrigger asChild>
+                  <Button variant="outline" size="icon" className="w-5">
+                    <ChevronDown />
+                  </Button>
+                </PopoverTrigger>
+              </TooltipTrigger>
+              <TooltipContent>
+                <p>Draw Style</p>
+              </TooltipContent>
+            </Tooltip>
+            <PopoverContent className="w-72">
+              <div className="space-y-2">
+                <Label className="">Draw Style</Label>
+                <ButtonGroup className="w-full">
+                  {DRAW_STYLE_OPTIONS.map(({ style, label, icon: Icon }) => (
+                    <Button
+                      key={style}
+                      variant={drawStyle === style ? 'default' : 'outline'}
+                      size="sm"
+                      className="flex-1"
+                      onClick={() => onDrawStyleChange(style)}
+                    >
+                      <Icon />
+                      <span>{label}</span>
+                    </Button>
+                  ))}
+                </ButtonGroup>
+                <p className="text-xs text-muted-foreground">{drawStyleOption.hint}</p>
+              </div>
+            </PopoverContent>
+          </Popover>
           
           <Tooltip>
             <TooltipTrigger asChild>
@@ -305,6 +372,67 @@ export function Toolbar({
               <p>Repeat Pattern (R)</p>
             </TooltipContent>
           </Tooltip>
+
+          <Popover>
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <PopoverTrigger asChild>
+                  <Button variant={symmetryActive ? 'default' : 'outline'} size="icon">
+                    <SymmetryIcon />
+                  </Button>
+                </PopoverTrigger>
+              </TooltipTrigger>
+              <TooltipContent>
+                <p>Symmetry</p>
+              </TooltipContent>
+            </Tooltip>
+            <PopoverContent className="w-80">
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label className="">Symmetry</Label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {SYMMETRY_OPTIONS.map(({ mode, label, icon: Icon }) => (
+                      <Button
+                        key={mode}
+                        variant={symmetry.mode === mode ? 'default' : 'outline'}
+                        size="sm"
+                        onClick={() => onSymmetryChange({ ...symmetry, mode })}
+                      >
+                        <Icon />
+                        <span className="truncate">{label}</span>
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+
+                {usesFolds && (
+                  <div className="space-y-2">
+                    <Label className="">Folds</Label>
+                    <ButtonGroup className="w-full">
+                      {SYMMETRY_FOLDS.map((folds) => (
+                        <Button
+                          key={folds}
+                          variant={symmetry.folds === folds ? 'default' : 'outline'}
+                          size="sm"
+                          className="flex-1"
+                          onClick={() => onSymmetryChange({ ...symmetry, folds })}
+                        >
+                          {folds}
+                        </Button>
+                      ))}
+                    </ButtonGroup>
+                  </div>
+                )}
+
+                <p className="text-xs text-muted-foreground">
+                  {symmetryActive
+                    ? 'Each drawn stitch is copied about the tile center. Copies are added in one undo step.'
+                    : 'Draw one stitch and get mirrored or rotated copies about the tile center.'}
+                  {symmetryActive && !isExactSymmetry(symmetry, tileSize, gridType) && ' Copies are snapped to the nearest grid points.'}
+                </p>
+              </div>
+            </PopoverContent>
+          </Popover>
           
           
         </ButtonGroup>
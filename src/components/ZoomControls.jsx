@@ -0,0 +1,54 @@
+import { Maximize, ScanSearch, ZoomIn, ZoomOut } from 'lucide-react';
+import { Button } from './ui/button';
+import { ButtonGroup } from './ui/button-group';
+import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from './ui/tooltip';
+import { MAX_ZOOM, MIN_ZOOM, formatZoom } from '../lib/viewZoom.js';
+
+// Floating view zoom controls in the corner of the canvas viewport
+export function ZoomControls({
+  zoom,
+  hasSelection,
+  onZoomIn,
+  onZoomOut,
+  onZoomReset,
+  onZoomToFit,
+  onZoomToSelection,
+}) {
+  const renderAction = (label, shortcut, content, onClick, disabled = false, className = 'h-8 w-8') => (
+    <Tooltip>
+      <TooltipTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className={`${className} px-0`}
+          disabled={disabled}
+          onClick={onClick}
+        >
+          {content}
+        </Button>
+      </TooltipTrigger>
+      <TooltipContent>
+        <p>{label} <span className="text-muted-foreground">({shortcut})</span></p>
+      </TooltipContent>
+    </Tooltip>
+  );
+
+  return (
+    <TooltipProvider>
+      <div
+        className="absolute bottom-3 right-3 z-10 flex gap-1 rounded-md border border-border bg-background/95 p-1 shadow-sm"
+        onMouseDown={(event) => event.stopPropagation()}
+      >
+        <ButtonGroup>
+          {renderAction('Zoom Out', 'Ctrl+−', <ZoomOut className="h-4 w-4" />, onZoomOut, zoom <= MIN_ZOOM)}
+          {renderAction('Reset to 100%', 'Ctrl+0', <span className="text-xs tabular-nums">{formatZoom(zoom)}</span>, onZoomReset, false, 'h-8 w-14')}
+          {renderAction('Zoom In', 'Ctrl+=', <ZoomIn className="h-4 w-4" />, onZoomIn, zoom >= MAX_ZOOM)}
+        </ButtonGroup>
+        <ButtonGroup>
+          {renderAction('Zoom to Fit', 'Shift+1', <Maximize className="h-4 w-4" />, onZoomToFit)}
+          {renderAction('Zoom to Selection', 'Shift+2', <ScanSearch className="h-4 w-4" />, onZoomToSelection, !hasSelection)}
+        </ButtonGroup>
+      </div>
+    </TooltipProvider>
+  );
+}
@@ -40,6 +40,8 @@ export function useAutoSave({
     return () => clearTimeout(timeoutId);
   }, [
     currentPattern.stitches, // Trigger on stitch changes
+    currentPattern.layers, // Layer visibility, locks, opacity and order
+    currentPattern.gridType,
     stitchColors, // Map reference changes on any color update
     // Canvas settings - included so they trigger auto-save when changed
     uiState.patternTiles?.x,
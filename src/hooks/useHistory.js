@@ -1,269 +1,220 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import db from '../lib/db.js';
+import {
+  DEFAULT_HISTORY_DEPTH,
+  addHistoryNode,
+  createHistorySnapshot,
+  createHistoryTree,
+  getRedoNodeId,
+  getUndoNodeId,
+  moveToHistoryNode,
+  pruneHistoryTree,
+  restoreHistorySnapshot,
+} from '../lib/historyTree.js';
+
+// Histories of the most recently edited patterns kept in IndexedDB
+const MAX_STORED_HISTORIES = 20;
+// Record written by versions that kept one global history
+const LEGACY_HISTORY_KEY = 'undoRedo';
 
 /**
- * Hook to manage undo/redo history for pattern editing
- * History is persisted to IndexedDB for preservation across page reloads
- * @param {number} maxHistorySize - Maximum number of history states to keep (default: 10)
- * @returns {Object} History state and control functions
+ * Convert the old single, linear history into a tree for the pattern that is open after upgrading
+ * @param {Object} fallback - Snapshot supplying tile size and grid type (not stored in old entries)
+ * @param {number} depth - Maximum number of states
+ * @returns {Promise<Object|null>} History tree, or null when there is no old history
  */
-export function useHistory(maxHistorySize = 10) {
-  const [history, setHistory] = useState([]);
-  const [historyIndex, setHistoryIndex] = useState(-1);
-  const isUndoRedoAction = useRef(false);
-  const isEditingProperties = useRef(false);
-  const previousSelectionState = useRef(null);
-  const [isLoaded, setIsLoaded] = useState(false);
+async function migrateLegacyHistory(fallback, depth) {
+  const legacy = await db.history.get(LEGACY_HISTORY_KEY);
+  if (!legacy) return null;
+  await db.history.delete(LEGACY_HISTORY_KEY);
+  const states = Array.isArray(legacy.history) ? legacy.history.slice(0, (legacy.historyIndex ?? -1) + 1) : [];
+  let tree = null;
+  states.forEach((state) => {
+    const snapshot = {
+      stitches: state.pattern?.stitches ?? [],
+      layers: state.pattern?.layers,
+      tileSize: fallback?.tileSize,
+      gridType: fallback?.gridType,
+      stitchColors: state.stitchColors ?? [],
+    };
+    tree = tree ? addHistoryNode(tree, snapshot, undefined, depth) : createHistoryTree(snapshot);
+  });
+  return tree;
+}
 
-  // Load history from IndexedDB on mount
+/**
+ * Hook to manage the branching undo/redo history of the open pattern
+ * Each pattern id has its own history tree, persisted to IndexedDB across page reloads
+ * @param {string|null} patternId - Id of the open pattern (null while it is still loading)
+ * @param {Object} [options]
+ * @param {number} [options.depth=DEFAULT_HISTORY_DEPTH] - Maximum number of states kept per pattern
+ * @returns {Object} History state and control functions
+ */
+export function useHistory(patternId, { depth = DEFAULT_HISTORY_DEPTH } = {}) {
+  // Tree of the pattern it belongs to (the tree of the previous pattern until the next one has loaded)
+  const [historyState, setHistoryState] = useState({ patternId: null, tree: null });
+  const historyStateRef = useRef(historyState);
+  historyStateRef.current = historyState;
+  // Latest state pushed while the pattern's history was loading (recorded once it has loaded)
+  const pendingSnapshotRef = useRef(null);
+  // Label for the next recorded change (set right before the change is made)
+  const nextLabelRef = useRef(null);
+  const depthRef = useRef(depth);
+  depthRef.current = depth;
+
+  const isLoaded = patternId !== null && historyState.patternId === patternId;
+  const tree = isLoaded ? historyState.tree : null;
+
+  // Load the history of the open pattern whenever another pattern is opened
   useEffect(() => {
+    if (!patternId || historyStateRef.current.patternId === patternId) return;
+    let cancelled = false;
+
     const loadHistory = async () => {
+      let loaded = null;
       try {
-        const saved = await db.history.get('undoRedo');
-        if (saved && saved.history && Array.isArray(saved.history)) {
-          // Restore Map objects from serialized arrays
-          const restoredHistory = saved.history.map(state => ({
-            ...state,
-            stitchColors: new Map(state.stitchColors),
-          }));
-          setHistory(restoredHistory);
-          setHistoryIndex(saved.historyIndex ?? -1);
-        }
+        const saved = await db.history.get(patternId);
+        loaded = saved?.tree ?? await migrateLegacyHistory(pendingSnapshotRef.current, depthRef.current);
       } catch (error) {
         console.error('Failed to load history:', error);
-      } finally {
-        setIsLoaded(true);
       }
+      if (cancelled) return;
+
+      // The pattern as opened becomes the newest state when it differs from where its history left off
+      const pending = pendingSnapshotRef.current;
+      pendingSnapshotRef.current = null;
+      let nextTree = loaded ? pruneHistoryTree(loaded, depthRef.current) : null;
+      if (pending) {
+        nextTree = nextTree
+          ? addHistoryNode(nextTree, pending, 'Open pattern', depthRef.current)
+          : createHistoryTree(pending);
+      }
+      setHistoryState({ patternId, tree: nextTree });
     };
 
     loadHistory();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [patternId]);
 
-  // Save history to IndexedDB whenever it changes
+  // Save the history to IndexedDB whenever it changes
   useEffect(() => {
-    if (!isLoaded) return; // Don't save until we've loaded
+    if (!historyState.patternId || !historyState.tree) return;
 
     const saveHistory = async () => {
       try {
-        // Serialize Map objects to arrays for storage
-        const serializedHistory = history.map(state => ({
-          ...state,
-          stitchColors: Array.from(state.stitchColors.entries()),
-        }));
-
         await db.history.put({
-          key: 'undoRedo',
-          history: serializedHistory,
-          historyIndex,
+          key: historyState.patternId,
+          tree: historyState.tree,
           timestamp: Date.now(),
         });
+        // Forget the histories of patterns that have not been edited for a long time
+        const staleKeys = await db.history.orderBy('timestamp').reverse().offset(MAX_STORED_HISTORIES).primaryKeys();
+        if (staleKeys.length > 0) {
+          await db.history.bulkDelete(staleKeys);
+        }
       } catch (error) {
         console.error('Failed to save history:', error);
       }
     };
 
     saveHistory();
-  }, [history, historyIndex, isLoaded]);
+  }, [historyState]);
+
+  // A smaller depth applies right away
+  useEffect(() => {
+    setHistoryState((prev) => {
+      if (!prev.tree) return prev;
+      const pruned = pruneHistoryTree(prev.tree, depth);
+      return pruned === prev.tree ? prev : { ...prev, tree: pruned };
+    });
+  }, [depth]);
 
   /**
-   * Add a new state to history
+   * Add a new state to history (skipped when it equals the current state, e.g. after undo)
    * @param {Object} state - State object containing pattern and stitchColors
-   * @param {Object} state.pattern - Pattern object with stitches
+   * @param {Object} state.pattern - Pattern object with stitches, layers, tileSize and gridType
    * @param {Map} state.stitchColors - Map of stitch colors
+   * @param {string} [label] - Entry label (defaults to the label set with setNextLabel, then to a description of the change)
    */
-  const pushHistory = useCallback((state) => {
-    // Skip if this is an undo/redo action
-    if (isUndoRedoAction.current) {
-      isUndoRedoAction.current = false;
-      return;
-    }
-
-    // Skip if actively editing properties (gap size, stitch size, etc.)
-    if (isEditingProperties.current) {
-      return;
-    }
+  const pushHistory = useCallback((state, label) => {
+    const snapshot = createHistorySnapshot(state);
+    const entryLabel = label ?? nextLabelRef.current ?? undefined;
+    nextLabelRef.current = null;
 
-    // If this is the first entry and history is empty, create an initial empty state
-    if (history.length === 0 && state.pattern.stitches.length > 0) {
-      const emptyState = {
-        pattern: {
-          ...state.pattern,
-          stitches: [],
-        },
-        stitchColors: new Map(),
-        timestamp: Date.now() - 1, // Slightly earlier timestamp
-      };
-      
-      // Create new state for the current action
-      const newState = {
-        pattern: {
-          ...state.pattern,
-          stitches: [...state.pattern.stitches],
-        },
-        stitchColors: new Map(state.stitchColors),
-        timestamp: Date.now(),
-      };
-      
-      setHistory([emptyState, newState]);
-      setHistoryIndex(1); // Point to the new state (can undo to empty state)
+    if (!isLoaded) {
+      pendingSnapshotRef.current = snapshot;
       return;
     }
 
-    // Check if the new state is identical to the current history state
-    if (historyIndex >= 0 && historyIndex < history.length) {
-      const currentState = history[historyIndex];
-      const isSameStitchCount = currentState.pattern.stitches.length === state.pattern.stitches.length;
-      const isSameColorCount = currentState.stitchColors.size === state.stitchColors.size;
-      
-      // Simple check: if stitch count and color count are the same, likely duplicate
-      // This prevents duplicate entries when page loads with saved state
-      if (isSameStitchCount && isSameColorCount) {
-        // Additional check: compare stitch IDs
-        const currentIds = new Set(currentState.pattern.stitches.map(s => s.id));
-        const newIds = new Set(state.pattern.stitches.map(s => s.id));
-        const idsMatch = currentIds.size === newIds.size && 
-                         [...currentIds].every(id => newIds.has(id));
-        
-        if (idsMatch) {
-          // IDs match, but check if stitch properties have changed
-          const propertiesChanged = currentState.pattern.stitches.some((currentStitch, index) => {
-            const newStitch = state.pattern.stitches[index];
-            return newStitch && (
-              currentStitch.stitchSize !== newStitch.stitchSize ||
-              currentStitch.stitchWidth !== newStitch.stitchWidth ||
-              currentStitch.gapSize !== newStitch.gapSize ||
-              currentStitch.curvature !== newStitch.curvature ||
-              currentStitch.repeat !== newStitch.repeat ||
-              currentStitch.color !== newStitch.color
-            );
-          });
-          
-          // Check if stitch colors Map has changed
-          const colorsChanged = [...currentState.stitchColors.entries()].some(([id, color]) => 
-            state.stitchColors.get(id) !== color
-          ) || [...state.stitchColors.entries()].some(([id, color]) => 
-            currentState.stitchColors.get(id) !== color
-          );
-          
-          if (!propertiesChanged && !colorsChanged) {
-            return; // Skip duplicate state
-          }
-        }
-      }
-    }
-
-    // Create new state with shallow copies
-    const newState = {
-      pattern: {
-        ...state.pattern,
-        stitches: [...state.pattern.stitches], // Shallow copy of array
-      },
-      stitchColors: new Map(state.stitchColors),
-      timestamp: Date.now(),
-    };
-
-    setHistory(prev => {
-      // If we're not at the end of history, remove everything after current index
-      const newHistory = historyIndex >= 0 ? prev.slice(0, historyIndex + 1) : prev;
-      // Add new state and keep only last maxHistorySize items
-      return [...newHistory, newState].slice(-maxHistorySize);
+    setHistoryState((prev) => {
+      if (prev.patternId !== patternId) return prev;
+      const nextTree = prev.tree
+        ? addHistoryNode(prev.tree, snapshot, entryLabel, depthRef.current)
+        : createHistoryTree(snapshot);
+      return nextTree === prev.tree ? prev : { ...prev, tree: nextTree };
     });
+  }, [isLoaded, patternId]);
 
-    setHistoryIndex(prev => {
-      const currentHistory = prev >= 0 ? history.slice(0, prev + 1) : history;
-      return Math.min(currentHistory.length, maxHistorySize - 1);
-    });
-  }, [historyIndex, history, maxHistorySize]);
+  /**
+   * Label the next recorded change (for changes a diff cannot name, like "Rotate 3 stitches")
+   * @param {string} label
+   */
+  const setNextLabel = useCallback((label) => {
+    nextLabelRef.current = label;
+  }, []);
+
+  /**
+   * Jump to any state in the tree
+   * @param {number} nodeId
+   * @returns {Object|null} State to restore ({ pattern, stitchColors }) or null if the node does not exist
+   */
+  const jumpTo = useCallback((nodeId) => {
+    if (!tree?.nodes[nodeId] || nodeId === tree.currentId) return null;
+    setHistoryState((prev) => (prev.tree === tree ? { ...prev, tree: moveToHistoryNode(tree, nodeId) } : prev));
+    return restoreHistorySnapshot(tree.nodes[nodeId].snapshot);
+  }, [tree]);
 
   /**
    * Undo to previous state
    * @returns {Object|null} Previous state or null if can't undo
    */
   const undo = useCallback(() => {
-    if (historyIndex > 0) {
-      const prevState = history[historyIndex - 1];
-      isUndoRedoAction.current = true;
-      setHistoryIndex(prev => prev - 1);
-      return {
-        pattern: {
-          ...prevState.pattern,
-          stitches: [...prevState.pattern.stitches],
-        },
-        stitchColors: new Map(prevState.stitchColors),
-      };
-    }
-    return null;
-  }, [history, historyIndex]);
+    const nodeId = getUndoNodeId(tree);
+    return nodeId === null ? null : jumpTo(nodeId);
+  }, [tree, jumpTo]);
 
   /**
-   * Redo to next state
+   * Redo to next state (along the branch visited last)
    * @returns {Object|null} Next state or null if can't redo
    */
   const redo = useCallback(() => {
-    if (historyIndex < history.length - 1) {
-      const nextState = history[historyIndex + 1];
-      isUndoRedoAction.current = true;
-      setHistoryIndex(prev => prev + 1);
-      return {
-        pattern: {
-          ...nextState.pattern,
-          stitches: [...nextState.pattern.stitches],
-        },
-        stitchColors: new Map(nextState.stitchColors),
-      };
-    }
-    return null;
-  }, [history, historyIndex]);
-
-  /**
-   * Save state after property editing is complete
-   * Used to batch history entries when adjusting properties like gap size
-   */
-  const saveAfterPropertyEdit = useCallback((state) => {
-    if (isEditingProperties.current) {
-      isEditingProperties.current = false;
-      pushHistory(state);
-    }
-  }, [pushHistory]);
+    const nodeId = getRedoNodeId(tree);
+    return nodeId === null ? null : jumpTo(nodeId);
+  }, [tree, jumpTo]);
 
   /**
-   * Clear all history (used when loading new patterns)
-   * @param {Object} initialState - Optional initial state to set as first history entry
+   * Keep the current history under a new pattern id (the pattern was saved as a copy)
+   * @param {string} newPatternId
    */
-  const clearHistory = useCallback((initialState = null) => {
-    if (initialState) {
-      // Set initial state as first history entry
-      const newState = {
-        pattern: {
-          stitches: [...initialState.pattern.stitches],
-        },
-        stitchColors: new Map(initialState.stitchColors),
-        timestamp: Date.now(),
-      };
-      setHistory([newState]);
-      setHistoryIndex(0);
-    } else {
-      // Completely clear history (for new patterns)
-      setHistory([]);
-      setHistoryIndex(-1);
-    }
+  const adoptHistory = useCallback((newPatternId) => {
+    setHistoryState((prev) => (prev.patternId === newPatternId ? prev : { ...prev, patternId: newPatternId }));
   }, []);
 
   return {
     // State
-    canUndo: historyIndex > 0,
-    canRedo: historyIndex < history.length - 1,
-    historySize: history.length,
-    
+    canUndo: getUndoNodeId(tree) !== null,
+    canRedo: getRedoNodeId(tree) !== null,
+    historySize: tree ? Object.keys(tree.nodes).length : 0,
+    tree,
+
     // Actions
     pushHistory,
+    setNextLabel,
     undo,
     redo,
-    clearHistory,
-    
-    // Refs for special cases
-    isEditingProperties,
-    previousSelectionState,
-    saveAfterPropertyEdit,
+    jumpTo,
+    adoptHistory,
   };
 }
@@ -11,6 +11,15 @@ import { useEffect } from 'react';
  * @param {Function} handlers.onToggleGrid - Toggle grid visibility handler
  * @param {Function} handlers.onDelete - Delete selected handler
  * @param {Function} handlers.onEscape - Escape handler
+ * @param {Function} handlers.onNudge - Move selection by (dx, dy) grid cells (arrow keys)
+ * @param {Function} handlers.onCopy - Copy selected stitches
+ * @param {Function} handlers.onCut - Cut selected stitches
+ * @param {Function} handlers.onPaste - Paste stitches at the cursor
+ * @param {Function} handlers.onZoomIn - Zoom the view in (Ctrl+= / Ctrl++)
+ * @param {Function} handlers.onZoomOut - Zoom the view out (Ctrl+-)
+ * @param {Function} handlers.onZoomReset - Reset the view zoom to 100% (Ctrl+0)
+ * @param {Function} handlers.onZoomToFit - Fit the artboard into the view (Shift+1)
+ * @param {Function} handlers.onZoomToSelection - Fit the selection into the view (Shift+2)
  * @param {number} selectedCount - Number of selected items
  */
 export function useKeyboardShortcuts({
@@ -22,6 +31,15 @@ export function useKeyboardShortcuts({
   onToggleGrid,
   onDelete,
   onEscape,
+  onNudge,
+  onCopy,
+  onCut,
+  onPaste,
+  onZoomIn,
+  onZoomOut,
+  onZoomReset,
+  onZoomToFit,
+  onZoomToSelection,
   selectedCount = 0,
 }) {
   useEffect(() => {
@@ -50,7 +68,49 @@ export function useKeyboardShortcuts({
         return;
       }
       
-      // Tool shortcuts: V for select, P for pen/draw (no modifiers)
+      // Copy/Cut: Ctrl+C / Ctrl+X (only if stitches are selected, otherwise keep native behavior)
+      if ((event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey && (event.key === 'c' || event.key === 'x') && selectedCount > 0) {
+        event.preventDefault();
+        if (event.key === 'c') {
+          onCopy?.();
+        } else {
+          onCut?.();
+        }
+        return;
+      }
+
+      // View zoom: Ctrl+= / Ctrl++ / Ctrl+- / Ctrl+0 (replaces browser page zoom over the app)
+      if ((event.ctrlKey || event.metaKey) && !event.altKey && ['=', '+', '-', '0'].includes(event.key)) {
+        event.preventDefault();
+        if (event.key === '-') {
+          onZoomOut?.();
+        } else if (event.key === '0') {
+          onZoomReset?.();
+        } else {
+          onZoomIn?.();
+        }
+        return;
+      }
+
+      // Zoom to fit / selection: Shift+1 / Shift+2 (by key position, the typed character depends on the layout)
+      if (event.shiftKey && !event.ctrlKey && !event.metaKey && !event.altKey && (event.code === 'Digit1' || event.code === 'Digit2')) {
+        event.preventDefault();
+        if (event.code === 'Digit1') {
+          onZoomToFit?.();
+        } else {
+          onZoomToSelection?.();
+        }
+        return;
+      }
+
+      // Paste: Ctrl+V
+      if ((event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey && event.key === 'v') {
+        event.preventDefault();
+        onPaste?.();
+        return;
+      }
+      
+            // Tool shortcuts: V for select, P for pen/draw (no modifiers)
       if ((event.key === 'v' || event.key === 'V') && !event.ctrlKey && !event.metaKey && !event.shiftKey && !event.altKey) {
         event.preventDefault();
         onSelectMode?.();
@@ -82,7 +142,15 @@ export function useKeyboardShortcuts({
         onDelete?.();
       }
       
-      // Escape: Cancel current action
+      // Arrow keys: move selected stitches by one grid cell
+      const nudges = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+      if (nudges[event.key] && selectedCount > 0 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        event.preventDefault();
+        onNudge?.(...nudges[event.key]);
+        return;
+      }
+      
+            // Escape: Cancel current action
       if (event.key === 'Escape') {
         onEscape?.();
       }
@@ -90,5 +158,5 @@ export function useKeyboardShortcuts({
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [onUndo, onRedo, onSelectMode, onDrawMode, onToggleRepeat, onToggleGrid, onDelete, onEscape, selectedCount]);
+  }, [onUndo, onRedo, onSelectMode, onDrawMode, onToggleRepeat, onToggleGrid, onDelete, onEscape, onNudge, onCopy, onCut, onPaste, onZoomIn, onZoomOut, onZoomReset, onZoomToFit, onZoomToSelection, selectedCount]);
 }
@@ -1,5 +1,7 @@
 import { useCallback } from 'react';
 import { normalizeTileSize } from '../lib/patternUtils.js';
+import { DEFAULT_GRID_TYPE } from '../lib/gridGeometry.js';
+import { createDefaultLayer } from '../lib/layers.js';
 
 /**
  * Custom hook for pattern actions like creating new patterns and resetting settings
@@ -18,9 +20,13 @@ export function usePatternActions({
       id: `pattern-${Date.now()}`,
       name: 'Untitled Pattern',
       description: '',
+      tags: [],
+      folder: '',
       tileSize,
       gridSize,
+      gridType: DEFAULT_GRID_TYPE,
       patternTiles: uiState.patternTiles,
+      layers: [createDefaultLayer()],
       stitches: [],
     };
     setCurrentPattern(freshPattern);
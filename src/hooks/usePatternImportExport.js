@@ -1,5 +1,16 @@
 import { useCallback } from 'react';
-import { clonePattern, deriveColorMap, isValidPattern } from '../lib/patternUtils.js';
+import { clonePattern, deriveColorMap } from '../lib/patternUtils.js';
+import { PATTERN_FILE_EXTENSION, serializePattern } from '../lib/patternFormat.js';
+import { importPatternFromJSON } from '../lib/patternStorage.js';
+import { buildPatternSvg } from '../lib/svgExport.js';
+import { buildPatternPdf } from '../lib/pdfExport.js';
+import { buildEmbroideryFile, EMBROIDERY_FORMATS, planEmbroidery } from '../lib/embroideryExport.js';
+import { buildPlotterFile, planPlotterPaths, PLOTTER_FORMATS } from '../lib/plotterExport.js';
+import { buildPatternDxf } from '../lib/dxfExport.js';
+import { isTriangularGrid } from '../lib/gridGeometry.js';
+import { getStitchLayerId, hasCustomLayers, normalizeLayers } from '../lib/layers.js';
+import { createShareLink } from '../lib/shareLink.js';
+import { serializeReferenceImage } from '../lib/referenceImage.js';
 
 /**
  * Custom hook for pattern import/export operations
@@ -18,6 +29,9 @@ export function usePatternImportExport({
   gapSize,
   repeatPattern,
   showGrid,
+  tileSize,
+  gridSize,
+  patternTiles,
   setCurrentPattern,
   setStitchColors,
   setSelectedStitchIds,
@@ -26,19 +40,34 @@ export function usePatternImportExport({
   setGridColor,
   setTileOutlineColor,
   setArtboardOutlineColor,
+  referenceImage,
+  onImportReferenceImage,
   canvasRef,
-  historyManager, // Add history manager parameter
 }) {
   /**
-   * Export current pattern as JSON file
+   * Download a file named after the pattern
+   * @param {Blob|string} blob - File contents, or a data URL (PNG export)
+   * @param {string} extension - Suffix after the name, e.g. '.svg' or '-print.pdf'
    */
-  const exportPattern = useCallback(() => {
+  const downloadBlob = useCallback((blob, extension) => {
+    const url = typeof blob === 'string' ? blob : URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const slug = (currentPattern.name || 'pattern').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    link.href = url;
+    link.download = `${slug || 'pattern'}${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    if (url !== blob) URL.revokeObjectURL(url);
+  }, [currentPattern.name]);
+
+  /**
+   * Export current pattern as a `.sashiko.json` file (current format version)
+   * The reference photo is only written when the user chose to include it in exports
+   */
+  const exportPattern = useCallback(async () => {
     const exportPattern = {
-      ...currentPattern,
-      stitches: currentPattern.stitches.map((stitch) => ({
-        ...stitch,
-        color: stitchColors.get(stitch.id) ?? stitch.color ?? null,
-      })),
+      ...serializePattern(currentPattern, stitchColors),
       uiState: {
         backgroundColor,
         gridColor,
@@ -52,17 +81,12 @@ export function usePatternImportExport({
         showGrid,
       },
     };
+    if (referenceImage?.includeInExport) {
+      exportPattern.referenceImage = await serializeReferenceImage(referenceImage);
+    }
 
     const blob = new Blob([JSON.stringify(exportPattern, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    const slug = (currentPattern.name || 'pattern').toLowerCase().replace(/[^a-z0-9]+/g, '-');
-    link.href = url;
-    link.download = `${slug || 'pattern'}.json`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, PATTERN_FILE_EXTENSION);
   }, [
     currentPattern,
     stitchColors,
@@ -76,66 +100,54 @@ export function usePatternImportExport({
     gapSize,
     repeatPattern,
     showGrid,
+    referenceImage,
+    downloadBlob,
   ]);
 
   /**
    * Import pattern from JSON file
+   * Older formats are migrated; invalid files are not loaded and their errors are returned
    * @param {File} file - JSON file to import
+   * @returns {Promise<{success: boolean, pattern?: Object, fromVersion?: number, errors?: Array<{path: string, message: string}>}>}
    */
-  const importPattern = useCallback((file) => {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const parsed = JSON.parse(reader.result);
-        if (!isValidPattern(parsed)) {
-          throw new Error('Invalid pattern schema');
-        }
-        
-        // Handle legacy format migration
-        let tileSize, gridSize;
-        if (parsed.tileSize !== undefined) {
-          // New format
-          tileSize = parsed.tileSize;
-          gridSize = parsed.gridSize ?? 20;
-        } else {
-          // Legacy format - old gridSize becomes tileSize
-          tileSize = parsed.gridSize ?? 10;
-          gridSize = 20;
-        }
-        
-        const normalized = clonePattern({
-          ...parsed,
-          id: parsed.id ?? `pattern-${Date.now()}`,
-          name: parsed.name ?? 'Imported Pattern',
-          description: parsed.description ?? '',
-          tileSize,
-          gridSize,
-        });
-        
-        setCurrentPattern(normalized);
-        const colorMap = deriveColorMap(normalized);
-        setStitchColors(colorMap);
-        setSelectedStitchIds(new Set());
-        setDrawingState((prev) => ({ ...prev, firstPoint: null }));
-        
-        // Reset history with imported pattern as initial state
-        historyManager.clearHistory({
-          pattern: { stitches: normalized.stitches },
-          stitchColors: colorMap,
-        });
-        
-        // Restore UI state if included in the imported pattern
-        if (parsed.uiState) {
-          if (parsed.uiState.backgroundColor) setBackgroundColor(parsed.uiState.backgroundColor);
-          if (parsed.uiState.gridColor) setGridColor(parsed.uiState.gridColor);
-          if (parsed.uiState.tileOutlineColor) setTileOutlineColor(parsed.uiState.tileOutlineColor);
-          if (parsed.uiState.artboardOutlineColor) setArtboardOutlineColor(parsed.uiState.artboardOutlineColor);
-        }
-      } catch (error) {
-        console.error('Failed to import pattern:', error);
+  const importPattern = useCallback(async (file) => {
+    try {
+      const { pattern: parsedFile, fromVersion, errors } = await importPatternFromJSON(file);
+      if (!parsedFile) {
+        return { success: false, errors };
       }
-    };
-    reader.readAsText(file);
+      // A reference photo included in the file is stored separately, never inside the pattern
+      const { referenceImage: importedReference, ...parsed } = parsedFile;
+
+      const normalized = clonePattern({
+        ...parsed,
+        id: parsed.id ?? `pattern-${Date.now()}`,
+        name: parsed.name ?? 'Imported Pattern',
+        description: parsed.description ?? '',
+      });
+      if (importedReference) {
+        await onImportReferenceImage?.(normalized.id, importedReference);
+      }
+      
+      // Undo history follows the pattern id (re-importing an open pattern continues its history)
+      setCurrentPattern(normalized);
+      const colorMap = deriveColorMap(normalized);
+      setStitchColors(colorMap);
+      setSelectedStitchIds(new Set());
+      setDrawingState((prev) => ({ ...prev, firstPoint: null }));
+      
+      // Restore UI state if included in the imported pattern
+      if (parsed.uiState) {
+        if (parsed.uiState.backgroundColor) setBackgroundColor(parsed.uiState.backgroundColor);
+        if (parsed.uiState.gridColor) setGridColor(parsed.uiState.gridColor);
+        if (parsed.uiState.tileOutlineColor) setTileOutlineColor(parsed.uiState.tileOutlineColor);
+        if (parsed.uiState.artboardOutlineColor) setArtboardOutlineColor(parsed.uiState.artboardOutlineColor);
+      }
+      return { success: true, pattern: normalized, fromVersion };
+    } catch (error) {
+      console.error('Failed to import pattern:', error);
+      return { success: false, errors: [{ path: '', message: error.message }] };
+    }
   }, [
     setCurrentPattern,
     setStitchColors,
@@ -145,25 +157,176 @@ export function usePatternImportExport({
     setGridColor,
     setTileOutlineColor,
     setArtboardOutlineColor,
+    onImportReferenceImage,
   ]);
 
   /**
    * Export current pattern as PNG image
+   * The reference photo is only drawn when the user chose to include it in exports
    * @param {number} resolutionMultiplier - Scale factor for export resolution
    */
   const exportImage = useCallback((resolutionMultiplier = 1) => {
-    const dataUrl = canvasRef.current?.exportAsImage?.(resolutionMultiplier);
+    const dataUrl = canvasRef.current?.exportAsImage?.(resolutionMultiplier, {
+      includeReference: Boolean(referenceImage?.includeInExport),
+    });
     if (!dataUrl) return;
     
-    const link = document.createElement('a');
-    link.href = dataUrl;
-    const slug = (currentPattern.name || 'pattern').toLowerCase().replace(/[^a-z0-9]+/g, '-');
     const suffix = resolutionMultiplier !== 1 ? `-${resolutionMultiplier}x` : '';
-    link.download = `${slug || 'pattern'}${suffix}.png`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  }, [currentPattern.name, canvasRef]);
+    downloadBlob(dataUrl, `${suffix}.png`);
+  }, [canvasRef, referenceImage, downloadBlob]);
+
+  /**
+   * Export current pattern as SVG vector image
+   * Each stitch dash is written as its own path (arcs stay true arcs)
+   * @param {Object} options - SVG export options
+   * @param {boolean} options.includeBackground - Fill with the fabric color
+   * @param {boolean} options.includeGrid - Include grid dots
+   * @param {boolean} options.includeTileOutlines - Include artboard and tile outlines
+   */
+  const exportSvg = useCallback(({ includeBackground = true, includeGrid = false, includeTileOutlines = false } = {}) => {
+    const svg = buildPatternSvg(currentPattern, {
+      tileSize,
+      gridSize,
+      patternTiles,
+      stitchColors,
+      backgroundColor,
+      gridColor,
+      tileOutlineColor,
+      artboardOutlineColor,
+      includeBackground,
+      includeGrid,
+      includeTileOutlines,
+    });
+
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    downloadBlob(blob, '.svg');
+  }, [
+    currentPattern,
+    tileSize,
+    gridSize,
+    patternTiles,
+    stitchColors,
+    backgroundColor,
+    gridColor,
+    tileOutlineColor,
+    artboardOutlineColor,
+    downloadBlob,
+  ]);
+
+  /**
+   * Export current pattern as print-ready PDF at physical scale
+   * @param {Object} options - PDF options (cell size in mm, paper, orientation, overlap, colors)
+   */
+  const exportPdf = useCallback((options = {}) => {
+    const pdf = buildPatternPdf(currentPattern, {
+      ...options,
+      tileSize,
+      gridSize,
+      patternTiles,
+      stitchColors,
+      backgroundColor,
+      gridColor,
+      tileOutlineColor,
+    });
+
+    // PDF output is pure ASCII, so each character maps to one byte
+    const bytes = Uint8Array.from(pdf, (char) => char.charCodeAt(0));
+    const blob = new Blob([bytes], { type: 'application/pdf' });
+    downloadBlob(blob, '-print.pdf');
+  }, [
+    currentPattern,
+    tileSize,
+    gridSize,
+    patternTiles,
+    stitchColors,
+    backgroundColor,
+    gridColor,
+    tileOutlineColor,
+    downloadBlob,
+  ]);
+
+  /**
+   * Plan the needle path of an embroidery export without writing a file (for the export dialog)
+   * @param {Object} options - Embroidery options (cell size in mm, bean stitch)
+   * @returns {Object} Plan from planEmbroidery
+   */
+  const planEmbroideryExport = useCallback((options = {}) => {
+    return planEmbroidery(currentPattern, {
+      ...options,
+      tileSize,
+      gridSize,
+      patternTiles,
+      stitchColors,
+    });
+  }, [currentPattern, tileSize, gridSize, patternTiles, stitchColors]);
+
+  /**
+   * Export current pattern as a machine embroidery file (DST, PES or EXP)
+   * @param {Object} options - Embroidery options (format, cell size in mm, bean stitch)
+   */
+  const exportEmbroidery = useCallback((options = {}) => {
+    const { bytes } = buildEmbroideryFile(currentPattern, {
+      ...options,
+      tileSize,
+      gridSize,
+      patternTiles,
+      stitchColors,
+    });
+
+    const format = EMBROIDERY_FORMATS[options.format] ?? EMBROIDERY_FORMATS.dst;
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
+    downloadBlob(blob, format.extension);
+  }, [currentPattern, tileSize, gridSize, patternTiles, stitchColors, downloadBlob]);
+
+  /**
+   * Plan the pen paths of a plotter export without writing a file (for the export dialog)
+   * @param {Object} options - Plotter options (geometry, cell size in mm, pen per color)
+   * @returns {Object} Plan from planPlotterPaths
+   */
+  const planPlotterExport = useCallback((options = {}) => {
+    return planPlotterPaths(currentPattern, {
+      ...options,
+      tileSize,
+      gridSize,
+      patternTiles,
+      stitchColors,
+    });
+  }, [currentPattern, tileSize, gridSize, patternTiles, stitchColors]);
+
+  /**
+   * Export current pattern as HPGL or G-code for a pen or cutting plotter
+   * @param {Object} options - Plotter options (format, geometry, scale, origin, pen commands, feed rate)
+   */
+  const exportPlotter = useCallback((options = {}) => {
+    const { text } = buildPlotterFile(currentPattern, {
+      ...options,
+      tileSize,
+      gridSize,
+      patternTiles,
+      stitchColors,
+    });
+
+    const format = PLOTTER_FORMATS[options.format] ?? PLOTTER_FORMATS.hpgl;
+    const blob = new Blob([text], { type: 'text/plain' });
+    downloadBlob(blob, format.extension);
+  }, [currentPattern, tileSize, gridSize, patternTiles, stitchColors, downloadBlob]);
+
+  /**
+   * Export current pattern as a DXF drawing (stencil slots or centerlines in millimeters)
+   * @param {Object} options - DXF options (geometry, cell size, slot width, bridges, artboard outline)
+   */
+  const exportDxf = useCallback((options = {}) => {
+    const { text } = buildPatternDxf(currentPattern, {
+      ...options,
+      tileSize,
+      gridSize,
+      patternTiles,
+      stitchColors,
+    });
+
+    const blob = new Blob([text], { type: 'application/dxf' });
+    downloadBlob(blob, '.dxf');
+  }, [currentPattern, tileSize, gridSize, patternTiles, stitchColors, downloadBlob]);
 
   /**
    * Copy pattern to clipboard in compact format for patterns.json
@@ -171,13 +334,18 @@ export function usePatternImportExport({
    */
   const copyPatternToClipboard = useCallback(() => {
     // Create pattern object in the format expected by patterns.json
+    // Layers are only written when the pattern uses more than the default layer
+    const layers = normalizeLayers(currentPattern.layers);
+    const customLayers = hasCustomLayers(layers);
     const patternForJson = {
       id: currentPattern.id,
       name: currentPattern.name || 'Untitled Pattern',
       description: currentPattern.description || '',
       tileSize: currentPattern.tileSize,
       gridSize: currentPattern.gridSize,
+      gridType: currentPattern.gridType,
       patternTiles: currentPattern.patternTiles,
+      layers,
       stitches: currentPattern.stitches.map(stitch => ({
         id: stitch.id,
         start: { ...stitch.start },
@@ -188,6 +356,7 @@ export function usePatternImportExport({
         gapSize: stitch.gapSize,
         curvature: stitch.curvature || 0,
         repeat: stitch.repeat !== false,
+        layerId: getStitchLayerId(stitch, layers),
       })),
       uiState: {
         backgroundColor,
@@ -213,6 +382,9 @@ export function usePatternImportExport({
         parts.push(`"curvature": ${stitch.curvature}`);
       }
       parts.push(`"repeat": ${stitch.repeat}`);
+      if (customLayers) {
+        parts.push(`"layerId": "${stitch.layerId}"`);
+      }
       return `{ ${parts.join(', ')} }`;
     };
 
@@ -225,8 +397,8 @@ export function usePatternImportExport({
     "name": "${patternForJson.name}",
     "description": "${patternForJson.description}",
     "tileSize": ${JSON.stringify(patternForJson.tileSize)},
-    "gridSize": ${patternForJson.gridSize},
-    "patternTiles": ${JSON.stringify(patternForJson.patternTiles)},
+    "gridSize": ${patternForJson.gridSize},${isTriangularGrid(patternForJson.gridType) ? `\n    "gridType": "triangular",` : ''}
+    "patternTiles": ${JSON.stringify(patternForJson.patternTiles)},${customLayers ? `\n    "layers": ${JSON.stringify(patternForJson.layers)},` : ''}
     "stitches": ${stitchesJson},
     "uiState": {
       "backgroundColor": "${patternForJson.uiState.backgroundColor}",
@@ -247,10 +419,40 @@ export function usePatternImportExport({
     artboardOutlineColor,
   ]);
 
+  /**
+   * Copy a link that opens the current pattern (encoded in the URL hash) to the clipboard
+   * @returns {Promise<string>} The copied link
+   */
+  const copyShareLink = useCallback(async () => {
+    const link = await createShareLink(currentPattern, stitchColors, {
+      backgroundColor,
+      gridColor,
+      tileOutlineColor,
+      artboardOutlineColor,
+    });
+    await navigator.clipboard.writeText(link);
+    return link;
+  }, [
+    currentPattern,
+    stitchColors,
+    backgroundColor,
+    gridColor,
+    tileOutlineColor,
+    artboardOutlineColor,
+  ]);
+
   return {
     exportPattern,
     importPattern,
+    copyShareLink,
     exportImage,
+    exportSvg,
+    exportPdf,
+    planEmbroideryExport,
+    exportEmbroidery,
+    planPlotterExport,
+    exportPlotter,
+    exportDxf,
     copyPatternToClipboard,
   };
 }
@@ -4,17 +4,36 @@ import { clonePattern } from '../lib/patternUtils.js';
 import {
   saveToPatternLibrary,
   loadSavedPatterns,
+  loadTrashedPatterns,
+  renamePattern as renameSavedPattern,
+  duplicatePattern as duplicateLibraryPattern,
   deletePattern,
+  restoreTrashedPattern,
+  deletePatternPermanently,
+  emptyTrash as emptyPatternTrash,
+  purgeExpiredTrash,
+  loadPatternVersions,
+  restorePatternVersion,
+  branchPatternVersion,
 } from '../lib/patternStorage';
+import {
+  LIBRARY_BACKUP_EXTENSION,
+  createLibraryBackup,
+  getLibraryBackupPreview,
+  parseLibraryBackup,
+  restoreLibraryBackup,
+} from '../lib/libraryBackup.js';
 
 const BUILT_IN_PATTERNS = patternsData.map(clonePattern);
 
 /**
  * Custom hook for managing pattern library operations
  * Handles saving, loading, and deleting patterns using Dexie (IndexedDB)
+ * Deleted patterns go to the Trash first and can be restored until it is emptied
  */
 export function usePatternLibrary() {
   const [savedPatterns, setSavedPatterns] = useState(BUILT_IN_PATTERNS);
+  const [trashedPatterns, setTrashedPatterns] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [saveState, setSaveState] = useState('idle'); // 'idle' | 'saving' | 'saved'
 
@@ -23,8 +42,9 @@ export function usePatternLibrary() {
    */
   const refreshPatterns = useCallback(async () => {
     try {
-      const userPatterns = await loadSavedPatterns();
+      const [userPatterns, trash] = await Promise.all([loadSavedPatterns(), loadTrashedPatterns()]);
       setSavedPatterns([...BUILT_IN_PATTERNS, ...userPatterns]);
+      setTrashedPatterns(trash);
     } catch (error) {
       console.error('Failed to refresh patterns:', error);
     }
@@ -37,8 +57,11 @@ export function usePatternLibrary() {
     const loadPatterns = async () => {
       setIsLoading(true);
       try {
-        const userPatterns = await loadSavedPatterns();
+        // Patterns that have been in the Trash too long are deleted for good first
+        await purgeExpiredTrash();
+        const [userPatterns, trash] = await Promise.all([loadSavedPatterns(), loadTrashedPatterns()]);
         setSavedPatterns([...BUILT_IN_PATTERNS, ...userPatterns]);
+        setTrashedPatterns(trash);
       } catch (error) {
         console.error('Failed to load patterns:', error);
       } finally {
@@ -54,13 +77,16 @@ export function usePatternLibrary() {
    * @param {Object} pattern - Pattern object to save
    * @param {Map} stitchColors - Map of stitch colors
    * @param {Object} uiState - UI state to save with pattern
+   * @param {Object} [options]
+   * @param {string} [options.note] - Note for the version recorded by this save
+   * @param {boolean} [options.asNew] - Save As a new pattern
    * @returns {Promise<{success: boolean, pattern?: Object, error?: string}>}
    */
-  const savePattern = useCallback(async (pattern, stitchColors, uiState) => {
+  const savePattern = useCallback(async (pattern, stitchColors, uiState, options) => {
     setSaveState('saving');
     
     try {
-      const result = await saveToPatternLibrary(pattern, stitchColors, uiState);
+      const result = await saveToPatternLibrary(pattern, stitchColors, uiState, options);
       
       if (result.success) {
         // Reload saved patterns to include the newly saved one
@@ -85,24 +111,174 @@ export function usePatternLibrary() {
   }, [refreshPatterns]);
 
   /**
-   * Delete a pattern from library
+   * Move a pattern to the Trash
    * @param {string} patternId - ID of pattern to delete
+   * @returns {Promise<boolean>}
    */
   const removePattern = useCallback(async (patternId) => {
+    const success = await deletePattern(patternId);
+    await refreshPatterns();
+    return success;
+  }, [refreshPatterns]);
+
+  /**
+   * Take a pattern out of the Trash
+   * @param {string} patternId
+   * @returns {Promise<{success: boolean, pattern?: Object, error?: string}>}
+   */
+  const restorePattern = useCallback(async (patternId) => {
+    const result = await restoreTrashedPattern(patternId);
+    await refreshPatterns();
+    return result;
+  }, [refreshPatterns]);
+
+  /**
+   * Delete a pattern in the Trash for good
+   * @param {string} patternId
+   * @returns {Promise<boolean>}
+   */
+  const deletePatternForever = useCallback(async (patternId) => {
+    const success = await deletePatternPermanently(patternId);
+    await refreshPatterns();
+    return success;
+  }, [refreshPatterns]);
+
+  /**
+   * Delete everything in the Trash for good
+   * @returns {Promise<number>} Number of patterns deleted
+   */
+  const emptyTrash = useCallback(async () => {
+    const count = await emptyPatternTrash();
+    await refreshPatterns();
+    return count;
+  }, [refreshPatterns]);
+
+  /**
+   * Rename a saved pattern (keeps its ID)
+   * @param {string} patternId
+   * @param {string} name
+   * @returns {Promise<{success: boolean, pattern?: Object, error?: string}>}
+   */
+  const renamePattern = useCallback(async (patternId, name) => {
+    const result = await renameSavedPattern(patternId, name);
+    if (result.success) {
+      await refreshPatterns();
+    }
+    return result;
+  }, [refreshPatterns]);
+
+  /**
+   * Save a copy of a library pattern as a new saved pattern
+   * @param {Object} pattern - Saved or starter pattern
+   * @returns {Promise<{success: boolean, pattern?: Object, error?: string}>}
+   */
+  const duplicatePattern = useCallback(async (pattern) => {
+    const result = await duplicateLibraryPattern(pattern);
+    if (result.success) {
+      await refreshPatterns();
+    }
+    return result;
+  }, [refreshPatterns]);
+
+  /**
+   * Restore an earlier version of a saved pattern
+   * @param {number} versionId - ID of the version to restore
+   * @returns {Promise<{success: boolean, pattern?: Object, error?: string}>}
+   */
+  const restoreVersion = useCallback(async (versionId) => {
+    const result = await restorePatternVersion(versionId);
+    if (result.success) {
+      await refreshPatterns();
+    }
+    return result;
+  }, [refreshPatterns]);
+
+  /**
+   * Save an earlier version of a saved pattern as a new pattern
+   * @param {number} versionId - ID of the version to branch from
+   * @returns {Promise<{success: boolean, pattern?: Object, error?: string}>}
+   */
+  const branchVersion = useCallback(async (versionId) => {
+    const result = await branchPatternVersion(versionId);
+    if (result.success) {
+      await refreshPatterns();
+    }
+    return result;
+  }, [refreshPatterns]);
+
+  /**
+   * Download the whole library (patterns, versions, thumbnails, reference photos and settings) as one backup file
+   * @param {Object} uiSettings - Current app settings from useUiState
+   * @returns {Promise<number>} Number of patterns in the backup
+   */
+  const exportLibrary = useCallback(async (uiSettings) => {
+    const backup = await createLibraryBackup(uiSettings);
+    const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sashiko-library-${new Date().toISOString().slice(0, 10)}${LIBRARY_BACKUP_EXTENSION}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    return backup.patterns.length;
+  }, []);
+
+  /**
+   * Read a library backup file and preview what restoring it would do
+   * @param {File} file
+   * @returns {Promise<{success: boolean, backup?: Object, preview?: Array<Object>, errors?: Array<{path: string, message: string}>}>}
+   */
+  const readLibraryBackup = useCallback(async (file) => {
+    try {
+      const { backup, errors } = parseLibraryBackup(await file.text());
+      if (!backup) {
+        return { success: false, errors };
+      }
+      const preview = await getLibraryBackupPreview(backup);
+      return { success: true, backup, preview };
+    } catch (error) {
+      console.error('Failed to read library backup:', error);
+      return { success: false, errors: [{ path: '', message: error.message }] };
+    }
+  }, []);
+
+  /**
+   * Restore a library backup
+   * @param {Object} backup - From readLibraryBackup
+   * @param {Object} [options] - Conflict resolutions (see restoreLibraryBackup)
+   * @returns {Promise<{success: boolean, summary?: Object, error?: string}>}
+   */
+  const restoreLibrary = useCallback(async (backup, options) => {
     try {
-      await deletePattern(patternId);
+      const summary = await restoreLibraryBackup(backup, options);
       await refreshPatterns();
+      return { success: true, summary };
     } catch (error) {
-      console.error('Failed to delete pattern:', error);
+      console.error('Failed to restore library backup:', error);
+      return { success: false, error: error.message };
     }
   }, [refreshPatterns]);
 
   return {
     savedPatterns,
+    trashedPatterns,
     isLoading,
     saveState,
     savePattern,
     removePattern,
+    restorePattern,
+    deletePatternForever,
+    emptyTrash,
+    renamePattern,
+    duplicatePattern,
     refreshPatterns,
+    loadVersions: loadPatternVersions,
+    restoreVersion,
+    branchVersion,
+    exportLibrary,
+    readLibraryBackup,
+    restoreLibrary,
   };
 }
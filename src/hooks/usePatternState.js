@@ -3,10 +3,12 @@ import {
   normalizePatternTiles,
 } from '../lib/patternUtils.js';
 import { DEFAULT_PATTERN_TILES, DEFAULT_TILE_SIZE, DEFAULT_GRID_SIZE } from './useUiState.js';
+import { DEFAULT_GRID_TYPE } from '../lib/gridGeometry.js';
+import { DEFAULT_LAYER_ID, createDefaultLayer } from '../lib/layers.js';
 
 /**
  * Custom hook for managing pattern state
- * Handles currentPattern, stitchColors, selection, and drawing state
+ * Handles currentPattern, stitchColors, selection, active layer and drawing state
  */
 export function usePatternState() {
   // Initialize with empty "Untitled Pattern" (will be loaded from IndexedDB in PatternDesigner useEffect)
@@ -14,9 +16,13 @@ export function usePatternState() {
     id: `pattern-${Date.now()}`,
     name: 'Untitled Pattern',
     description: '',
+    tags: [],
+    folder: '',
     tileSize: DEFAULT_TILE_SIZE,
     gridSize: DEFAULT_GRID_SIZE,
+    gridType: DEFAULT_GRID_TYPE,
     patternTiles: { x: DEFAULT_PATTERN_TILES, y: DEFAULT_PATTERN_TILES },
+    layers: [createDefaultLayer()],
     stitches: [],
   }));
 
@@ -27,6 +33,9 @@ export function usePatternState() {
   const [selectedStitchIds, setSelectedStitchIds] = useState(() => new Set());
   const [drawingState, setDrawingState] = useState({ mode: 'select', firstPoint: null });
 
+  // Layer that receives new stitches (falls back to the top layer when it no longer exists)
+  const [activeLayerId, setActiveLayerId] = useState(DEFAULT_LAYER_ID);
+
   // Pattern tiles configuration
   const [patternTiles, setPatternTiles] = useState(() => {
     return normalizePatternTiles(currentPattern.patternTiles ?? DEFAULT_PATTERN_TILES);
@@ -41,6 +50,8 @@ export function usePatternState() {
     setSelectedStitchIds,
     drawingState,
     setDrawingState,
+    activeLayerId,
+    setActiveLayerId,
     patternTiles,
     setPatternTiles,
   };
@@ -0,0 +1,34 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getPatternThumbnail } from '../lib/thumbnailCache.js';
+import { getThumbnailRevision } from '../lib/patternThumbnail.js';
+
+/**
+ * Hook to show a library pattern's thumbnail
+ * The thumbnail comes from IndexedDB, or is drawn in a worker when the pattern changed since it was cached
+ * @param {Object} pattern - Library pattern (starter or saved)
+ * @returns {string|null} Object URL of the thumbnail image (null while it loads)
+ */
+export function usePatternThumbnail(pattern) {
+  const [thumbnailUrl, setThumbnailUrl] = useState(null);
+  const revision = useMemo(() => getThumbnailRevision(pattern), [pattern]);
+
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+
+    getPatternThumbnail(pattern).then((blob) => {
+      if (cancelled || !blob) return;
+      url = URL.createObjectURL(blob);
+      setThumbnailUrl(url);
+    });
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+    // Redraw only when the pattern's revision changes, not on every new pattern object
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [pattern.id, revision]);
+
+  return thumbnailUrl;
+}
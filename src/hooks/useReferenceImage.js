@@ -0,0 +1,180 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  REFERENCE_IMAGE_DEFAULTS,
+  deleteReferenceImage,
+  deserializeReferenceImage,
+  fitReferenceCorners,
+  loadReferenceImage,
+  prepareReferenceImage,
+  saveReferenceImage,
+} from '../lib/referenceImage.js';
+
+// Placement changes (slider drags, corner drags) are written to IndexedDB once they settle
+const SAVE_DELAY_MS = 300;
+
+/**
+ * Hook to manage the reference photo traced over in the open pattern
+ * Each pattern id has at most one photo, stored in IndexedDB with its placement
+ * @param {string|null} patternId - Id of the open pattern (null while it is still loading)
+ * @returns {Object} Reference photo state and control functions
+ */
+export function useReferenceImage(patternId) {
+  // Photo of the pattern it belongs to (the previous pattern's photo until the next one has loaded)
+  const [referenceState, setReferenceState] = useState({ patternId: null, reference: null, image: null });
+  const referenceStateRef = useRef(referenceState);
+  referenceStateRef.current = referenceState;
+  // Whether the current record has changes not written yet
+  const isDirtyRef = useRef(false);
+
+  const isLoaded = patternId !== null && referenceState.patternId === patternId;
+  const reference = isLoaded ? referenceState.reference : null;
+  const image = isLoaded ? referenceState.image : null;
+
+  // Load the photo of the open pattern whenever another pattern is opened
+  useEffect(() => {
+    if (!patternId || referenceStateRef.current.patternId === patternId) return;
+    let cancelled = false;
+
+    const load = async () => {
+      const record = await loadReferenceImage(patternId);
+      let decoded = null;
+      if (record) {
+        try {
+          decoded = await createImageBitmap(record.blob);
+        } catch (error) {
+          console.error('Failed to decode reference image:', error);
+        }
+      }
+      if (cancelled) {
+        decoded?.close();
+        return;
+      }
+      isDirtyRef.current = false;
+      setReferenceState({ patternId, reference: decoded ? record : null, image: decoded });
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [patternId]);
+
+  // Write placement changes once they settle
+  useEffect(() => {
+    if (!isDirtyRef.current || !referenceState.reference) return;
+    const timer = setTimeout(() => {
+      isDirtyRef.current = false;
+      saveReferenceImage(referenceState.reference);
+    }, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [referenceState.reference]);
+
+  // Replace the open pattern's record and decoded image, and store it right away
+  const replaceReference = useCallback(async (record, decoded) => {
+    isDirtyRef.current = false;
+    setReferenceState({ patternId: record.key, reference: record, image: decoded });
+    return saveReferenceImage(record);
+  }, []);
+
+  /**
+   * Load a photo for the open pattern, fitted into the artboard (replaces an earlier photo)
+   * @param {File} file - Image file
+   * @param {Object} placement
+   * @param {{x: number, y: number}} placement.artboardSize - Artboard size in grid units
+   * @param {{x: number, y: number}} placement.cell - Pixel size of one grid unit
+   */
+  const loadFile = useCallback(async (file, { artboardSize, cell }) => {
+    if (!patternId) return false;
+    const { blob, width, height } = await prepareReferenceImage(file);
+    const decoded = await createImageBitmap(blob);
+    return replaceReference({
+      ...REFERENCE_IMAGE_DEFAULTS,
+      key: patternId,
+      blob,
+      name: file.name,
+      width,
+      height,
+      corners: fitReferenceCorners(width, height, artboardSize, cell),
+    }, decoded);
+  }, [patternId, replaceReference]);
+
+  /**
+   * Change the placement or display settings of the photo
+   * @param {Object|Function} changes - Fields to change, or a function of the current record
+   */
+  const updateReference = useCallback((changes) => {
+    setReferenceState((prev) => {
+      if (!prev.reference) return prev;
+      const next = typeof changes === 'function' ? changes(prev.reference) : changes;
+      isDirtyRef.current = true;
+      return { ...prev, reference: { ...prev.reference, ...next } };
+    });
+  }, []);
+
+  /**
+   * Fit the photo back into the artboard (drops its perspective correction, scale and rotation)
+   * @param {Object} placement - Artboard size and cell size, as for loadFile
+   */
+  const fitReference = useCallback(({ artboardSize, cell }) => {
+    updateReference((current) => ({
+      corners: fitReferenceCorners(current.width, current.height, artboardSize, cell),
+      scale: 1,
+      rotation: 0,
+    }));
+  }, [updateReference]);
+
+  /**
+   * Remove the photo from the open pattern
+   */
+  const removeReference = useCallback(async () => {
+    const { patternId: ownerId, reference: current } = referenceStateRef.current;
+    if (!current) return;
+    isDirtyRef.current = false;
+    setReferenceState({ patternId: ownerId, reference: null, image: null });
+    await deleteReferenceImage(ownerId);
+  }, []);
+
+  /**
+   * Keep the photo under a new pattern id (the pattern was saved under a new id)
+   * @param {string} newPatternId
+   * @param {Object} [options]
+   * @param {boolean} [options.keepOriginal] - Save As: the original pattern keeps its photo too
+   */
+  const adoptReference = useCallback(async (newPatternId, { keepOriginal = false } = {}) => {
+    const { patternId: ownerId, reference: current } = referenceStateRef.current;
+    if (ownerId === newPatternId) return;
+    setReferenceState((prev) => ({
+      ...prev,
+      patternId: newPatternId,
+      reference: prev.reference && { ...prev.reference, key: newPatternId },
+    }));
+    if (!current) return;
+    isDirtyRef.current = false;
+    await saveReferenceImage({ ...current, key: newPatternId });
+    if (!keepOriginal) {
+      await deleteReferenceImage(ownerId);
+    }
+  }, []);
+
+  /**
+   * Store a photo read from a pattern file for the pattern being imported
+   * @param {string} importedPatternId - Id the imported pattern opens under
+   * @param {Object} data - `referenceImage` field of the pattern file
+   */
+  const importReference = useCallback(async (importedPatternId, data) => {
+    const record = await deserializeReferenceImage(importedPatternId, data);
+    const decoded = await createImageBitmap(record.blob);
+    return replaceReference(record, decoded);
+  }, [replaceReference]);
+
+  return {
+    reference,
+    image,
+    loadFile,
+    updateReference,
+    fitReference,
+    removeReference,
+    adoptReference,
+    importReference,
+  };
+}
@@ -0,0 +1,207 @@
+import { useCallback, useRef } from 'react';
+import { toast } from 'sonner';
+import { getStitchBounds, wrapStitchToTile } from '../lib/stitchTransform.js';
+import { normalizeTileSize } from '../lib/patternUtils.js';
+import { convertPointToGrid, isTriangularGrid, normalizeGridType } from '../lib/gridGeometry.js';
+import { DEFAULT_GAP_SIZE } from './useUiState.js';
+
+// Marker so we only paste clipboard text that came from this app
+export const STITCH_CLIPBOARD_TYPE = 'sashiko-stitches';
+
+/**
+ * Serialize stitches for the clipboard with coordinates relative to their bounding box
+ * @param {Array} stitches - Stitches to copy
+ * @param {Map} stitchColors - Current color map (takes precedence over stitch.color)
+ * @param {string} gridType - Grid the coordinates refer to
+ * @returns {Object|null} Clipboard payload or null when nothing is given
+ */
+export function serializeStitchSelection(stitches, stitchColors, gridType) {
+  const bounds = getStitchBounds(stitches);
+  if (!bounds) return null;
+  return {
+    type: STITCH_CLIPBOARD_TYPE,
+    version: 1,
+    gridType: normalizeGridType(gridType),
+    origin: { x: bounds.minX, y: bounds.minY },
+    stitches: stitches.map((stitch) => ({
+      start: { x: stitch.start.x - bounds.minX, y: stitch.start.y - bounds.minY },
+      end: { x: stitch.end.x - bounds.minX, y: stitch.end.y - bounds.minY },
+      color: stitchColors.get(stitch.id) ?? stitch.color ?? null,
+      stitchSize: stitch.stitchSize,
+      stitchWidth: stitch.stitchWidth,
+      gapSize: stitch.gapSize,
+      curvature: stitch.curvature ?? 0,
+      repeat: stitch.repeat,
+    })),
+  };
+}
+
+/**
+ * Parse clipboard text into a stitch payload
+ * @param {string} text - Clipboard text
+ * @returns {Object|null} Payload or null when the text is not a stitch selection
+ */
+export function parseStitchClipboard(text) {
+  try {
+    const parsed = JSON.parse(text);
+    const isPoint = (point) => point && typeof point.x === 'number' && typeof point.y === 'number';
+    if (
+      parsed?.type !== STITCH_CLIPBOARD_TYPE ||
+      !Array.isArray(parsed.stitches) ||
+      !parsed.stitches.every((stitch) => isPoint(stitch?.start) && isPoint(stitch?.end))
+    ) {
+      return null;
+    }
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Move a clipboard payload onto another grid type, keeping the stitches' physical positions
+ * Payloads without a grid type were copied from the square grid
+ * @param {Object} payload - Parsed clipboard payload
+ * @param {string} gridType - Grid of the pattern being pasted into
+ * @returns {Object} Payload in the target grid's coordinates (stitches that collapse to a point are dropped)
+ */
+export function convertStitchClipboard(payload, gridType) {
+  const fromGridType = normalizeGridType(payload.gridType);
+  const toGridType = normalizeGridType(gridType);
+  if (fromGridType === toGridType) return payload;
+
+  // Convert absolute positions so the stitches land on lattice points, then rebase on their new bounds
+  const origin = payload.origin ?? { x: 0, y: 0 };
+  const convert = (point) => convertPointToGrid(fromGridType, toGridType, { x: point.x + origin.x, y: point.y + origin.y });
+  const converted = payload.stitches
+    .map((stitch) => ({ ...stitch, start: convert(stitch.start), end: convert(stitch.end) }))
+    .filter((stitch) => stitch.start.x !== stitch.end.x || stitch.start.y !== stitch.end.y);
+  const bounds = getStitchBounds(converted);
+  if (!bounds) return { ...payload, gridType: toGridType, stitches: [] };
+  return {
+    ...payload,
+    gridType: toGridType,
+    origin: { x: bounds.minX, y: bounds.minY },
+    stitches: converted.map((stitch) => ({
+      ...stitch,
+      start: { x: stitch.start.x - bounds.minX, y: stitch.start.y - bounds.minY },
+      end: { x: stitch.end.x - bounds.minX, y: stitch.end.y - bounds.minY },
+    })),
+  };
+}
+
+/**
+ * Hook for copying, cutting and pasting selected stitches via the system clipboard
+ * Falls back to an in-memory copy when the clipboard API is unavailable or denied
+ */
+export function useStitchClipboard({
+  currentPattern,
+  stitchColors,
+  selectedStitchIds,
+  setCurrentPattern,
+  setStitchColors,
+  setSelectedStitchIds,
+  tileSize,
+  gridType,
+  targetLayer, // Layer that receives pasted stitches
+  onDeleteSelected,
+  getPasteTarget, // Returns the cursor position in artboard grid units (or null)
+}) {
+  const lastCopiedRef = useRef(null);
+
+  const copySelection = useCallback(async () => {
+    const selected = currentPattern.stitches.filter((stitch) => selectedStitchIds.has(stitch.id));
+    const payload = serializeStitchSelection(selected, stitchColors, gridType);
+    if (!payload) return false;
+
+    const text = JSON.stringify(payload);
+    lastCopiedRef.current = text;
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      // In-memory copy still works within this tab
+      console.warn('Clipboard write failed, using in-app clipboard:', error);
+    }
+    toast.success(`Copied ${selected.length} stitch${selected.length === 1 ? '' : 'es'}`);
+    return true;
+  }, [currentPattern.stitches, selectedStitchIds, stitchColors, gridType]);
+
+  const cutSelection = useCallback(async () => {
+    const copied = await copySelection();
+    if (copied) {
+      onDeleteSelected();
+    }
+  }, [copySelection, onDeleteSelected]);
+
+  const pasteStitches = useCallback(async () => {
+    let text = null;
+    try {
+      text = await navigator.clipboard.readText();
+    } catch (error) {
+      console.warn('Clipboard read failed, using in-app clipboard:', error);
+    }
+
+    const parsed = parseStitchClipboard(text) ?? parseStitchClipboard(lastCopiedRef.current);
+    if (!parsed || parsed.stitches.length === 0) {
+      toast.error('Nothing to paste. Copy some stitches first.');
+      return;
+    }
+    // Stitches copied from a pattern on the other grid type are moved onto this pattern's lattice
+    const payload = convertStitchClipboard(parsed, gridType);
+    if (payload.stitches.length === 0) {
+      toast.error('The copied stitches are too short to paste on this grid.');
+      return;
+    }
+    if (payload !== parsed) {
+      const droppedCount = parsed.stitches.length - payload.stitches.length;
+      toast.info(`Converted the copied stitches to the ${normalizeGridType(gridType)} grid${droppedCount > 0 ? ` (${droppedCount} too short to keep)` : ''}`);
+    }
+    if (targetLayer && (!targetLayer.visible || targetLayer.locked)) {
+      toast.error(`"${targetLayer.name}" is ${targetLayer.locked ? 'locked' : 'hidden'}. Pick another layer to paste into.`);
+      return;
+    }
+
+    // Paste with the selection's top-left corner at the cursor (or where it was copied from)
+    const origin = payload.origin ?? { x: 0, y: 0 };
+    const target = { ...(getPasteTarget?.() ?? origin) };
+    // On the triangular grid only moves with an even x + y keep stitches on lattice points
+    if (isTriangularGrid(gridType) && Math.abs(target.x + target.y - origin.x - origin.y) % 2 === 1) {
+      target.x += 1;
+    }
+    const normalizedTileSize = normalizeTileSize(tileSize);
+    const timestamp = Date.now();
+    const pasted = payload.stitches.map((stitch, index) => wrapStitchToTile({
+      id: `stitch-${timestamp}-${index}-${Math.random().toString(16).slice(2, 8)}`,
+      start: { x: stitch.start.x + target.x, y: stitch.start.y + target.y },
+      end: { x: stitch.end.x + target.x, y: stitch.end.y + target.y },
+      color: null,
+      stitchSize: stitch.stitchSize,
+      stitchWidth: stitch.stitchWidth,
+      gapSize: stitch.gapSize ?? DEFAULT_GAP_SIZE,
+      curvature: stitch.curvature ?? 0,
+      repeat: stitch.repeat !== undefined ? stitch.repeat : true,
+      layerId: targetLayer?.id,
+    }, normalizedTileSize));
+
+    setCurrentPattern((prev) => ({
+      ...prev,
+      stitches: [...prev.stitches, ...pasted],
+    }));
+    setStitchColors((prev) => {
+      const next = new Map(prev);
+      pasted.forEach((stitch, index) => {
+        const color = payload.stitches[index].color;
+        if (color) next.set(stitch.id, color);
+      });
+      return next;
+    });
+    // Select the pasted stitches so they can be moved right away
+    setSelectedStitchIds(new Set(pasted.map((stitch) => stitch.id)));
+  }, [getPasteTarget, tileSize, gridType, targetLayer, setCurrentPattern, setStitchColors, setSelectedStitchIds]);
+
+  return {
+    copySelection,
+    cutSelection,
+    pasteStitches,
+  };
+}
@@ -1,5 +1,7 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { DEFAULT_UNIT } from '../lib/unitConverter.js';
+import { DEFAULT_SYMMETRY } from '../lib/symmetry.js';
+import { DEFAULT_HISTORY_DEPTH } from '../lib/historyTree.js';
 
 // UI State defaults
 export const DEFAULT_BACKGROUND_COLOR = '#0f172a'; // Dark slate with full opacity (8-char hex)
@@ -22,6 +24,14 @@ export const DEFAULT_STITCH_WIDTH = 'normal';
 export const DEFAULT_GAP_SIZE = 9; // Space between adjacent dashes
 export const DEFAULT_SELECTED_COLOR = '#0000FF'; // Blue color for selected stitches
 
+// Stitch tool styles: two clicks per stitch, chained clicks, or one stitch per grid step dragged over
+export const DRAW_STYLES = {
+  line: 'line',
+  polyline: 'polyline',
+  drag: 'drag',
+};
+export const DEFAULT_DRAW_STYLE = DRAW_STYLES.line;
+
 const UI_STATE_STORAGE_KEY = 'sashiko-ui-state';
 
 // Load UI state from localStorage (synchronous)
@@ -76,6 +86,11 @@ export function useUiState() {
   const [stitchWidth, setStitchWidth] = useState(savedState?.stitchWidth || DEFAULT_STITCH_WIDTH);
   const [gapSize, setGapSize] = useState(savedState?.gapSize !== undefined ? savedState.gapSize : DEFAULT_GAP_SIZE);
   const [repeatPattern, setRepeatPattern] = useState(savedState?.repeatPattern !== undefined ? savedState.repeatPattern : DEFAULT_REPEAT_PATTERN);
+  const [symmetry, setSymmetry] = useState(savedState?.symmetry || DEFAULT_SYMMETRY);
+  const [drawStyle, setDrawStyle] = useState(savedState?.drawStyle || DEFAULT_DRAW_STYLE);
+
+  // Undo steps kept per pattern
+  const [historyDepth, setHistoryDepth] = useState(savedState?.historyDepth || DEFAULT_HISTORY_DEPTH);
 
   // Artboard configuration (moved for synchronous loading - these are UI preferences, not pattern data)
   const [gridSize, setGridSize] = useState(savedState?.gridSize || DEFAULT_GRID_SIZE);
@@ -113,6 +128,9 @@ export function useUiState() {
       stitchWidth,
       gapSize,
       repeatPattern,
+      symmetry,
+      drawStyle,
+      historyDepth,
       gridSize,
       tileSize,
       patternTiles,
@@ -132,6 +150,9 @@ export function useUiState() {
     stitchWidth, 
     gapSize, 
     repeatPattern, 
+    symmetry,
+    drawStyle,
+    historyDepth,
     gridSize, 
     tileSize.x, 
     tileSize.y, 
@@ -238,6 +259,35 @@ export function useUiState() {
     setColorPresets((prev) => prev.filter(c => c !== color));
   }, []);
 
+  // Apply settings restored from a library backup (missing keys keep their current value)
+  const applyUiSettings = useCallback((settings = {}) => {
+    const setters = {
+      backgroundColor: setBackgroundColor,
+      gridColor: setGridColor,
+      tileOutlineColor: setTileOutlineColor,
+      artboardOutlineColor: setArtboardOutlineColor,
+      showGrid: setShowGrid,
+      displayUnit: setDisplayUnit,
+      selectedStitchColor: setSelectedStitchColor,
+      stitchSize: setStitchSize,
+      stitchWidth: setStitchWidth,
+      gapSize: setGapSize,
+      repeatPattern: setRepeatPattern,
+      symmetry: setSymmetry,
+      drawStyle: setDrawStyle,
+      historyDepth: setHistoryDepth,
+      gridSize: setGridSize,
+      tileSize: setTileSize,
+      patternTiles: setPatternTiles,
+      colorPresets: setColorPresets,
+    };
+    Object.entries(settings).forEach(([key, value]) => {
+      if (value !== undefined && setters[key]) {
+        setters[key](value);
+      }
+    });
+  }, []);
+
   // Reset all UI state to defaults
   const resetuiState = useCallback(() => {
     setBackgroundColor(DEFAULT_BACKGROUND_COLOR);
@@ -252,6 +302,9 @@ export function useUiState() {
     setStitchWidth(DEFAULT_STITCH_WIDTH);
     setGapSize(DEFAULT_GAP_SIZE);
     setRepeatPattern(DEFAULT_REPEAT_PATTERN);
+    setSymmetry(DEFAULT_SYMMETRY);
+    setDrawStyle(DEFAULT_DRAW_STYLE);
+    setHistoryDepth(DEFAULT_HISTORY_DEPTH);
     setGridSize(DEFAULT_GRID_SIZE);
     setTileSize(DEFAULT_TILE_SIZE);
     setPatternTiles({ x: DEFAULT_PATTERN_TILES, y: DEFAULT_PATTERN_TILES });
@@ -278,6 +331,9 @@ export function useUiState() {
     stitchWidth,
     gapSize,
     repeatPattern,
+    symmetry,
+    drawStyle,
+    historyDepth,
     gridSize,
     tileSize,
     patternTiles,
@@ -296,6 +352,9 @@ export function useUiState() {
     setStitchWidth,
     setGapSize,
     setRepeatPattern,
+    setSymmetry,
+    setDrawStyle,
+    setHistoryDepth,
     setGridSize,
     setTileSize,
     setPatternTiles,
@@ -315,6 +374,7 @@ export function useUiState() {
     handleRemoveColorPreset,
     
     // Utility functions
+    applyUiSettings,
     resetuiState,
   };
 }
@@ -35,6 +35,72 @@ db.version(2).stores({
   history: 'key', // Single entry with key 'undoRedo'
 });
 
+// Version 3: One history tree per pattern (keyed by pattern id), indexed by last edit for cleanup
+db.version(3).stores({
+  patterns: '++id, name, createdAt, updatedAt, isStarterPattern',
+  settings: 'key',
+  currentPattern: 'key',
+  history: 'key, timestamp',
+});
+
+// Version 4: Immutable versions of saved patterns, one per save (seeded with the patterns saved so far)
+db.version(4).stores({
+  patterns: '++id, name, createdAt, updatedAt, isStarterPattern',
+  settings: 'key',
+  currentPattern: 'key',
+  history: 'key, timestamp',
+  patternVersions: '++id, patternId, createdAt',
+}).upgrade(async (tx) => {
+  const patterns = await tx.table('patterns').toArray();
+  await tx.table('patternVersions').bulkAdd(patterns.map((pattern) => ({
+    patternId: pattern.id,
+    note: '',
+    createdAt: pattern.updatedAt || pattern.createdAt || Date.now(),
+    pattern,
+  })));
+});
+
+// Version 5: Cached library thumbnails (PNG blobs keyed by pattern id, redrawn when the pattern changes)
+db.version(5).stores({
+  patterns: '++id, name, createdAt, updatedAt, isStarterPattern',
+  settings: 'key',
+  currentPattern: 'key',
+  history: 'key, timestamp',
+  patternVersions: '++id, patternId, createdAt',
+  thumbnails: 'key',
+});
+
+// Version 6: Library tags (multi-entry index) and folders
+db.version(6).stores({
+  patterns: '++id, name, createdAt, updatedAt, isStarterPattern, *tags, folder',
+  settings: 'key',
+  currentPattern: 'key',
+  history: 'key, timestamp',
+  patternVersions: '++id, patternId, createdAt',
+  thumbnails: 'key',
+});
+
+// Version 7: Trash (patterns with a deletedAt timestamp are in the Trash)
+db.version(7).stores({
+  patterns: '++id, name, createdAt, updatedAt, isStarterPattern, *tags, folder, deletedAt',
+  settings: 'key',
+  currentPattern: 'key',
+  history: 'key, timestamp',
+  patternVersions: '++id, patternId, createdAt',
+  thumbnails: 'key',
+});
+
+// Version 8: Reference photos traced over (image blob and placement, keyed by pattern id)
+db.version(8).stores({
+  patterns: '++id, name, createdAt, updatedAt, isStarterPattern, *tags, folder, deletedAt',
+  settings: 'key',
+  currentPattern: 'key',
+  history: 'key, timestamp',
+  patternVersions: '++id, patternId, createdAt',
+  thumbnails: 'key',
+  referenceImages: 'key',
+});
+
 // Pattern data model
 export class Pattern {
   constructor(data) {
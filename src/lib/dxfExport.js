@@ -0,0 +1,327 @@
+// DXF export - stitch dashes as CAD geometry for laser-cut stencils
+//
+// Every dash becomes either a closed slot outline (dash length × slot width, round ends) or its centerline.
+// Curved dashes keep the circle that getArcParams found for them (via resolveStitchPath), so they are
+// written as true ARC entities rather than flattened. Each thread color gets its own layer. Optional
+// bridges leave short uncut pieces in long cuts so slots stay attached to the sheet while cutting.
+// Written as ASCII DXF R12 (AC1009) in millimeters, which CAD and laser software read alike.
+
+import { normalizePatternTiles, normalizeTileSize } from './patternUtils.js';
+import { collectStitchDashes } from './stitchLayout.js';
+import { getVisibleStitches, normalizeLayers } from './layers.js';
+import { DEFAULT_GRID_SIZE } from '../hooks/useUiState.js';
+import { getCellSize, normalizeGridType } from './gridGeometry.js';
+
+export const DXF_EXPORT_DEFAULTS = {
+  geometry: 'slots', // 'slots' (closed outlines) | 'centerlines'
+  cellSizeMm: 5,
+  slotWidthMm: 1.5,
+  bridges: false,
+  bridgeWidthMm: 0.5,
+  bridgeSpacingMm: 10, // One bridge per this much cut length
+  includeArtboard: true, // Artboard rectangle on its own layer (the stencil sheet edge)
+};
+
+const ARTBOARD_LAYER = 'ARTBOARD';
+const ARTBOARD_LAYER_COLOR = 8;
+
+// AutoCAD Color Index entries layers are matched to (R12 layers have no true color)
+const ACI_COLORS = [
+  [1, [255, 0, 0]],
+  [2, [255, 255, 0]],
+  [3, [0, 255, 0]],
+  [4, [0, 255, 255]],
+  [5, [0, 0, 255]],
+  [6, [255, 0, 255]],
+  [7, [255, 255, 255]],
+  [8, [128, 128, 128]],
+  [9, [192, 192, 192]],
+];
+
+/**
+ * Closest AutoCAD Color Index for a hex color (alpha is ignored)
+ * @param {string} hex
+ * @returns {number}
+ */
+function nearestAci(hex) {
+  if (typeof hex !== 'string' || !/^#[0-9a-f]{6}/i.test(hex)) return 7;
+  const rgb = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  let best = 7;
+  let bestDistance = Infinity;
+  ACI_COLORS.forEach(([index, color]) => {
+    const distance = color.reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Layer name for a thread color, e.g. THREAD_48526C
+ * @param {string} color
+ * @returns {string}
+ */
+function threadLayerName(color) {
+  return `THREAD_${color.slice(1, 7).toUpperCase()}`;
+}
+
+/**
+ * Format a number for DXF group values (max 4 decimals)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 10000) / 10000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Angle in degrees within [0, 360)
+ * @param {number} radians
+ * @returns {number}
+ */
+function toDegrees(radians) {
+  const degrees = (radians * 180) / Math.PI;
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Parts of a cut of the given length that are cut, leaving bridges evenly along it
+ * @param {number} length - Cut length in mm
+ * @param {Object} options
+ * @returns {Array<[number, number]>} Fractions (0-1) of the cut to keep
+ */
+function bridgedIntervals(length, { bridges, bridgeWidthMm, bridgeSpacingMm }) {
+  const count = bridges && bridgeSpacingMm > 0 ? Math.floor(length / bridgeSpacingMm) : 0;
+  if (count === 0 || bridgeWidthMm <= 0 || bridgeWidthMm * count >= length) return [[0, 1]];
+  const half = bridgeWidthMm / 2 / length;
+  const intervals = [];
+  let from = 0;
+  for (let i = 1; i <= count; i++) {
+    const center = i / (count + 1);
+    intervals.push([from, center - half]);
+    from = center + half;
+  }
+  intervals.push([from, 1]);
+  return intervals;
+}
+
+/**
+ * Collects DXF entities and the drawing extents
+ */
+function createEntityWriter() {
+  const lines = [];
+  const extents = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const include = (x, y) => {
+    extents.minX = Math.min(extents.minX, x);
+    extents.minY = Math.min(extents.minY, y);
+    extents.maxX = Math.max(extents.maxX, x);
+    extents.maxY = Math.max(extents.maxY, y);
+  };
+  let count = 0;
+
+  return {
+    lines,
+    extents,
+    get count() {
+      return count;
+    },
+    line(layer, x1, y1, x2, y2) {
+      include(x1, y1);
+      include(x2, y2);
+      count++;
+      lines.push('0', 'LINE', '8', layer,
+        '10', formatNumber(x1), '20', formatNumber(y1), '30', '0',
+        '11', formatNumber(x2), '21', formatNumber(y2), '31', '0');
+    },
+    // Counterclockwise from startAngle to endAngle (radians, y pointing up)
+    arc(layer, cx, cy, radius, startAngle, endAngle) {
+      include(cx - radius, cy - radius);
+      include(cx + radius, cy + radius);
+      count++;
+      lines.push('0', 'ARC', '8', layer,
+        '10', formatNumber(cx), '20', formatNumber(cy), '30', '0',
+        '40', formatNumber(radius),
+        '50', formatNumber(toDegrees(startAngle)), '51', formatNumber(toDegrees(endAngle)));
+    },
+  };
+}
+
+/**
+ * Straight cut from a to b, with bridges left out
+ */
+function writeLineCut(writer, layer, a, b, options) {
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  bridgedIntervals(length, options).forEach(([from, to]) => {
+    writer.line(layer,
+      a.x + (b.x - a.x) * from, a.y + (b.y - a.y) * from,
+      a.x + (b.x - a.x) * to, a.y + (b.y - a.y) * to);
+  });
+}
+
+/**
+ * Arc cut (counterclockwise from startAngle to endAngle), with bridges left out
+ * Bridges are placed by the length of the dash centerline so both sides of a slot line up
+ */
+function writeArcCut(writer, layer, center, radius, startAngle, endAngle, bridgeLength, options) {
+  const sweep = endAngle - startAngle;
+  bridgedIntervals(bridgeLength, options).forEach(([from, to]) => {
+    writer.arc(layer, center.x, center.y, radius, startAngle + sweep * from, startAngle + sweep * to);
+  });
+}
+
+/**
+ * Write one dash as a centerline or slot outline
+ * @param {Object} writer
+ * @param {string} layer
+ * @param {Object} dash - Dash in millimeters with y pointing up; arcs run counterclockwise
+ * @param {Object} options
+ */
+function writeDash(writer, layer, dash, options) {
+  const half = options.slotWidthMm / 2;
+
+  if (dash.type === 'arc') {
+    const { center, radius, startAngle, endAngle } = dash;
+    const length = radius * (endAngle - startAngle);
+    if (options.geometry === 'centerlines') {
+      writeArcCut(writer, layer, center, radius, startAngle, endAngle, length, options);
+      return;
+    }
+    writeArcCut(writer, layer, center, radius + half, startAngle, endAngle, length, options);
+    if (radius - half > 0) {
+      writeArcCut(writer, layer, center, radius - half, startAngle, endAngle, length, options);
+    }
+    // Round ends, centered on the dash end points and facing away from the dash
+    writer.arc(layer,
+      center.x + radius * Math.cos(endAngle), center.y + radius * Math.sin(endAngle),
+      half, endAngle, endAngle + Math.PI);
+    writer.arc(layer,
+      center.x + radius * Math.cos(startAngle), center.y + radius * Math.sin(startAngle),
+      half, startAngle - Math.PI, startAngle);
+    return;
+  }
+
+  const { a, b } = dash;
+  if (options.geometry === 'centerlines') {
+    writeLineCut(writer, layer, a, b, options);
+    return;
+  }
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  if (length === 0) return;
+  const direction = Math.atan2(b.y - a.y, b.x - a.x);
+  const nx = (-(b.y - a.y) / length) * half;
+  const ny = ((b.x - a.x) / length) * half;
+  writeLineCut(writer, layer, { x: a.x + nx, y: a.y + ny }, { x: b.x + nx, y: b.y + ny }, options);
+  writeLineCut(writer, layer, { x: a.x - nx, y: a.y - ny }, { x: b.x - nx, y: b.y - ny }, options);
+  writer.arc(layer, b.x, b.y, half, direction - Math.PI / 2, direction + Math.PI / 2);
+  writer.arc(layer, a.x, a.y, half, direction + Math.PI / 2, direction + (3 * Math.PI) / 2);
+}
+
+/**
+ * Build a DXF document of the artboard's stitches
+ * @param {Object} pattern - Pattern with stitches (hidden layers are left out)
+ * @param {Object} [options]
+ * @param {Map} [options.stitchColors] - Color overrides by stitch id
+ * @param {'slots'|'centerlines'} [options.geometry='slots']
+ * @param {number} [options.cellSizeMm=5] - Physical size of one grid cell
+ * @param {number} [options.slotWidthMm=1.5] - Width of slot outlines
+ * @param {boolean} [options.bridges=false] - Leave uncut bridges in long cuts
+ * @param {number} [options.bridgeWidthMm=0.5]
+ * @param {number} [options.bridgeSpacingMm=10] - One bridge per this much cut length
+ * @param {boolean} [options.includeArtboard=true] - Add the artboard rectangle on its own layer
+ * @returns {{text: string, layers: Array<{name: string, color: string}>, entityCount: number, dashCount: number,
+ *   width: number, height: number}} DXF text; width and height of the artboard in mm
+ */
+export function buildPatternDxf(pattern, options = {}) {
+  const settings = { ...DXF_EXPORT_DEFAULTS, ...options };
+  const stitchColors = options.stitchColors ?? new Map();
+  const tileSize = normalizeTileSize(options.tileSize ?? pattern?.tileSize);
+  const patternTiles = normalizePatternTiles(options.patternTiles ?? pattern?.patternTiles);
+  const gridSize = options.gridSize ?? pattern?.gridSize ?? DEFAULT_GRID_SIZE;
+  const gridType = normalizeGridType(options.gridType ?? pattern?.gridType);
+  const entries = collectStitchDashes(getVisibleStitches(pattern?.stitches, normalizeLayers(pattern?.layers)), {
+    tileSize,
+    patternTiles,
+    gridSize,
+    gridType,
+    stitchColors,
+  });
+
+  // Millimeters per canvas pixel; DXF y points up, so canvas y is measured down from the artboard top
+  const scale = settings.cellSizeMm / gridSize;
+  const cell = getCellSize(gridType, gridSize);
+  const width = patternTiles.x * tileSize.x * cell.x * scale;
+  const height = patternTiles.y * tileSize.y * cell.y * scale;
+  const toDxf = (x, y) => ({ x: x * scale, y: height - y * scale });
+
+  const writer = createEntityWriter();
+  const layers = new Map();
+  let dashCount = 0;
+
+  if (settings.includeArtboard) {
+    [[0, 0, width, 0], [width, 0, width, height], [width, height, 0, height], [0, height, 0, 0]].forEach(
+      ([x1, y1, x2, y2]) => writer.line(ARTBOARD_LAYER, x1, y1, x2, y2)
+    );
+  }
+
+  entries.forEach((entry) => {
+    const layer = threadLayerName(entry.color);
+    if (!layers.has(layer)) layers.set(layer, entry.color.slice(0, 7));
+    entry.dashes.forEach((dash) => {
+      dashCount++;
+      if (dash.type === 'arc') {
+        // Flipping y mirrors angles; the DXF arc runs counterclockwise over the same stretch of circle
+        const from = -Math.max(dash.startAngle, dash.endAngle);
+        const to = -Math.min(dash.startAngle, dash.endAngle);
+        writeDash(writer, layer, {
+          type: 'arc',
+          center: toDxf(dash.cx, dash.cy),
+          radius: dash.radius * scale,
+          startAngle: from,
+          endAngle: to,
+        }, settings);
+      } else {
+        writeDash(writer, layer, { type: 'line', a: toDxf(dash.x1, dash.y1), b: toDxf(dash.x2, dash.y2) }, settings);
+      }
+    });
+  });
+
+  const extents = writer.count > 0 ? writer.extents : { minX: 0, minY: 0, maxX: width, maxY: height };
+  const layerEntries = [
+    ...(settings.includeArtboard ? [[ARTBOARD_LAYER, ARTBOARD_LAYER_COLOR]] : []),
+    ...[...layers.entries()].map(([name, color]) => [name, nearestAci(color)]),
+  ];
+
+  const text = [
+    '0', 'SECTION', '2', 'HEADER',
+    '9', '$ACADVER', '1', 'AC1009',
+    '9', '$INSUNITS', '70', '4',
+    '9', '$MEASUREMENT', '70', '1',
+    '9', '$EXTMIN', '10', formatNumber(extents.minX), '20', formatNumber(extents.minY), '30', '0',
+    '9', '$EXTMAX', '10', formatNumber(extents.maxX), '20', formatNumber(extents.maxY), '30', '0',
+    '0', 'ENDSEC',
+    '0', 'SECTION', '2', 'TABLES',
+    '0', 'TABLE', '2', 'LTYPE', '70', '1',
+    '0', 'LTYPE', '2', 'CONTINUOUS', '70', '0', '3', 'Solid line', '72', '65', '73', '0', '40', '0',
+    '0', 'ENDTAB',
+    '0', 'TABLE', '2', 'LAYER', '70', String(layerEntries.length),
+    ...layerEntries.flatMap(([name, color]) => ['0', 'LAYER', '2', name, '70', '0', '62', String(color), '6', 'CONTINUOUS']),
+    '0', 'ENDTAB',
+    '0', 'ENDSEC',
+    '0', 'SECTION', '2', 'ENTITIES',
+    ...writer.lines,
+    '0', 'ENDSEC',
+    '0', 'EOF',
+  ].join('\n');
+
+  return {
+    text: `${text}\n`,
+    layers: [...layers.entries()].map(([name, color]) => ({ name, color })),
+    entityCount: writer.count,
+    dashCount,
+    width,
+    height,
+  };
+}
@@ -0,0 +1,591 @@
+// Machine embroidery export - turns the artboard into needle points for Tajima DST, Brother PES and Melco EXP
+//
+// Every stitch instance on the artboard becomes a run of needle points: each sashiko dash is sewn (as a
+// bean stitch by default, so it stands out like hand-sewn thread) and each gap is a single short stitch.
+// Runs that continue one another are joined; everything else is reached with jump stitches. Runs are
+// grouped by thread color with a color stop between groups. Coordinates are in 0.1 mm, the unit all
+// three formats use, with the design centered on the hoop origin.
+
+import { normalizePatternTiles, normalizeTileSize } from './patternUtils.js';
+import { collectStitchDashes, orderPaths } from './stitchLayout.js';
+import { getVisibleStitches, normalizeLayers } from './layers.js';
+import { DEFAULT_GRID_SIZE } from '../hooks/useUiState.js';
+import { normalizeGridType } from './gridGeometry.js';
+
+export const EMBROIDERY_FORMATS = {
+  dst: { label: 'Tajima DST', extension: '.dst' },
+  pes: { label: 'Brother PES', extension: '.pes' },
+  exp: { label: 'Melco EXP', extension: '.exp' },
+};
+
+export const EMBROIDERY_EXPORT_DEFAULTS = {
+  format: 'dst',
+  cellSizeMm: 5,
+  beanStitch: true, // Sew every dash three times (forward, back, forward)
+  maxStitchMm: 7, // Longer dashes are split into several needle points
+};
+
+// Needle commands
+export const EMBROIDERY_COMMANDS = {
+  stitch: 'stitch',
+  jump: 'jump',
+  color: 'color',
+  end: 'end',
+};
+
+// Largest move one record can hold in every format (DST: ±121 units)
+const MAX_MOVE = 121;
+// Curved dashes are followed with needle points at most this far apart
+const ARC_STEP_MM = 1.5;
+// Length of the tie-in and tie-off stitches that lock the thread at both ends of a run
+const TIE_STITCH_MM = 0.8;
+// Runs this close (relative to their own gaps) are joined with a stitch instead of a jump
+const JOIN_GAP_FACTOR = 1.5;
+
+// Brother PEC thread palette, indices 1-64 (index 0 is unused)
+const PEC_THREAD_COLORS = [
+  '#1a0a94', '#0f75ff', '#00934c', '#babdfe', '#ec0000', '#e4995a', '#cc48ab', '#fdc4fa',
+  '#dd84cd', '#6bd38a', '#e4a945', '#ffbd42', '#ffe600', '#6cd900', '#c1a941', '#b5ad97',
+  '#ba9c5f', '#faf59e', '#808080', '#000000', '#001cdf', '#df00b8', '#626262', '#69260d',
+  '#ff0060', '#bf8200', '#f39178', '#ff6805', '#f0f0f0', '#c832cd', '#b0bf9b', '#65bfeb',
+  '#ffba04', '#fff06c', '#feca15', '#f38101', '#37a923', '#23465f', '#a6a695', '#cebfa6',
+  '#96aa02', '#ffe3c6', '#ff99d7', '#007004', '#edccfb', '#c089d8', '#e7d9b4', '#e90e86',
+  '#cf6829', '#408615', '#db1797', '#ffa704', '#b9ffff', '#228927', '#b612cd', '#00aa00',
+  '#fea9dc', '#fed510', '#0097df', '#ffff84', '#cfe774', '#ffc864', '#ffc8c8', '#ffc8c8',
+];
+
+// PEC preview icons: 48 × 38 pixels, one bit per pixel
+const PEC_ICON_WIDTH = 48;
+const PEC_ICON_HEIGHT = 38;
+
+/**
+ * Parse a hex color to RGB (0-255), ignoring alpha
+ * @param {string} hex
+ * @returns {number[]}
+ */
+function hexToRgb(hex) {
+  if (typeof hex !== 'string' || !/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) {
+    return [0, 0, 0];
+  }
+  return [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Index of the closest Brother PEC thread (1-64)
+ * @param {string} hex
+ * @returns {number}
+ */
+function nearestPecThread(hex) {
+  const [r, g, b] = hexToRgb(hex);
+  let best = 1;
+  let bestDistance = Infinity;
+  PEC_THREAD_COLORS.forEach((color, index) => {
+    const [tr, tg, tb] = hexToRgb(color);
+    const distance = (r - tr) ** 2 + (g - tg) ** 2 + (b - tb) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = index + 1;
+    }
+  });
+  return best;
+}
+
+/**
+ * Points along a straight segment, no further apart than maxStep (start point excluded)
+ * @returns {Array<{x: number, y: number}>}
+ */
+function subdivideLine(x1, y1, x2, y2, maxStep) {
+  const count = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) / maxStep));
+  return Array.from({ length: count }, (_, i) => ({
+    x: x1 + ((x2 - x1) * (i + 1)) / count,
+    y: y1 + ((y2 - y1) * (i + 1)) / count,
+  }));
+}
+
+/**
+ * Needle points that sew one dash (start point first)
+ * @param {Object} dash - Dash from calculateStitchDashes (canvas pixels)
+ * @param {number} scale - Millimeters per canvas pixel
+ * @param {number} maxStitchMm
+ * @returns {Array<{x: number, y: number}>} Points in millimeters
+ */
+function dashToPoints(dash, scale, maxStitchMm) {
+  const start = { x: dash.x1 * scale, y: dash.y1 * scale };
+  if (dash.type !== 'arc') {
+    return [start, ...subdivideLine(start.x, start.y, dash.x2 * scale, dash.y2 * scale, maxStitchMm)];
+  }
+  const sweep = dash.endAngle - dash.startAngle;
+  const radius = dash.radius * scale;
+  const step = Math.min(ARC_STEP_MM, maxStitchMm);
+  const count = Math.max(1, Math.ceil((Math.abs(sweep) * radius) / step));
+  const points = [start];
+  for (let i = 1; i <= count; i++) {
+    const angle = dash.startAngle + (sweep * i) / count;
+    points.push({
+      x: (dash.cx + dash.radius * Math.cos(angle)) * scale,
+      y: (dash.cy + dash.radius * Math.sin(angle)) * scale,
+    });
+  }
+  return points;
+}
+
+/**
+ * Turn one stitch instance into a run of needle points
+ * @returns {{color: string, points: Array<{x: number, y: number}>, gap: number}} Points in millimeters;
+ *   gap is the longest distance between two dashes of the run
+ */
+function dashesToRun(entry, scale, { beanStitch, maxStitchMm }) {
+  const points = [];
+  let gap = 0;
+  entry.dashes.forEach((dash) => {
+    const dashPoints = dashToPoints(dash, scale, maxStitchMm);
+    const previous = points[points.length - 1];
+    if (previous) {
+      const distance = Math.hypot(dashPoints[0].x - previous.x, dashPoints[0].y - previous.y);
+      gap = Math.max(gap, distance);
+      // The gap is one short stitch (split if it is longer than a stitch may be)
+      points.push(...subdivideLine(previous.x, previous.y, dashPoints[0].x, dashPoints[0].y, maxStitchMm));
+    } else {
+      points.push(dashPoints[0]);
+    }
+    const sewn = dashPoints.slice(1);
+    points.push(...sewn);
+    if (beanStitch) {
+      // Back to the dash start and forward again, so the dash is three threads thick
+      points.push(...dashPoints.slice(0, -1).reverse(), ...sewn);
+    }
+  });
+  return { color: entry.color, points, gap };
+}
+
+/**
+ * Extents of a list of points (all zero for an empty list)
+ * Looped rather than spread into Math.min, since large designs have more points than a call can take arguments
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+function pointBounds(points) {
+  if (points.length === 0) return { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+  const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+  points.forEach(({ x, y }) => {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.minY = Math.min(bounds.minY, y);
+    bounds.maxY = Math.max(bounds.maxY, y);
+  });
+  return bounds;
+}
+
+/**
+ * Point a short distance from `from` towards `to`
+ */
+function towards(from, to, distance) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  if (length === 0) return from;
+  const t = Math.min(1, distance / length);
+  return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+}
+
+/**
+ * Plan the needle commands for a pattern
+ * @param {Object} pattern - Pattern with stitches (hidden layers are left out)
+ * @param {Object} options
+ * @param {Map} [options.stitchColors] - Color overrides by stitch id
+ * @param {number} [options.cellSizeMm=5] - Physical size of one grid cell
+ * @param {boolean} [options.beanStitch=true] - Sew each dash forward, back and forward
+ * @param {number} [options.maxStitchMm=7] - Longest single stitch
+ * @returns {{commands: Array<{type: string, x: number, y: number}>, colors: string[], stitchCount: number,
+ *   jumpCount: number, width: number, height: number}} Commands at absolute positions in 0.1 mm
+ *   (y pointing down, design centered on 0,0); width and height in millimeters
+ */
+export function planEmbroidery(pattern, options = {}) {
+  const {
+    stitchColors = new Map(),
+    cellSizeMm = EMBROIDERY_EXPORT_DEFAULTS.cellSizeMm,
+    beanStitch = EMBROIDERY_EXPORT_DEFAULTS.beanStitch,
+    maxStitchMm = EMBROIDERY_EXPORT_DEFAULTS.maxStitchMm,
+  } = options;
+
+  const gridSize = options.gridSize ?? pattern?.gridSize ?? DEFAULT_GRID_SIZE;
+  const stitchLayers = normalizeLayers(pattern?.layers);
+  const entries = collectStitchDashes(getVisibleStitches(pattern?.stitches, stitchLayers), {
+    tileSize: normalizeTileSize(options.tileSize ?? pattern?.tileSize),
+    patternTiles: normalizePatternTiles(options.patternTiles ?? pattern?.patternTiles),
+    gridSize,
+    gridType: normalizeGridType(options.gridType ?? pattern?.gridType),
+    stitchColors,
+  });
+
+  // Millimeters per canvas pixel; a stitch can never be longer than one record can move
+  const scale = cellSizeMm / gridSize;
+  const stitchLimit = Math.min(maxStitchMm, MAX_MOVE / 10);
+  const runs = entries.map((entry) => dashesToRun(entry, scale, { beanStitch, maxStitchMm: stitchLimit }));
+
+  // Center the design on the hoop origin
+  const extents = pointBounds(runs.flatMap((run) => run.points));
+  const centerX = (extents.minX + extents.maxX) / 2;
+  const centerY = (extents.minY + extents.maxY) / 2;
+  runs.forEach((run) => {
+    run.points = run.points.map((point) => ({ x: point.x - centerX, y: point.y - centerY }));
+  });
+
+  // One group per thread color, in the order colors are first drawn
+  const groups = new Map();
+  runs.forEach((run) => {
+    const key = run.color.slice(0, 7).toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(run);
+  });
+
+  const commands = [];
+  let current = { x: 0, y: 0 };
+  let stitchCount = 0;
+  let jumpCount = 0;
+  const toUnits = (point) => ({ x: Math.round(point.x * 10), y: Math.round(point.y * 10) });
+  // Moves longer than one record are split into equal steps
+  const moveTo = (point, type) => {
+    const target = toUnits(point);
+    // Points that round onto the needle position would only sew into the same hole
+    if (type === EMBROIDERY_COMMANDS.stitch && target.x === current.x && target.y === current.y) return;
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(target.x - current.x), Math.abs(target.y - current.y)) / MAX_MOVE));
+    for (let i = 1; i <= steps; i++) {
+      commands.push({
+        type,
+        x: Math.round(current.x + ((target.x - current.x) * i) / steps),
+        y: Math.round(current.y + ((target.y - current.y) * i) / steps),
+      });
+    }
+    current = target;
+    if (type === EMBROIDERY_COMMANDS.stitch) stitchCount += steps;
+    else jumpCount++;
+  };
+  const stitchTo = (point) => moveTo(point, EMBROIDERY_COMMANDS.stitch);
+
+  [...groups.values()].forEach((groupRuns, groupIndex) => {
+    if (groupIndex > 0) {
+      commands.push({ type: EMBROIDERY_COMMANDS.color, x: current.x, y: current.y });
+    }
+    let previous = null;
+    orderPaths(groupRuns, { x: current.x / 10, y: current.y / 10 }).forEach((run) => {
+      const first = run.points[0];
+      const end = previous?.points[previous.points.length - 1];
+      const joinDistance = Math.max(previous?.gap ?? 0, run.gap) * JOIN_GAP_FACTOR;
+      const joined = end && Math.hypot(first.x - end.x, first.y - end.y) <= joinDistance;
+
+      if (joined) {
+        // The run continues the previous one (e.g. a line crossing a tile edge)
+        subdivideLine(end.x, end.y, first.x, first.y, stitchLimit).forEach(stitchTo);
+      } else {
+        if (end) {
+          // Tie off the previous run before jumping away
+          stitchTo(towards(end, previous.points[previous.points.length - 2] ?? end, TIE_STITCH_MM));
+          stitchTo(end);
+        }
+        moveTo(first, EMBROIDERY_COMMANDS.jump);
+        // Tie in at the start of the run
+        stitchTo(towards(first, run.points[1] ?? first, TIE_STITCH_MM));
+        stitchTo(first);
+      }
+      run.points.slice(1).forEach(stitchTo);
+      previous = run;
+    });
+    if (previous) {
+      const end = previous.points[previous.points.length - 1];
+      stitchTo(towards(end, previous.points[previous.points.length - 2] ?? end, TIE_STITCH_MM));
+      stitchTo(end);
+    }
+  });
+  commands.push({ type: EMBROIDERY_COMMANDS.end, x: current.x, y: current.y });
+
+  return {
+    commands,
+    colors: [...groups.keys()],
+    stitchCount,
+    jumpCount,
+    width: extents.maxX - extents.minX,
+    height: extents.maxY - extents.minY,
+  };
+}
+
+/**
+ * Relative moves between consecutive commands
+ * @param {Array} commands - Absolute commands from planEmbroidery
+ * @returns {Array<{type: string, dx: number, dy: number}>}
+ */
+function toMoves(commands) {
+  let x = 0;
+  let y = 0;
+  return commands.map((command) => {
+    const move = { type: command.type, dx: command.x - x, dy: command.y - y };
+    x = command.x;
+    y = command.y;
+    return move;
+  });
+}
+
+/**
+ * Extents of all needle positions in 0.1 mm
+ * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+ */
+function commandBounds(commands) {
+  // The hoop origin is always inside the design area
+  return pointBounds([{ x: 0, y: 0 }, ...commands]);
+}
+
+/**
+ * Plain ASCII version of a design name for file headers
+ * @param {string} name
+ * @param {number} length
+ * @returns {string}
+ */
+function headerName(name, length) {
+  return (name || 'Untitled').replace(/[^\x20-\x7e]/g, '').slice(0, length).padEnd(length, ' ');
+}
+
+function asciiBytes(text) {
+  return Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Encode one Tajima DST record (3 bytes, balanced ternary, y pointing up)
+ * @returns {number[]}
+ */
+function encodeDstRecord(dx, dy, type) {
+  if (type === EMBROIDERY_COMMANDS.end) return [0x00, 0x00, 0xf3];
+  if (type === EMBROIDERY_COMMANDS.color) return [0x00, 0x00, 0xc3];
+
+  const bytes = [0, 0, type === EMBROIDERY_COMMANDS.jump ? 0x83 : 0x03];
+  // [value, byte, bit for +, bit for -] from the largest digit down
+  const digits = [
+    [81, 2, 0x04, 0x08], [27, 1, 0x04, 0x08], [9, 0, 0x04, 0x08], [3, 1, 0x01, 0x02], [1, 0, 0x01, 0x02],
+  ];
+  const yDigits = [
+    [81, 2, 0x20, 0x10], [27, 1, 0x20, 0x10], [9, 0, 0x20, 0x10], [3, 1, 0x80, 0x40], [1, 0, 0x80, 0x40],
+  ];
+  let x = dx;
+  let y = -dy;
+  digits.forEach(([value, byte, plus, minus]) => {
+    const half = (value - 1) / 2;
+    if (x > half) { bytes[byte] |= plus; x -= value; }
+    if (x < -half) { bytes[byte] |= minus; x += value; }
+  });
+  yDigits.forEach(([value, byte, plus, minus]) => {
+    const half = (value - 1) / 2;
+    if (y > half) { bytes[byte] |= plus; y -= value; }
+    if (y < -half) { bytes[byte] |= minus; y += value; }
+  });
+  return bytes;
+}
+
+/**
+ * Write a Tajima DST file
+ * @param {Object} plan - From planEmbroidery
+ * @param {string} name - Design name (first 16 characters are kept)
+ * @returns {Uint8Array}
+ */
+export function encodeDst(plan, name) {
+  const moves = toMoves(plan.commands);
+  const bounds = commandBounds(plan.commands);
+  const last = plan.commands[plan.commands.length - 1] ?? { x: 0, y: 0 };
+  const signed = (value) => `${value < 0 ? '-' : '+'}${String(Math.abs(value)).padStart(5, ' ')}`;
+  // DST y points up, so the top of the design is -minY
+  const header = [
+    `LA:${headerName(name, 16)}\r`,
+    `ST:${String(moves.length).padStart(7, ' ')}\r`,
+    `CO:${String(plan.colors.length > 0 ? plan.colors.length - 1 : 0).padStart(3, ' ')}\r`,
+    `+X:${String(bounds.maxX).padStart(5, ' ')}\r`,
+    `-X:${String(-bounds.minX).padStart(5, ' ')}\r`,
+    `+Y:${String(-bounds.minY).padStart(5, ' ')}\r`,
+    `-Y:${String(bounds.maxY).padStart(5, ' ')}\r`,
+    `AX:${signed(last.x)}\r`,
+    `AY:${signed(-last.y)}\r`,
+    'MX:+    0\r',
+    'MY:+    0\r',
+    'PD:******\r',
+    '\x1a',
+  ].join('');
+
+  const bytes = new Uint8Array(512 + moves.length * 3);
+  bytes.fill(0x20, 0, 512);
+  bytes.set(asciiBytes(header), 0);
+  moves.forEach((move, index) => {
+    bytes.set(encodeDstRecord(move.dx, move.dy, move.type), 512 + index * 3);
+  });
+  return bytes;
+}
+
+/**
+ * Append bytes one by one (spreading a large stitch block into push() overflows the call stack)
+ * @param {number[]} target
+ * @param {number[]} values
+ */
+function appendBytes(target, values) {
+  for (let i = 0; i < values.length; i++) {
+    target.push(values[i]);
+  }
+}
+
+/**
+ * Write a Melco EXP file (2-byte signed moves, 0x80 escapes for jumps and color stops, y pointing up)
+ * @param {Object} plan - From planEmbroidery
+ * @returns {Uint8Array}
+ */
+export function encodeExp(plan) {
+  const bytes = [];
+  const byte = (value) => value & 0xff;
+  toMoves(plan.commands).forEach((move) => {
+    if (move.type === EMBROIDERY_COMMANDS.stitch) {
+      bytes.push(byte(move.dx), byte(-move.dy));
+    } else if (move.type === EMBROIDERY_COMMANDS.jump) {
+      bytes.push(0x80, 0x04, byte(move.dx), byte(-move.dy));
+    } else if (move.type === EMBROIDERY_COMMANDS.color) {
+      bytes.push(0x80, 0x01, 0x00, 0x00);
+    }
+  });
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * PEC 12-bit long-form coordinate
+ * @param {number} value
+ * @param {number} [flags=0] - 0x10 jump
+ * @returns {number[]}
+ */
+function pecLongForm(value, flags = 0) {
+  const word = 0x8000 | (flags << 8) | (value & 0x0fff);
+  return [(word >> 8) & 0xff, word & 0xff];
+}
+
+/**
+ * Monochrome PEC preview icon of some of the commands
+ * @param {Array} commands - Absolute commands
+ * @param {Object} bounds - Design extents (commandBounds)
+ * @returns {number[]} 228 bytes
+ */
+function pecIcon(commands, bounds) {
+  const stride = PEC_ICON_WIDTH / 8;
+  const icon = new Array(stride * PEC_ICON_HEIGHT).fill(0);
+  const setPixel = (x, y) => {
+    icon[y * stride + (x >> 3)] |= 1 << (x & 7);
+  };
+  // Frame
+  for (let x = 3; x < PEC_ICON_WIDTH - 3; x++) {
+    setPixel(x, 1);
+    setPixel(x, PEC_ICON_HEIGHT - 2);
+  }
+  for (let y = 2; y < PEC_ICON_HEIGHT - 2; y++) {
+    setPixel(1, y);
+    setPixel(PEC_ICON_WIDTH - 2, y);
+  }
+  const width = Math.max(1, bounds.maxX - bounds.minX);
+  const height = Math.max(1, bounds.maxY - bounds.minY);
+  const scale = Math.min((PEC_ICON_WIDTH - 8) / width, (PEC_ICON_HEIGHT - 8) / height);
+  commands.forEach((command) => {
+    if (command.type !== EMBROIDERY_COMMANDS.stitch) return;
+    setPixel(
+      Math.round(4 + (command.x - bounds.minX) * scale),
+      Math.round(4 + (command.y - bounds.minY) * scale)
+    );
+  });
+  return icon;
+}
+
+/**
+ * Write a Brother PES (version 1) file
+ * The file holds only the PEC section, which is what Brother machines sew from
+ * @param {Object} plan - From planEmbroidery
+ * @param {string} name - Design name (first 16 characters are kept)
+ * @returns {Uint8Array}
+ */
+export function encodePes(plan, name) {
+  const bounds = commandBounds(plan.commands);
+  const threads = plan.colors.map(nearestPecThread);
+  const pecStart = 22;
+  const bytes = [...asciiBytes('#PES0001'), pecStart, 0, 0, 0, ...new Array(pecStart - 12).fill(0)];
+
+  // PEC header: label, icon size and the thread of every color block, padded to 512 bytes
+  const header = [
+    ...asciiBytes(`LA:${headerName(name, 16)}\r`),
+    0x20, 0x20, 0x20, 0x20, 0x64, 0x20, 0x00, 0x20, 0x00, 0x20, 0x20, 0x20, 0xff,
+    0x00,
+    PEC_ICON_WIDTH / 8,
+    PEC_ICON_HEIGHT,
+    ...new Array(12).fill(0x20),
+    Math.max(0, threads.length - 1),
+    ...threads,
+  ];
+  appendBytes(bytes, header);
+  appendBytes(bytes, new Array(512 - header.length).fill(0x20));
+
+  // Stitch block
+  const stitches = [];
+  let colorToggle = 2;
+  let jumping = false;
+  toMoves(plan.commands).forEach((move) => {
+    if (move.type === EMBROIDERY_COMMANDS.stitch) {
+      jumping = false;
+      if (move.dx > -64 && move.dx < 63 && move.dy > -64 && move.dy < 63) {
+        stitches.push(move.dx & 0x7f, move.dy & 0x7f);
+      } else {
+        stitches.push(...pecLongForm(move.dx), ...pecLongForm(move.dy));
+      }
+    } else if (move.type === EMBROIDERY_COMMANDS.jump) {
+      jumping = true;
+      stitches.push(...pecLongForm(move.dx, 0x10), ...pecLongForm(move.dy, 0x10));
+    } else if (move.type === EMBROIDERY_COMMANDS.color) {
+      if (jumping) stitches.push(0x00, 0x00);
+      jumping = false;
+      stitches.push(0xfe, 0xb0, colorToggle);
+      colorToggle = colorToggle === 2 ? 1 : 2;
+    } else if (move.type === EMBROIDERY_COMMANDS.end) {
+      if (jumping) stitches.push(0x00, 0x00);
+      stitches.push(0xff);
+    }
+  });
+
+  const int16le = (value) => [value & 0xff, (value >> 8) & 0xff];
+  const int16be = (value) => [(value >> 8) & 0xff, value & 0xff];
+  const blockHeader = [
+    0x00, 0x00,
+    0, 0, 0, // Offset to the icons, filled in below
+    0x31, 0xff, 0xf0,
+    ...int16le(bounds.maxX - bounds.minX),
+    ...int16le(bounds.maxY - bounds.minY),
+    ...int16le(0x1e0),
+    ...int16le(0x1b0),
+    ...int16be(0x9000 | (-bounds.minX & 0x0fff)),
+    ...int16be(0x9000 | (-bounds.minY & 0x0fff)),
+  ];
+  const blockLength = blockHeader.length + stitches.length;
+  blockHeader[2] = blockLength & 0xff;
+  blockHeader[3] = (blockLength >> 8) & 0xff;
+  blockHeader[4] = (blockLength >> 16) & 0xff;
+  appendBytes(bytes, blockHeader);
+  appendBytes(bytes, stitches);
+
+  // Icons: the whole design, then one per color block
+  const blocks = [[]];
+  plan.commands.forEach((command) => {
+    if (command.type === EMBROIDERY_COMMANDS.color) blocks.push([]);
+    else blocks[blocks.length - 1].push(command);
+  });
+  appendBytes(bytes, pecIcon(plan.commands, bounds));
+  threads.forEach((_, index) => appendBytes(bytes, pecIcon(blocks[index] ?? [], bounds)));
+
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Build an embroidery file for a pattern
+ * @param {Object} pattern
+ * @param {Object} options - planEmbroidery options plus format ('dst' | 'pes' | 'exp')
+ * @returns {{bytes: Uint8Array, plan: Object}}
+ */
+export function buildEmbroideryFile(pattern, options = {}) {
+  const { format = EMBROIDERY_EXPORT_DEFAULTS.format } = options;
+  const plan = planEmbroidery(pattern, options);
+  const name = pattern?.name || 'Untitled Pattern';
+  if (format === 'pes') return { bytes: encodePes(plan, name), plan };
+  if (format === 'exp') return { bytes: encodeExp(plan), plan };
+  return { bytes: encodeDst(plan, name), plan };
+}
@@ -0,0 +1,197 @@
+// Grid geometry - maps stored stitch coordinates to the lattice drawn on the canvas
+//
+// Square grid: one stored unit = one grid cell in both directions.
+// Triangular grid (60° lattice for kikkō, uroko, asanoha): x counts half edges and y counts rows,
+// so lattice points are the integer points where x + y is even. Coordinates stay axis-aligned
+// integers, which keeps tile repetition, bounds and wrapping identical for both grid types.
+
+export const GRID_TYPES = {
+  square: 'square',
+  triangular: 'triangular',
+};
+
+export const DEFAULT_GRID_TYPE = GRID_TYPES.square;
+
+// Row height of a triangular lattice with unit edge length
+const TRIANGLE_ROW_HEIGHT = Math.sqrt(3) / 2;
+
+/**
+ * Normalize a stored grid type (patterns without one use the square grid)
+ * @param {string} gridType
+ * @returns {'square'|'triangular'}
+ */
+export function normalizeGridType(gridType) {
+  return gridType === GRID_TYPES.triangular ? GRID_TYPES.triangular : GRID_TYPES.square;
+}
+
+/**
+ * Whether a grid type is the triangular lattice
+ */
+export function isTriangularGrid(gridType) {
+  return normalizeGridType(gridType) === GRID_TYPES.triangular;
+}
+
+/**
+ * Size of one stored coordinate unit, as a fraction of the grid size (edge length)
+ * @param {string} gridType
+ * @returns {{x: number, y: number}}
+ */
+export function getCellScale(gridType) {
+  return isTriangularGrid(gridType)
+    ? { x: 0.5, y: TRIANGLE_ROW_HEIGHT }
+    : { x: 1, y: 1 };
+}
+
+/**
+ * Pixel size of one stored coordinate unit
+ * @param {string} gridType
+ * @param {number} gridSize - Grid size (edge length) in pixels
+ * @returns {{x: number, y: number}}
+ */
+export function getCellSize(gridType, gridSize) {
+  const scale = getCellScale(gridType);
+  return { x: scale.x * gridSize, y: scale.y * gridSize };
+}
+
+/**
+ * Step for tile sizes: triangular tiles need even sizes so repeats land on lattice points
+ * @param {string} gridType
+ * @returns {number}
+ */
+export function getTileSizeStep(gridType) {
+  return isTriangularGrid(gridType) ? 2 : 1;
+}
+
+/**
+ * Round a tile size up to the next size the grid type supports
+ * @param {{x: number, y: number}} tileSize
+ * @param {string} gridType
+ * @returns {{x: number, y: number}}
+ */
+export function fitTileSizeToGrid(tileSize, gridType) {
+  const step = getTileSizeStep(gridType);
+  return {
+    x: Math.ceil(tileSize.x / step) * step,
+    y: Math.ceil(tileSize.y / step) * step,
+  };
+}
+
+/**
+ * Whether a stored point lies on the lattice
+ * @param {string} gridType
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function isLatticePoint(gridType, x, y) {
+  if (!Number.isInteger(x) || !Number.isInteger(y)) return false;
+  return !isTriangularGrid(gridType) || (x + y) % 2 === 0;
+}
+
+/**
+ * Convert a stored point to physical units (grid size = 1, equal scale on both axes)
+ */
+export function toPhysical(gridType, point) {
+  const scale = getCellScale(gridType);
+  return { x: point.x * scale.x, y: point.y * scale.y };
+}
+
+/**
+ * Convert a physical point (grid size = 1) back to stored units
+ */
+export function fromPhysical(gridType, point) {
+  const scale = getCellScale(gridType);
+  return { x: point.x / scale.x, y: point.y / scale.y };
+}
+
+/**
+ * Snap a point in stored units to the nearest lattice point
+ * @param {string} gridType
+ * @param {{x: number, y: number}} point - Possibly fractional stored coordinates
+ * @returns {{x: number, y: number}}
+ */
+export function snapToLattice(gridType, point) {
+  if (!isTriangularGrid(gridType)) {
+    return { x: Math.round(point.x), y: Math.round(point.y) };
+  }
+
+  // Nearest candidate by physical distance among the surrounding lattice points
+  const scale = getCellScale(gridType);
+  let best = null;
+  let bestDistance = Infinity;
+  for (let y = Math.floor(point.y); y <= Math.floor(point.y) + 1; y++) {
+    for (let x = Math.floor(point.x) - 1; x <= Math.floor(point.x) + 2; x++) {
+      if ((x + y) % 2 !== 0) continue;
+      const distance = Math.hypot((x - point.x) * scale.x, (y - point.y) * scale.y);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = { x, y };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Move a stored point from one grid type to the nearest lattice point of another
+ * The physical position is kept, so the pattern keeps its size and proportions
+ * @param {string} fromGridType - Grid the point is stored in
+ * @param {string} toGridType - Grid to convert to
+ * @param {{x: number, y: number}} point - Lattice point (stored units of `fromGridType`)
+ * @returns {{x: number, y: number}} Lattice point in stored units of `toGridType`
+ */
+export function convertPointToGrid(fromGridType, toGridType, point) {
+  return snapToLattice(toGridType, fromPhysical(toGridType, toPhysical(fromGridType, point)));
+}
+
+/**
+ * Convert a tile size to another grid type, keeping its physical size as close as the grid allows
+ * @param {{x: number, y: number}} tileSize - Tile size in stored units of `fromGridType`
+ * @param {string} fromGridType
+ * @param {string} toGridType
+ * @returns {{x: number, y: number}}
+ */
+export function convertTileSizeToGrid(tileSize, fromGridType, toGridType) {
+  const converted = fromPhysical(toGridType, toPhysical(fromGridType, tileSize));
+  return fitTileSizeToGrid({
+    x: Math.max(1, Math.round(converted.x)),
+    y: Math.max(1, Math.round(converted.y)),
+  }, toGridType);
+}
+
+/**
+ * Arrow-key nudge step in stored units (triangular moves one edge sideways or two rows)
+ * @param {string} gridType
+ * @returns {{x: number, y: number}}
+ */
+export function getNudgeStep(gridType) {
+  return isTriangularGrid(gridType) ? { x: 2, y: 2 } : { x: 1, y: 1 };
+}
+
+/**
+ * Lattice points passed over by a straight line between two lattice points
+ * Consecutive points are neighbours, so each pair is one grid step (used for drag drawing)
+ * @param {string} gridType
+ * @param {{x: number, y: number}} from - Start lattice point (stored units)
+ * @param {{x: number, y: number}} to - End lattice point (stored units)
+ * @returns {Array<{x: number, y: number}>} Points from `from` to `to`, both included
+ */
+export function getLatticePath(gridType, from, to) {
+  const start = toPhysical(gridType, from);
+  const end = toPhysical(gridType, to);
+  // Sample finely enough that the snapped point never skips a neighbour
+  const samples = Math.max(1, Math.ceil(Math.hypot(end.x - start.x, end.y - start.y) / 0.05));
+  const path = [{ x: from.x, y: from.y }];
+  for (let i = 1; i <= samples; i++) {
+    const t = i / samples;
+    const point = snapToLattice(gridType, fromPhysical(gridType, {
+      x: start.x + (end.x - start.x) * t,
+      y: start.y + (end.y - start.y) * t,
+    }));
+    const last = path[path.length - 1];
+    if (point.x !== last.x || point.y !== last.y) {
+      path.push(point);
+    }
+  }
+  return path;
+}
@@ -0,0 +1,359 @@
+// History tree - branching, labelled undo history of one pattern
+//
+// Every edit adds a node holding a snapshot of the undoable pattern state (stitches, layers, stitch
+// colors, tile size and grid type). Undo moves to the parent and redo follows the child that was
+// visited last. Editing after an undo starts a new branch instead of discarding the redo steps, so
+// abandoned branches can still be reached from the history panel.
+
+export const DEFAULT_HISTORY_DEPTH = 50;
+export const HISTORY_DEPTH_OPTIONS = [25, 50, 100, 200];
+
+// Stitch fields compared when looking for changes, with the label used when only that field changed
+const STITCH_FIELD_LABELS = {
+  stitchSize: 'Change length of',
+  stitchWidth: 'Change width of',
+  gapSize: 'Change gap of',
+  curvature: 'Change curvature of',
+  repeat: 'Change repeat of',
+  layerId: 'Change layer of',
+};
+
+function countStitches(count) {
+  return `${count} stitch${count === 1 ? '' : 'es'}`;
+}
+
+function isSameTileSize(a, b) {
+  if (a === undefined || b === undefined) return a === b;
+  const sizeA = typeof a === 'number' ? { x: a, y: a } : a;
+  const sizeB = typeof b === 'number' ? { x: b, y: b } : b;
+  return sizeA?.x === sizeB?.x && sizeA?.y === sizeB?.y;
+}
+
+function isSamePoint(a, b) {
+  return a?.x === b?.x && a?.y === b?.y;
+}
+
+// Fields of a stitch that differ between two versions ('geometry' covers start and end)
+function getChangedStitchFields(prev, next) {
+  const changed = [];
+  if (!isSamePoint(prev.start, next.start) || !isSamePoint(prev.end, next.end)) changed.push('geometry');
+  Object.keys(STITCH_FIELD_LABELS).forEach((field) => {
+    if ((prev[field] ?? null) !== (next[field] ?? null)) changed.push(field);
+  });
+  return changed;
+}
+
+/**
+ * Snapshot of the undoable pattern state (plain data, ready for IndexedDB)
+ * @param {Object} state
+ * @param {Object} state.pattern - { stitches, layers, tileSize, gridType }
+ * @param {Map} state.stitchColors - Stitch id -> color
+ * @returns {{stitches: Array, layers: Array, tileSize: Object, gridType: string, stitchColors: Array}}
+ */
+export function createHistorySnapshot({ pattern, stitchColors }) {
+  return {
+    stitches: [...(pattern.stitches ?? [])],
+    layers: pattern.layers,
+    tileSize: pattern.tileSize,
+    gridType: pattern.gridType,
+    stitchColors: Array.from(stitchColors?.entries() ?? []),
+  };
+}
+
+/**
+ * Turn a snapshot back into pattern state
+ * @param {Object} snapshot - From createHistorySnapshot
+ * @returns {{pattern: {stitches: Array, layers: Array, tileSize: Object, gridType: string}, stitchColors: Map}}
+ */
+export function restoreHistorySnapshot(snapshot) {
+  return {
+    pattern: {
+      stitches: [...snapshot.stitches],
+      layers: snapshot.layers,
+      tileSize: snapshot.tileSize,
+      gridType: snapshot.gridType,
+    },
+    stitchColors: new Map(snapshot.stitchColors),
+  };
+}
+
+/**
+ * Whether two snapshots hold the same pattern state
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameHistorySnapshot(a, b) {
+  if (!a || !b) return a === b;
+  if (!isSameTileSize(a.tileSize, b.tileSize) || a.gridType !== b.gridType) return false;
+  if (a.stitches.length !== b.stitches.length || a.stitchColors.length !== b.stitchColors.length) return false;
+  const stitchesMatch = a.stitches.every((stitch, index) => {
+    const other = b.stitches[index];
+    return stitch === other || (
+      stitch.id === other.id
+      && stitch.color === other.color
+      && getChangedStitchFields(stitch, other).length === 0
+    );
+  });
+  if (!stitchesMatch) return false;
+  const colors = new Map(a.stitchColors);
+  if (!b.stitchColors.every(([id, color]) => colors.get(id) === color)) return false;
+  return JSON.stringify(a.layers ?? null) === JSON.stringify(b.layers ?? null);
+}
+
+function describeLayerChange(prevLayers, nextLayers) {
+  const prevById = new Map(prevLayers.map((layer) => [layer.id, layer]));
+  const nextById = new Map(nextLayers.map((layer) => [layer.id, layer]));
+  const added = nextLayers.find((layer) => !prevById.has(layer.id));
+  if (added) return `Add layer "${added.name}"`;
+  const removed = prevLayers.find((layer) => !nextById.has(layer.id));
+  if (removed) return `Delete layer "${removed.name}"`;
+  for (const layer of nextLayers) {
+    const prev = prevById.get(layer.id);
+    if (prev.name !== layer.name) return `Rename layer to "${layer.name}"`;
+    if (prev.visible !== layer.visible) return `${layer.visible ? 'Show' : 'Hide'} layer "${layer.name}"`;
+    if (prev.locked !== layer.locked) return `${layer.locked ? 'Lock' : 'Unlock'} layer "${layer.name}"`;
+    if (prev.opacity !== layer.opacity) return `Change opacity of "${layer.name}"`;
+  }
+  if (prevLayers.some((layer, index) => nextLayers[index]?.id !== layer.id)) return 'Reorder layers';
+  return null;
+}
+
+/**
+ * Describe the change between two snapshots (e.g. "Add stitch", "Change color of 4 stitches")
+ * @param {Object|null} prev - Snapshot before the change
+ * @param {Object} next - Snapshot after the change
+ * @returns {string}
+ */
+export function describeHistoryChange(prev, next) {
+  if (!prev) return 'Open pattern';
+  if (!isSameTileSize(prev.tileSize, next.tileSize)) return 'Resize tile';
+  if (prev.gridType !== next.gridType) {
+    return next.gridType === 'triangular' ? 'Switch to triangular grid' : 'Switch to square grid';
+  }
+
+  const prevStitches = new Map(prev.stitches.map((stitch) => [stitch.id, stitch]));
+  const nextIds = new Set(next.stitches.map((stitch) => stitch.id));
+  const added = next.stitches.filter((stitch) => !prevStitches.has(stitch.id)).length;
+  const removed = prev.stitches.filter((stitch) => !nextIds.has(stitch.id)).length;
+
+  const layerChange = describeLayerChange(prev.layers ?? [], next.layers ?? []);
+  // Deleting a layer also deletes its stitches: the layer is the better description
+  if (layerChange) return layerChange;
+
+  if (added > 0 && removed === 0) return added === 1 ? 'Add stitch' : `Add ${countStitches(added)}`;
+  if (removed > 0 && added === 0) return removed === 1 ? 'Delete stitch' : `Delete ${countStitches(removed)}`;
+  if (added > 0 && removed > 0) return `Replace ${countStitches(removed)}`;
+
+  // Same stitches: find what changed on them
+  const prevColors = new Map(prev.stitchColors);
+  const nextColors = new Map(next.stitchColors);
+  const kinds = new Set();
+  let changedCount = 0;
+  next.stitches.forEach((stitch) => {
+    const before = prevStitches.get(stitch.id);
+    const fields = getChangedStitchFields(before, stitch);
+    if ((prevColors.get(stitch.id) ?? before.color ?? null) !== (nextColors.get(stitch.id) ?? stitch.color ?? null)) {
+      fields.push('color');
+    }
+    if (fields.length === 0) return;
+    changedCount++;
+    fields.forEach((field) => kinds.add(field));
+  });
+
+  if (changedCount === 0) {
+    return prev.stitches.some((stitch, index) => next.stitches[index]?.id !== stitch.id) ? 'Reorder stitches' : 'Edit pattern';
+  }
+  if (kinds.size > 1) return `Edit ${countStitches(changedCount)}`;
+  const [kind] = kinds;
+  if (kind === 'geometry') return `Move ${countStitches(changedCount)}`;
+  if (kind === 'color') return `Change color of ${countStitches(changedCount)}`;
+  if (kind === 'layerId') {
+    const layerId = next.stitches.find((stitch) => stitch.layerId !== prevStitches.get(stitch.id).layerId)?.layerId;
+    const layerName = (next.layers ?? []).find((layer) => layer.id === layerId)?.name ?? 'another layer';
+    return `Move ${countStitches(changedCount)} to "${layerName}"`;
+  }
+  return `${STITCH_FIELD_LABELS[kind]} ${countStitches(changedCount)}`;
+}
+
+function createNode(id, parentId, snapshot, label) {
+  return { id, parentId, childIds: [], activeChildId: null, label, timestamp: Date.now(), snapshot };
+}
+
+/**
+ * Start a history tree with a single state
+ * @param {Object} snapshot - Initial snapshot
+ * @param {string} [label='Open pattern']
+ * @returns {Object} History tree
+ */
+export function createHistoryTree(snapshot, label = 'Open pattern') {
+  return {
+    rootId: 1,
+    currentId: 1,
+    nextId: 2,
+    nodes: { 1: createNode(1, null, snapshot, label) },
+  };
+}
+
+/**
+ * Current snapshot of a tree
+ * @param {Object} tree
+ * @returns {Object}
+ */
+export function getCurrentSnapshot(tree) {
+  return tree.nodes[tree.currentId].snapshot;
+}
+
+// Ids from the root to a node (inclusive)
+function getPathToNode(tree, nodeId) {
+  const path = [];
+  for (let id = nodeId; id !== null && tree.nodes[id]; id = tree.nodes[id].parentId) {
+    path.unshift(id);
+  }
+  return path;
+}
+
+function removeNode(tree, nodeId) {
+  const node = tree.nodes[nodeId];
+  const nodes = { ...tree.nodes };
+  delete nodes[nodeId];
+  if (node.parentId !== null) {
+    const parent = nodes[node.parentId];
+    const childIds = parent.childIds.filter((id) => id !== nodeId);
+    nodes[node.parentId] = {
+      ...parent,
+      childIds,
+      activeChildId: parent.activeChildId === nodeId ? (childIds[childIds.length - 1] ?? null) : parent.activeChildId,
+    };
+  }
+  return { ...tree, nodes };
+}
+
+/**
+ * Drop nodes until the tree holds at most maxNodes states
+ * Abandoned branch tips and far redo steps go first, then the oldest undo steps
+ * @param {Object} tree
+ * @param {number} maxNodes
+ * @returns {Object} Pruned tree (same object when nothing was removed)
+ */
+export function pruneHistoryTree(tree, maxNodes) {
+  let next = tree;
+  const limit = Math.max(2, maxNodes);
+  while (Object.keys(next.nodes).length > limit) {
+    const currentPath = new Set(getPathToNode(next, next.currentId));
+    const leaves = Object.values(next.nodes)
+      .filter((node) => node.childIds.length === 0 && !currentPath.has(node.id))
+      .sort((a, b) => a.id - b.id);
+    if (leaves.length > 0) {
+      next = removeNode(next, leaves[0].id);
+      continue;
+    }
+    // Only the line from the root to the current state is left: forget the oldest step
+    const root = next.nodes[next.rootId];
+    if (root.id === next.currentId) break;
+    const newRootId = root.childIds[0];
+    next = removeNode(next, root.id);
+    next = {
+      ...next,
+      rootId: newRootId,
+      nodes: { ...next.nodes, [newRootId]: { ...next.nodes[newRootId], parentId: null } },
+    };
+  }
+  return next;
+}
+
+/**
+ * Record a new state as a child of the current one (a new branch when the current state has children)
+ * @param {Object} tree
+ * @param {Object} snapshot
+ * @param {string} [label] - Defaults to a description of the change
+ * @param {number} [maxNodes=DEFAULT_HISTORY_DEPTH]
+ * @returns {Object} Updated tree (same object when the state did not change)
+ */
+export function addHistoryNode(tree, snapshot, label, maxNodes = DEFAULT_HISTORY_DEPTH) {
+  const current = tree.nodes[tree.currentId];
+  if (isSameHistorySnapshot(current.snapshot, snapshot)) return tree;
+  const id = tree.nextId;
+  const node = createNode(id, current.id, snapshot, label ?? describeHistoryChange(current.snapshot, snapshot));
+  return pruneHistoryTree({
+    ...tree,
+    currentId: id,
+    nextId: id + 1,
+    nodes: {
+      ...tree.nodes,
+      [current.id]: { ...current, childIds: [...current.childIds, id], activeChildId: id },
+      [id]: node,
+    },
+  }, maxNodes);
+}
+
+/**
+ * Make a node the current state; redo from its ancestors leads back to it
+ * @param {Object} tree
+ * @param {number} nodeId
+ * @returns {Object} Updated tree (same object when the node does not exist)
+ */
+export function moveToHistoryNode(tree, nodeId) {
+  if (!tree.nodes[nodeId]) return tree;
+  const path = getPathToNode(tree, nodeId);
+  const nodes = { ...tree.nodes };
+  path.slice(0, -1).forEach((id, index) => {
+    nodes[id] = { ...nodes[id], activeChildId: path[index + 1] };
+  });
+  return { ...tree, nodes, currentId: nodeId };
+}
+
+/**
+ * Node reached by undo
+ * @param {Object} tree
+ * @returns {number|null}
+ */
+export function getUndoNodeId(tree) {
+  return tree?.nodes[tree.currentId]?.parentId ?? null;
+}
+
+/**
+ * Node reached by redo (the child visited last)
+ * @param {Object} tree
+ * @returns {number|null}
+ */
+export function getRedoNodeId(tree) {
+  return tree?.nodes[tree.currentId]?.activeChildId ?? null;
+}
+
+/**
+ * Flatten a tree into rows for the history panel
+ * The main line (root, current state and its redo steps) is not indented; other branches are listed
+ * right after the state they split from, one level deeper
+ * @param {Object} tree
+ * @returns {Array<{id: number, label: string, timestamp: number, depth: number, status: 'past'|'current'|'future'|'branch', branchStart: boolean}>}
+ */
+export function getHistoryRows(tree) {
+  if (!tree) return [];
+  const pastIds = new Set(getPathToNode(tree, tree.currentId));
+  const rows = [];
+
+  const visit = (startId, depth, onMainLine) => {
+    let nodeId = startId;
+    let branchStart = !onMainLine;
+    while (nodeId !== null) {
+      const node = tree.nodes[nodeId];
+      let status = 'branch';
+      if (node.id === tree.currentId) status = 'current';
+      else if (pastIds.has(node.id)) status = 'past';
+      else if (onMainLine) status = 'future';
+      rows.push({ id: node.id, label: node.label, timestamp: node.timestamp, depth, status, branchStart });
+      branchStart = false;
+
+      // The line continues with the active child; the other children are branches
+      const continueId = node.activeChildId ?? node.childIds[node.childIds.length - 1] ?? null;
+      node.childIds
+        .filter((childId) => childId !== continueId)
+        .forEach((childId) => visit(childId, depth + 1, false));
+      nodeId = continueId;
+    }
+  };
+
+  visit(tree.rootId, 0, true);
+  return rows;
+}
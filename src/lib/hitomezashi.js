@@ -0,0 +1,163 @@
+// Hitomezashi generator: builds the offset on/off stitch grid from binary sequences
+// Each grid line gets one bit; the bit decides whether the line starts with a stitch or a gap
+
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u']);
+
+export const HITOMEZASHI_VARIANTS = {
+  straight: 'straight', // Horizontal rows + vertical columns
+  diagonal: 'diagonal', // Kuchi-style: both diagonal directions
+};
+
+/**
+ * Parse a bit-string, ignoring anything that is not 0 or 1
+ * @param {string} value - e.g. "1011 0010"
+ * @returns {number[]} Array of 0/1
+ */
+export function parseBits(value) {
+  return Array.from(value ?? '')
+    .filter((char) => char === '0' || char === '1')
+    .map(Number);
+}
+
+/**
+ * Encode text to bits: vowels = 1, consonants = 0 (other characters are skipped)
+ * This is the classic way of turning a word into a Hitomezashi sequence
+ * @param {string} text - Word or phrase
+ * @returns {number[]} Array of 0/1
+ */
+export function textToBits(text) {
+  return Array.from((text ?? '').toLowerCase())
+    .filter((char) => /\p{L}/u.test(char))
+    .map((char) => (VOWELS.has(char.normalize('NFD')[0]) ? 1 : 0));
+}
+
+/**
+ * Deterministic pseudo-random bits from a seed (same seed = same pattern)
+ * @param {string|number} seed - Any seed value
+ * @param {number} count - Number of bits to generate
+ * @returns {number[]} Array of 0/1
+ */
+export function randomBits(seed, count) {
+  // FNV-1a hash of the seed string, then mulberry32
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state ^= char.codePointAt(0);
+    state = Math.imul(state, 16777619);
+  }
+
+  const bits = [];
+  for (let i = 0; i < count; i++) {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    bits.push(value < 0.5 ? 0 : 1);
+  }
+  return bits;
+}
+
+/**
+ * Format bits for display (e.g. "1011")
+ */
+export function formatBits(bits) {
+  return bits.join('');
+}
+
+// Bit for a line index, cycling through the sequence (supports negative indices)
+function bitAt(bits, index) {
+  if (bits.length === 0) return 0;
+  return bits[((index % bits.length) + bits.length) % bits.length];
+}
+
+/**
+ * Number of grid lines per axis for a tile (used to size random sequences)
+ * @param {{x: number, y: number}} tileSize - Tile size in grid cells
+ * @param {number} unit - Stitch length in grid cells
+ * @param {string} variant - 'straight' or 'diagonal'
+ * @returns {{rows: number, columns: number}}
+ */
+export function getHitomezashiLineCounts(tileSize, unit = 1, variant = HITOMEZASHI_VARIANTS.straight) {
+  const cols = Math.max(1, Math.floor(tileSize.x / unit));
+  const rows = Math.max(1, Math.floor(tileSize.y / unit));
+  if (variant === HITOMEZASHI_VARIANTS.diagonal) {
+    // Every diagonal that crosses the tile
+    return { rows: cols + rows - 1, columns: cols + rows - 1 };
+  }
+  return { rows, columns: cols };
+}
+
+/**
+ * Whether the generated stitches repeat seamlessly across tile borders
+ * The on/off rhythm only continues across a border when the tile spans an even number of stitches
+ */
+export function isSeamlessTile(tileSize, unit = 1) {
+  return Math.floor(tileSize.x / unit) % 2 === 0 && Math.floor(tileSize.y / unit) % 2 === 0;
+}
+
+/**
+ * Generate Hitomezashi stitches for one tile
+ * Straight: row bit 1 starts the row with a stitch, 0 with a gap (same for columns)
+ * Diagonal: row bits drive the "\" diagonals, column bits the "/" diagonals
+ * @param {Object} options
+ * @param {number[]} options.rowBits - Bits for horizontal rows ("\" diagonals)
+ * @param {number[]} options.columnBits - Bits for vertical columns ("/" diagonals)
+ * @param {{x: number, y: number}} options.tileSize - Tile size in grid cells
+ * @param {number} [options.unit=1] - Stitch length in grid cells
+ * @param {string} [options.variant='straight'] - 'straight' or 'diagonal'
+ * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>} Tile-relative stitches
+ */
+export function generateHitomezashi({
+  rowBits,
+  columnBits,
+  tileSize,
+  unit = 1,
+  variant = HITOMEZASHI_VARIANTS.straight,
+}) {
+  const cols = Math.max(1, Math.floor(tileSize.x / unit));
+  const rows = Math.max(1, Math.floor(tileSize.y / unit));
+  const stitches = [];
+  const addStitch = (x1, y1, x2, y2) => {
+    stitches.push({
+      start: { x: x1 * unit, y: y1 * unit },
+      end: { x: x2 * unit, y: y2 * unit },
+    });
+  };
+
+  if (variant === HITOMEZASHI_VARIANTS.diagonal) {
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        // "\" diagonal through this cell, indexed from the bottom-left corner
+        if ((y + bitAt(rowBits, x - y + rows - 1)) % 2 === 1) {
+          addStitch(x, y, x + 1, y + 1);
+        }
+        // "/" diagonal through this cell, indexed from the top-left corner
+        if ((y + bitAt(columnBits, x + y)) % 2 === 1) {
+          addStitch(x + 1, y, x, y + 1);
+        }
+      }
+    }
+    return stitches;
+  }
+
+  // Horizontal rows (the bottom edge belongs to the next tile)
+  for (let y = 0; y < rows; y++) {
+    const bit = bitAt(rowBits, y);
+    for (let x = 0; x < cols; x++) {
+      if ((x + bit) % 2 === 1) {
+        addStitch(x, y, x + 1, y);
+      }
+    }
+  }
+
+  // Vertical columns (the right edge belongs to the next tile)
+  for (let x = 0; x < cols; x++) {
+    const bit = bitAt(columnBits, x);
+    for (let y = 0; y < rows; y++) {
+      if ((y + bit) % 2 === 1) {
+        addStitch(x, y, x, y + 1);
+      }
+    }
+  }
+
+  return stitches;
+}
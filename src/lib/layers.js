@@ -0,0 +1,150 @@
+// Stitch layers - named groups of stitches with visibility, locking and opacity
+//
+// pattern.layers is ordered bottom to top (later layers are drawn over earlier ones).
+// Stitches reference their layer through `layerId`; stitches without one (or with an unknown id)
+// belong to the bottom layer, so patterns saved before layers load unchanged.
+
+export const DEFAULT_LAYER_ID = 'layer-1';
+
+/**
+ * Create the layer every pattern starts with
+ * @returns {{id: string, name: string, visible: boolean, locked: boolean, opacity: number}}
+ */
+export function createDefaultLayer() {
+  return { id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false, opacity: 1 };
+}
+
+/**
+ * Normalize stored layers (always at least one layer, unique ids, opacity within 0-1)
+ * @param {Array} layers - Stored layers (may be missing)
+ * @returns {Array<{id: string, name: string, visible: boolean, locked: boolean, opacity: number}>}
+ */
+export function normalizeLayers(layers) {
+  const seen = new Set();
+  const normalized = (Array.isArray(layers) ? layers : [])
+    .filter((layer) => {
+      if (!layer || typeof layer.id !== 'string' || seen.has(layer.id)) return false;
+      seen.add(layer.id);
+      return true;
+    })
+    .map((layer, index) => ({
+      id: layer.id,
+      name: typeof layer.name === 'string' && layer.name.trim() ? layer.name : `Layer ${index + 1}`,
+      visible: layer.visible !== false,
+      locked: layer.locked === true,
+      opacity: typeof layer.opacity === 'number' ? Math.min(1, Math.max(0, layer.opacity)) : 1,
+    }));
+  return normalized.length > 0 ? normalized : [createDefaultLayer()];
+}
+
+/**
+ * Layer id a stitch belongs to (falls back to the bottom layer)
+ * @param {Object} stitch
+ * @param {Array} layers - Normalized layers
+ * @returns {string}
+ */
+export function getStitchLayerId(stitch, layers) {
+  return layers.some((layer) => layer.id === stitch.layerId) ? stitch.layerId : layers[0].id;
+}
+
+/**
+ * Give every stitch an explicit layer id (before layers are reordered or removed,
+ * so stitches relying on the bottom-layer fallback stay where they are)
+ * @param {Array} stitches
+ * @param {Array} layers - Normalized layers
+ * @returns {Array} Same array when every stitch already has a valid layer id
+ */
+export function assignStitchLayers(stitches, layers) {
+  const layerIds = new Set(layers.map((layer) => layer.id));
+  if (stitches.every((stitch) => layerIds.has(stitch.layerId))) return stitches;
+  return stitches.map((stitch) => (layerIds.has(stitch.layerId) ? stitch : { ...stitch, layerId: layers[0].id }));
+}
+
+/**
+ * Look up each stitch's layer
+ * @param {Array} stitches
+ * @param {Array} layers - Normalized layers
+ * @returns {Map<string, Object>} Stitch id -> layer
+ */
+export function getStitchLayers(stitches, layers) {
+  const layersById = new Map(layers.map((layer) => [layer.id, layer]));
+  return new Map((stitches ?? []).map((stitch) => [stitch.id, layersById.get(getStitchLayerId(stitch, layers))]));
+}
+
+/**
+ * Stitches of visible layers in draw order (bottom layer first, stored order within a layer)
+ * @param {Array} stitches
+ * @param {Array} layers - Normalized layers
+ * @returns {Array}
+ */
+export function getVisibleStitches(stitches, layers) {
+  const stitchLayers = getStitchLayers(stitches, layers);
+  const layerIndex = new Map(layers.map((layer, index) => [layer.id, index]));
+  return (stitches ?? [])
+    .filter((stitch) => stitchLayers.get(stitch.id).visible)
+    .map((stitch, order) => ({ stitch, order, index: layerIndex.get(stitchLayers.get(stitch.id).id) }))
+    .sort((a, b) => a.index - b.index || a.order - b.order)
+    .map(({ stitch }) => stitch);
+}
+
+/**
+ * Ids of stitches that can be selected (visible and unlocked layers)
+ * @param {Array} stitches
+ * @param {Array} layers - Normalized layers
+ * @returns {Set<string>}
+ */
+export function getEditableStitchIds(stitches, layers) {
+  const stitchLayers = getStitchLayers(stitches, layers);
+  return new Set(
+    (stitches ?? [])
+      .filter((stitch) => {
+        const layer = stitchLayers.get(stitch.id);
+        return layer.visible && !layer.locked;
+      })
+      .map((stitch) => stitch.id)
+  );
+}
+
+/**
+ * Create a new layer with a unique "Layer N" name
+ * @param {Array} layers - Existing layers
+ * @returns {Object} New layer
+ */
+export function createLayer(layers) {
+  const names = new Set(layers.map((layer) => layer.name));
+  let number = layers.length + 1;
+  while (names.has(`Layer ${number}`)) number++;
+  return {
+    id: `layer-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`,
+    name: `Layer ${number}`,
+    visible: true,
+    locked: false,
+    opacity: 1,
+  };
+}
+
+/**
+ * Move a layer one step up (towards the top) or down in the draw order
+ * @param {Array} layers
+ * @param {string} layerId
+ * @param {1|-1} direction - 1 moves up, -1 moves down
+ * @returns {Array} Reordered layers (same array when the move is not possible)
+ */
+export function moveLayer(layers, layerId, direction) {
+  const index = layers.findIndex((layer) => layer.id === layerId);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= layers.length) return layers;
+  const next = [...layers];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+/**
+ * Whether layers differ from the single default layer (used to keep compact exports unchanged)
+ * @param {Array} layers - Normalized layers
+ * @returns {boolean}
+ */
+export function hasCustomLayers(layers) {
+  const defaultLayer = createDefaultLayer();
+  return layers.length !== 1 || Object.keys(defaultLayer).some((key) => layers[0][key] !== defaultLayer[key]);
+}
@@ -0,0 +1,306 @@
+// Library backup - every saved pattern with its versions, thumbnails, reference photos and the app settings in one file
+//
+// The archive is a single JSON document (thumbnail PNGs and reference photos are embedded as data URLs). Patterns in it are
+// migrated and validated like single-pattern imports, so backups made by older app versions restore
+// into the current format.
+
+import db from './db.js';
+import { PATTERN_FORMAT_VERSION, migratePattern, validatePattern } from './patternFormat.js';
+import { deserializeReferenceImage, serializeReferenceImage } from './referenceImage.js';
+
+export const LIBRARY_BACKUP_FORMAT = 'sashiko-library';
+export const LIBRARY_BACKUP_VERSION = 1;
+export const LIBRARY_BACKUP_EXTENSION = '.sashiko-library.json';
+
+// What to do with a backed-up pattern whose id is already in the library
+export const CONFLICT_RESOLUTIONS = {
+  merge: 'merge', // Keep the newer of the two and combine their versions
+  skip: 'skip', // Keep the library pattern as it is
+  overwrite: 'overwrite', // Replace the library pattern and its versions with the backup
+};
+
+// App settings (from useUiState) that travel with a backup
+export const BACKUP_UI_SETTING_KEYS = [
+  'backgroundColor',
+  'gridColor',
+  'tileOutlineColor',
+  'artboardOutlineColor',
+  'showGrid',
+  'displayUnit',
+  'selectedStitchColor',
+  'stitchSize',
+  'stitchWidth',
+  'gapSize',
+  'repeatPattern',
+  'symmetry',
+  'drawStyle',
+  'historyDepth',
+  'gridSize',
+  'tileSize',
+  'patternTiles',
+  'colorPresets',
+];
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read thumbnail'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+/**
+ * Collect the whole library into a backup archive
+ * Patterns in the Trash are left out
+ * @param {Object} [uiSettings] - Current app settings (only BACKUP_UI_SETTING_KEYS are kept)
+ * @returns {Promise<Object>} Archive, ready for JSON.stringify
+ */
+export async function createLibraryBackup(uiSettings = {}) {
+  const patterns = (await db.patterns.toArray()).filter((pattern) => !pattern.deletedAt);
+  const patternIds = new Set(patterns.map((pattern) => pattern.id));
+
+  const versions = (await db.patternVersions.toArray())
+    .filter((version) => patternIds.has(version.patternId))
+    .map(({ id, ...version }) => version);
+
+  const thumbnails = [];
+  for (const thumbnail of await db.thumbnails.bulkGet([...patternIds])) {
+    if (!thumbnail?.blob) continue;
+    thumbnails.push({ key: thumbnail.key, revision: thumbnail.revision, dataUrl: await blobToDataUrl(thumbnail.blob) });
+  }
+
+  // Reference photos with their placement and display settings
+  const referenceImages = [];
+  for (const reference of await db.referenceImages.bulkGet([...patternIds])) {
+    if (!reference?.blob) continue;
+    referenceImages.push({
+      ...(await serializeReferenceImage(reference)),
+      key: reference.key,
+      name: reference.name,
+      visible: reference.visible,
+      includeInExport: reference.includeInExport,
+    });
+  }
+
+  return {
+    format: LIBRARY_BACKUP_FORMAT,
+    backupVersion: LIBRARY_BACKUP_VERSION,
+    patternFormatVersion: PATTERN_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    patterns,
+    versions,
+    thumbnails,
+    referenceImages,
+    uiSettings: Object.fromEntries(
+      BACKUP_UI_SETTING_KEYS.filter((key) => uiSettings[key] !== undefined).map((key) => [key, uiSettings[key]])
+    ),
+  };
+}
+
+/**
+ * Read a backup file: parse, migrate every pattern to the current format and validate
+ * @param {string} text - File contents
+ * @returns {{backup: Object|null, errors: Array<{path: string, message: string}>}}
+ */
+export function parseLibraryBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { backup: null, errors: [{ path: '', message: `is not valid JSON (${error.message})` }] };
+  }
+
+  const errors = [];
+  const report = (path, message) => errors.push({ path, message });
+
+  if (!data || typeof data !== 'object' || data.format !== LIBRARY_BACKUP_FORMAT) {
+    report('format', `must be "${LIBRARY_BACKUP_FORMAT}" (single patterns are imported with Import JSON)`);
+    return { backup: null, errors };
+  }
+  if (!Number.isInteger(data.backupVersion) || data.backupVersion > LIBRARY_BACKUP_VERSION) {
+    report('backupVersion', `must be ${LIBRARY_BACKUP_VERSION} or lower (the backup was made by a newer version of the app)`);
+    return { backup: null, errors };
+  }
+  if (!Array.isArray(data.patterns)) {
+    report('patterns', 'must be a list');
+    return { backup: null, errors };
+  }
+
+  const seenIds = new Set();
+  const patterns = data.patterns.map((record, index) => {
+    // Backups never restore into the Trash
+    const { deletedAt, ...rest } = migratePattern(record).pattern ?? {};
+    const pattern = { ...rest, isStarterPattern: false };
+    validatePattern(pattern).forEach((error) => {
+      report(`patterns[${index}]${error.path ? `.${error.path}` : ''}`, error.message);
+    });
+    if (typeof pattern?.id !== 'string' || !pattern.id) {
+      report(`patterns[${index}].id`, 'must be text');
+    } else if (seenIds.has(pattern.id)) {
+      report(`patterns[${index}].id`, `"${pattern.id}" is used by more than one pattern`);
+    }
+    seenIds.add(pattern?.id);
+    return pattern;
+  });
+
+  const versions = [];
+  (Array.isArray(data.versions) ? data.versions : []).forEach((version, index) => {
+    if (!seenIds.has(version?.patternId)) {
+      report(`versions[${index}].patternId`, 'must be the id of a pattern in the backup');
+      return;
+    }
+    if (!Number.isFinite(version.createdAt)) {
+      report(`versions[${index}].createdAt`, 'must be a timestamp');
+      return;
+    }
+    const { pattern } = migratePattern(version.pattern);
+    validatePattern(pattern).forEach((error) => {
+      report(`versions[${index}].pattern${error.path ? `.${error.path}` : ''}`, error.message);
+    });
+    versions.push({ patternId: version.patternId, note: typeof version.note === 'string' ? version.note : '', createdAt: version.createdAt, pattern });
+  });
+
+  const thumbnails = (Array.isArray(data.thumbnails) ? data.thumbnails : []).filter((thumbnail) =>
+    seenIds.has(thumbnail?.key) && typeof thumbnail.dataUrl === 'string' && thumbnail.dataUrl.startsWith('data:image/')
+  );
+
+  const referenceImages = (Array.isArray(data.referenceImages) ? data.referenceImages : []).filter((reference) =>
+    seenIds.has(reference?.key) &&
+    typeof reference.dataUrl === 'string' && reference.dataUrl.startsWith('data:image/') &&
+    reference.width > 0 && reference.height > 0 &&
+    Array.isArray(reference.corners) && reference.corners.length === 4 &&
+    reference.corners.every((corner) => Number.isFinite(corner?.x) && Number.isFinite(corner?.y))
+  );
+
+  const uiSettings = data.uiSettings && typeof data.uiSettings === 'object' ? data.uiSettings : {};
+
+  if (errors.length > 0) {
+    return { backup: null, errors };
+  }
+  return {
+    backup: {
+      exportedAt: data.exportedAt ?? null,
+      patterns,
+      versions,
+      thumbnails,
+      referenceImages,
+      uiSettings: Object.fromEntries(BACKUP_UI_SETTING_KEYS.filter((key) => key in uiSettings).map((key) => [key, uiSettings[key]])),
+    },
+    errors,
+  };
+}
+
+/**
+ * Describe what a backup would restore, with the library pattern each one conflicts with
+ * @param {Object} backup - Parsed backup (see parseLibraryBackup)
+ * @returns {Promise<Array<{id: string, name: string, updatedAt: number, versionCount: number, existing: Object|null}>>}
+ */
+export async function getLibraryBackupPreview(backup) {
+  const existingPatterns = await db.patterns.bulkGet(backup.patterns.map((pattern) => pattern.id));
+  return backup.patterns.map((pattern, index) => {
+    const existing = existingPatterns[index];
+    return {
+      id: pattern.id,
+      name: pattern.name,
+      updatedAt: pattern.updatedAt ?? null,
+      versionCount: backup.versions.filter((version) => version.patternId === pattern.id).length,
+      existing: existing
+        ? { name: existing.name, updatedAt: existing.updatedAt ?? null, inTrash: Boolean(existing.deletedAt) }
+        : null,
+    };
+  });
+}
+
+/**
+ * Write a backup into the library
+ * @param {Object} backup - Parsed backup (see parseLibraryBackup)
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.resolutions] - CONFLICT_RESOLUTIONS value per conflicting pattern id
+ * @param {string} [options.defaultResolution='merge'] - Resolution for conflicts not listed in `resolutions`
+ * @returns {Promise<{added: number, merged: number, overwritten: number, skipped: number}>}
+ */
+export async function restoreLibraryBackup(backup, { resolutions = {}, defaultResolution = CONFLICT_RESOLUTIONS.merge } = {}) {
+  const summary = { added: 0, merged: 0, overwritten: 0, skipped: 0 };
+
+  // Decode thumbnails first: IndexedDB transactions close while waiting on other promises
+  const thumbnails = new Map();
+  for (const thumbnail of backup.thumbnails) {
+    try {
+      thumbnails.set(thumbnail.key, { key: thumbnail.key, revision: thumbnail.revision, blob: await dataUrlToBlob(thumbnail.dataUrl) });
+    } catch (error) {
+      console.error('Failed to decode backup thumbnail:', error);
+    }
+  }
+  const referenceImages = new Map();
+  for (const reference of backup.referenceImages ?? []) {
+    try {
+      referenceImages.set(reference.key, {
+        ...(await deserializeReferenceImage(reference.key, reference)),
+        ...(typeof reference.name === 'string' && { name: reference.name }),
+        ...(typeof reference.visible === 'boolean' && { visible: reference.visible }),
+        ...(typeof reference.includeInExport === 'boolean' && { includeInExport: reference.includeInExport }),
+        updatedAt: Date.now(),
+      });
+    } catch (error) {
+      console.error('Failed to decode backup reference photo:', error);
+    }
+  }
+
+  await db.transaction('rw', db.patterns, db.patternVersions, db.thumbnails, db.referenceImages, db.history, async () => {
+    for (const pattern of backup.patterns) {
+      const versions = backup.versions.filter((version) => version.patternId === pattern.id);
+      const existing = await db.patterns.get(pattern.id);
+      const resolution = existing ? (resolutions[pattern.id] ?? defaultResolution) : null;
+
+      if (resolution === CONFLICT_RESOLUTIONS.skip) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (resolution === CONFLICT_RESOLUTIONS.merge) {
+        // Versions the library doesn't have yet are added; the newer pattern becomes the saved state
+        const existingVersions = await db.patternVersions.where('patternId').equals(pattern.id).toArray();
+        const knownTimes = new Set(existingVersions.map((version) => version.createdAt));
+        await db.patternVersions.bulkAdd(versions.filter((version) => !knownTimes.has(version.createdAt)));
+        // The newer pattern's photo wins; a photo only one side has is kept
+        const backupIsNewer = (pattern.updatedAt ?? 0) > (existing.updatedAt ?? 0);
+        if (referenceImages.has(pattern.id) && (backupIsNewer || !(await db.referenceImages.get(pattern.id)))) {
+          await db.referenceImages.put(referenceImages.get(pattern.id));
+        }
+        if (backupIsNewer) {
+          await db.patterns.put(pattern);
+          await db.thumbnails.delete(pattern.id);
+          if (thumbnails.has(pattern.id)) await db.thumbnails.put(thumbnails.get(pattern.id));
+        } else if (existing.deletedAt) {
+          const { deletedAt, ...restored } = existing;
+          await db.patterns.put(restored);
+        }
+        summary.merged++;
+        continue;
+      }
+
+      if (resolution === CONFLICT_RESOLUTIONS.overwrite) {
+        // The replaced pattern's versions and undo history no longer match it
+        await db.patternVersions.where('patternId').equals(pattern.id).delete();
+        await db.history.delete(pattern.id);
+        await db.thumbnails.delete(pattern.id);
+        await db.referenceImages.delete(pattern.id);
+        summary.overwritten++;
+      } else {
+        summary.added++;
+      }
+      await db.patterns.put(pattern);
+      await db.patternVersions.bulkAdd(versions);
+      if (thumbnails.has(pattern.id)) await db.thumbnails.put(thumbnails.get(pattern.id));
+      if (referenceImages.has(pattern.id)) await db.referenceImages.put(referenceImages.get(pattern.id));
+    }
+  });
+
+  return summary;
+}
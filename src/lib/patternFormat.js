@@ -0,0 +1,312 @@
+// Pattern file format - versioned schema, validation and migrations
+//
+// Pattern files (`.sashiko.json`), starter patterns and IndexedDB records share one shape.
+// Every shape change bumps PATTERN_FORMAT_VERSION and adds a migration from the previous version,
+// so files shared years ago still open: data is migrated step by step, then validated.
+//
+// Version history:
+// 1 - Files without `formatVersion`: `tileSize`/`patternTiles` may be numbers, very old files have
+//     no `tileSize` (their `gridSize` was the tile size), no grid type or layers, and stitches may
+//     lack size, width, gap, curvature, repeat and layer fields
+// 2 - Explicit {x, y} sizes, grid type, layers, and every stitch field present
+// 3 - Library `tags` (list of text) and `folder` (text, empty when not in a folder)
+
+import { DEFAULT_GAP_SIZE, DEFAULT_GRID_SIZE, DEFAULT_PATTERN_TILES } from '../hooks/useUiState.js';
+import { DEFAULT_GRID_TYPE, GRID_TYPES, normalizeGridType } from './gridGeometry.js';
+import { createDefaultLayer, getStitchLayerId, normalizeLayers } from './layers.js';
+import { normalizeFolder, normalizeTags } from './patternSearch.js';
+
+export const PATTERN_FORMAT_VERSION = 3;
+export const PATTERN_FILE_EXTENSION = '.sashiko.json';
+
+export const STITCH_SIZES = ['small', 'medium', 'large'];
+export const STITCH_WIDTHS = ['thin', 'normal', 'thick'];
+
+// Tile size of version 1 files that predate `tileSize` and stored it in `gridSize`
+const LEGACY_TILE_SIZE = 10;
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Turn a legacy single number into an {x, y} size (other values are left for the validator)
+ */
+function toSize(value) {
+  return typeof value === 'number' ? { x: value, y: value } : value;
+}
+
+// migrations[n] upgrades data from version n to n + 1 (never mutates its input)
+const MIGRATIONS = {
+  1: (data) => {
+    const hasTileSize = data.tileSize !== undefined;
+    const layers = data.layers ?? [createDefaultLayer()];
+    // Stitches without a known layer were drawn in the bottom layer
+    const layerIds = new Set(Array.isArray(layers) ? layers.map((layer) => layer?.id) : []);
+    const defaultLayerId = Array.isArray(layers) ? layers[0]?.id : undefined;
+    return {
+      ...data,
+      tileSize: toSize(hasTileSize ? data.tileSize : data.gridSize ?? LEGACY_TILE_SIZE),
+      gridSize: hasTileSize ? data.gridSize ?? DEFAULT_GRID_SIZE : DEFAULT_GRID_SIZE,
+      gridType: data.gridType ?? DEFAULT_GRID_TYPE,
+      patternTiles: toSize(data.patternTiles ?? DEFAULT_PATTERN_TILES),
+      layers,
+      stitches: Array.isArray(data.stitches)
+        ? data.stitches.map((stitch) => (stitch && typeof stitch === 'object' ? {
+          ...stitch,
+          color: stitch.color ?? null,
+          stitchSize: stitch.stitchSize ?? 'small',
+          stitchWidth: stitch.stitchWidth ?? 'normal',
+          gapSize: stitch.gapSize ?? DEFAULT_GAP_SIZE,
+          curvature: stitch.curvature ?? 0,
+          repeat: stitch.repeat ?? true,
+          layerId: layerIds.has(stitch.layerId) ? stitch.layerId : defaultLayerId,
+        } : stitch))
+        : data.stitches,
+    };
+  },
+  2: (data) => ({
+    ...data,
+    tags: data.tags ?? [],
+    folder: data.folder ?? '',
+  }),
+};
+
+/**
+ * Format version of stored pattern data (data without one is version 1)
+ * @param {Object} data
+ * @returns {number}
+ */
+export function getFormatVersion(data) {
+  return data?.formatVersion ?? 1;
+}
+
+/**
+ * Upgrade pattern data of any older format version to the current one
+ * Data that is not an object, or has an unknown version, is returned unchanged for the validator to report
+ * @param {Object} data - Parsed pattern data
+ * @returns {{pattern: Object, fromVersion: number}} Migrated pattern and the version it started at
+ */
+export function migratePattern(data) {
+  const fromVersion = getFormatVersion(data);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { pattern: data, fromVersion };
+  }
+
+  let pattern = data;
+  for (let version = fromVersion; version < PATTERN_FORMAT_VERSION && MIGRATIONS[version]; version++) {
+    pattern = { ...MIGRATIONS[version](pattern), formatVersion: version + 1 };
+  }
+  return { pattern, fromVersion };
+}
+
+/**
+ * Validate migrated pattern data against the current format
+ * @param {Object} pattern - Pattern data (run migratePattern first)
+ * @returns {Array<{path: string, message: string}>} Field-level errors (empty when valid)
+ */
+export function validatePattern(pattern) {
+  const errors = [];
+  const report = (path, message) => errors.push({ path, message });
+
+  if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+    report('', 'must be a pattern object');
+    return errors;
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const checkSize = (path, value) => {
+    if (!isObject(value)) {
+      report(path, 'must be an object with x and y');
+      return;
+    }
+    ['x', 'y'].forEach((axis) => {
+      if (!Number.isInteger(value[axis]) || value[axis] < 1) {
+        report(`${path}.${axis}`, 'must be a whole number of at least 1');
+      }
+    });
+  };
+  const checkPoint = (path, value) => {
+    if (!isObject(value)) {
+      report(path, 'must be an object with x and y');
+      return;
+    }
+    ['x', 'y'].forEach((axis) => {
+      if (!Number.isFinite(value[axis])) {
+        report(`${path}.${axis}`, 'must be a number');
+      }
+    });
+  };
+
+  const version = pattern.formatVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    report('formatVersion', 'must be a whole number');
+  } else if (version > PATTERN_FORMAT_VERSION) {
+    report('formatVersion', `is ${version}, but this app reads up to version ${PATTERN_FORMAT_VERSION}. Update the app to open this file.`);
+    return errors;
+  }
+
+  ['id', 'name', 'description', 'folder'].forEach((field) => {
+    if (pattern[field] !== undefined && typeof pattern[field] !== 'string') {
+      report(field, 'must be text');
+    }
+  });
+  if (!Array.isArray(pattern.tags)) {
+    report('tags', 'must be a list');
+  } else {
+    pattern.tags.forEach((tag, index) => {
+      if (typeof tag !== 'string' || !tag.trim()) report(`tags[${index}]`, 'must be non-empty text');
+    });
+  }
+  checkSize('tileSize', pattern.tileSize);
+  if (!Number.isFinite(pattern.gridSize) || pattern.gridSize <= 0) {
+    report('gridSize', 'must be a positive number');
+  }
+  if (!Object.values(GRID_TYPES).includes(pattern.gridType)) {
+    report('gridType', `must be one of: ${Object.values(GRID_TYPES).join(', ')}`);
+  }
+  checkSize('patternTiles', pattern.patternTiles);
+
+  const layerIds = new Set();
+  if (!Array.isArray(pattern.layers) || pattern.layers.length === 0) {
+    report('layers', 'must be a list with at least one layer');
+  } else {
+    pattern.layers.forEach((layer, index) => {
+      const path = `layers[${index}]`;
+      if (!isObject(layer)) {
+        report(path, 'must be a layer object');
+        return;
+      }
+      if (typeof layer.id !== 'string' || !layer.id) {
+        report(`${path}.id`, 'must be non-empty text');
+      } else if (layerIds.has(layer.id)) {
+        report(`${path}.id`, `duplicates the id "${layer.id}"`);
+      } else {
+        layerIds.add(layer.id);
+      }
+      if (typeof layer.name !== 'string') report(`${path}.name`, 'must be text');
+      if (typeof layer.visible !== 'boolean') report(`${path}.visible`, 'must be true or false');
+      if (typeof layer.locked !== 'boolean') report(`${path}.locked`, 'must be true or false');
+      if (!Number.isFinite(layer.opacity) || layer.opacity < 0 || layer.opacity > 1) {
+        report(`${path}.opacity`, 'must be a number from 0 to 1');
+      }
+    });
+  }
+
+  if (!Array.isArray(pattern.stitches)) {
+    report('stitches', 'must be a list');
+  } else {
+    const stitchIds = new Set();
+    pattern.stitches.forEach((stitch, index) => {
+      const path = `stitches[${index}]`;
+      if (!isObject(stitch)) {
+        report(path, 'must be a stitch object');
+        return;
+      }
+      if (typeof stitch.id !== 'string' || !stitch.id) {
+        report(`${path}.id`, 'must be non-empty text');
+      } else if (stitchIds.has(stitch.id)) {
+        report(`${path}.id`, `duplicates the id "${stitch.id}"`);
+      } else {
+        stitchIds.add(stitch.id);
+      }
+      checkPoint(`${path}.start`, stitch.start);
+      checkPoint(`${path}.end`, stitch.end);
+      if (stitch.color !== null && !(typeof stitch.color === 'string' && HEX_COLOR_PATTERN.test(stitch.color))) {
+        report(`${path}.color`, 'must be a hex color like #f5f5f5, or null');
+      }
+      if (!STITCH_SIZES.includes(stitch.stitchSize)) {
+        report(`${path}.stitchSize`, `must be one of: ${STITCH_SIZES.join(', ')}`);
+      }
+      if (!STITCH_WIDTHS.includes(stitch.stitchWidth)) {
+        report(`${path}.stitchWidth`, `must be one of: ${STITCH_WIDTHS.join(', ')}`);
+      }
+      if (!Number.isFinite(stitch.gapSize) || stitch.gapSize < 0) {
+        report(`${path}.gapSize`, 'must be a number of at least 0');
+      }
+      if (!Number.isFinite(stitch.curvature)) report(`${path}.curvature`, 'must be a number');
+      if (typeof stitch.repeat !== 'boolean') report(`${path}.repeat`, 'must be true or false');
+      if (layerIds.size > 0 && !layerIds.has(stitch.layerId)) {
+        report(`${path}.layerId`, 'must be the id of one of the layers');
+      }
+    });
+  }
+
+  if (pattern.uiState !== undefined && !isObject(pattern.uiState)) {
+    report('uiState', 'must be an object');
+  }
+
+  // Reference photo, only present when it was explicitly included in the export
+  if (pattern.referenceImage !== undefined) {
+    const reference = pattern.referenceImage;
+    if (!isObject(reference)) {
+      report('referenceImage', 'must be an object');
+    } else {
+      if (typeof reference.dataUrl !== 'string' || !reference.dataUrl.startsWith('data:image/')) {
+        report('referenceImage.dataUrl', 'must be an image data URL');
+      }
+      ['width', 'height'].forEach((key) => {
+        if (!Number.isFinite(reference[key]) || reference[key] <= 0) {
+          report(`referenceImage.${key}`, 'must be a positive number');
+        }
+      });
+      if (!Array.isArray(reference.corners) || reference.corners.length !== 4) {
+        report('referenceImage.corners', 'must be an array of 4 points');
+      } else {
+        reference.corners.forEach((corner, index) => checkPoint(`referenceImage.corners[${index}]`, corner));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Write a pattern in the current format, with every stitch field present and color overrides baked in
+ * @param {Object} pattern - Pattern being edited
+ * @param {Map} [stitchColors] - Color overrides by stitch id
+ * @returns {Object} Pattern data with `formatVersion`
+ */
+export function serializePattern(pattern, stitchColors = new Map()) {
+  const layers = normalizeLayers(pattern.layers);
+  return {
+    formatVersion: PATTERN_FORMAT_VERSION,
+    id: pattern.id,
+    name: pattern.name || 'Untitled Pattern',
+    description: pattern.description || '',
+    tags: normalizeTags(pattern.tags ?? []),
+    folder: normalizeFolder(pattern.folder),
+    tileSize: { ...pattern.tileSize },
+    gridSize: pattern.gridSize,
+    gridType: normalizeGridType(pattern.gridType),
+    patternTiles: { ...pattern.patternTiles },
+    layers,
+    stitches: pattern.stitches.map((stitch) => ({
+      id: stitch.id,
+      start: { ...stitch.start },
+      end: { ...stitch.end },
+      color: stitchColors.get(stitch.id) || stitch.color || null,
+      stitchSize: stitch.stitchSize || 'small',
+      stitchWidth: stitch.stitchWidth || 'normal',
+      gapSize: stitch.gapSize ?? DEFAULT_GAP_SIZE,
+      curvature: stitch.curvature || 0,
+      repeat: stitch.repeat !== false,
+      layerId: getStitchLayerId(stitch, layers),
+    })),
+  };
+}
+
+/**
+ * Read a pattern file: parse, migrate to the current format and validate
+ * @param {string} text - File contents
+ * @returns {{pattern: Object|null, fromVersion: number|null, errors: Array<{path: string, message: string}>}}
+ */
+export function parsePatternFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { pattern: null, fromVersion: null, errors: [{ path: '', message: `is not valid JSON (${error.message})` }] };
+  }
+
+  const { pattern, fromVersion } = migratePattern(data);
+  const errors = validatePattern(pattern);
+  return { pattern: errors.length === 0 ? pattern : null, fromVersion, errors };
+}
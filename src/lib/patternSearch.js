@@ -0,0 +1,163 @@
+// Pattern library search - tags, folders, text search, filters and sorting
+//
+// The library keeps every pattern in memory, so searching and filtering run on the loaded list.
+// Tags and folders are stored on the pattern (indexed in the Dexie `patterns` table).
+
+export const SORT_OPTIONS = {
+  name: 'name',
+  created: 'created',
+  updated: 'updated',
+};
+
+// Filter buckets offered by the library ('any' disables a filter)
+export const COLOR_COUNT_FILTERS = {
+  any: { label: 'Any colors', min: 0, max: Infinity },
+  one: { label: '1 color', min: 1, max: 1 },
+  two: { label: '2 colors', min: 2, max: 2 },
+  three: { label: '3 colors', min: 3, max: 3 },
+  many: { label: '4+ colors', min: 4, max: Infinity },
+};
+
+export const STITCH_COUNT_FILTERS = {
+  any: { label: 'Any stitches', min: 0, max: Infinity },
+  small: { label: 'Under 50', min: 0, max: 49 },
+  medium: { label: '50–200', min: 50, max: 200 },
+  large: { label: 'Over 200', min: 201, max: Infinity },
+};
+
+export const DEFAULT_LIBRARY_FILTERS = {
+  query: '',
+  folder: 'any',
+  tag: 'any',
+  tileSize: 'any',
+  colorCount: 'any',
+  stitchCount: 'any',
+  sortBy: SORT_OPTIONS.updated,
+};
+
+/**
+ * Clean up tags typed by the user (trimmed, no empties, no case-insensitive duplicates)
+ * @param {string|Array<string>} input - Comma-separated text or a list of tags
+ * @returns {Array<string>}
+ */
+export function normalizeTags(input) {
+  const tags = Array.isArray(input) ? input : String(input ?? '').split(',');
+  const seen = new Set();
+  return tags
+    .map((tag) => (typeof tag === 'string' ? tag.trim() : ''))
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Clean up a folder name (folders are one level deep; empty means not in a folder)
+ * @param {string} folder
+ * @returns {string}
+ */
+export function normalizeFolder(folder) {
+  return typeof folder === 'string' ? folder.trim() : '';
+}
+
+/**
+ * Label of a tile size, also used as its filter value
+ * @param {{x: number, y: number}} tileSize
+ * @returns {string}
+ */
+export function getTileSizeLabel(tileSize) {
+  return `${tileSize?.x ?? '?'}×${tileSize?.y ?? '?'}`;
+}
+
+/**
+ * Number of distinct thread colors in a pattern
+ * @param {Object} pattern
+ * @returns {number}
+ */
+export function getPatternColorCount(pattern) {
+  return new Set((pattern.stitches ?? []).map((stitch) => stitch.color?.toLowerCase() ?? null)).size;
+}
+
+/**
+ * Tags, folders and tile sizes used across the library (for the filter menus)
+ * @param {Array<Object>} patterns
+ * @returns {{tags: Array<string>, folders: Array<string>, tileSizes: Array<string>}}
+ */
+export function getLibraryFacets(patterns) {
+  const tags = new Map();
+  const folders = new Set();
+  const tileSizes = new Set();
+  patterns.forEach((pattern) => {
+    normalizeTags(pattern.tags ?? []).forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    });
+    const folder = normalizeFolder(pattern.folder);
+    if (folder) folders.add(folder);
+    tileSizes.add(getTileSizeLabel(pattern.tileSize));
+  });
+  const byText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+  return {
+    tags: [...tags.values()].sort(byText),
+    folders: [...folders].sort(byText),
+    tileSizes: [...tileSizes].sort(byText),
+  };
+}
+
+/**
+ * Whether a pattern matches a search query (every word must appear in the name, description or a tag)
+ * @param {Object} pattern
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesSearch(pattern, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const text = [pattern.name, pattern.description, ...(pattern.tags ?? [])]
+    .filter((value) => typeof value === 'string')
+    .join('\n')
+    .toLowerCase();
+  return words.every((word) => text.includes(word));
+}
+
+/**
+ * Apply the library filters and sort order
+ * @param {Array<Object>} patterns
+ * @param {Object} filters - See DEFAULT_LIBRARY_FILTERS
+ * @returns {Array<Object>} Matching patterns in sort order (a new array)
+ */
+export function filterAndSortPatterns(patterns, filters) {
+  const colorRange = COLOR_COUNT_FILTERS[filters.colorCount] ?? COLOR_COUNT_FILTERS.any;
+  const stitchRange = STITCH_COUNT_FILTERS[filters.stitchCount] ?? STITCH_COUNT_FILTERS.any;
+  const tag = filters.tag?.toLowerCase();
+
+  const matching = patterns.filter((pattern) => {
+    if (!matchesSearch(pattern, filters.query ?? '')) return false;
+    if (filters.folder !== 'any' && normalizeFolder(pattern.folder) !== filters.folder) return false;
+    if (filters.tag !== 'any' && !(pattern.tags ?? []).some((patternTag) => patternTag.toLowerCase() === tag)) return false;
+    if (filters.tileSize !== 'any' && getTileSizeLabel(pattern.tileSize) !== filters.tileSize) return false;
+    const colorCount = getPatternColorCount(pattern);
+    if (colorCount < colorRange.min || colorCount > colorRange.max) return false;
+    const stitchCount = pattern.stitches?.length ?? 0;
+    return stitchCount >= stitchRange.min && stitchCount <= stitchRange.max;
+  });
+
+  // Names A-Z; dates newest first (starter patterns have no dates and keep their order at the end)
+  const compare = {
+    [SORT_OPTIONS.name]: (a, b) => (a.name ?? '').localeCompare(b.name ?? '', undefined, { sensitivity: 'base', numeric: true }),
+    [SORT_OPTIONS.created]: (a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0),
+    [SORT_OPTIONS.updated]: (a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0),
+  }[filters.sortBy];
+  return compare ? matching.sort(compare) : matching;
+}
+
+/**
+ * Whether any filter narrows the list (the search box included)
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Boolean(filters.query?.trim()) ||
+    ['folder', 'tag', 'tileSize', 'colorCount', 'stitchCount'].some((key) => filters[key] !== 'any');
+}
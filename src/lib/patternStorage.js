@@ -3,6 +3,12 @@
  */
 
 import db from './db.js';
+import { migratePattern, parsePatternFile, serializePattern } from './patternFormat.js';
+import { copyReferenceImage } from './referenceImage.js';
+
+// Patterns moved to the Trash are deleted for good after this many days
+export const TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
 
 /**
  * Save current pattern to database (auto-save on changes)
@@ -15,9 +21,13 @@ export async function saveCurrentPattern(pattern, stitchColors, uiState) {
         id: pattern.id,
         name: pattern.name,
         description: pattern.description,
+        tags: pattern.tags,
+        folder: pattern.folder,
         tileSize: pattern.tileSize,
         gridSize: pattern.gridSize,
+        gridType: pattern.gridType,
         patternTiles: pattern.patternTiles,
+        layers: pattern.layers,
         stitches: pattern.stitches,
       },
       stitchColors: Array.from(stitchColors.entries()),
@@ -62,7 +72,7 @@ export async function loadCurrentPattern() {
     }
 
     return {
-      pattern: data.pattern,
+      pattern: migratePattern(data.pattern).pattern,
       stitchColors: new Map(data.stitchColors || []),
       uiState: data.uiState || {},
       timestamp: data.timestamp,
@@ -86,52 +96,58 @@ export async function clearCurrentPattern() {
   }
 }
 
+/**
+ * Record an immutable version of a saved pattern
+ * @param {Object} pattern - Pattern exactly as written to the library
+ * @param {string} [note] - Optional note shown in the version list
+ * @returns {Promise<Object>} Stored version ({ id, patternId, note, createdAt, pattern })
+ */
+async function addPatternVersion(pattern, note = '') {
+  const version = {
+    patternId: pattern.id,
+    note: note.trim(),
+    createdAt: pattern.updatedAt,
+    pattern,
+  };
+  version.id = await db.patternVersions.add(version);
+  return version;
+}
+
 /**
  * Save a pattern to the user's saved patterns collection
+ * Every save also records a version of the pattern, so earlier saves can be restored
+ * @param {Object} pattern - Pattern to save
+ * @param {Map} stitchColors - Color overrides to bake into the stitches
+ * @param {Object} [uiState] - UI state saved with the pattern
+ * @param {Object} [options]
+ * @param {string} [options.note] - Note for the recorded version
+ * @param {boolean} [options.asNew] - Save As: store under a new ID, leaving the saved original untouched
  */
-export async function saveToPatternLibrary(pattern, stitchColors, uiState) {
+export async function saveToPatternLibrary(pattern, stitchColors, uiState, { note, asNew = false } = {}) {
   try {
-    const builtInIds = ['blank', 'asanoha', 'simple-cross', 'diagonal-flow', 'hitomezashi-cross', 'hitomezashi-kuchi', 'ajiro-wickerwork'];
-    
-    // Check if this is an existing saved pattern
-    const existingPattern = await db.patterns.get(pattern.id);
+    const builtInIds = ['blank', 'asanoha', 'simple-cross', 'diagonal-flow', 'hitomezashi-cross', 'hitomezashi-kuchi', 'ajiro-wickerwork', 'kikko-tortoise-shell', 'uroko-fish-scales', 'asanoha-triangular'];
     
     // Generate new ID if:
     // 1. Pattern is based on a built-in, OR
     // 2. Pattern doesn't have a user-generated ID, OR
-    // 3. Pattern name has changed (indicating a "Save As" operation)
+    // 3. This is a Save As
+    // (a renamed pattern keeps its ID; the old name stays in its earlier versions)
     let patternId = pattern.id;
     let isNewPattern = false;
     
-    if (!patternId || builtInIds.includes(patternId) || patternId.startsWith('pattern-blank')) {
+    if (asNew || !patternId || builtInIds.includes(patternId) || patternId.startsWith('pattern-blank')) {
       // Always create new ID for built-in or blank patterns
       patternId = `pattern-${Date.now()}`;
       isNewPattern = true;
-    } else if (existingPattern && existingPattern.name !== pattern.name) {
-      // Name changed - create a new pattern (Save As behavior)
-      patternId = `pattern-${Date.now()}`;
-      isNewPattern = true;
     }
+
+    // Check if this is an existing saved pattern
+    const existingPattern = isNewPattern ? null : await db.patterns.get(patternId);
     
-    // Create a clean pattern object with color overrides baked in
+    // Create a clean pattern object in the current file format with color overrides baked in
     const patternToSave = {
+      ...serializePattern(pattern, stitchColors),
       id: patternId,
-      name: pattern.name || 'Untitled Pattern',
-      description: pattern.description || '',
-      tileSize: pattern.tileSize,
-      gridSize: pattern.gridSize,
-      patternTiles: pattern.patternTiles,
-      stitches: pattern.stitches.map(stitch => ({
-        id: stitch.id,
-        start: { ...stitch.start },
-        end: { ...stitch.end },
-        color: stitchColors.get(stitch.id) || stitch.color || null,
-        stitchSize: stitch.stitchSize || 'small',
-        stitchWidth: stitch.stitchWidth || 'normal',
-        gapSize: stitch.gapSize ?? 9,
-        curvature: stitch.curvature || 0,
-        repeat: stitch.repeat !== false,
-      })),
       uiState: uiState ? {
         backgroundColor: uiState.backgroundColor,
         gridColor: uiState.gridColor,
@@ -154,10 +170,11 @@ export async function saveToPatternLibrary(pattern, stitchColors, uiState) {
       isStarterPattern: false,
     };
 
-    // Use put() to either insert or update
+    // Use put() to either insert or update (saving a pattern that was in the Trash takes it out again)
     await db.patterns.put(patternToSave);
+    const version = await addPatternVersion(patternToSave, note);
     
-    return { success: true, pattern: patternToSave, isNewPattern };
+    return { success: true, pattern: patternToSave, version, isNewPattern };
   } catch (error) {
     console.error('Failed to save pattern to library:', error);
     return { success: false, error: error.message };
@@ -165,12 +182,13 @@ export async function saveToPatternLibrary(pattern, stitchColors, uiState) {
 }
 
 /**
- * Load all saved patterns from database
+ * Load all saved patterns from database (patterns in the Trash are left out)
  */
 export async function loadSavedPatterns() {
   try {
-    const patterns = await db.patterns.toArray();
-    return patterns;
+    // Records saved by older versions of the app are upgraded to the current format
+    const patterns = await db.patterns.filter((pattern) => !pattern.deletedAt).toArray();
+    return patterns.map((pattern) => migratePattern(pattern).pattern);
   } catch (error) {
     console.error('Failed to load saved patterns:', error);
     return [];
@@ -178,11 +196,112 @@ export async function loadSavedPatterns() {
 }
 
 /**
- * Delete a pattern from saved patterns
+ * Load the patterns in the Trash, most recently deleted first
+ */
+export async function loadTrashedPatterns() {
+  try {
+    const patterns = await db.patterns.where('deletedAt').above(0).reverse().sortBy('deletedAt');
+    return patterns.map((pattern) => migratePattern(pattern).pattern);
+  } catch (error) {
+    console.error('Failed to load trashed patterns:', error);
+    return [];
+  }
+}
+
+/**
+ * Rename a saved pattern in place (same ID; the rename is recorded as a version)
+ * @param {string} patternId
+ * @param {string} name - New name
+ */
+export async function renamePattern(patternId, name) {
+  try {
+    const existingPattern = await db.patterns.get(patternId);
+    if (!existingPattern) throw new Error('Pattern not found');
+    const newName = name.trim();
+    if (!newName) throw new Error('Name cannot be empty');
+
+    const renamedPattern = { ...existingPattern, name: newName, updatedAt: Date.now() };
+    await db.patterns.put(renamedPattern);
+    const version = await addPatternVersion(renamedPattern, `Renamed from "${existingPattern.name}"`);
+
+    return { success: true, pattern: renamedPattern, version };
+  } catch (error) {
+    console.error('Failed to rename pattern:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save a copy of a library pattern (saved or starter) under a new ID
+ * @param {Object} pattern - Pattern as listed in the library
+ */
+export async function duplicatePattern(pattern) {
+  try {
+    const now = Date.now();
+    const { deletedAt, ...source } = migratePattern(pattern).pattern;
+    const duplicatedPattern = {
+      ...source,
+      id: `pattern-${now}`,
+      name: `${source.name} (copy)`,
+      createdAt: now,
+      updatedAt: now,
+      isStarterPattern: false,
+    };
+    await db.patterns.put(duplicatedPattern);
+    const version = await addPatternVersion(duplicatedPattern, `Duplicated from "${source.name}"`);
+    // The copy is traced over the same reference photo
+    await copyReferenceImage(source.id, duplicatedPattern.id);
+
+    return { success: true, pattern: duplicatedPattern, version };
+  } catch (error) {
+    console.error('Failed to duplicate pattern:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Move a saved pattern to the Trash
+ * It keeps its versions, undo history, thumbnail and reference photo until it is deleted for good
  */
 export async function deletePattern(patternId) {
   try {
-    await db.patterns.delete(patternId);
+    await db.patterns.update(patternId, { deletedAt: Date.now() });
+    return true;
+  } catch (error) {
+    console.error('Failed to move pattern to trash:', error);
+    return false;
+  }
+}
+
+/**
+ * Take a pattern out of the Trash
+ */
+export async function restoreTrashedPattern(patternId) {
+  try {
+    const pattern = await db.patterns.get(patternId);
+    if (!pattern) throw new Error('Pattern not found');
+    const { deletedAt, ...restoredPattern } = pattern;
+    await db.patterns.put(restoredPattern);
+    return { success: true, pattern: migratePattern(restoredPattern).pattern };
+  } catch (error) {
+    console.error('Failed to restore pattern from trash:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a pattern for good
+ */
+export async function deletePatternPermanently(patternId) {
+  try {
+    await db.transaction('rw', db.patterns, db.history, db.patternVersions, db.thumbnails, db.referenceImages, async () => {
+      await db.patterns.delete(patternId);
+      // Its undo history, versions, thumbnail and reference photo go with it
+      await db.history.delete(patternId);
+      await db.patternVersions.where('patternId').equals(patternId).delete();
+      await db.thumbnails.delete(patternId);
+      await db.referenceImages.delete(patternId);
+    });
     return true;
   } catch (error) {
     console.error('Failed to delete pattern:', error);
@@ -191,71 +310,118 @@ export async function deletePattern(patternId) {
 }
 
 /**
- * Export pattern as JSON file (download)
+ * Delete every pattern in the Trash for good
+ * @param {Object} [options]
+ * @param {number} [options.olderThan] - Only patterns deleted before this timestamp
+ * @returns {Promise<number>} Number of patterns deleted
  */
-export function exportPatternAsJSON(pattern, stitchColors) {
-  const patternData = {
-    id: pattern.id,
-    name: pattern.name,
-    description: pattern.description,
-    tileSize: pattern.tileSize,
-    gridSize: pattern.gridSize,
-    patternTiles: pattern.patternTiles,
-    stitches: pattern.stitches.map(stitch => ({
-      id: stitch.id,
-      start: { ...stitch.start },
-      end: { ...stitch.end },
-      color: stitchColors.get(stitch.id) || stitch.color || null,
-      stitchSize: stitch.stitchSize || 'small',
-      stitchWidth: stitch.stitchWidth || 'normal',
-      gapSize: stitch.gapSize ?? 9,
-      curvature: stitch.curvature || 0,
-      repeat: stitch.repeat !== false,
-    })),
-    exportedAt: new Date().toISOString(),
-  };
+export async function emptyTrash({ olderThan = Infinity } = {}) {
+  try {
+    const patternIds = await db.patterns.where('deletedAt').between(0, olderThan, false, false).primaryKeys();
+    for (const patternId of patternIds) {
+      await deletePatternPermanently(patternId);
+    }
+    return patternIds.length;
+  } catch (error) {
+    console.error('Failed to empty trash:', error);
+    return 0;
+  }
+}
+
+/**
+ * Delete patterns that have been in the Trash longer than TRASH_RETENTION_DAYS
+ * @returns {Promise<number>} Number of patterns deleted
+ */
+export function purgeExpiredTrash() {
+  return emptyTrash({ olderThan: Date.now() - TRASH_RETENTION_MS });
+}
+
+/**
+ * Load the versions of a saved pattern, newest first
+ * @param {string} patternId
+ * @returns {Promise<Object[]>}
+ */
+export async function loadPatternVersions(patternId) {
+  try {
+    const versions = await db.patternVersions.where('patternId').equals(patternId).reverse().sortBy('createdAt');
+    return versions.map((version) => ({ ...version, pattern: migratePattern(version.pattern).pattern }));
+  } catch (error) {
+    console.error('Failed to load pattern versions:', error);
+    return [];
+  }
+}
+
+/**
+ * Make an earlier version the saved state of its pattern again
+ * The restore is recorded as a new version, so the versions it replaced can still be restored
+ * @param {number} versionId
+ */
+export async function restorePatternVersion(versionId) {
+  try {
+    const version = await db.patternVersions.get(versionId);
+    if (!version) throw new Error('Version not found');
+
+    const existingPattern = await db.patterns.get(version.patternId);
+    const restoredPattern = {
+      ...version.pattern,
+      createdAt: existingPattern?.createdAt || version.pattern.createdAt,
+      updatedAt: Date.now(),
+    };
+    await db.patterns.put(restoredPattern);
+    const restoredVersion = await addPatternVersion(
+      restoredPattern,
+      `Restored version from ${new Date(version.createdAt).toLocaleString()}`
+    );
+
+    return { success: true, pattern: restoredPattern, version: restoredVersion };
+  } catch (error) {
+    console.error('Failed to restore pattern version:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Save an earlier version as a new pattern, leaving the original pattern untouched
+ * @param {number} versionId
+ */
+export async function branchPatternVersion(versionId) {
+  try {
+    const version = await db.patternVersions.get(versionId);
+    if (!version) throw new Error('Version not found');
+
+    const now = Date.now();
+    const branchedPattern = {
+      ...version.pattern,
+      id: `pattern-${now}`,
+      name: `${version.pattern.name} (branch)`,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await db.patterns.put(branchedPattern);
+    const branchedVersion = await addPatternVersion(
+      branchedPattern,
+      `Branched from "${version.pattern.name}" (${new Date(version.createdAt).toLocaleString()})`
+    );
 
-  const json = JSON.stringify(patternData, null, 2);
-  const blob = new Blob([json], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `${pattern.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.json`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+    return { success: true, pattern: branchedPattern, version: branchedVersion };
+  } catch (error) {
+    console.error('Failed to branch pattern version:', error);
+    return { success: false, error: error.message };
+  }
 }
 
 /**
  * Import pattern from JSON file
+ * Older file formats are migrated; invalid files resolve with field-level errors instead of a pattern
+ * @param {File} file
+ * @returns {Promise<{pattern: Object|null, fromVersion: number|null, errors: Array<{path: string, message: string}>}>}
  */
 export function importPatternFromJSON(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     
     reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        
-        // Validate pattern structure
-        if (!data.gridSize || !Array.isArray(data.stitches)) {
-          reject(new Error('Invalid pattern format'));
-          return;
-        }
-
-        // Generate new ID to avoid conflicts
-        const pattern = {
-          ...data,
-          id: `pattern-${Date.now()}`,
-          importedAt: Date.now(),
-        };
-
-        resolve(pattern);
-      } catch (error) {
-        reject(new Error('Failed to parse pattern file: ' + error.message));
-      }
+      resolve(parsePatternFile(e.target.result));
     };
 
     reader.onerror = () => {
@@ -0,0 +1,89 @@
+// Pattern thumbnails - a small picture of the artboard for the pattern library
+//
+// Stitches are drawn with the canvas stitch renderer (drawStitchInstance), at the pattern's own grid
+// size and scaled down, so dash lengths and gaps look exactly like on the canvas. Drawing only uses
+// the 2D context it is given, so it runs on an OffscreenCanvas inside the thumbnail worker.
+
+import { DEFAULT_BACKGROUND_COLOR, DEFAULT_GAP_SIZE, DEFAULT_GRID_SIZE, DEFAULT_STITCH_COLOR } from '../hooks/useUiState.js';
+import { getCellSize } from './gridGeometry.js';
+import { getStitchLayers, getVisibleStitches, normalizeLayers } from './layers.js';
+import { normalizePatternTiles, normalizeTileSize } from './patternUtils.js';
+import { expandStitchInstances } from './stitchLayout.js';
+import { drawStitchInstance } from './tileRenderCache.js';
+
+export const THUMBNAIL_WIDTH = 320;
+export const THUMBNAIL_HEIGHT = 180;
+
+// Bump when thumbnails should look different, so cached ones are redrawn
+const THUMBNAIL_RENDER_VERSION = 1;
+
+// Space between the artboard and the thumbnail edge (thumbnail pixels)
+const THUMBNAIL_PADDING = 8;
+
+/**
+ * Draw a pattern's artboard, scaled to fit, with its fabric color behind it
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx
+ * @param {Object} pattern - Pattern in the current format
+ * @param {Object} [options]
+ * @param {number} [options.width=THUMBNAIL_WIDTH] - Thumbnail width in pixels
+ * @param {number} [options.height=THUMBNAIL_HEIGHT] - Thumbnail height in pixels
+ */
+export function drawPatternThumbnail(ctx, pattern, { width = THUMBNAIL_WIDTH, height = THUMBNAIL_HEIGHT } = {}) {
+  const tileSize = normalizeTileSize(pattern.tileSize);
+  const patternTiles = normalizePatternTiles(pattern.patternTiles);
+  const gridSize = pattern.gridSize ?? DEFAULT_GRID_SIZE;
+  const cell = getCellSize(pattern.gridType, gridSize);
+  const artboardWidth = patternTiles.x * tileSize.x * cell.x;
+  const artboardHeight = patternTiles.y * tileSize.y * cell.y;
+  const scale = Math.min(
+    (width - 2 * THUMBNAIL_PADDING) / artboardWidth,
+    (height - 2 * THUMBNAIL_PADDING) / artboardHeight
+  );
+
+  ctx.fillStyle = pattern.uiState?.backgroundColor ?? DEFAULT_BACKGROUND_COLOR;
+  ctx.fillRect(0, 0, width, height);
+
+  // Artboard centered, stitches reaching past its edge cut off like the artboard outline on the canvas
+  ctx.save();
+  ctx.translate((width - artboardWidth * scale) / 2, (height - artboardHeight * scale) / 2);
+  ctx.scale(scale, scale);
+  ctx.beginPath();
+  ctx.rect(0, 0, artboardWidth, artboardHeight);
+  ctx.clip();
+
+  const layers = normalizeLayers(pattern.layers);
+  const stitchLayers = getStitchLayers(pattern.stitches, layers);
+  const instances = expandStitchInstances(getVisibleStitches(pattern.stitches, layers), { tileSize, patternTiles });
+  instances.forEach((instance) => {
+    const { stitch } = instance;
+    drawStitchInstance(ctx, instance, {
+      color: stitch.color ?? DEFAULT_STITCH_COLOR,
+      selected: false,
+      gapSize: stitch.gapSize ?? DEFAULT_GAP_SIZE,
+      stitchSize: stitch.stitchSize || 'small',
+      stitchWidth: stitch.stitchWidth || 'normal',
+      curvature: stitch.curvature || 0,
+      opacity: stitchLayers.get(stitch.id)?.opacity ?? 1,
+    }, cell, gridSize);
+  });
+  ctx.restore();
+}
+
+/**
+ * Revision a cached thumbnail must match to be reused
+ * Saved patterns change their `updatedAt` on every save; starter patterns have none and are
+ * identified by a hash of their contents (they only change with app updates)
+ * @param {Object} pattern
+ * @returns {string}
+ */
+export function getThumbnailRevision(pattern) {
+  if (pattern.updatedAt) {
+    return `${THUMBNAIL_RENDER_VERSION}:${pattern.updatedAt}`;
+  }
+  const text = JSON.stringify(pattern);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return `${THUMBNAIL_RENDER_VERSION}:${hash.toString(36)}`;
+}
@@ -1,5 +1,8 @@
 // Pattern utility functions for normalization and manipulation
-import { DEFAULT_GAP_SIZE, DEFAULT_GRID_SIZE, DEFAULT_TILE_SIZE, DEFAULT_PATTERN_TILES } from '../hooks/useUiState.js';
+import { DEFAULT_GRID_SIZE, DEFAULT_TILE_SIZE, DEFAULT_PATTERN_TILES } from '../hooks/useUiState.js';
+import { DEFAULT_GRID_TYPE } from './gridGeometry.js';
+import { createDefaultLayer } from './layers.js';
+import { PATTERN_FORMAT_VERSION, migratePattern } from './patternFormat.js';
 
 /**
  * Normalize tileSize to {x, y} format
@@ -22,16 +25,21 @@ export function normalizePatternTiles(patternTiles) {
 }
 
 /**
- * Clone a pattern with normalization
+ * Clone a pattern, migrating it to the current format first (older shapes are upgraded, not patched)
  */
 export function clonePattern(pattern) {
   const defaultPattern = {
+    formatVersion: PATTERN_FORMAT_VERSION,
     id: 'pattern-blank',
     name: 'Untitled Pattern',
     description: '',
+    tags: [],
+    folder: '',
     tileSize: DEFAULT_TILE_SIZE,
     gridSize: DEFAULT_GRID_SIZE,
+    gridType: DEFAULT_GRID_TYPE,
     patternTiles: { x: DEFAULT_PATTERN_TILES, y: DEFAULT_PATTERN_TILES },
+    layers: [createDefaultLayer()],
     stitches: [],
   };
 
@@ -39,20 +47,18 @@ export function clonePattern(pattern) {
     return defaultPattern;
   }
 
-  // Normalize tileSize to object format
-  const normalizedTileSize = normalizeTileSize(pattern.tileSize);
+  const { pattern: migrated } = migratePattern(pattern);
 
   return {
-    ...pattern,
-    tileSize: normalizedTileSize,
-    gridSize: pattern.gridSize ?? DEFAULT_GRID_SIZE,
-    patternTiles: normalizePatternTiles(pattern.patternTiles ?? { x: DEFAULT_PATTERN_TILES, y: DEFAULT_PATTERN_TILES }),
-    stitches: (pattern.stitches ?? []).map((stitch) => ({
+    ...migrated,
+    tags: [...migrated.tags],
+    tileSize: { ...migrated.tileSize },
+    patternTiles: { ...migrated.patternTiles },
+    layers: migrated.layers.map((layer) => ({ ...layer })),
+    stitches: migrated.stitches.map((stitch) => ({
       ...stitch,
       start: { ...stitch.start },
       end: { ...stitch.end },
-      gapSize: stitch.gapSize ?? DEFAULT_GAP_SIZE, // Ensure all stitches have gapSize
-      curvature: stitch.curvature ?? 0, // Ensure all stitches have curvature
     })),
   };
 }
@@ -69,25 +75,3 @@ export function deriveColorMap(pattern) {
   });
   return map;
 }
-
-/**
- * Validate pattern data structure
- */
-export function isValidPattern(data) {
-  const validTileSize = 
-    data.tileSize && typeof data.tileSize === 'object' && 
-    typeof data.tileSize.x === 'number' && typeof data.tileSize.y === 'number';
-  
-  const validPatternTiles = 
-    data.patternTiles && typeof data.patternTiles === 'object' && 
-    typeof data.patternTiles.x === 'number' && typeof data.patternTiles.y === 'number';
-  
-  return (
-    data &&
-    typeof data === 'object' &&
-    validTileSize &&
-    typeof data.gridSize === 'number' &&
-    validPatternTiles &&
-    Array.isArray(data.stitches)
-  );
-}
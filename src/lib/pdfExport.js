@@ -0,0 +1,613 @@
+// PDF export utilities - prints the artboard at true physical scale
+// The artboard is tiled over A4/Letter pages with overlap guides, page numbers and a calibration ruler
+// Written as plain PDF 1.4 (no dependencies); all drawing is vector and uses the same dash geometry as the canvas
+
+import { normalizePatternTiles, normalizeTileSize } from './patternUtils.js';
+import { collectStitchDashes } from './stitchLayout.js';
+import { getStitchLayers, getVisibleStitches, normalizeLayers } from './layers.js';
+import { mmToPt } from './unitConverter.js';
+import { DEFAULT_GRID_SIZE } from '../hooks/useUiState.js';
+import { getCellScale, getCellSize, isLatticePoint, normalizeGridType } from './gridGeometry.js';
+
+/**
+ * Paper sizes in millimeters (portrait)
+ */
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  letter: { label: 'US Letter', width: 215.9, height: 279.4 },
+};
+
+export const PDF_EXPORT_DEFAULTS = {
+  cellSizeMm: 5,
+  paperSize: 'a4',
+  orientation: 'portrait',
+  marginMm: 10,
+  overlapMm: 10,
+  includeBackground: false,
+  includeGrid: true,
+  stitchColorMode: 'black', // 'original' | 'black' (light thread colors vanish on white paper)
+};
+
+const CALIBRATION_RULER_MM = 100;
+const FONT_SIZE_MM = 2.8; // ~8pt
+const TITLE_FONT_SIZE_MM = 5.6; // ~16pt
+const MARK_COLOR = [0.45, 0.45, 0.45];
+
+/**
+ * Format a number for PDF content streams (max 3 decimals)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Parse a hex color and flatten its alpha onto a paper/fabric color
+ * PDF 1.4 transparency needs extra graphics states, so colors are pre-blended instead
+ * @param {string} hex - #RRGGBB or #RRGGBBAA
+ * @param {number[]} under - RGB (0-1) the color is drawn over
+ * @returns {number[]} RGB (0-1)
+ */
+function hexToRgb(hex, under = [1, 1, 1]) {
+  if (typeof hex !== 'string' || !/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) {
+    return [0, 0, 0];
+  }
+  const rgb = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+  const alpha = hex.length === 9 ? parseInt(hex.slice(7, 9), 16) / 255 : 1;
+  return rgb.map((channel, i) => channel * alpha + under[i] * (1 - alpha));
+}
+
+/**
+ * Build a PDF color operator
+ * @param {number[]} rgb - RGB (0-1)
+ * @param {boolean} stroke - Stroke (RG) or fill (rg) color
+ * @returns {string}
+ */
+function colorOperator(rgb, stroke) {
+  return `${rgb.map(formatNumber).join(' ')} ${stroke ? 'RG' : 'rg'}`;
+}
+
+/**
+ * Encode text as a PDF string literal (WinAnsiEncoding)
+ * Characters outside Latin-1 are replaced since the standard Helvetica font cannot show them
+ * @param {string} text
+ * @returns {string}
+ */
+function pdfString(text) {
+  const special = { '—': 0x97, '–': 0x96, '•': 0x95 };
+  let encoded = '';
+  for (const char of String(text)) {
+    const code = special[char] ?? char.codePointAt(0);
+    if (char === '(' || char === ')' || char === '\\') {
+      encoded += `\\${char}`;
+    } else if (code >= 32 && code < 127) {
+      encoded += char;
+    } else if (code < 256) {
+      encoded += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      encoded += '?';
+    }
+  }
+  return `(${encoded})`;
+}
+
+/**
+ * Draw text at a position (y-down page coordinates)
+ * @param {number} x
+ * @param {number} y - Baseline
+ * @param {string} text
+ * @param {number} size - Font size in mm
+ * @returns {string}
+ */
+function textOperator(x, y, text, size = FONT_SIZE_MM) {
+  // Flip the text matrix back since page coordinates are y-down
+  return `BT /F1 ${formatNumber(size)} Tf 1 0 0 -1 ${formatNumber(x)} ${formatNumber(y)} Tm ${pdfString(text)} Tj ET`;
+}
+
+/**
+ * Approximate width of Helvetica text (for centering and right alignment)
+ * @param {string} text
+ * @param {number} size - Font size in mm
+ * @returns {number}
+ */
+function estimateTextWidth(text, size = FONT_SIZE_MM) {
+  return String(text).length * size * 0.5;
+}
+
+/**
+ * Convert a dash (from calculateStitchDashes) into PDF path operators
+ * Arcs are approximated by cubic Béziers of at most 90° each
+ * @param {Object} dash
+ * @returns {string}
+ */
+function dashToPathOperators(dash) {
+  const move = `${formatNumber(dash.x1)} ${formatNumber(dash.y1)} m`;
+  if (dash.type !== 'arc') {
+    return `${move} ${formatNumber(dash.x2)} ${formatNumber(dash.y2)} l S`;
+  }
+
+  const { cx, cy, radius, startAngle, endAngle, counterClockwise } = dash;
+  let sweep = endAngle - startAngle;
+  if (counterClockwise && sweep > 0) sweep -= 2 * Math.PI;
+  if (!counterClockwise && sweep < 0) sweep += 2 * Math.PI;
+
+  const segmentCount = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+  const segmentSweep = sweep / segmentCount;
+  const handle = (4 / 3) * Math.tan(segmentSweep / 4) * radius;
+  const curves = [];
+  for (let i = 0; i < segmentCount; i++) {
+    const a0 = startAngle + i * segmentSweep;
+    const a1 = a0 + segmentSweep;
+    const x0 = cx + radius * Math.cos(a0);
+    const y0 = cy + radius * Math.sin(a0);
+    const x3 = cx + radius * Math.cos(a1);
+    const y3 = cy + radius * Math.sin(a1);
+    const x1 = x0 - handle * Math.sin(a0);
+    const y1 = y0 + handle * Math.cos(a0);
+    const x2 = x3 + handle * Math.sin(a1);
+    const y2 = y3 - handle * Math.cos(a1);
+    curves.push([x1, y1, x2, y2, x3, y3].map(formatNumber).join(' ') + ' c');
+  }
+  return `${move} ${curves.join(' ')} S`;
+}
+
+/**
+ * Bounding box of a stitch's dashes (arcs use their full circle as a safe bound)
+ * @param {Array} dashes
+ * @param {number} padding
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+function dashesBounds(dashes, padding) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  dashes.forEach((dash) => {
+    if (dash.type === 'arc') {
+      minX = Math.min(minX, dash.cx - dash.radius);
+      maxX = Math.max(maxX, dash.cx + dash.radius);
+      minY = Math.min(minY, dash.cy - dash.radius);
+      maxY = Math.max(maxY, dash.cy + dash.radius);
+    } else {
+      minX = Math.min(minX, dash.x1, dash.x2);
+      maxX = Math.max(maxX, dash.x1, dash.x2);
+      minY = Math.min(minY, dash.y1, dash.y2);
+      maxY = Math.max(maxY, dash.y1, dash.y2);
+    }
+  });
+  return { minX: minX - padding, minY: minY - padding, maxX: maxX + padding, maxY: maxY + padding };
+}
+
+/**
+ * Calculate how the artboard is split over pages
+ * @param {Object} params
+ * @param {{x: number, y: number}} params.tileSize - Tile size in grid cells
+ * @param {{x: number, y: number}} params.patternTiles - Number of tiles on the artboard
+ * @param {number} params.cellSizeMm - Physical size of one grid cell
+ * @param {string} [params.gridType='square'] - Grid type (triangular cells are half an edge wide and a row high)
+ * @param {'a4'|'letter'} params.paperSize
+ * @param {'portrait'|'landscape'} params.orientation
+ * @param {number} params.marginMm - Unprintable margin on each page edge
+ * @param {number} params.overlapMm - Area repeated on neighbouring pages
+ * @returns {Object} Layout in millimeters
+ */
+export function calculatePdfLayout({
+  tileSize,
+  patternTiles,
+  cellSizeMm = PDF_EXPORT_DEFAULTS.cellSizeMm,
+  gridType,
+  paperSize = PDF_EXPORT_DEFAULTS.paperSize,
+  orientation = PDF_EXPORT_DEFAULTS.orientation,
+  marginMm = PDF_EXPORT_DEFAULTS.marginMm,
+  overlapMm = PDF_EXPORT_DEFAULTS.overlapMm,
+}) {
+  const normalizedTileSize = normalizeTileSize(tileSize);
+  const normalizedPatternTiles = normalizePatternTiles(patternTiles);
+  const paper = PAPER_SIZES[paperSize] ?? PAPER_SIZES.a4;
+  const isLandscape = orientation === 'landscape';
+  const pageWidth = isLandscape ? paper.height : paper.width;
+  const pageHeight = isLandscape ? paper.width : paper.height;
+
+  const cellsX = normalizedPatternTiles.x * normalizedTileSize.x;
+  const cellsY = normalizedPatternTiles.y * normalizedTileSize.y;
+  const cellScale = getCellScale(gridType);
+  const artboardWidth = cellsX * cellSizeMm * cellScale.x;
+  const artboardHeight = cellsY * cellSizeMm * cellScale.y;
+
+  const printableWidth = pageWidth - 2 * marginMm;
+  const printableHeight = pageHeight - 2 * marginMm;
+  // Overlap can never consume the whole printable area
+  const overlap = Math.max(0, Math.min(overlapMm, printableWidth / 2, printableHeight / 2));
+  const stepX = printableWidth - overlap;
+  const stepY = printableHeight - overlap;
+
+  const columns = Math.max(1, Math.ceil((artboardWidth - overlap) / stepX));
+  const rows = Math.max(1, Math.ceil((artboardHeight - overlap) / stepY));
+
+  return {
+    pageWidth,
+    pageHeight,
+    margin: marginMm,
+    overlap,
+    printableWidth,
+    printableHeight,
+    stepX,
+    stepY,
+    columns,
+    rows,
+    cellsX,
+    cellsY,
+    artboardWidth,
+    artboardHeight,
+    // Cover page + one page per tile of the layout
+    pageCount: columns * rows + 1,
+  };
+}
+
+/**
+ * Assemble PDF objects into a complete document
+ * @param {string[]} pageContents - Content stream for each page
+ * @param {number} pageWidthPt
+ * @param {number} pageHeightPt
+ * @param {string} title - Document title
+ * @returns {string} PDF file contents (ASCII only)
+ */
+function assemblePdf(pageContents, pageWidthPt, pageHeightPt, title) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title ${pdfString(title)} /Producer (Sashiko Pattern Designer) >>`);
+
+  const pageIds = pageContents.map((content) => {
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${formatNumber(pageWidthPt)} ${formatNumber(pageHeightPt)}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R /ViewerPreferences << /PrintScaling /None >> >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return pdf;
+}
+
+/**
+ * Draw the 10 cm calibration ruler (mm ticks, cm labels)
+ * @param {number} x - Left edge in mm
+ * @param {number} y - Top edge in mm
+ * @returns {string[]} Content operators
+ */
+function drawCalibrationRuler(x, y) {
+  const height = 8;
+  const ops = ['q', '0 0 0 RG', '0 0 0 rg', '0.2 w', '0 J', '[] 0 d'];
+  ops.push(`${formatNumber(x)} ${formatNumber(y)} ${CALIBRATION_RULER_MM} ${height} re S`);
+  for (let mm = 0; mm <= CALIBRATION_RULER_MM; mm++) {
+    const tickLength = mm % 10 === 0 ? 5 : mm % 5 === 0 ? 3.5 : 2;
+    const tickX = formatNumber(x + mm);
+    ops.push(`${tickX} ${formatNumber(y)} m ${tickX} ${formatNumber(y + tickLength)} l S`);
+    if (mm % 10 === 0) {
+      const label = String(mm / 10);
+      ops.push(textOperator(x + mm - estimateTextWidth(label) / 2, y + height + FONT_SIZE_MM + 1, label));
+    }
+  }
+  ops.push(textOperator(x + CALIBRATION_RULER_MM + 3, y + height / 2 + 1, '10 cm'));
+  ops.push('Q');
+  return ops;
+}
+
+/**
+ * Build a print-ready PDF of the artboard at physical scale
+ * Page 1 is a cover sheet with scale info, calibration ruler and assembly map,
+ * followed by one page per tile of the page layout (left to right, top to bottom)
+ * @param {Object} pattern - Pattern with stitches (hidden layers are left out)
+ * @param {Object} options
+ * @param {{x: number, y: number}} options.tileSize - Tile size in grid cells
+ * @param {{x: number, y: number}} options.patternTiles - Number of tiles on the artboard
+ * @param {number} options.gridSize - Pixels per grid cell (stitch geometry is computed at this size, then scaled)
+ * @param {string} [options.gridType] - Grid type (defaults to the pattern's)
+ * @param {Map} [options.stitchColors] - Stitch color overrides by id
+ * @param {string} [options.backgroundColor] - Fabric color
+ * @param {string} [options.gridColor] - Grid dot color
+ * @param {string} [options.tileOutlineColor] - Tile outline color
+ * @param {number} [options.cellSizeMm=5] - Physical size of one grid cell
+ * @param {'a4'|'letter'} [options.paperSize='a4']
+ * @param {'portrait'|'landscape'} [options.orientation='portrait']
+ * @param {number} [options.marginMm=10]
+ * @param {number} [options.overlapMm=10]
+ * @param {boolean} [options.includeBackground=false] - Fill the artboard with the fabric color
+ * @param {boolean} [options.includeGrid=true] - Draw grid dots and tile outlines
+ * @param {'original'|'black'} [options.stitchColorMode='black'] - Print stitches in their colors or in black
+ * @returns {string} PDF file contents
+ */
+export function buildPatternPdf(pattern, options) {
+  const {
+    tileSize,
+    patternTiles,
+    gridSize,
+    gridType,
+    stitchColors = new Map(),
+    backgroundColor,
+    gridColor,
+    tileOutlineColor,
+    cellSizeMm = PDF_EXPORT_DEFAULTS.cellSizeMm,
+    paperSize = PDF_EXPORT_DEFAULTS.paperSize,
+    orientation = PDF_EXPORT_DEFAULTS.orientation,
+    marginMm = PDF_EXPORT_DEFAULTS.marginMm,
+    overlapMm = PDF_EXPORT_DEFAULTS.overlapMm,
+    includeBackground = PDF_EXPORT_DEFAULTS.includeBackground,
+    includeGrid = PDF_EXPORT_DEFAULTS.includeGrid,
+    stitchColorMode = PDF_EXPORT_DEFAULTS.stitchColorMode,
+  } = options;
+
+  const normalizedTileSize = normalizeTileSize(tileSize ?? pattern?.tileSize);
+  const normalizedPatternTiles = normalizePatternTiles(patternTiles ?? pattern?.patternTiles);
+  const cellSize = gridSize ?? pattern?.gridSize ?? DEFAULT_GRID_SIZE;
+  const normalizedGridType = normalizeGridType(gridType ?? pattern?.gridType);
+  // Canvas pixels per stored grid unit on each axis
+  const cell = getCellSize(normalizedGridType, cellSize);
+  const layout = calculatePdfLayout({
+    tileSize: normalizedTileSize,
+    patternTiles: normalizedPatternTiles,
+    cellSizeMm,
+    gridType: normalizedGridType,
+    paperSize,
+    orientation,
+    marginMm,
+    overlapMm,
+  });
+  const {
+    pageWidth,
+    pageHeight,
+    margin,
+    overlap,
+    printableWidth,
+    printableHeight,
+    stepX,
+    stepY,
+    columns,
+    rows,
+    artboardWidth,
+    artboardHeight,
+  } = layout;
+
+  const patternName = pattern?.name || 'Untitled Pattern';
+  const paper = PAPER_SIZES[paperSize] ?? PAPER_SIZES.a4;
+  const scaleLabel = `1 grid cell = ${formatNumber(cellSizeMm)} mm`;
+  // Millimeters per canvas pixel
+  const pxToMmScale = cellSizeMm / cellSize;
+
+  // Colors are flattened onto what they are printed over
+  const paperRgb = [1, 1, 1];
+  const fabricRgb = includeBackground && backgroundColor ? hexToRgb(backgroundColor, paperRgb) : paperRgb;
+  // Screen grid colors are too faint on white paper, so plain greys are used without a fabric fill
+  const gridRgb = includeBackground ? hexToRgb(gridColor ?? '#94a3b8', fabricRgb) : [0.5, 0.5, 0.5];
+  const tileOutlineRgb = includeBackground ? hexToRgb(tileOutlineColor ?? '#94a3b8', fabricRgb) : [0.75, 0.75, 0.75];
+
+  // Stitch dashes in canvas pixels relative to the artboard origin, in layer draw order
+  const stitchLayers = normalizeLayers(pattern?.layers);
+  const layerByStitch = getStitchLayers(pattern?.stitches, stitchLayers);
+  const stitchDashes = collectStitchDashes(getVisibleStitches(pattern?.stitches, stitchLayers), {
+    tileSize: normalizedTileSize,
+    patternTiles: normalizedPatternTiles,
+    gridSize: cellSize,
+    gridType: normalizedGridType,
+    stitchColors,
+  }).map((entry) => ({
+    ...entry,
+    // Layer opacity is flattened onto the fabric like color alpha
+    rgb: stitchColorMode === 'black'
+      ? [0, 0, 0]
+      : hexToRgb(entry.color, fabricRgb).map((channel, i) => {
+        const opacity = layerByStitch.get(entry.stitch.id).opacity;
+        return channel * opacity + fabricRgb[i] * (1 - opacity);
+      }),
+    bounds: dashesBounds(entry.dashes, entry.lineWidth),
+  }));
+
+  const pageCount = layout.pageCount;
+  // Base transform: millimeters, origin top-left, y pointing down
+  const baseTransform = `${formatNumber(mmToPt(1))} 0 0 ${formatNumber(-mmToPt(1))} 0 ${formatNumber(mmToPt(pageHeight))} cm`;
+  const footer = (pageNumber, detail) => {
+    const text = `${patternName} — ${scaleLabel}${detail ? ` — ${detail}` : ''}`;
+    const pageLabel = `Page ${pageNumber} of ${pageCount}`;
+    const baseline = pageHeight - margin / 2 + 1;
+    return [
+      '0 0 0 rg',
+      textOperator(margin, baseline, text),
+      textOperator(pageWidth - margin - estimateTextWidth(pageLabel), baseline, pageLabel),
+    ];
+  };
+
+  // === COVER PAGE ===
+  const cover = [baseTransform, '1 j'];
+  let cursorY = margin + TITLE_FONT_SIZE_MM;
+  cover.push('0 0 0 rg', textOperator(margin, cursorY, patternName, TITLE_FONT_SIZE_MM));
+  cursorY += 10;
+  const infoLines = [
+    `Scale: ${scaleLabel}`,
+    `Finished size: ${formatNumber(artboardWidth / 10)} × ${formatNumber(artboardHeight / 10)} cm (${layout.cellsX} × ${layout.cellsY} grid cells)`,
+    `Paper: ${paper.label} ${orientation}, ${columns * rows} pattern page${columns * rows === 1 ? '' : 's'} (${columns} across × ${rows} down)`,
+    `Overlap: ${formatNumber(overlap)} mm between neighbouring pages, marked with dashed lines`,
+    'Print at 100% ("Actual size"), never "Fit to page".',
+    'Check that the ruler below measures exactly 10 cm before tracing onto fabric.',
+  ];
+  infoLines.forEach((line) => {
+    cover.push(textOperator(margin, cursorY, line));
+    cursorY += FONT_SIZE_MM + 2.5;
+  });
+  cursorY += 4;
+  cover.push(...drawCalibrationRuler(margin, cursorY));
+  cursorY += 8 + FONT_SIZE_MM + 12;
+
+  // Assembly map: page grid drawn over the artboard outline
+  cover.push('0 0 0 rg', textOperator(margin, cursorY, 'Assembly map (page numbers):'));
+  cursorY += 4;
+  const mapAreaWidth = printableWidth;
+  const mapAreaHeight = pageHeight - margin * 2 - cursorY;
+  const coveredWidth = stepX * columns + overlap;
+  const coveredHeight = stepY * rows + overlap;
+  const mapScale = Math.min(mapAreaWidth / coveredWidth, mapAreaHeight / coveredHeight);
+  if (mapScale > 0) {
+    cover.push('q', `1 0 0 1 ${formatNumber(margin)} ${formatNumber(cursorY)} cm`, '0.2 w', '[] 0 d');
+    if (includeBackground) {
+      cover.push(colorOperator(fabricRgb, false), `0 0 ${formatNumber(artboardWidth * mapScale)} ${formatNumber(artboardHeight * mapScale)} re f`);
+    }
+    cover.push('0 0 0 RG', `0 0 ${formatNumber(artboardWidth * mapScale)} ${formatNumber(artboardHeight * mapScale)} re S`);
+    cover.push(colorOperator(MARK_COLOR, true), colorOperator(MARK_COLOR, false), '[1 1] 0 d');
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < columns; col++) {
+        const x = col * stepX * mapScale;
+        const y = row * stepY * mapScale;
+        cover.push(`${formatNumber(x)} ${formatNumber(y)} ${formatNumber(printableWidth * mapScale)} ${formatNumber(printableHeight * mapScale)} re S`);
+        cover.push(textOperator(x + 2, y + FONT_SIZE_MM + 1.5, String(row * columns + col + 2)));
+      }
+    }
+    cover.push('Q');
+  }
+  cover.push(...footer(1, 'Cover & calibration'));
+  const pageContents = [cover.join('\n')];
+
+  // === PATTERN PAGES ===
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const pageNumber = row * columns + col + 2;
+      // Region of the artboard (in mm) shown on this page
+      const regionX = col * stepX;
+      const regionY = row * stepY;
+      const regionPx = {
+        minX: regionX / pxToMmScale,
+        minY: regionY / pxToMmScale,
+        maxX: (regionX + printableWidth) / pxToMmScale,
+        maxY: (regionY + printableHeight) / pxToMmScale,
+      };
+
+      const ops = [baseTransform, '1 J', '1 j'];
+
+      // Clip to printable area, then move into artboard millimeters
+      ops.push('q', `${formatNumber(margin)} ${formatNumber(margin)} ${formatNumber(printableWidth)} ${formatNumber(printableHeight)} re W n`);
+      ops.push(`1 0 0 1 ${formatNumber(margin - regionX)} ${formatNumber(margin - regionY)} cm`);
+
+      if (includeBackground) {
+        ops.push(colorOperator(fabricRgb, false), `0 0 ${formatNumber(artboardWidth)} ${formatNumber(artboardHeight)} re f`);
+      }
+
+      // Artboard pixels → millimeters
+      ops.push(`${formatNumber(pxToMmScale)} 0 0 ${formatNumber(pxToMmScale)} 0 0 cm`);
+
+      if (includeGrid) {
+        // Tile outlines
+        ops.push(colorOperator(tileOutlineRgb, true), formatNumber(0.15 / pxToMmScale) + ' w', '0 J');
+        for (let tileCol = 1; tileCol < normalizedPatternTiles.x; tileCol++) {
+          const x = formatNumber(tileCol * normalizedTileSize.x * cell.x);
+          ops.push(`${x} 0 m ${x} ${formatNumber(layout.cellsY * cell.y)} l S`);
+        }
+        for (let tileRow = 1; tileRow < normalizedPatternTiles.y; tileRow++) {
+          const y = formatNumber(tileRow * normalizedTileSize.y * cell.y);
+          ops.push(`0 ${y} m ${formatNumber(layout.cellsX * cell.x)} ${y} l S`);
+        }
+
+        // Grid dots (2×2 px like the canvas), only those on this page
+        const dotSize = 2;
+        const dotOffset = dotSize / 2;
+        ops.push(colorOperator(gridRgb, false));
+        const firstX = Math.max(0, Math.floor(regionPx.minX / cell.x));
+        const lastX = Math.min(layout.cellsX, Math.ceil(regionPx.maxX / cell.x));
+        const firstY = Math.max(0, Math.floor(regionPx.minY / cell.y));
+        const lastY = Math.min(layout.cellsY, Math.ceil(regionPx.maxY / cell.y));
+        const dots = [];
+        for (let x = firstX; x <= lastX; x++) {
+          for (let y = firstY; y <= lastY; y++) {
+            if (!isLatticePoint(normalizedGridType, x, y)) continue;
+            dots.push(`${formatNumber(x * cell.x - dotOffset)} ${formatNumber(y * cell.y - dotOffset)} ${dotSize} ${dotSize} re`);
+          }
+        }
+        if (dots.length > 0) {
+          ops.push(dots.join('\n'), 'f');
+        }
+      }
+
+      // Artboard outline (the edge of the finished piece)
+      ops.push('0 0 0 RG', formatNumber(0.2 / pxToMmScale) + ' w', `0 0 ${formatNumber(layout.cellsX * cell.x)} ${formatNumber(layout.cellsY * cell.y)} re S`);
+
+      // Stitches that touch this page
+      ops.push('1 J');
+      stitchDashes.forEach(({ rgb, lineWidth, dashes, bounds }) => {
+        if (
+          bounds.maxX < regionPx.minX || bounds.minX > regionPx.maxX ||
+          bounds.maxY < regionPx.minY || bounds.minY > regionPx.maxY
+        ) {
+          return;
+        }
+        ops.push(colorOperator(rgb, true), `${formatNumber(lineWidth)} w`);
+        dashes.forEach((dash) => ops.push(dashToPathOperators(dash)));
+      });
+      ops.push('Q');
+
+      // Overlap guides: content between the dashed line and the page edge repeats on the neighbouring page
+      ops.push(colorOperator(MARK_COLOR, true), colorOperator(MARK_COLOR, false), '0.2 w', '0 J', '[2 1] 0 d');
+      const top = formatNumber(margin);
+      const bottom = formatNumber(margin + printableHeight);
+      const left = formatNumber(margin);
+      const right = formatNumber(margin + printableWidth);
+      if (col > 0) {
+        const x = formatNumber(margin + overlap);
+        ops.push(`${x} ${top} m ${x} ${bottom} l S`);
+        ops.push(textOperator(margin + 1, margin - 1.5, `< overlaps page ${pageNumber - 1}`));
+      }
+      if (col < columns - 1) {
+        const x = formatNumber(margin + stepX);
+        ops.push(`${x} ${top} m ${x} ${bottom} l S`);
+        const label = `overlaps page ${pageNumber + 1} >`;
+        ops.push(textOperator(margin + printableWidth - estimateTextWidth(label) - 1, margin - 1.5, label));
+      }
+      if (row > 0) {
+        const y = formatNumber(margin + overlap);
+        ops.push(`${left} ${y} m ${right} ${y} l S`);
+      }
+      if (row < rows - 1) {
+        const y = formatNumber(margin + stepY);
+        ops.push(`${left} ${y} m ${right} ${y} l S`);
+      }
+
+      // Crop marks at the printable area corners (in the margin)
+      ops.push('[] 0 d');
+      const markLength = Math.min(5, margin - 1);
+      if (markLength > 0) {
+        [[margin, margin], [margin + printableWidth, margin], [margin, margin + printableHeight], [margin + printableWidth, margin + printableHeight]]
+          .forEach(([x, y]) => {
+            const directionX = x === margin ? -1 : 1;
+            const directionY = y === margin ? -1 : 1;
+            ops.push(`${formatNumber(x + directionX)} ${formatNumber(y)} m ${formatNumber(x + directionX * (markLength + 1))} ${formatNumber(y)} l S`);
+            ops.push(`${formatNumber(x)} ${formatNumber(y + directionY)} m ${formatNumber(x)} ${formatNumber(y + directionY * (markLength + 1))} l S`);
+          });
+      }
+
+      ops.push(...footer(pageNumber, `row ${row + 1}, column ${col + 1}`));
+      pageContents.push(ops.join('\n'));
+    }
+  }
+
+  return assemblePdf(pageContents, mmToPt(pageWidth), mmToPt(pageHeight), patternName);
+}
@@ -0,0 +1,318 @@
+// Plotter export - stitch lines as pen paths for marking fabric with a pen or cutting plotter
+//
+// Paths come from the same tile expansion as the canvas (collectStitchDashes), either one path per dash
+// or one per whole stitch line. Curves are flattened into short straight moves, paths are ordered to
+// keep pen-up travel short, and the result is written as HPGL or as G-code with the user's pen commands.
+
+import { normalizePatternTiles, normalizeTileSize } from './patternUtils.js';
+import { collectStitchDashes, orderPaths } from './stitchLayout.js';
+import { getVisibleStitches, normalizeLayers } from './layers.js';
+import { mmToIn, mmToPlu } from './unitConverter.js';
+import { DEFAULT_GRID_SIZE } from '../hooks/useUiState.js';
+import { getCellSize, normalizeGridType } from './gridGeometry.js';
+
+export const PLOTTER_FORMATS = {
+  hpgl: { label: 'HPGL', extension: '.plt' },
+  gcode: { label: 'G-code', extension: '.gcode' },
+};
+
+// Where the machine's 0,0 sits on the artboard
+export const PLOTTER_ORIGINS = {
+  'bottom-left': 'Bottom left',
+  'top-left': 'Top left',
+  center: 'Center',
+};
+
+export const PLOTTER_EXPORT_DEFAULTS = {
+  format: 'hpgl',
+  geometry: 'dashes', // 'dashes' (one path per dash) | 'lines' (whole stitch lines)
+  cellSizeMm: 5,
+  origin: 'bottom-left',
+  penPerColor: false, // HPGL: one pen per thread color; G-code: pause for a pen change
+  units: 'mm', // G-code only: 'mm' | 'in'
+  feedRate: 1500, // G-code drawing speed in mm per minute
+  penUpCommand: 'G0 Z5',
+  penDownCommand: 'G0 Z0',
+};
+
+// Curves are flattened into straight moves at most this long
+const CURVE_STEP_MM = 0.5;
+// Paths whose ends are this close are drawn without lifting the pen
+const CONTINUE_DISTANCE_MM = 0.05;
+// HPGL plotters typically hold eight pens
+const HPGL_PEN_COUNT = 8;
+
+/**
+ * Points along one dash in millimeters (start point first), curves flattened
+ * @param {Object} dash - Dash from calculateStitchDashes (canvas pixels)
+ * @param {number} scale - Millimeters per canvas pixel
+ * @returns {Array<{x: number, y: number}>}
+ */
+function dashToPolyline(dash, scale) {
+  if (dash.type !== 'arc') {
+    return [{ x: dash.x1 * scale, y: dash.y1 * scale }, { x: dash.x2 * scale, y: dash.y2 * scale }];
+  }
+  const sweep = dash.endAngle - dash.startAngle;
+  const count = Math.max(1, Math.ceil((Math.abs(sweep) * dash.radius * scale) / CURVE_STEP_MM));
+  return Array.from({ length: count + 1 }, (_, i) => {
+    const angle = dash.startAngle + (sweep * i) / count;
+    return {
+      x: (dash.cx + dash.radius * Math.cos(angle)) * scale,
+      y: (dash.cy + dash.radius * Math.sin(angle)) * scale,
+    };
+  });
+}
+
+/**
+ * One dash spanning a whole stitch line, from the start of its first dash to the end of its last
+ * @param {Array} dashes - Dashes of one stitch instance
+ * @returns {Object}
+ */
+function mergeDashes(dashes) {
+  const first = dashes[0];
+  const last = dashes[dashes.length - 1];
+  return { ...first, x2: last.x2, y2: last.y2, endAngle: last.endAngle };
+}
+
+/**
+ * Length of a polyline
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {number}
+ */
+function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+  }
+  return length;
+}
+
+/**
+ * Plan the pen paths for a pattern
+ * @param {Object} pattern - Pattern with stitches (hidden layers are left out)
+ * @param {Object} options
+ * @param {Map} [options.stitchColors] - Color overrides by stitch id
+ * @param {number} [options.cellSizeMm=5] - Physical size of one grid cell
+ * @param {'dashes'|'lines'} [options.geometry='dashes'] - Draw every dash or whole stitch lines
+ * @param {boolean} [options.penPerColor=false] - Group paths by thread color
+ * @returns {{groups: Array<{color: string|null, paths: Array<{points: Array<{x: number, y: number}>}>}>,
+ *   pathCount: number, drawLength: number, travelLength: number, width: number, height: number}}
+ *   Paths in millimeters from the artboard's top-left corner (y pointing down), in drawing order
+ */
+export function planPlotterPaths(pattern, options = {}) {
+  const {
+    stitchColors = new Map(),
+    cellSizeMm = PLOTTER_EXPORT_DEFAULTS.cellSizeMm,
+    geometry = PLOTTER_EXPORT_DEFAULTS.geometry,
+    penPerColor = PLOTTER_EXPORT_DEFAULTS.penPerColor,
+  } = options;
+
+  const tileSize = normalizeTileSize(options.tileSize ?? pattern?.tileSize);
+  const patternTiles = normalizePatternTiles(options.patternTiles ?? pattern?.patternTiles);
+  const gridSize = options.gridSize ?? pattern?.gridSize ?? DEFAULT_GRID_SIZE;
+  const gridType = normalizeGridType(options.gridType ?? pattern?.gridType);
+  const stitchLayers = normalizeLayers(pattern?.layers);
+  const entries = collectStitchDashes(getVisibleStitches(pattern?.stitches, stitchLayers), {
+    tileSize,
+    patternTiles,
+    gridSize,
+    gridType,
+    stitchColors,
+  });
+
+  // Millimeters per canvas pixel
+  const scale = cellSizeMm / gridSize;
+  const cell = getCellSize(gridType, gridSize);
+
+  const groupsByColor = new Map();
+  entries.forEach((entry) => {
+    const key = penPerColor ? entry.color.slice(0, 7).toLowerCase() : null;
+    if (!groupsByColor.has(key)) groupsByColor.set(key, []);
+    const dashes = geometry === 'lines' ? [mergeDashes(entry.dashes)] : entry.dashes;
+    dashes.forEach((dash) => groupsByColor.get(key).push({ points: dashToPolyline(dash, scale) }));
+  });
+
+  let position = { x: 0, y: 0 };
+  let drawLength = 0;
+  let travelLength = 0;
+  let pathCount = 0;
+  const groups = [...groupsByColor.entries()].map(([color, paths]) => {
+    const ordered = orderPaths(paths, position);
+    ordered.forEach((path) => {
+      travelLength += Math.hypot(path.points[0].x - position.x, path.points[0].y - position.y);
+      drawLength += polylineLength(path.points);
+      position = path.points[path.points.length - 1];
+    });
+    pathCount += ordered.length;
+    return { color, paths: ordered };
+  });
+
+  return {
+    groups,
+    pathCount,
+    drawLength,
+    travelLength,
+    width: patternTiles.x * tileSize.x * cell.x * scale,
+    height: patternTiles.y * tileSize.y * cell.y * scale,
+  };
+}
+
+/**
+ * Machine coordinates of a planned point: y pointing up, 0,0 at the chosen origin
+ * @param {{x: number, y: number}} point - Millimeters from the artboard's top-left corner
+ * @param {Object} plan - From planPlotterPaths
+ * @param {string} origin - PLOTTER_ORIGINS key
+ * @returns {{x: number, y: number}} Millimeters
+ */
+function toMachine(point, plan, origin) {
+  if (origin === 'top-left') return { x: point.x, y: -point.y };
+  if (origin === 'center') return { x: point.x - plan.width / 2, y: plan.height / 2 - point.y };
+  return { x: point.x, y: plan.height - point.y };
+}
+
+/**
+ * Artboard position of the machine origin (where the pen is parked at the end)
+ * @returns {{x: number, y: number}} Millimeters from the artboard's top-left corner
+ */
+function toPlanOrigin(plan, origin) {
+  if (origin === 'top-left') return { x: 0, y: 0 };
+  if (origin === 'center') return { x: plan.width / 2, y: plan.height / 2 };
+  return { x: 0, y: plan.height };
+}
+
+/**
+ * Pen-down segments of a group, with paths that continue one another merged
+ * @param {Array} paths - Ordered paths of one group
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+function penStrokes(paths) {
+  const strokes = [];
+  paths.forEach((path) => {
+    const stroke = strokes[strokes.length - 1];
+    const end = stroke?.[stroke.length - 1];
+    const start = path.points[0];
+    if (end && Math.hypot(start.x - end.x, start.y - end.y) <= CONTINUE_DISTANCE_MM) {
+      stroke.push(...path.points.slice(1));
+    } else {
+      strokes.push([...path.points]);
+    }
+  });
+  return strokes;
+}
+
+/**
+ * Write HPGL (plotter units, one PU/PD pair per stroke)
+ * @param {Object} plan - From planPlotterPaths
+ * @param {Object} [options]
+ * @param {string} [options.origin='bottom-left'] - PLOTTER_ORIGINS key
+ * @returns {string}
+ */
+export function buildHpgl(plan, { origin = PLOTTER_EXPORT_DEFAULTS.origin } = {}) {
+  const coordinate = (point) => {
+    const machine = toMachine(point, plan, origin);
+    return `${mmToPlu(machine.x)},${mmToPlu(machine.y)}`;
+  };
+  const lines = ['IN;'];
+  plan.groups.forEach((group, index) => {
+    lines.push(`SP${(index % HPGL_PEN_COUNT) + 1};`);
+    penStrokes(group.paths).forEach((stroke) => {
+      lines.push(`PU${coordinate(stroke[0])};`);
+      lines.push(`PD${stroke.slice(1).map(coordinate).join(',')};`);
+    });
+  });
+  lines.push('PU;', 'SP0;');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Format a G-code number (max 3 decimals in mm, 4 in inches)
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function gcodeNumber(value, decimals) {
+  const rounded = Number(value.toFixed(decimals));
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Split user-entered machine commands into lines (blank lines are dropped)
+ * @param {string} commands
+ * @returns {string[]}
+ */
+function commandLines(commands) {
+  return String(commands ?? '').split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Write G-code: rapid moves with the pen up, feed moves with the pen down
+ * @param {Object} plan - From planPlotterPaths
+ * @param {Object} [options]
+ * @param {string} [options.origin='bottom-left'] - PLOTTER_ORIGINS key
+ * @param {'mm'|'in'} [options.units='mm']
+ * @param {number} [options.feedRate=1500] - Drawing speed in mm per minute
+ * @param {string} [options.penUpCommand='G0 Z5'] - Lines sent to lift the pen
+ * @param {string} [options.penDownCommand='G0 Z0'] - Lines sent to lower the pen
+ * @param {string} [options.name] - Pattern name for the header comment
+ * @returns {string}
+ */
+export function buildGcode(plan, options = {}) {
+  const {
+    origin = PLOTTER_EXPORT_DEFAULTS.origin,
+    units = PLOTTER_EXPORT_DEFAULTS.units,
+    feedRate = PLOTTER_EXPORT_DEFAULTS.feedRate,
+    penUpCommand = PLOTTER_EXPORT_DEFAULTS.penUpCommand,
+    penDownCommand = PLOTTER_EXPORT_DEFAULTS.penDownCommand,
+    name = 'Untitled Pattern',
+  } = options;
+  const inches = units === 'in';
+  const decimals = inches ? 4 : 3;
+  const length = (mm) => gcodeNumber(inches ? mmToIn(mm) : mm, decimals);
+  const coordinate = (point) => {
+    const machine = toMachine(point, plan, origin);
+    return `X${length(machine.x)} Y${length(machine.y)}`;
+  };
+  // G-code comments can't contain parentheses
+  const comment = (text) => `(${String(text).replace(/[()]/g, '')})`;
+  const penUp = commandLines(penUpCommand);
+  const penDown = commandLines(penDownCommand);
+
+  const lines = [
+    comment(name),
+    comment(`${gcodeNumber(plan.width, 1)} x ${gcodeNumber(plan.height, 1)} mm, origin ${PLOTTER_ORIGINS[origin] ?? origin}`),
+    inches ? 'G20' : 'G21',
+    'G90',
+    ...penUp,
+  ];
+  plan.groups.forEach((group, index) => {
+    if (group.color && plan.groups.length > 1) {
+      lines.push(comment(`Pen ${index + 1}: ${group.color}`));
+      // Pause so the pen can be swapped (the first pen is loaded before starting)
+      if (index > 0) lines.push('M0');
+    }
+    penStrokes(group.paths).forEach((stroke) => {
+      lines.push(`G0 ${coordinate(stroke[0])}`, ...penDown);
+      stroke.slice(1).forEach((point, pointIndex) => {
+        lines.push(`G1 ${coordinate(point)}${pointIndex === 0 ? ` F${length(feedRate)}` : ''}`);
+      });
+      lines.push(...penUp);
+    });
+  });
+  lines.push(`G0 ${coordinate(toPlanOrigin(plan, origin))}`, 'M2');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a plotter file for a pattern
+ * @param {Object} pattern
+ * @param {Object} options - planPlotterPaths options plus format ('hpgl' | 'gcode') and the writer options
+ * @returns {{text: string, plan: Object}}
+ */
+export function buildPlotterFile(pattern, options = {}) {
+  const { format = PLOTTER_EXPORT_DEFAULTS.format } = options;
+  const plan = planPlotterPaths(pattern, options);
+  if (format === 'gcode') {
+    return { text: buildGcode(plan, { ...options, name: pattern?.name || 'Untitled Pattern' }), plan };
+  }
+  return { text: buildHpgl(plan, options), plan };
+}
@@ -0,0 +1,65 @@
+// Pointer input - mouse, pen and touch handling for the canvas
+//
+// Distances are in screen pixels (divide by the view zoom for canvas pixels). A fingertip covers
+// far more of the screen than a mouse cursor, so touch gets larger snap and pick radii.
+
+export const POINTER_TYPES = {
+  mouse: 'mouse',
+  pen: 'pen',
+  touch: 'touch',
+};
+
+// Distance within which a press snaps to a grid point
+const SNAP_RADIUS = { mouse: 15, pen: 18, touch: 30 };
+// Distance within which a press picks a stitch
+const PICK_RADIUS = { mouse: 5, pen: 8, touch: 16 };
+// Movement allowed before a press counts as a drag instead of a tap
+const TAP_SLOP = { mouse: 4, pen: 6, touch: 10 };
+
+// Holding still this long (touch or pen) adds to the selection like Shift+click
+export const LONG_PRESS_DELAY = 500;
+
+function getRadius(table, pointerType) {
+  return table[pointerType] ?? table.mouse;
+}
+
+/**
+ * Grid snap radius for a pointer type
+ * @param {string} [pointerType='mouse'] - PointerEvent.pointerType
+ * @returns {number} Screen pixels
+ */
+export function getSnapRadius(pointerType = POINTER_TYPES.mouse) {
+  return getRadius(SNAP_RADIUS, pointerType);
+}
+
+/**
+ * Stitch pick radius for a pointer type
+ * @param {string} [pointerType='mouse'] - PointerEvent.pointerType
+ * @returns {number} Screen pixels
+ */
+export function getPickRadius(pointerType = POINTER_TYPES.mouse) {
+  return getRadius(PICK_RADIUS, pointerType);
+}
+
+/**
+ * Whether a pointer moved far enough from where it was pressed to count as a drag
+ * @param {{x: number, y: number, pointerType: string}} press - Client position of the press
+ * @param {{clientX: number, clientY: number}} event - Current pointer event
+ * @returns {boolean}
+ */
+export function exceedsTapSlop(press, event) {
+  return Math.hypot(event.clientX - press.x, event.clientY - press.y) > getRadius(TAP_SLOP, press.pointerType);
+}
+
+/**
+ * Center and spread of two touch points (for two-finger pan and pinch zoom)
+ * @param {{x: number, y: number}} a - Client position of the first finger
+ * @param {{x: number, y: number}} b - Client position of the second finger
+ * @returns {{center: {x: number, y: number}, distance: number}}
+ */
+export function getPinchState(a, b) {
+  return {
+    center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+  };
+}
@@ -0,0 +1,353 @@
+// Reference image underlay - a photo stored with a pattern and drawn beneath the grid for tracing
+//
+// The photo is placed by its four corners (top-left, top-right, bottom-right, bottom-left) in artboard
+// grid coordinates, so it stays aligned with the grid when the cell size changes. Dragging the corners
+// apart from a rectangle gives a perspective correction; scale and rotation turn the whole quad around
+// its center. Canvas 2D only draws affine transforms, so the perspective warp is drawn as a mesh of
+// small triangles, each mapped with its own affine transform.
+
+import db from './db.js';
+import { getCanvasPixelRatio } from './viewZoom.js';
+
+export const REFERENCE_IMAGE_DEFAULTS = {
+  opacity: 0.5,
+  scale: 1,
+  rotation: 0,
+  visible: true,
+  includeInExport: false,
+};
+
+export const MIN_REFERENCE_SCALE = 0.1;
+export const MAX_REFERENCE_SCALE = 4;
+
+// Mesh cells per side for the perspective warp (affine placements need a single draw)
+const WARP_SUBDIVISIONS = 16;
+// Bitmap pixels the triangle clips are grown by, so neighbouring triangles leave no seams
+const WARP_BLEED = 0.6;
+// Largest side of the cached warped bitmap (large photos are not drawn beyond this)
+const MAX_CACHE_DIMENSION = 4096;
+// Largest side photos are stored with (bigger photos are scaled down on load)
+const MAX_STORED_DIMENSION = 3000;
+
+/**
+ * Corners that fit an image into the artboard, centered, keeping its aspect ratio
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {{x: number, y: number}} artboardSize - Artboard size in grid units
+ * @param {{x: number, y: number}} cell - Pixel size of one grid unit
+ * @returns {Array<{x: number, y: number}>} Corners in artboard grid units (TL, TR, BR, BL)
+ */
+export function fitReferenceCorners(imageWidth, imageHeight, artboardSize, cell) {
+  const artboardWidth = artboardSize.x * cell.x;
+  const artboardHeight = artboardSize.y * cell.y;
+  const fit = Math.min(artboardWidth / imageWidth, artboardHeight / imageHeight);
+  const width = imageWidth * fit;
+  const height = imageHeight * fit;
+  const left = (artboardWidth - width) / 2;
+  const top = (artboardHeight - height) / 2;
+  return [
+    { x: left, y: top },
+    { x: left + width, y: top },
+    { x: left + width, y: top + height },
+    { x: left, y: top + height },
+  ].map((point) => ({ x: point.x / cell.x, y: point.y / cell.y }));
+}
+
+/**
+ * Corners as placed on the artboard: the stored corners scaled and rotated around their center
+ * @param {Object} reference - Reference image settings ({ corners, scale, rotation })
+ * @returns {Array<{x: number, y: number}>} Corners in artboard grid units
+ */
+export function getPlacedCorners({ corners, scale = 1, rotation = 0 }) {
+  if (scale === 1 && rotation === 0) return corners;
+  const centerX = corners.reduce((sum, point) => sum + point.x, 0) / corners.length;
+  const centerY = corners.reduce((sum, point) => sum + point.y, 0) / corners.length;
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.cos(angle) * scale;
+  const sin = Math.sin(angle) * scale;
+  return corners.map(({ x, y }) => {
+    const dx = x - centerX;
+    const dy = y - centerY;
+    return { x: centerX + dx * cos - dy * sin, y: centerY + dx * sin + dy * cos };
+  });
+}
+
+/**
+ * Projective transform from the unit square to a quad (u along the top edge, v down the left edge)
+ * @param {Array<{x: number, y: number}>} quad - Corners TL, TR, BR, BL
+ * @returns {Function} (u, v) => {x, y}
+ */
+export function getQuadTransform(quad) {
+  const [p0, p1, p2, p3] = quad;
+  const sx = p0.x - p1.x + p2.x - p3.x;
+  const sy = p0.y - p1.y + p2.y - p3.y;
+  let g = 0;
+  let h = 0;
+  if (Math.abs(sx) > 1e-9 || Math.abs(sy) > 1e-9) {
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const denominator = dx1 * dy2 - dx2 * dy1;
+    if (denominator !== 0) {
+      g = (sx * dy2 - dx2 * sy) / denominator;
+      h = (dx1 * sy - sx * dy1) / denominator;
+    }
+  }
+  const a = p1.x - p0.x + g * p1.x;
+  const b = p3.x - p0.x + h * p3.x;
+  const d = p1.y - p0.y + g * p1.y;
+  const e = p3.y - p0.y + h * p3.y;
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return { x: (a * u + b * v + p0.x) / w, y: (d * u + e * v + p0.y) / w };
+  };
+}
+
+// A quad whose opposite sides are parallel needs no perspective warp
+function isParallelogram(quad) {
+  const [p0, p1, p2, p3] = quad;
+  const tolerance = 1e-6 * Math.max(1, Math.hypot(p2.x - p0.x, p2.y - p0.y));
+  return Math.abs(p0.x - p1.x + p2.x - p3.x) < tolerance && Math.abs(p0.y - p1.y + p2.y - p3.y) < tolerance;
+}
+
+// Draw one source triangle (axis-aligned corner at s0) onto a destination triangle
+function drawImageTriangle(ctx, image, source, dest) {
+  const [s0, s1, s2] = source;
+  const [d0, d1, d2] = dest;
+  // s1 differs from s0 only in x and s2 only in y
+  const ax = (d1.x - d0.x) / (s1.x - s0.x);
+  const ay = (d1.y - d0.y) / (s1.x - s0.x);
+  const bx = (d2.x - d0.x) / (s2.y - s0.y);
+  const by = (d2.y - d0.y) / (s2.y - s0.y);
+
+  // Grow the clip slightly from the triangle's center to hide anti-aliasing seams
+  const centerX = (d0.x + d1.x + d2.x) / 3;
+  const centerY = (d0.y + d1.y + d2.y) / 3;
+  ctx.save();
+  ctx.beginPath();
+  dest.forEach((point, index) => {
+    const length = Math.hypot(point.x - centerX, point.y - centerY) || 1;
+    const x = point.x + ((point.x - centerX) / length) * WARP_BLEED;
+    const y = point.y + ((point.y - centerY) / length) * WARP_BLEED;
+    if (index === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.closePath();
+  ctx.clip();
+  ctx.transform(ax, ay, bx, by, d0.x - ax * s0.x - bx * s0.y, d0.y - ay * s0.x - by * s0.y);
+  const left = Math.max(0, Math.min(s0.x, s1.x) - 1);
+  const top = Math.max(0, Math.min(s0.y, s2.y) - 1);
+  const right = Math.min(image.width, Math.max(s0.x, s1.x) + 1);
+  const bottom = Math.min(image.height, Math.max(s0.y, s2.y) + 1);
+  ctx.drawImage(image, left, top, right - left, bottom - top, left, top, right - left, bottom - top);
+  ctx.restore();
+}
+
+/**
+ * Draw an image warped onto a quad
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource & {width: number, height: number}} image
+ * @param {Array<{x: number, y: number}>} quad - Destination corners TL, TR, BR, BL (context pixels)
+ */
+export function drawWarpedImage(ctx, image, quad) {
+  const { width, height } = image;
+  if (isParallelogram(quad)) {
+    const [p0, p1, , p3] = quad;
+    ctx.save();
+    ctx.transform(
+      (p1.x - p0.x) / width, (p1.y - p0.y) / width,
+      (p3.x - p0.x) / height, (p3.y - p0.y) / height,
+      p0.x, p0.y
+    );
+    ctx.drawImage(image, 0, 0);
+    ctx.restore();
+    return;
+  }
+
+  const map = getQuadTransform(quad);
+  const steps = WARP_SUBDIVISIONS;
+  const points = [];
+  for (let row = 0; row <= steps; row += 1) {
+    for (let col = 0; col <= steps; col += 1) {
+      points.push(map(col / steps, row / steps));
+    }
+  }
+  const at = (col, row) => points[row * (steps + 1) + col];
+  for (let row = 0; row < steps; row += 1) {
+    for (let col = 0; col < steps; col += 1) {
+      const u0 = (col / steps) * width;
+      const u1 = ((col + 1) / steps) * width;
+      const v0 = (row / steps) * height;
+      const v1 = ((row + 1) / steps) * height;
+      drawImageTriangle(ctx, image,
+        [{ x: u0, y: v0 }, { x: u1, y: v0 }, { x: u0, y: v1 }],
+        [at(col, row), at(col + 1, row), at(col, row + 1)]);
+      drawImageTriangle(ctx, image,
+        [{ x: u1, y: v1 }, { x: u0, y: v1 }, { x: u1, y: v0 }],
+        [at(col + 1, row + 1), at(col, row + 1), at(col + 1, row)]);
+    }
+  }
+}
+
+/**
+ * Render the warped photo into an offscreen canvas (redrawn only when the placement or resolution changes)
+ * @param {CanvasImageSource & {width: number, height: number}} image
+ * @param {Array<{x: number, y: number}>} quad - Placed corners in canvas pixels
+ * @param {number} pixelRatio - Bitmap pixels per canvas pixel
+ * @returns {{canvas: HTMLCanvasElement, x: number, y: number, width: number, height: number}|null}
+ *   Cached bitmap and its rectangle in canvas pixels (null for a degenerate quad)
+ */
+export function renderReferenceCache(image, quad, pixelRatio) {
+  const xs = quad.map((point) => point.x);
+  const ys = quad.map((point) => point.y);
+  const x = Math.floor(Math.min(...xs));
+  const y = Math.floor(Math.min(...ys));
+  const width = Math.ceil(Math.max(...xs)) - x;
+  const height = Math.ceil(Math.max(...ys)) - y;
+  if (width < 1 || height < 1) return null;
+  const ratio = Math.min(
+    getCanvasPixelRatio(width, height, pixelRatio),
+    MAX_CACHE_DIMENSION / width,
+    MAX_CACHE_DIMENSION / height
+  );
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width * ratio));
+  canvas.height = Math.max(1, Math.ceil(height * ratio));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.setTransform(ratio, 0, 0, ratio, -x * ratio, -y * ratio);
+  drawWarpedImage(ctx, image, quad);
+  return { canvas, x, y, width: canvas.width / ratio, height: canvas.height / ratio };
+}
+
+/**
+ * Decode an image file, scaled down when it is larger than needed for tracing
+ * @param {Blob} file - Image file (JPEG, PNG, WebP…)
+ * @returns {Promise<{blob: Blob, width: number, height: number}>} Image to store and its pixel size
+ */
+export async function prepareReferenceImage(file) {
+  if (!file.type.startsWith('image/')) {
+    throw new Error('The file is not an image');
+  }
+  const bitmap = await createImageBitmap(file);
+  const { width, height } = bitmap;
+  const fit = Math.min(1, MAX_STORED_DIMENSION / Math.max(width, height));
+  if (fit === 1) {
+    bitmap.close();
+    return { blob: file, width, height };
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * fit);
+  canvas.height = Math.round(height * fit);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((result) => (result ? resolve(result) : reject(new Error('Failed to encode image'))), 'image/jpeg', 0.9);
+  });
+  return { blob, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Load the reference image stored with a pattern
+ * @param {string} patternId
+ * @returns {Promise<Object|null>} Stored record ({ key, blob, width, height, corners, ...settings })
+ */
+export async function loadReferenceImage(patternId) {
+  try {
+    return (await db.referenceImages.get(patternId)) ?? null;
+  } catch (error) {
+    console.error('Failed to load reference image:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a pattern's reference image and its placement
+ * @param {Object} reference - Record with `key` set to the pattern id
+ */
+export async function saveReferenceImage(reference) {
+  try {
+    await db.referenceImages.put({ ...reference, updatedAt: Date.now() });
+    return true;
+  } catch (error) {
+    console.error('Failed to save reference image:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove a pattern's reference image
+ * @param {string} patternId
+ */
+export async function deleteReferenceImage(patternId) {
+  try {
+    await db.referenceImages.delete(patternId);
+    return true;
+  } catch (error) {
+    console.error('Failed to delete reference image:', error);
+    return false;
+  }
+}
+
+/**
+ * Give a copy of a pattern the same reference image (duplicates and Save As)
+ * @param {string} fromPatternId
+ * @param {string} toPatternId
+ */
+export async function copyReferenceImage(fromPatternId, toPatternId) {
+  const reference = await loadReferenceImage(fromPatternId);
+  if (!reference) return false;
+  return saveReferenceImage({ ...reference, key: toPatternId });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Reference image as written into a pattern file (only when the user asked to include it)
+ * @param {Object} reference - Stored record
+ * @returns {Promise<Object>} `referenceImage` field of the pattern file
+ */
+export async function serializeReferenceImage(reference) {
+  return {
+    dataUrl: await blobToDataUrl(reference.blob),
+    width: reference.width,
+    height: reference.height,
+    corners: reference.corners.map(({ x, y }) => ({ x, y })),
+    scale: reference.scale,
+    rotation: reference.rotation,
+    opacity: reference.opacity,
+  };
+}
+
+/**
+ * Stored record for a reference image read from a pattern file
+ * @param {string} patternId - Pattern the image belongs to
+ * @param {Object} data - Validated `referenceImage` field of the pattern file
+ * @returns {Promise<Object>}
+ */
+export async function deserializeReferenceImage(patternId, data) {
+  const blob = await (await fetch(data.dataUrl)).blob();
+  return {
+    ...REFERENCE_IMAGE_DEFAULTS,
+    key: patternId,
+    blob,
+    width: data.width,
+    height: data.height,
+    corners: data.corners.map(({ x, y }) => ({ x, y })),
+    scale: data.scale ?? REFERENCE_IMAGE_DEFAULTS.scale,
+    rotation: data.rotation ?? REFERENCE_IMAGE_DEFAULTS.rotation,
+    opacity: data.opacity ?? REFERENCE_IMAGE_DEFAULTS.opacity,
+  };
+}
@@ -0,0 +1,190 @@
+// Share links - a whole pattern packed into the URL hash, so a design can be shared without a server
+//
+// The pattern is written as compact JSON (stitches as number arrays, colors from a palette), compressed
+// with the browser's CompressionStream (deflate-raw) and base64url encoded. The hash never reaches a
+// server, which also keeps shared links working offline in the installed app.
+
+import { DEFAULT_GAP_SIZE } from '../hooks/useUiState.js';
+import { normalizeGridType } from './gridGeometry.js';
+import { getStitchLayerId, normalizeLayers } from './layers.js';
+import { PATTERN_FORMAT_VERSION, STITCH_SIZES, STITCH_WIDTHS, validatePattern } from './patternFormat.js';
+
+export const SHARE_HASH_KEY = 'pattern';
+
+// Version of the compact payload below (not the pattern file format)
+const SHARE_PAYLOAD_VERSION = 1;
+
+// First character of the encoded payload: how the rest is stored
+const ENCODING_DEFLATE = 'z';
+const ENCODING_PLAIN = 'j';
+
+// Links longer than this may be cut off by chat apps and mail clients
+export const SHARE_LINK_WARNING_LENGTH = 8000;
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Pack a pattern into the compact share payload
+ * @param {Object} pattern
+ * @param {Map} stitchColors - Color overrides by stitch id
+ * @param {Object} colors - Fabric and outline colors ({ backgroundColor, gridColor, tileOutlineColor, artboardOutlineColor })
+ * @returns {Object}
+ */
+function toSharePayload(pattern, stitchColors, colors) {
+  const layers = normalizeLayers(pattern.layers);
+  const layerIndex = new Map(layers.map((layer, index) => [layer.id, index]));
+  const palette = [];
+  const colorIndex = (color) => {
+    const value = color ?? null;
+    let index = palette.indexOf(value);
+    if (index === -1) index = palette.push(value) - 1;
+    return index;
+  };
+
+  return {
+    v: SHARE_PAYLOAD_VERSION,
+    n: pattern.name || 'Untitled Pattern',
+    d: pattern.description || '',
+    t: [pattern.tileSize.x, pattern.tileSize.y],
+    r: [pattern.patternTiles.x, pattern.patternTiles.y],
+    g: pattern.gridSize,
+    k: normalizeGridType(pattern.gridType),
+    l: layers.map((layer) => [layer.name, layer.visible ? 1 : 0, layer.locked ? 1 : 0, layer.opacity]),
+    s: pattern.stitches.map((stitch) => [
+      stitch.start.x,
+      stitch.start.y,
+      stitch.end.x,
+      stitch.end.y,
+      colorIndex(stitchColors.get(stitch.id) || stitch.color),
+      Math.max(0, STITCH_SIZES.indexOf(stitch.stitchSize || 'small')),
+      Math.max(0, STITCH_WIDTHS.indexOf(stitch.stitchWidth || 'normal')),
+      stitch.gapSize ?? DEFAULT_GAP_SIZE,
+      stitch.curvature || 0,
+      stitch.repeat !== false ? 1 : 0,
+      layerIndex.get(getStitchLayerId(stitch, layers)) ?? 0,
+    ]),
+    c: palette,
+    u: [colors.backgroundColor, colors.gridColor, colors.tileOutlineColor, colors.artboardOutlineColor],
+  };
+}
+
+/**
+ * Unpack a share payload into a pattern in the current file format (without an id)
+ * @param {Object} payload
+ * @returns {Object}
+ */
+function fromSharePayload(payload) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const layers = list(payload.l).map((layer, index) => ({
+    id: `layer-${index + 1}`,
+    name: layer?.[0],
+    visible: layer?.[1] !== 0,
+    locked: layer?.[2] === 1,
+    opacity: layer?.[3],
+  }));
+  const palette = list(payload.c);
+  const [backgroundColor, gridColor, tileOutlineColor, artboardOutlineColor] = list(payload.u);
+
+  return {
+    formatVersion: PATTERN_FORMAT_VERSION,
+    name: payload.n,
+    description: payload.d,
+    tags: [],
+    folder: '',
+    tileSize: { x: payload.t?.[0], y: payload.t?.[1] },
+    gridSize: payload.g,
+    gridType: payload.k,
+    patternTiles: { x: payload.r?.[0], y: payload.r?.[1] },
+    layers,
+    stitches: list(payload.s).map((stitch, index) => ({
+      id: `stitch-shared-${index}`,
+      start: { x: stitch?.[0], y: stitch?.[1] },
+      end: { x: stitch?.[2], y: stitch?.[3] },
+      color: palette[stitch?.[4]] ?? null,
+      stitchSize: STITCH_SIZES[stitch?.[5]],
+      stitchWidth: STITCH_WIDTHS[stitch?.[6]],
+      gapSize: stitch?.[7],
+      curvature: stitch?.[8],
+      repeat: stitch?.[9] !== 0,
+      layerId: layers[stitch?.[10]]?.id,
+    })),
+    uiState: Object.fromEntries(
+      Object.entries({ backgroundColor, gridColor, tileOutlineColor, artboardOutlineColor }).filter(([, value]) => typeof value === 'string')
+    ),
+  };
+}
+
+/**
+ * Build a share link for a pattern
+ * @param {Object} pattern
+ * @param {Map} stitchColors - Color overrides by stitch id
+ * @param {Object} colors - Fabric and outline colors
+ * @param {string} [baseUrl] - Page the link opens (defaults to the current page without its hash)
+ * @returns {Promise<string>}
+ */
+export async function createShareLink(pattern, stitchColors, colors, baseUrl = window.location.href.split('#')[0]) {
+  const json = new TextEncoder().encode(JSON.stringify(toSharePayload(pattern, stitchColors, colors)));
+  const encoded = typeof CompressionStream === 'undefined'
+    ? ENCODING_PLAIN + bytesToBase64Url(json)
+    : ENCODING_DEFLATE + bytesToBase64Url(await transformBytes(json, new CompressionStream('deflate-raw')));
+  return `${baseUrl}#${SHARE_HASH_KEY}=${encoded}`;
+}
+
+/**
+ * Encoded pattern in a URL hash, if the hash is a share link
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {string|null}
+ */
+export function getSharedPatternData(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(SHARE_HASH_KEY) || null;
+}
+
+/**
+ * Read the pattern from a share link's hash data
+ * @param {string} data - From getSharedPatternData
+ * @returns {Promise<{pattern: Object|null, errors: Array<{path: string, message: string}>}>}
+ */
+export async function readSharedPattern(data) {
+  let payload;
+  try {
+    const bytes = base64UrlToBytes(data.slice(1));
+    let json;
+    if (data[0] === ENCODING_DEFLATE) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot decompress share links');
+      }
+      json = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (data[0] === ENCODING_PLAIN) {
+      json = bytes;
+    } else {
+      throw new Error('unknown link encoding');
+    }
+    payload = JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    return { pattern: null, errors: [{ path: '', message: `is not a readable share link (${error.message})` }] };
+  }
+
+  if (!payload || payload.v !== SHARE_PAYLOAD_VERSION) {
+    return { pattern: null, errors: [{ path: 'v', message: 'is a share link from a newer version of the app' }] };
+  }
+  const pattern = fromSharePayload(payload);
+  const errors = validatePattern(pattern);
+  return { pattern: errors.length === 0 ? pattern : null, errors };
+}
@@ -0,0 +1,271 @@
+// Stitch layout utilities - expands stored stitches into the instances visible on the artboard
+// Shared by canvas rendering and vector exports so both place repeated stitches identically
+
+import { calculateLineWidth, calculateStitchDashes, calculateStitchOffset, resolveStitchPath } from '../components/Stitches.jsx';
+import { DEFAULT_GAP_SIZE, DEFAULT_STITCH_COLOR } from '../hooks/useUiState.js';
+import { getCellSize } from './gridGeometry.js';
+
+/**
+ * Check whether a stitch is a repeating pattern line
+ * Pattern lines have their start point within the first tile (0 to tileSize inclusive)
+ * @param {Object} stitch - Stitch object
+ * @param {{x: number, y: number}} tileSize - Tile size in grid cells
+ * @returns {boolean}
+ */
+export function isPatternLine(stitch, tileSize) {
+  return stitch.repeat !== false &&
+    stitch.start.x >= 0 && stitch.start.x <= tileSize.x &&
+    stitch.start.y >= 0 && stitch.start.y <= tileSize.y;
+}
+
+/**
+ * Check whether a pattern line should be drawn in a given tile
+ * Applies the corner and boundary rules described in TECHNICAL_SPEC.md ("Tile Boundary Handling")
+ * @param {Object} stitch - Pattern stitch (tile-relative coordinates)
+ * @param {number} tileRow - Tile row (-1 to tilesY for outer tiles)
+ * @param {number} tileCol - Tile column (-1 to tilesX for outer tiles)
+ * @param {{x: number, y: number}} tileSize - Tile size in grid cells
+ * @param {number} tilesX - Number of artboard tiles horizontally
+ * @param {number} tilesY - Number of artboard tiles vertically
+ * @returns {boolean}
+ */
+function shouldRenderInTile(stitch, tileRow, tileCol, tileSize, tilesX, tilesY) {
+  // CORNER-SPECIFIC FIX: Lines from corners with negative coords going backward
+  // These should NOT appear in the first row/col or corresponding outer tiles
+  // Example: corner (0,0)→(0,-5) is vertical going UP
+  //          → should appear in rows 1,2,3... and bottom outer tiles
+  //          → should NOT appear in first row (0) or top outer tiles
+  const startOnLeftEdge = stitch.start.x === 0;
+  const startOnRightEdge = stitch.start.x === tileSize.x;
+  const startOnTopEdge = stitch.start.y === 0;
+  const startOnBottomEdge = stitch.start.y === tileSize.y;
+
+  const hasNegativeX = stitch.end.x < 0;
+  const hasNegativeY = stitch.end.y < 0;
+
+  // Lines starting at top edge (y=0) going UP (negative Y): skip in first row and top outer tiles
+  // These lines belong to the row below, so shift rendering down
+  if (startOnTopEdge && hasNegativeY && tileRow <= 0) {
+    return false;
+  }
+  // Lines starting at left edge (x=0) going LEFT (negative X): skip in first col and left outer tiles
+  // These lines belong to the column to the right, so shift rendering right
+  if (startOnLeftEdge && hasNegativeX && tileCol <= 0) {
+    return false;
+  }
+
+  // Check if this is an outer tile (beyond the artboard, in the canvas padding)
+  const isOuterTile = tileRow < 0 || tileRow >= tilesY || tileCol < 0 || tileCol >= tilesX;
+  if (!isOuterTile) {
+    return true;
+  }
+
+  // BOUNDARY LINE HANDLING:
+  // - Lines crossing boundaries OR running along boundaries: repeat in outer tiles in crossing/running direction
+  // - Lines crossing corners: repeat 5x5 (all outer tiles)
+  // - Lines just touching boundaries: repeat 4x4 (skip outer tiles)
+  const startOnCorner = (startOnLeftEdge || startOnRightEdge) && (startOnTopEdge || startOnBottomEdge);
+  const extendsRightBeyond = stitch.end.x > tileSize.x;
+  const extendsBottomBeyond = stitch.end.y > tileSize.y;
+
+  // CORNER-SPECIFIC: Line starting at corner extending right: skip in right outer tiles
+  if (startOnCorner && startOnRightEdge && extendsRightBeyond && tileCol >= tilesX) {
+    return false;
+  }
+  // CORNER-SPECIFIC: Line starting at corner extending down: skip in bottom outer tiles
+  if (startOnCorner && startOnBottomEdge && extendsBottomBeyond && tileRow >= tilesY) {
+    return false;
+  }
+
+  // A line ACTUALLY CROSSES a tile boundary if the endpoint goes outside [0, tileSize]
+  // This is different from just touching a boundary point
+  const crossesHorizontally = stitch.end.x < 0 || stitch.end.x > tileSize.x;
+  const crossesVertically = stitch.end.y < 0 || stitch.end.y > tileSize.y;
+
+  // A line runs along a boundary if BOTH endpoints are on the SAME boundary
+  // AND the line doesn't move in that direction (vertical line has same X, horizontal line has same Y)
+  const bothOnVerticalBoundary =
+    (stitch.start.x === 0 || stitch.start.x === tileSize.x) &&
+    (stitch.end.x === 0 || stitch.end.x === tileSize.x) &&
+    stitch.start.x === stitch.end.x &&
+    stitch.start.y !== stitch.end.y; // Must move in Y direction (vertical line)
+
+  const bothOnHorizontalBoundary =
+    (stitch.start.y === 0 || stitch.start.y === tileSize.y) &&
+    (stitch.end.y === 0 || stitch.end.y === tileSize.y) &&
+    stitch.start.y === stitch.end.y &&
+    stitch.start.x !== stitch.end.x; // Must move in X direction (horizontal line)
+
+  // Skip this outer tile if line shouldn't repeat in this direction
+  const isLeftRightOuterTile = tileCol < 0 || tileCol >= tilesX;
+  const isTopBottomOuterTile = tileRow < 0 || tileRow >= tilesY;
+  if (isLeftRightOuterTile && !(crossesHorizontally || bothOnVerticalBoundary)) {
+    return false;
+  }
+  if (isTopBottomOuterTile && !(crossesVertically || bothOnHorizontalBoundary)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Expand stored stitches into every instance drawn on the artboard
+ * Pattern lines are repeated in all artboard tiles plus the outer ring of tiles (-1 and tilesX/tilesY)
+ * where they cross into the artboard; absolute lines are returned once.
+ * @param {Array} stitches - Stored stitches
+ * @param {Object} options
+ * @param {{x: number, y: number}} options.tileSize - Tile size in grid cells
+ * @param {{x: number, y: number}} options.patternTiles - Number of tiles on the artboard
+ * @returns {Array<{stitch: Object, startX: number, startY: number, endX: number, endY: number, tileRow: number|null, tileCol: number|null}>}
+ *   Instances in artboard-relative grid coordinates (cells, origin at artboard top-left)
+ */
+export function expandStitchInstances(stitches, { tileSize, patternTiles }) {
+  const tilesX = patternTiles.x;
+  const tilesY = patternTiles.y;
+  const artboardGridWidth = tilesX * tileSize.x;
+  const artboardGridHeight = tilesY * tileSize.y;
+  const instances = [];
+
+  (stitches ?? []).forEach((stitch) => {
+    if (!isPatternLine(stitch, tileSize)) {
+      // Absolute coordinates - non-repeating line at specific position
+      instances.push({
+        stitch,
+        startX: stitch.start.x,
+        startY: stitch.start.y,
+        endX: stitch.end.x,
+        endY: stitch.end.y,
+        tileRow: null,
+        tileCol: null,
+      });
+      return;
+    }
+
+    for (let tileRow = -1; tileRow < tilesY + 1; tileRow++) {
+      for (let tileCol = -1; tileCol < tilesX + 1; tileCol++) {
+        if (!shouldRenderInTile(stitch, tileRow, tileCol, tileSize, tilesX, tilesY)) {
+          continue;
+        }
+
+        // Pattern-relative coordinates + tile base = absolute position in this tile
+        const tileBaseX = tileCol * tileSize.x;
+        const tileBaseY = tileRow * tileSize.y;
+        const startX = stitch.start.x + tileBaseX;
+        const startY = stitch.start.y + tileBaseY;
+        const endX = stitch.end.x + tileBaseX;
+        const endY = stitch.end.y + tileBaseY;
+
+        // For outer tiles, only keep the instance if the line actually crosses into the artboard
+        const isOuterTile = tileRow < 0 || tileRow >= tilesY || tileCol < 0 || tileCol >= tilesX;
+        if (isOuterTile) {
+          const intersectsArtboard = !(
+            Math.max(startX, endX) < 0 ||
+            Math.min(startX, endX) > artboardGridWidth ||
+            Math.max(startY, endY) < 0 ||
+            Math.min(startY, endY) > artboardGridHeight
+          );
+          if (!intersectsArtboard) {
+            continue;
+          }
+        }
+
+        instances.push({ stitch, startX, startY, endX, endY, tileRow, tileCol });
+      }
+    }
+  });
+
+  return instances;
+}
+
+/**
+ * Collect the individual dashes of every stitch instance in pixel coordinates
+ * Used by vector exports; dash geometry matches the canvas renderer exactly
+ * @param {Array} stitches - Stored stitches
+ * @param {Object} options
+ * @param {{x: number, y: number}} options.tileSize - Tile size in grid cells
+ * @param {{x: number, y: number}} options.patternTiles - Number of tiles on the artboard
+ * @param {number} options.gridSize - Pixels per grid cell
+ * @param {string} [options.gridType='square'] - Grid the stitch coordinates refer to
+ * @param {Map} [options.stitchColors] - Stitch color overrides by id
+ * @param {number} [options.originX=0] - Pixel x of the artboard origin
+ * @param {number} [options.originY=0] - Pixel y of the artboard origin
+ * @returns {Array<{stitch: Object, color: string, lineWidth: number, dashes: Array}>}
+ */
+export function collectStitchDashes(stitches, {
+  tileSize,
+  patternTiles,
+  gridSize,
+  gridType,
+  stitchColors = new Map(),
+  originX = 0,
+  originY = 0,
+}) {
+  const result = [];
+  const cell = getCellSize(gridType, gridSize);
+  const instances = expandStitchInstances(stitches, { tileSize, patternTiles });
+
+  instances.forEach(({ stitch, startX, startY, endX, endY }) => {
+    const gapSize = stitch.gapSize ?? DEFAULT_GAP_SIZE;
+    const path = resolveStitchPath(
+      originX + startX * cell.x,
+      originY + startY * cell.y,
+      originX + endX * cell.x,
+      originY + endY * cell.y,
+      calculateStitchOffset(gapSize),
+      gapSize,
+      stitch.stitchSize || 'small',
+      gridSize,
+      stitch.curvature || 0
+    );
+    const dashes = calculateStitchDashes(path);
+    if (dashes.length === 0) return;
+
+    result.push({
+      stitch,
+      color: stitchColors.get(stitch.id) ?? stitch.color ?? DEFAULT_STITCH_COLOR,
+      lineWidth: calculateLineWidth(stitch.stitchWidth || 'normal'),
+      dashes,
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Order polylines to keep travel between them short: nearest path next, taken in whichever
+ * direction starts closer (greedy nearest neighbour, used by the machine exports)
+ * @param {Array<{points: Array<{x: number, y: number}>}>} paths - Paths with at least one point
+ * @param {{x: number, y: number}} start - Position before the first path
+ * @returns {Array} Paths in order (reversed paths are copies with their points reversed)
+ */
+export function orderPaths(paths, start) {
+  const remaining = [...paths];
+  const ordered = [];
+  let position = start;
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestReversed = false;
+    let bestDistance = Infinity;
+    remaining.forEach((path, index) => {
+      const first = path.points[0];
+      const last = path.points[path.points.length - 1];
+      const toFirst = Math.hypot(first.x - position.x, first.y - position.y);
+      const toLast = Math.hypot(last.x - position.x, last.y - position.y);
+      if (toFirst < bestDistance) {
+        bestDistance = toFirst;
+        bestIndex = index;
+        bestReversed = false;
+      }
+      if (toLast < bestDistance) {
+        bestDistance = toLast;
+        bestIndex = index;
+        bestReversed = true;
+      }
+    });
+    const [path] = remaining.splice(bestIndex, 1);
+    const next = bestReversed ? { ...path, points: [...path.points].reverse() } : path;
+    ordered.push(next);
+    position = next.points[next.points.length - 1];
+  }
+  return ordered;
+}
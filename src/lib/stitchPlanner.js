@@ -0,0 +1,552 @@
+// Stitching path planner - turns the unordered stitches array into an ordered running-stitch route
+// 1. Expand repeated stitches across the artboard (same expansion as the canvas)
+// 2. Join connected segments of the same color into continuous runs (straight-through preferred),
+//    then carry rows across short gaps on the back of the fabric
+// 3. Order runs per color with a greedy nearest-neighbour walk to keep jumps short
+// 4. Report thread usage per color
+
+import { expandStitchInstances } from './stitchLayout.js';
+import { normalizePatternTiles, normalizeTileSize } from './patternUtils.js';
+import { getCellScale } from './gridGeometry.js';
+import { pxToCm } from './unitConverter.js';
+import { DEFAULT_STITCH_COLOR } from '../hooks/useUiState.js';
+
+const EPSILON = 1e-6;
+// Minimum cosine between directions to count as "straight through" at a junction
+const COLLINEAR_COS = 0.999;
+// Longest gap (in grid cells) a row is carried across on the back of the fabric
+const MAX_BRIDGE_CELLS = 2;
+
+/**
+ * Key for a grid point (rounded to avoid floating point mismatches)
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+function pointKey(x, y) {
+  return `${Math.round(x * 1000)},${Math.round(y * 1000)}`;
+}
+
+/**
+ * Length of a (possibly curved) segment in grid cells
+ * Curvature is the percentage of a full circle the arc sweeps, so arc length = R × θ
+ * @param {number} chordLength
+ * @param {number} curvature - Percentage (-99..99)
+ * @returns {number}
+ */
+export function segmentLength(chordLength, curvature = 0) {
+  const clampedCurvature = Math.max(-99, Math.min(99, curvature));
+  const sweep = Math.abs(clampedCurvature * 3.6) * Math.PI / 180;
+  if (sweep < EPSILON) return chordLength;
+  return (chordLength / (2 * Math.sin(sweep / 2))) * sweep;
+}
+
+/**
+ * Clip a straight segment to a rectangle (Liang–Barsky)
+ * @returns {number[]|null} [x1, y1, x2, y2] or null if outside
+ */
+function clipSegment(x1, y1, x2, y2, minX, minY, maxX, maxY) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  let t0 = 0;
+  let t1 = 1;
+  const edges = [
+    [-dx, x1 - minX],
+    [dx, maxX - x1],
+    [-dy, y1 - minY],
+    [dy, maxY - y1],
+  ];
+  for (const [p, q] of edges) {
+    if (Math.abs(p) < EPSILON) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      if (t > t0) t0 = t;
+    } else {
+      if (t < t0) return null;
+      if (t < t1) t1 = t;
+    }
+  }
+  return [x1 + t0 * dx, y1 + t0 * dy, x1 + t1 * dx, y1 + t1 * dy];
+}
+
+/**
+ * Reverse a segment (curvature flips sign so the arc keeps its shape)
+ * @param {Object} segment
+ * @returns {Object}
+ */
+function reverseSegment(segment) {
+  return {
+    ...segment,
+    x1: segment.x2,
+    y1: segment.y2,
+    x2: segment.x1,
+    y2: segment.y1,
+    curvature: -segment.curvature,
+  };
+}
+
+/**
+ * Expand stitches into unique segments within the artboard, in grid cells
+ * (edge lengths on the triangular grid, so distances are true distances on both grid types)
+ * Straight lines are clipped to the artboard; curved lines are kept whole if they touch it
+ * @returns {Array<{x1, y1, x2, y2, curvature, color, length}>}
+ */
+function collectSegments(stitches, { tileSize, patternTiles, gridType, stitchColors }) {
+  const scale = getCellScale(gridType);
+  const artboardWidth = patternTiles.x * tileSize.x * scale.x;
+  const artboardHeight = patternTiles.y * tileSize.y * scale.y;
+  const seen = new Set();
+  const segments = [];
+
+  expandStitchInstances(stitches, { tileSize, patternTiles }).forEach(({ stitch, ...instance }) => {
+    const startX = instance.startX * scale.x;
+    const startY = instance.startY * scale.y;
+    const endX = instance.endX * scale.x;
+    const endY = instance.endY * scale.y;
+    const curvature = stitch.curvature || 0;
+    let coords = [startX, startY, endX, endY];
+    if (Math.abs(curvature) < EPSILON) {
+      coords = clipSegment(startX, startY, endX, endY, 0, 0, artboardWidth, artboardHeight);
+      if (!coords) return;
+    }
+    const [x1, y1, x2, y2] = coords;
+    const chordLength = Math.hypot(x2 - x1, y2 - y1);
+    if (chordLength < EPSILON) return;
+
+    // Deduplicate overlapping instances (e.g. lines on shared tile boundaries)
+    const forward = x1 < x2 || (x1 === x2 && y1 <= y2);
+    const key = forward
+      ? `${pointKey(x1, y1)}|${pointKey(x2, y2)}|${curvature}`
+      : `${pointKey(x2, y2)}|${pointKey(x1, y1)}|${-curvature}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    segments.push({
+      x1,
+      y1,
+      x2,
+      y2,
+      curvature,
+      color: stitchColors?.get(stitch.id) ?? stitch.color ?? DEFAULT_STITCH_COLOR,
+      length: segmentLength(chordLength, curvature),
+    });
+  });
+
+  return segments;
+}
+
+/**
+ * Join segments of one color into continuous runs
+ * Walks the segment graph from path ends first; at junctions the straight-through
+ * continuation is preferred (e.g. crossing hitomezashi lines stay separate rows)
+ * @param {Array} segments - Segments of a single color
+ * @returns {Array<{segments: Array, length: number}>}
+ */
+function buildRuns(segments) {
+  const adjacency = new Map();
+  const addEdge = (key, index) => {
+    if (!adjacency.has(key)) adjacency.set(key, []);
+    adjacency.get(key).push(index);
+  };
+  segments.forEach((segment, index) => {
+    addEdge(pointKey(segment.x1, segment.y1), index);
+    addEdge(pointKey(segment.x2, segment.y2), index);
+  });
+
+  const used = new Array(segments.length).fill(false);
+  // Unused segments per point, the points where a path ends (odd count), and a cursor over
+  // all points for when none is left; counts only go down, so the cursor never moves back
+  const degrees = new Map();
+  const oddKeys = new Set();
+  adjacency.forEach((indices, key) => {
+    degrees.set(key, indices.length);
+    if (indices.length % 2 === 1) oddKeys.add(key);
+  });
+  const keys = [...adjacency.keys()];
+  let keyCursor = 0;
+  const decrementDegree = (key) => {
+    const degree = degrees.get(key) - 1;
+    degrees.set(key, degree);
+    if (degree % 2 === 1) oddKeys.add(key);
+    else oddKeys.delete(key);
+  };
+  const markUsed = (index) => {
+    used[index] = true;
+    decrementDegree(pointKey(segments[index].x1, segments[index].y1));
+    decrementDegree(pointKey(segments[index].x2, segments[index].y2));
+  };
+
+  // Orient a segment so it starts at the given point
+  const orientFrom = (segment, key) => (
+    pointKey(segment.x1, segment.y1) === key ? segment : reverseSegment(segment)
+  );
+
+  // Direction at the end (or start) of a segment; tangent for arcs
+  const direction = (segment, atEnd) => {
+    const dx = segment.x2 - segment.x1;
+    const dy = segment.y2 - segment.y1;
+    const length = Math.hypot(dx, dy);
+    // Tangent of an arc deviates from the chord by half the sweep angle
+    const sweep = Math.max(-99, Math.min(99, segment.curvature)) * 3.6 * Math.PI / 180;
+    const rotation = (atEnd ? -1 : 1) * sweep / 2;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return [(dx * cos - dy * sin) / length, (dx * sin + dy * cos) / length];
+  };
+
+  const runs = [];
+  let remaining = segments.length;
+  while (remaining > 0) {
+    // Start from a dead end (odd degree) so runs are as long as possible
+    let startKey = oddKeys.values().next().value;
+    if (startKey === undefined) {
+      while (degrees.get(keys[keyCursor]) === 0) keyCursor += 1;
+      startKey = keys[keyCursor];
+    }
+
+    const runSegments = [];
+    let currentKey = startKey;
+    let previous = null;
+    while (true) {
+      const candidates = (adjacency.get(currentKey) ?? []).filter((index) => !used[index]);
+      if (candidates.length === 0) break;
+
+      let chosen = candidates[0];
+      if (previous) {
+        // Prefer the most straight-through continuation
+        const [px, py] = direction(previous, true);
+        let bestCos = -Infinity;
+        candidates.forEach((index) => {
+          const [nx, ny] = direction(orientFrom(segments[index], currentKey), false);
+          const cos = px * nx + py * ny;
+          if (cos > bestCos) {
+            bestCos = cos;
+            chosen = index;
+          }
+        });
+        // Only turn corners when there is no straight continuation and the run is not a crossing
+        if (bestCos < COLLINEAR_COS && candidates.length > 1) {
+          break;
+        }
+      }
+
+      markUsed(chosen);
+      remaining -= 1;
+      const oriented = orientFrom(segments[chosen], currentKey);
+      runSegments.push(oriented);
+      previous = oriented;
+      currentKey = pointKey(oriented.x2, oriented.y2);
+    }
+
+    runs.push({
+      segments: runSegments,
+      length: runSegments.reduce((sum, segment) => sum + segment.length, 0),
+    });
+  }
+
+  return runs;
+}
+
+/**
+ * Reverse a run (segment order and each segment)
+ * @param {Object} run
+ * @returns {Object}
+ */
+function reverseRun(run) {
+  return {
+    ...run,
+    segments: run.segments.slice().reverse().map(reverseSegment),
+  };
+}
+
+/**
+ * Merge straight runs lying on the same line into one row when the gap between them is short
+ * The thread passes behind the fabric across the gap, so it is added as a hidden segment
+ * @param {Array} runs - Runs of a single color
+ * @returns {Array}
+ */
+function mergeCollinearRuns(runs) {
+  const lines = new Map();
+  const others = [];
+
+  runs.forEach((run) => {
+    const first = run.segments[0];
+    const dx = first.x2 - first.x1;
+    const dy = first.y2 - first.y1;
+    const length = Math.hypot(dx, dy);
+    const isStraightRow = run.segments.every((segment) => {
+      const sx = segment.x2 - segment.x1;
+      const sy = segment.y2 - segment.y1;
+      return Math.abs(segment.curvature) < EPSILON &&
+        (sx * dx + sy * dy) / (Math.hypot(sx, sy) * length) >= COLLINEAR_COS;
+    });
+    if (!isStraightRow) {
+      others.push(run);
+      return;
+    }
+
+    // Canonical direction so both orientations of a line share a key
+    let ux = dx / length;
+    let uy = dy / length;
+    const oriented = ux < -EPSILON || (Math.abs(ux) <= EPSILON && uy < 0) ? reverseRun(run) : run;
+    if (oriented !== run) {
+      ux = -ux;
+      uy = -uy;
+    }
+    const offset = first.x1 * uy - first.y1 * ux;
+    const key = `${Math.round(ux * 1e4)},${Math.round(uy * 1e4)},${Math.round(offset * 1000)}`;
+    if (!lines.has(key)) lines.set(key, { ux, uy, runs: [] });
+    lines.get(key).runs.push(oriented);
+  });
+
+  const merged = [];
+  lines.forEach(({ ux, uy, runs: lineRuns }) => {
+    const projection = (x, y) => x * ux + y * uy;
+    lineRuns.sort((a, b) => projection(a.segments[0].x1, a.segments[0].y1) - projection(b.segments[0].x1, b.segments[0].y1));
+
+    let current = null;
+    lineRuns.forEach((run) => {
+      if (!current) {
+        current = { ...run, segments: run.segments.slice() };
+        return;
+      }
+      const last = current.segments[current.segments.length - 1];
+      const next = run.segments[0];
+      const gap = projection(next.x1, next.y1) - projection(last.x2, last.y2);
+      if (gap < -EPSILON || gap > MAX_BRIDGE_CELLS + EPSILON) {
+        merged.push(current);
+        current = { ...run, segments: run.segments.slice() };
+        return;
+      }
+      if (gap > EPSILON) {
+        current.segments.push({
+          x1: last.x2,
+          y1: last.y2,
+          x2: next.x1,
+          y2: next.y1,
+          curvature: 0,
+          color: last.color,
+          length: gap,
+          hidden: true,
+        });
+      }
+      current.segments.push(...run.segments);
+      current.length += run.length + Math.max(0, gap);
+    });
+    if (current) merged.push(current);
+  });
+
+  return [...merged, ...others];
+}
+
+/**
+ * Bucket run ends into a square grid so the nearest free end can be found without scanning every run
+ * Ends are stored as { index, reversed, x, y }; `reversed` means the run is entered from its last point
+ * @param {Array} runs
+ * @returns {Object} Bucket index with `remove(index)` and `nearest(point)`
+ */
+function createRunEndIndex(runs) {
+  const ends = [];
+  runs.forEach((run, index) => {
+    const first = run.segments[0];
+    const last = run.segments[run.segments.length - 1];
+    ends.push({ index, reversed: false, x: first.x1, y: first.y1 });
+    ends.push({ index, reversed: true, x: last.x2, y: last.y2 });
+  });
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  ends.forEach(({ x, y }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  // About one run per bucket
+  const bucketSize = Math.max(1, Math.sqrt(((maxX - minX) * (maxY - minY)) / runs.length));
+  const cellOf = (value, min) => Math.floor((value - min) / bucketSize);
+  const columns = cellOf(maxX, minX) + 1;
+  const rows = cellOf(maxY, minY) + 1;
+
+  const buckets = new Map();
+  const bucketKey = (column, row) => row * columns + column;
+  ends.forEach((end) => {
+    const key = bucketKey(cellOf(end.x, minX), cellOf(end.y, minY));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(end);
+  });
+
+  const removeEnd = (end) => {
+    const key = bucketKey(cellOf(end.x, minX), cellOf(end.y, minY));
+    const bucket = buckets.get(key).filter((entry) => entry !== end);
+    if (bucket.length > 0) buckets.set(key, bucket);
+    else buckets.delete(key);
+  };
+
+  return {
+    remove(index) {
+      removeEnd(ends[index * 2]);
+      removeEnd(ends[index * 2 + 1]);
+    },
+
+    // Closest end to a point; ties go to the earliest run, and to its start over its end
+    nearest(point) {
+      const column = Math.min(Math.max(cellOf(point.x, minX), 0), columns - 1);
+      const row = Math.min(Math.max(cellOf(point.y, minY), 0), rows - 1);
+      const maxRing = Math.max(column, columns - 1 - column, row, rows - 1 - row);
+      let best = null;
+      let bestDistance = Infinity;
+      const consider = (end) => {
+        const distance = Math.hypot(end.x - point.x, end.y - point.y);
+        if (
+          distance < bestDistance ||
+          (distance === bestDistance && (end.index < best.index || (end.index === best.index && !end.reversed)))
+        ) {
+          best = end;
+          bestDistance = distance;
+        }
+      };
+
+      // Search rings of buckets outwards until no closer end can be left
+      for (let ring = 0; ring <= maxRing; ring++) {
+        // Ends in ring n are more than n - 1 buckets away (also for points outside the grid)
+        if (best && (ring - 1) * bucketSize > bestDistance) break;
+        for (let r = row - ring; r <= row + ring; r++) {
+          if (r < 0 || r >= rows) continue;
+          const onEdgeRow = r === row - ring || r === row + ring;
+          for (let c = column - ring; c <= column + ring; c += onEdgeRow ? 1 : 2 * ring) {
+            if (c < 0 || c >= columns) continue;
+            buckets.get(bucketKey(c, r))?.forEach(consider);
+          }
+        }
+      }
+      return best;
+    },
+  };
+}
+
+/**
+ * Order runs with a greedy nearest-neighbour walk, flipping runs when their far end is closer
+ * @param {Array} runs
+ * @param {{x: number, y: number}} from - Needle position before the first run
+ * @returns {{ordered: Array, end: {x: number, y: number}}}
+ */
+function orderRuns(runs, from) {
+  const ordered = [];
+  let cursor = from;
+  if (runs.length === 0) return { ordered, end: cursor };
+
+  const runEnds = createRunEndIndex(runs);
+  for (let count = 0; count < runs.length; count++) {
+    const { index, reversed } = runEnds.nearest(cursor);
+    runEnds.remove(index);
+
+    const orientedRun = reversed ? reverseRun(runs[index]) : runs[index];
+    const first = orientedRun.segments[0];
+    const last = orientedRun.segments[orientedRun.segments.length - 1];
+    ordered.push({
+      ...orientedRun,
+      jumpFrom: ordered.length === 0 ? null : { ...cursor },
+      jumpLength: ordered.length === 0 ? 0 : Math.hypot(first.x1 - cursor.x, first.y1 - cursor.y),
+    });
+    cursor = { x: last.x2, y: last.y2 };
+  }
+
+  return { ordered, end: cursor };
+}
+
+/**
+ * Convert a length in grid cells to centimeters (screen scale, 96 DPI)
+ * @param {number} cells - Length in grid cells
+ * @param {number} gridSize - Pixels per grid cell
+ * @returns {number}
+ */
+export function cellsToCm(cells, gridSize) {
+  return pxToCm(cells * gridSize, 2);
+}
+
+/**
+ * Format a thread length for display (cm below 1 m, otherwise m)
+ * @param {number} cm - Length in centimeters
+ * @returns {string}
+ */
+export function formatThreadLength(cm) {
+  if (cm < 100) {
+    return `${cm.toFixed(1)} cm`;
+  }
+  return `${(cm / 100).toFixed(2)} m`;
+}
+
+/**
+ * Plan the stitching route for a pattern
+ * Colors are stitched one after another (one thread per color) in order of first appearance;
+ * each color starts where the previous one ended (the first at the artboard's top-left corner).
+ * @param {Array} stitches - Stored stitches
+ * @param {Object} options
+ * @param {{x: number, y: number}} options.tileSize - Tile size in grid cells
+ * @param {{x: number, y: number}} options.patternTiles - Number of tiles on the artboard
+ * @param {number} options.gridSize - Pixels per grid cell (for cm conversion)
+ * @param {string} [options.gridType='square'] - Grid the stitch coordinates refer to
+ * @param {Map} [options.stitchColors] - Stitch color overrides by id
+ * @returns {{route: Array, colors: Array, totals: Object}} Route runs in grid cells, usage per color
+ */
+export function planStitchingRoute(stitches, { tileSize, patternTiles, gridSize, gridType, stitchColors }) {
+  const normalizedTileSize = normalizeTileSize(tileSize);
+  const normalizedPatternTiles = normalizePatternTiles(patternTiles);
+  const segments = collectSegments(stitches ?? [], {
+    tileSize: normalizedTileSize,
+    patternTiles: normalizedPatternTiles,
+    gridType,
+    stitchColors,
+  });
+
+  // Group by color, keeping first-appearance order
+  const segmentsByColor = new Map();
+  segments.forEach((segment) => {
+    if (!segmentsByColor.has(segment.color)) segmentsByColor.set(segment.color, []);
+    segmentsByColor.get(segment.color).push(segment);
+  });
+
+  const route = [];
+  const colors = [];
+  let cursor = { x: 0, y: 0 };
+  segmentsByColor.forEach((colorSegments, color) => {
+    const { ordered, end } = orderRuns(mergeCollinearRuns(buildRuns(colorSegments)), cursor);
+    cursor = end;
+
+    const stitchLength = ordered.reduce((sum, run) => sum + run.length, 0);
+    const jumpLength = ordered.reduce((sum, run) => sum + run.jumpLength, 0);
+    ordered.forEach((run) => route.push({ ...run, color }));
+    colors.push({
+      color,
+      runCount: ordered.length,
+      segmentCount: colorSegments.length,
+      stitchLength,
+      jumpLength,
+      stitchLengthCm: cellsToCm(stitchLength, gridSize),
+      jumpLengthCm: cellsToCm(jumpLength, gridSize),
+    });
+  });
+
+  const stitchLength = colors.reduce((sum, entry) => sum + entry.stitchLength, 0);
+  const jumpLength = colors.reduce((sum, entry) => sum + entry.jumpLength, 0);
+
+  return {
+    route,
+    colors,
+    totals: {
+      runCount: route.length,
+      segmentCount: segments.length,
+      stitchLength,
+      jumpLength,
+      stitchLengthCm: cellsToCm(stitchLength, gridSize),
+      jumpLengthCm: cellsToCm(jumpLength, gridSize),
+    },
+  };
+}
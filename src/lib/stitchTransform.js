@@ -0,0 +1,163 @@
+// Geometric transforms for selected stitches (move, rotate, flip, scale)
+// All results are snapped to grid points so stitches stay on the grid
+
+import { DEFAULT_GRID_TYPE, convertPointToGrid, fromPhysical, isTriangularGrid, snapToLattice, toPhysical } from './gridGeometry.js';
+
+export const ROTATION_STEPS = [-90, -45, 45, 90];
+
+// The triangular lattice is symmetric under 60° turns
+export const TRIANGULAR_ROTATION_STEPS = [-120, -60, 60, 120];
+
+export const SCALE_FACTORS = [2, 3];
+
+/**
+ * Rotation steps offered for a grid type
+ */
+export function getRotationSteps(gridType) {
+  return isTriangularGrid(gridType) ? TRIANGULAR_ROTATION_STEPS : ROTATION_STEPS;
+}
+
+/**
+ * Bounding box of stitch endpoints in stored grid coordinates
+ * @param {Array} stitches - Stitches to measure
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} Bounds or null when empty
+ */
+export function getStitchBounds(stitches) {
+  if (!stitches || stitches.length === 0) return null;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  stitches.forEach(({ start, end }) => {
+    minX = Math.min(minX, start.x, end.x);
+    minY = Math.min(minY, start.y, end.y);
+    maxX = Math.max(maxX, start.x, end.x);
+    maxY = Math.max(maxY, start.y, end.y);
+  });
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Shift a repeating stitch back into the first tile (by whole tiles, keeping its direction)
+ * The start point decides the tile, so the stitch renders in every tile like a freshly drawn one
+ */
+export function wrapStitchToTile(stitch, tileSize) {
+  if (!stitch.repeat) return stitch;
+  const shiftX = Math.floor(stitch.start.x / tileSize.x) * tileSize.x;
+  const shiftY = Math.floor(stitch.start.y / tileSize.y) * tileSize.y;
+  if (shiftX === 0 && shiftY === 0) return stitch;
+  return {
+    ...stitch,
+    start: { x: stitch.start.x - shiftX, y: stitch.start.y - shiftY },
+    end: { x: stitch.end.x - shiftX, y: stitch.end.y - shiftY },
+  };
+}
+
+// Build the point mapping for a transform; `mirrors` tells whether arcs must bend the other way
+function getPointTransform(transform, bounds, gridType) {
+  // Integer center keeps 90° rotations exact; flips use the true center (always lands on the grid)
+  // On the triangular grid every pivot must be a lattice point or the results fall between dots
+  const triangular = isTriangularGrid(gridType);
+  const center = triangular
+    ? snapToLattice(gridType, { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 })
+    : { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+  const centerX = center.x;
+  const centerY = center.y;
+
+  switch (transform.type) {
+    case 'translate':
+      return {
+        map: ({ x, y }) => ({ x: x + transform.dx, y: y + transform.dy }),
+        mirrors: false,
+      };
+    case 'rotate': {
+      // Rotate in physical space so angles are true angles on the triangular lattice too
+      const pivot = toPhysical(gridType, { x: Math.round(centerX), y: Math.round(centerY) });
+      const angle = (transform.angle * Math.PI) / 180;
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      return {
+        map: (point) => {
+          const { x, y } = toPhysical(gridType, point);
+          const dx = x - pivot.x;
+          const dy = y - pivot.y;
+          return fromPhysical(gridType, { x: pivot.x + dx * cos - dy * sin, y: pivot.y + dx * sin + dy * cos });
+        },
+        mirrors: false,
+      };
+    }
+    case 'flip':
+      return {
+        map: transform.axis === 'horizontal'
+          ? ({ x, y }) => ({ x: 2 * centerX - x, y })
+          : ({ x, y }) => ({ x, y: 2 * centerY - y }),
+        mirrors: true,
+      };
+    case 'scale': {
+      // Scale away from the top-left corner of the selection
+      const origin = triangular
+        ? snapToLattice(gridType, { x: bounds.minX, y: bounds.minY })
+        : { x: bounds.minX, y: bounds.minY };
+      return {
+        map: ({ x, y }) => ({
+          x: origin.x + (x - origin.x) * transform.factor,
+          y: origin.y + (y - origin.y) * transform.factor,
+        }),
+        mirrors: false,
+      };
+    }
+    default:
+      return { map: (point) => point, mirrors: false };
+  }
+}
+
+/**
+ * Apply a transform to the selected stitches
+ * @param {Array} stitches - All pattern stitches
+ * @param {Set<string>} selectedIds - IDs of stitches to transform
+ * @param {Object} transform - { type: 'translate', dx, dy } | { type: 'rotate', angle } |
+ *                             { type: 'flip', axis: 'horizontal' | 'vertical' } | { type: 'scale', factor }
+ * @param {{x: number, y: number}} tileSize - Tile size (repeating stitches are wrapped back into the first tile)
+ * @param {string} [gridType='square'] - Grid the results are snapped to
+ * @returns {Array} New stitches array (unchanged stitches keep their identity)
+ */
+export function transformStitches(stitches, selectedIds, transform, tileSize, gridType = DEFAULT_GRID_TYPE) {
+  const selected = stitches.filter((stitch) => selectedIds.has(stitch.id));
+  const bounds = getStitchBounds(selected);
+  if (!bounds) return stitches;
+
+  const { map, mirrors } = getPointTransform(transform, bounds, gridType);
+
+  return stitches.map((stitch) => {
+    if (!selectedIds.has(stitch.id)) return stitch;
+    const start = snapToLattice(gridType, map(stitch.start));
+    const end = snapToLattice(gridType, map(stitch.end));
+    // Keep stitches that would collapse to a point unchanged
+    if (start.x === end.x && start.y === end.y) return stitch;
+    const transformed = {
+      ...stitch,
+      start,
+      end,
+      curvature: mirrors && stitch.curvature ? -stitch.curvature : stitch.curvature,
+    };
+    return wrapStitchToTile(transformed, tileSize);
+  });
+}
+
+/**
+ * Move every stitch onto the lattice of another grid type (used when the pattern's grid is switched)
+ * Stitches keep their physical position; ones that collapse to a single point are dropped
+ * @param {Array} stitches - All pattern stitches
+ * @param {string} fromGridType - Grid the stitches are stored in
+ * @param {string} toGridType - Grid to convert to
+ * @returns {Array} Converted stitches (fewer when some collapsed)
+ */
+export function convertStitchesToGrid(stitches, fromGridType, toGridType) {
+  if (fromGridType === toGridType) return stitches;
+  return stitches.flatMap((stitch) => {
+    const start = convertPointToGrid(fromGridType, toGridType, stitch.start);
+    const end = convertPointToGrid(fromGridType, toGridType, stitch.end);
+    if (start.x === end.x && start.y === end.y) return [];
+    return [{ ...stitch, start, end }];
+  });
+}
@@ -0,0 +1,219 @@
+// SVG export utilities - builds a vector version of the artboard
+// Every stitch dash becomes its own <path> so plotters and cutters see real dashes (not a dasharray)
+
+import { normalizePatternTiles, normalizeTileSize } from './patternUtils.js';
+import { collectStitchDashes } from './stitchLayout.js';
+import { getStitchLayers, getVisibleStitches, normalizeLayers } from './layers.js';
+import { DEFAULT_GRID_SIZE } from '../hooks/useUiState.js';
+import { getCellSize, isLatticePoint, normalizeGridType } from './gridGeometry.js';
+
+/**
+ * Format a number for SVG output (max 3 decimals, no trailing zeros)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Split a #RRGGBB or #RRGGBBAA color into an SVG color and opacity
+ * SVG 1.1 renderers do not understand 8-digit hex, so alpha is emitted separately
+ * @param {string} hex - Hex color
+ * @returns {{color: string, opacity: number}}
+ */
+function parseHexColor(hex) {
+  if (typeof hex !== 'string' || !hex.startsWith('#')) {
+    return { color: hex || '#000000', opacity: 1 };
+  }
+  if (hex.length === 9) {
+    return {
+      color: hex.slice(0, 7),
+      opacity: parseInt(hex.slice(7, 9), 16) / 255,
+    };
+  }
+  return { color: hex, opacity: 1 };
+}
+
+/**
+ * Build paint attributes (color plus opacity if not fully opaque)
+ * @param {string} attribute - 'fill' or 'stroke'
+ * @param {string} hex - Hex color
+ * @returns {string}
+ */
+function paintAttributes(attribute, hex) {
+  const { color, opacity } = parseHexColor(hex);
+  const opacityAttribute = opacity < 1 ? ` ${attribute}-opacity="${formatNumber(opacity)}"` : '';
+  return `${attribute}="${color}"${opacityAttribute}`;
+}
+
+/**
+ * Escape text for use inside XML content
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a single dash into SVG path data
+ * @param {Object} dash - Dash from calculateStitchDashes
+ * @returns {string}
+ */
+function dashToPathData(dash) {
+  const start = `M${formatNumber(dash.x1)} ${formatNumber(dash.y1)}`;
+  if (dash.type === 'arc') {
+    const sweepAngle = Math.abs(dash.endAngle - dash.startAngle);
+    const largeArc = sweepAngle > Math.PI ? 1 : 0;
+    // Canvas counterClockwise (decreasing angle) = SVG sweep-flag 0
+    const sweep = dash.counterClockwise ? 0 : 1;
+    const radius = formatNumber(dash.radius);
+    return `${start} A${radius} ${radius} 0 ${largeArc} ${sweep} ${formatNumber(dash.x2)} ${formatNumber(dash.y2)}`;
+  }
+  return `${start} L${formatNumber(dash.x2)} ${formatNumber(dash.y2)}`;
+}
+
+/**
+ * Build an SVG document of the artboard
+ * Exported area matches the PNG export: the artboard plus one tile of margin on every side
+ * @param {Object} pattern - Pattern with stitches (hidden layers are left out, layer opacity is kept)
+ * @param {Object} options
+ * @param {{x: number, y: number}} options.tileSize - Tile size in grid cells
+ * @param {{x: number, y: number}} options.patternTiles - Number of tiles on the artboard
+ * @param {number} options.gridSize - Pixels per grid cell
+ * @param {string} [options.gridType] - Grid type (defaults to the pattern's)
+ * @param {Map} [options.stitchColors] - Stitch color overrides by id
+ * @param {string} [options.backgroundColor] - Fabric color
+ * @param {string} [options.gridColor] - Grid dot color
+ * @param {string} [options.tileOutlineColor] - Tile outline color
+ * @param {string} [options.artboardOutlineColor] - Artboard outline color
+ * @param {boolean} [options.includeBackground=true] - Fill the exported area with the fabric color
+ * @param {boolean} [options.includeGrid=false] - Draw grid dots
+ * @param {boolean} [options.includeTileOutlines=false] - Draw artboard and tile outlines
+ * @returns {string} SVG markup
+ */
+export function buildPatternSvg(pattern, {
+  tileSize,
+  patternTiles,
+  gridSize,
+  gridType,
+  stitchColors = new Map(),
+  backgroundColor,
+  gridColor,
+  tileOutlineColor,
+  artboardOutlineColor,
+  includeBackground = true,
+  includeGrid = false,
+  includeTileOutlines = false,
+}) {
+  const normalizedTileSize = normalizeTileSize(tileSize ?? pattern?.tileSize);
+  const normalizedPatternTiles = normalizePatternTiles(patternTiles ?? pattern?.patternTiles);
+  const cellSize = gridSize ?? pattern?.gridSize ?? DEFAULT_GRID_SIZE;
+  const normalizedGridType = normalizeGridType(gridType ?? pattern?.gridType);
+  const cell = getCellSize(normalizedGridType, cellSize);
+
+  // Artboard + 1 tile margin (same area as the PNG export)
+  const tileWidth = normalizedTileSize.x * cell.x;
+  const tileHeight = normalizedTileSize.y * cell.y;
+  const artboardWidth = normalizedPatternTiles.x * tileWidth;
+  const artboardHeight = normalizedPatternTiles.y * tileHeight;
+  const width = artboardWidth + 2 * tileWidth;
+  const height = artboardHeight + 2 * tileHeight;
+  // Artboard origin inside the exported area
+  const originX = tileWidth;
+  const originY = tileHeight;
+
+  const layers = [];
+
+  if (includeBackground && backgroundColor) {
+    layers.push(`  <rect id="background" x="0" y="0" width="${formatNumber(width)}" height="${formatNumber(height)}" ${paintAttributes('fill', backgroundColor)}/>`);
+  }
+
+  if (includeTileOutlines) {
+    const outlines = [];
+    if (tileOutlineColor) {
+      const tileLines = [];
+      for (let col = 1; col < normalizedPatternTiles.x; col++) {
+        const x = formatNumber(originX + col * tileWidth);
+        tileLines.push(`M${x} ${formatNumber(originY)} V${formatNumber(originY + artboardHeight)}`);
+      }
+      for (let row = 1; row < normalizedPatternTiles.y; row++) {
+        const y = formatNumber(originY + row * tileHeight);
+        tileLines.push(`M${formatNumber(originX)} ${y} H${formatNumber(originX + artboardWidth)}`);
+      }
+      if (tileLines.length > 0) {
+        outlines.push(`    <path d="${tileLines.join(' ')}" fill="none" ${paintAttributes('stroke', tileOutlineColor)} stroke-width="1"/>`);
+      }
+    }
+    if (artboardOutlineColor) {
+      outlines.push(`    <rect x="${formatNumber(originX)}" y="${formatNumber(originY)}" width="${formatNumber(artboardWidth)}" height="${formatNumber(artboardHeight)}" fill="none" ${paintAttributes('stroke', artboardOutlineColor)} stroke-width="1"/>`);
+    }
+    if (outlines.length > 0) {
+      layers.push(`  <g id="outlines">\n${outlines.join('\n')}\n  </g>`);
+    }
+  }
+
+  if (includeGrid && gridColor) {
+    // 2×2 dots on every grid point, same as the canvas
+    // (counted from the exported area's corner, which is a lattice point since tile sizes fit the grid)
+    const dotSize = 2;
+    const dotOffset = dotSize / 2;
+    const columns = Math.round(width / cell.x);
+    const rows = Math.round(height / cell.y);
+    const dots = [];
+    for (let x = 0; x <= columns; x++) {
+      for (let y = 0; y <= rows; y++) {
+        if (!isLatticePoint(normalizedGridType, x, y)) continue;
+        dots.push(`M${formatNumber(x * cell.x - dotOffset)} ${formatNumber(y * cell.y - dotOffset)}h${dotSize}v${dotSize}h-${dotSize}z`);
+      }
+    }
+    layers.push(`  <path id="grid" d="${dots.join('')}" ${paintAttributes('fill', gridColor)}/>`);
+  }
+
+  // Group dashes by layer, color and width so each group shares its stroke attributes
+  // Groups follow the layer draw order (bottom layer first)
+  const stitchLayers = normalizeLayers(pattern?.layers);
+  const layerByStitch = getStitchLayers(pattern?.stitches, stitchLayers);
+  const groups = new Map();
+  const stitchDashes = collectStitchDashes(getVisibleStitches(pattern?.stitches, stitchLayers), {
+    tileSize: normalizedTileSize,
+    patternTiles: normalizedPatternTiles,
+    gridSize: cellSize,
+    gridType: normalizedGridType,
+    stitchColors,
+    originX,
+    originY,
+  });
+
+  stitchDashes.forEach(({ stitch, color, lineWidth, dashes }) => {
+    const layer = layerByStitch.get(stitch.id);
+    const key = `${layer.id}|${color}|${lineWidth}`;
+    if (!groups.has(key)) {
+      groups.set(key, { color, lineWidth, opacity: layer.opacity, paths: [] });
+    }
+    groups.get(key).paths.push(...dashes.map(dashToPathData));
+  });
+
+  if (groups.size > 0) {
+    const stitchGroups = Array.from(groups.values()).map(({ color, lineWidth, opacity, paths }) => (
+      `    <g ${paintAttributes('stroke', color)} stroke-width="${lineWidth}"${opacity < 1 ? ` opacity="${formatNumber(opacity)}"` : ''}>\n` +
+      paths.map((d) => `      <path d="${d}"/>`).join('\n') +
+      '\n    </g>'
+    ));
+    layers.push(`  <g id="stitches" fill="none" stroke-linecap="round" stroke-linejoin="round">\n${stitchGroups.join('\n')}\n  </g>`);
+  }
+
+  const title = pattern?.name ? `  <title>${escapeXml(pattern.name)}</title>\n` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}" height="${formatNumber(height)}" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">
+${title}${layers.join('\n')}
+</svg>
+`;
+}
@@ -0,0 +1,127 @@
+// Symmetry drawing: mirrored and rotated copies of a stitch about the tile center
+
+import { DEFAULT_GRID_TYPE, fromPhysical, isLatticePoint, isTriangularGrid, snapToLattice, toPhysical } from './gridGeometry.js';
+
+export const SYMMETRY_MODES = {
+  none: 'none',
+  mirrorX: 'mirrorX',           // Mirror across the vertical center line (left ↔ right)
+  mirrorY: 'mirrorY',           // Mirror across the horizontal center line (top ↔ bottom)
+  mirrorXY: 'mirrorXY',         // Both mirrors (4 copies)
+  rotate: 'rotate',             // N-fold rotation
+  kaleidoscope: 'kaleidoscope', // N-fold rotation + mirror (2N copies)
+};
+
+export const SYMMETRY_FOLDS = [2, 3, 4, 6, 8];
+
+export const DEFAULT_SYMMETRY = { mode: SYMMETRY_MODES.none, folds: 4 };
+
+/**
+ * Whether a symmetry setting produces any copies
+ */
+export function isSymmetryActive(symmetry) {
+  return Boolean(symmetry) && symmetry.mode !== SYMMETRY_MODES.none;
+}
+
+/**
+ * Whether rotations land exactly on grid points (otherwise copies are snapped)
+ * 2-fold is always exact; 4-fold only on square tiles with a grid-aligned center;
+ * on the triangular grid 3- and 6-fold are exact when the tile center is a lattice point
+ */
+export function isExactSymmetry(symmetry, tileSize, gridType = DEFAULT_GRID_TYPE) {
+  if (!isSymmetryActive(symmetry)) return true;
+  if (symmetry.mode !== SYMMETRY_MODES.rotate && symmetry.mode !== SYMMETRY_MODES.kaleidoscope) return true;
+  if (symmetry.folds === 2) return true;
+  if (isTriangularGrid(gridType)) {
+    return (symmetry.folds === 3 || symmetry.folds === 6) && isLatticePoint(gridType, tileSize.x / 2, tileSize.y / 2);
+  }
+  if (symmetry.folds === 4) return tileSize.x === tileSize.y;
+  return false;
+}
+
+// Build the list of point transforms (excluding identity) for a symmetry setting
+function getTransforms(symmetry, center, gridType) {
+  const mirrorX = ({ x, y }) => ({ x: 2 * center.x - x, y });
+  const mirrorY = ({ x, y }) => ({ x, y: 2 * center.y - y });
+  // Rotations happen in physical space about a lattice point so 60° turns stay on the triangular grid
+  const pivot = toPhysical(gridType, isTriangularGrid(gridType) ? snapToLattice(gridType, center) : center);
+  const rotate = (angle) => (point) => {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const { x, y } = toPhysical(gridType, point);
+    const dx = x - pivot.x;
+    const dy = y - pivot.y;
+    return fromPhysical(gridType, {
+      x: pivot.x + dx * cos - dy * sin,
+      y: pivot.y + dx * sin + dy * cos,
+    });
+  };
+
+  switch (symmetry.mode) {
+    case SYMMETRY_MODES.mirrorX:
+      return [mirrorX];
+    case SYMMETRY_MODES.mirrorY:
+      return [mirrorY];
+    case SYMMETRY_MODES.mirrorXY:
+      return [mirrorX, mirrorY, (point) => mirrorX(mirrorY(point))];
+    case SYMMETRY_MODES.rotate:
+    case SYMMETRY_MODES.kaleidoscope: {
+      const folds = Math.max(2, symmetry.folds ?? DEFAULT_SYMMETRY.folds);
+      const transforms = [];
+      for (let i = 1; i < folds; i++) {
+        transforms.push(rotate((2 * Math.PI * i) / folds));
+      }
+      if (symmetry.mode === SYMMETRY_MODES.kaleidoscope) {
+        // Mirror of the original plus mirror of every rotation
+        transforms.push(mirrorX);
+        for (let i = 1; i < folds; i++) {
+          const rotation = rotate((2 * Math.PI * i) / folds);
+          transforms.push((point) => rotation(mirrorX(point)));
+        }
+      }
+      return transforms;
+    }
+    default:
+      return [];
+  }
+}
+
+// Order-independent key for a segment (A→B equals B→A)
+function segmentKey(start, end) {
+  const a = `${start.x},${start.y}`;
+  const b = `${end.x},${end.y}`;
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Get the symmetric copies of a stitch (the original is not included)
+ * Copies are snapped to grid points; duplicates and zero-length copies are dropped
+ * @param {{x: number, y: number}} start - Stitch start in grid units
+ * @param {{x: number, y: number}} end - Stitch end in grid units
+ * @param {Object} symmetry - { mode, folds }
+ * @param {{x: number, y: number}} center - Symmetry center in grid units (usually the tile center)
+ * @param {Object} [options]
+ * @param {Function} [options.normalize] - Maps each copy ({start, end}) to its stored form before duplicate checks
+ * @param {string} [options.gridType='square'] - Grid the copies are snapped to
+ * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>}
+ */
+export function getSymmetryCopies(start, end, symmetry, center, {
+  normalize = (segment) => segment,
+  gridType = DEFAULT_GRID_TYPE,
+} = {}) {
+  if (!isSymmetryActive(symmetry)) return [];
+
+  const original = normalize({ start, end });
+  const seen = new Set([segmentKey(original.start, original.end)]);
+  const copies = [];
+  getTransforms(symmetry, center, gridType).forEach((transform) => {
+    const copyStart = snapToLattice(gridType, transform(start));
+    const copyEnd = snapToLattice(gridType, transform(end));
+    if (copyStart.x === copyEnd.x && copyStart.y === copyEnd.y) return;
+    const copy = normalize({ start: copyStart, end: copyEnd });
+    const key = segmentKey(copy.start, copy.end);
+    if (seen.has(key)) return;
+    seen.add(key);
+    copies.push(copy);
+  });
+  return copies;
+}
@@ -0,0 +1,111 @@
+// Thumbnail cache - library thumbnails stored in IndexedDB, drawn by a worker when missing or outdated
+
+import db from './db.js';
+import { THUMBNAIL_HEIGHT, THUMBNAIL_WIDTH, drawPatternThumbnail, getThumbnailRevision } from './patternThumbnail.js';
+
+let worker = null;
+// Set once the worker failed to load or crashed; thumbnails are drawn on the main thread from then on
+let workerFailed = false;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+/**
+ * Start the thumbnail worker on first use (null when workers or OffscreenCanvas are unavailable)
+ */
+function getWorker() {
+  if (worker || workerFailed || typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+    return worker;
+  }
+  try {
+    worker = new Worker(new URL('./thumbnailWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.error('Failed to start thumbnail worker:', error);
+    return null;
+  }
+  worker.onmessage = (event) => {
+    const { id, blob, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(blob);
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    handleWorkerFailure(event.message || 'Thumbnail worker failed');
+  };
+  worker.onmessageerror = () => handleWorkerFailure('Thumbnail worker sent an unreadable message');
+  return worker;
+}
+
+/**
+ * Stop using a worker that failed to load or crashed and draw its outstanding thumbnails on the main thread
+ * @param {string} reason
+ */
+function handleWorkerFailure(reason) {
+  console.error(`${reason}, drawing thumbnails on the main thread`);
+  worker?.terminate();
+  worker = null;
+  workerFailed = true;
+  const requests = [...pendingRequests.values()];
+  pendingRequests.clear();
+  requests.forEach(({ pattern, resolve, reject }) => {
+    Promise.resolve().then(() => renderOnMainThread(pattern)).then(resolve, reject);
+  });
+}
+
+/**
+ * Draw a thumbnail on the main thread (browsers without OffscreenCanvas in workers)
+ * @returns {Promise<Blob>}
+ */
+function renderOnMainThread(pattern) {
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = THUMBNAIL_HEIGHT;
+  drawPatternThumbnail(canvas.getContext('2d'), pattern);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to encode thumbnail'))), 'image/png');
+  });
+}
+
+/**
+ * Render a thumbnail PNG, in the worker when possible
+ * @param {Object} pattern
+ * @returns {Promise<Blob>}
+ */
+function renderThumbnail(pattern) {
+  const thumbnailWorker = getWorker();
+  if (!thumbnailWorker) {
+    return renderOnMainThread(pattern);
+  }
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { pattern, resolve, reject });
+    thumbnailWorker.postMessage({ id, pattern, width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT });
+  });
+}
+
+/**
+ * Get a pattern's thumbnail, from IndexedDB when it is still current, otherwise freshly drawn and stored
+ * @param {Object} pattern - Library pattern (starter or saved)
+ * @returns {Promise<Blob|null>} PNG thumbnail, or null if it could not be drawn
+ */
+export async function getPatternThumbnail(pattern) {
+  const revision = getThumbnailRevision(pattern);
+  try {
+    const cached = await db.thumbnails.get(pattern.id);
+    if (cached?.revision === revision) {
+      return cached.blob;
+    }
+
+    const blob = await renderThumbnail(pattern);
+    await db.thumbnails.put({ key: pattern.id, revision, blob });
+    return blob;
+  } catch (error) {
+    console.error('Failed to load pattern thumbnail:', error);
+    return null;
+  }
+}
@@ -0,0 +1,18 @@
+// Thumbnail worker - draws library thumbnails on an OffscreenCanvas, off the main thread
+//
+// Message in:  { id, pattern, width, height }
+// Message out: { id, blob } (PNG) or { id, error }
+
+import { drawPatternThumbnail } from './patternThumbnail.js';
+
+self.onmessage = async (event) => {
+  const { id, pattern, width, height } = event.data;
+  try {
+    const canvas = new OffscreenCanvas(width, height);
+    drawPatternThumbnail(canvas.getContext('2d'), pattern, { width, height });
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    self.postMessage({ id, blob });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,168 @@
+// Tile render cache - repeated stitches are drawn once per distinct tile and blitted into every tile
+//
+// Most tiles contain exactly the same pattern lines; only edge and outer tiles differ (see the tile
+// boundary rules in stitchLayout.js). Tiles are grouped by the stitches they contain, each group is
+// rendered once into an offscreen canvas, and the canvas is copied into every tile of the group.
+
+import { calculateLineWidth, calculateStitchOffset, curvatureToBulge, getArcParams, renderStitch } from '../components/Stitches.jsx';
+import { getCanvasPixelRatio } from './viewZoom.js';
+
+// Extra pixels around a stitch's geometry (round line caps, anti-aliasing)
+const BOUNDS_PADDING = 2;
+
+/**
+ * Split stitch instances into tile groups (repeating lines) and absolute instances
+ * @param {Array} instances - Instances from expandStitchInstances (artboard grid coordinates)
+ * @param {{x: number, y: number}} tileSize - Tile size in grid cells
+ * @returns {{groups: Array<{instances: Array, tiles: Array<{row: number, col: number}>}>, absolute: Array}}
+ *   Group instances are relative to their tile origin; absolute instances are returned unchanged
+ */
+export function groupTileInstances(instances, tileSize) {
+  const tiles = new Map();
+  const absolute = [];
+  instances.forEach((instance) => {
+    if (instance.tileRow === null) {
+      absolute.push(instance);
+      return;
+    }
+    const key = `${instance.tileRow},${instance.tileCol}`;
+    if (!tiles.has(key)) {
+      tiles.set(key, { row: instance.tileRow, col: instance.tileCol, instances: [] });
+    }
+    tiles.get(key).instances.push(instance);
+  });
+
+  // Tiles drawing the same stitches (in the same order) share one group
+  const groups = new Map();
+  tiles.forEach((tile) => {
+    const signature = tile.instances.map((instance) => instance.stitch.id).join('|');
+    if (!groups.has(signature)) {
+      const baseX = tile.col * tileSize.x;
+      const baseY = tile.row * tileSize.y;
+      groups.set(signature, {
+        instances: tile.instances.map((instance) => ({
+          ...instance,
+          startX: instance.startX - baseX,
+          startY: instance.startY - baseY,
+          endX: instance.endX - baseX,
+          endY: instance.endY - baseY,
+        })),
+        tiles: [],
+      });
+    }
+    groups.get(signature).tiles.push({ row: tile.row, col: tile.col });
+  });
+
+  return { groups: [...groups.values()], absolute };
+}
+
+/**
+ * Pixel bounds of a stitch instance including curvature and line width
+ * @param {Object} instance - Stitch instance (grid coordinates)
+ * @param {Object} style - Resolved stitch style ({ curvature, stitchWidth })
+ * @param {{x: number, y: number}} cell - Pixel size of one grid unit
+ * @param {number} [originX=0] - Pixel x of the grid origin
+ * @param {number} [originY=0] - Pixel y of the grid origin
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export function getStitchInstanceBounds(instance, style, cell, originX = 0, originY = 0) {
+  const x1 = originX + instance.startX * cell.x;
+  const y1 = originY + instance.startY * cell.y;
+  const x2 = originX + instance.endX * cell.x;
+  const y2 = originY + instance.endY * cell.y;
+  let minX = Math.min(x1, x2);
+  let minY = Math.min(y1, y2);
+  let maxX = Math.max(x1, x2);
+  let maxY = Math.max(y1, y2);
+
+  // Arcs may bulge past their end points: use the whole circle (cheap and always large enough)
+  const arc = style.curvature
+    ? getArcParams(x1, y1, x2, y2, curvatureToBulge(Math.hypot(x2 - x1, y2 - y1), style.curvature))
+    : null;
+  if (arc) {
+    minX = Math.min(minX, arc.cx - arc.radius);
+    minY = Math.min(minY, arc.cy - arc.radius);
+    maxX = Math.max(maxX, arc.cx + arc.radius);
+    maxY = Math.max(maxY, arc.cy + arc.radius);
+  }
+
+  const padding = calculateLineWidth(style.stitchWidth) / 2 + BOUNDS_PADDING;
+  return { minX: minX - padding, minY: minY - padding, maxX: maxX + padding, maxY: maxY + padding };
+}
+
+/**
+ * Draw one stitch instance with its resolved style
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} instance - Stitch instance (grid coordinates)
+ * @param {Object} style - { color, selected, gapSize, stitchSize, stitchWidth, curvature, opacity }
+ * @param {{x: number, y: number}} cell - Pixel size of one grid unit
+ * @param {number} gridSize - Pixels per grid cell (drives dash lengths)
+ * @param {number} [originX=0] - Pixel x of the grid origin
+ * @param {number} [originY=0] - Pixel y of the grid origin
+ * @returns {boolean} Whether anything was drawn
+ */
+export function drawStitchInstance(ctx, instance, style, cell, gridSize, originX = 0, originY = 0) {
+  ctx.globalAlpha = style.opacity;
+  const rendered = renderStitch(
+    ctx,
+    originX + instance.startX * cell.x,
+    originY + instance.startY * cell.y,
+    originX + instance.endX * cell.x,
+    originY + instance.endY * cell.y,
+    calculateStitchOffset(style.gapSize),
+    style.gapSize,
+    style.stitchSize,
+    style.stitchWidth,
+    style.color,
+    style.selected,
+    gridSize,
+    style.curvature
+  );
+  ctx.globalAlpha = 1;
+  return rendered;
+}
+
+/**
+ * Render a tile group into an offscreen canvas
+ * @param {Array} instances - Tile-relative instances of the group
+ * @param {Object} options
+ * @param {Function} options.getStyle - Resolves the style of a stitch
+ * @param {{x: number, y: number}} options.cell - Pixel size of one grid unit
+ * @param {number} options.gridSize - Pixels per grid cell
+ * @param {number} options.pixelRatio - Bitmap pixels per canvas pixel (reduced for very large tiles)
+ * @returns {{canvas: HTMLCanvasElement, x: number, y: number, width: number, height: number}|null}
+ *   Cached bitmap and its rectangle relative to the tile origin (null when nothing is drawn)
+ */
+export function renderTileCache(instances, { getStyle, cell, gridSize, pixelRatio }) {
+  if (instances.length === 0) return null;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const styles = instances.map((instance) => {
+    const style = getStyle(instance.stitch);
+    const bounds = getStitchInstanceBounds(instance, style, cell);
+    minX = Math.min(minX, bounds.minX);
+    minY = Math.min(minY, bounds.minY);
+    maxX = Math.max(maxX, bounds.maxX);
+    maxY = Math.max(maxY, bounds.maxY);
+    return style;
+  });
+
+  // Whole bitmap pixels so copies line up with neighbouring tiles
+  const x = Math.floor(minX);
+  const y = Math.floor(minY);
+  const width = Math.ceil(maxX) - x;
+  const height = Math.ceil(maxY) - y;
+  const ratio = getCanvasPixelRatio(width, height, pixelRatio);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width * ratio));
+  canvas.height = Math.max(1, Math.ceil(height * ratio));
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, -x * ratio, -y * ratio);
+  instances.forEach((instance, index) => drawStitchInstance(ctx, instance, styles[index], cell, gridSize));
+
+  // Size of the rounded-up bitmap in canvas pixels (copied back without stretching)
+  return { canvas, x, y, width: canvas.width / ratio, height: canvas.height / ratio };
+}
@@ -5,12 +5,18 @@
  * 1 inch = 25.4 mm = 2.54 cm
  * Therefore: 1 px = 25.4 / 96 mm ≈ 0.264583 mm
  *           1 px = 2.54 / 96 cm ≈ 0.0264583 cm
+ *
+ * Print output (PDF) uses points: 72 pt = 1 inch, so 1 mm = 72 / 25.4 pt ≈ 2.8346 pt
+ * Plotters (HPGL) use plotter units: 1 mm = 40 plu; G-code uses millimeters or inches
  */
 
 const PX_TO_MM_RATIO = 25.4 / 96; // ~0.264583
 const MM_TO_PX_RATIO = 96 / 25.4; // ~3.7795
 const PX_TO_CM_RATIO = 2.54 / 96; // ~0.0264583
 const CM_TO_PX_RATIO = 96 / 2.54; // ~37.795
+const MM_TO_PT_RATIO = 72 / 25.4; // ~2.8346
+const MM_TO_PLU_RATIO = 40;
+const MM_TO_IN_RATIO = 1 / 25.4; // ~0.03937
 
 /**
  * Convert pixels to millimeters
@@ -56,6 +62,35 @@ export function cmToPx(cm, round = true) {
   return round ? Math.round(px) : px;
 }
 
+/**
+ * Convert millimeters to PDF points (1/72 inch)
+ * Not rounded - print output needs exact physical dimensions
+ * @param {number} mm - Value in millimeters
+ * @returns {number} Value in points
+ */
+export function mmToPt(mm) {
+  return mm * MM_TO_PT_RATIO;
+}
+
+/**
+ * Convert millimeters to HPGL plotter units (0.025 mm)
+ * @param {number} mm - Value in millimeters
+ * @returns {number} Value in plotter units, rounded (HPGL coordinates are integers)
+ */
+export function mmToPlu(mm) {
+  return Math.round(mm * MM_TO_PLU_RATIO);
+}
+
+/**
+ * Convert millimeters to inches
+ * Not rounded - machine output needs exact physical dimensions
+ * @param {number} mm - Value in millimeters
+ * @returns {number} Value in inches
+ */
+export function mmToIn(mm) {
+  return mm * MM_TO_IN_RATIO;
+}
+
 /**
  * Format a pixel value for display based on current unit preference
  * @param {number} px - Value in pixels
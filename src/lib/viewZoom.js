@@ -0,0 +1,83 @@
+// View zoom for the canvas viewport
+//
+// Zoom is a view transform only: the pattern keeps its gridSize (which drives stitch dash lengths),
+// and the canvas is drawn at pattern pixel coordinates scaled by the zoom factor.
+
+export const MIN_ZOOM = 0.25;
+export const MAX_ZOOM = 8;
+export const DEFAULT_ZOOM = 1;
+
+// Preset levels used by the zoom in/out buttons and shortcuts
+export const ZOOM_LEVELS = [0.25, 0.33, 0.5, 0.67, 0.75, 1, 1.25, 1.5, 2, 3, 4, 6, 8];
+
+// Browsers refuse to draw canvases beyond these sizes (Safari is the strictest on area)
+const MAX_CANVAS_DIMENSION = 16384;
+const MAX_CANVAS_AREA = 16777216;
+
+/**
+ * Clamp a zoom factor to the supported range
+ * @param {number} zoom
+ * @returns {number}
+ */
+export function clampZoom(zoom) {
+  if (!Number.isFinite(zoom)) return DEFAULT_ZOOM;
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
+
+/**
+ * Next preset zoom level in a direction
+ * @param {number} zoom - Current zoom
+ * @param {1|-1} direction - 1 zooms in, -1 zooms out
+ * @returns {number}
+ */
+export function stepZoom(zoom, direction) {
+  const epsilon = 0.001;
+  const next = direction > 0
+    ? ZOOM_LEVELS.find((level) => level > zoom + epsilon)
+    : [...ZOOM_LEVELS].reverse().find((level) => level < zoom - epsilon);
+  return next ?? (direction > 0 ? MAX_ZOOM : MIN_ZOOM);
+}
+
+/**
+ * Zoom that fits a rectangle (in canvas pixels at 100%) into the visible area
+ * @param {{width: number, height: number}} rect - Area to show
+ * @param {{width: number, height: number}} viewport - Visible size in screen pixels
+ * @param {number} [padding=24] - Screen pixels kept free on every side
+ * @returns {number}
+ */
+export function getFitZoom(rect, viewport, padding = 24) {
+  if (!rect.width || !rect.height) return DEFAULT_ZOOM;
+  const availableWidth = Math.max(1, viewport.width - 2 * padding);
+  const availableHeight = Math.max(1, viewport.height - 2 * padding);
+  return clampZoom(Math.min(availableWidth / rect.width, availableHeight / rect.height));
+}
+
+/**
+ * Backing-store pixels per canvas pixel for a zoomed canvas
+ * Matches the screen (zoom × devicePixelRatio) unless that exceeds the browser's canvas limits,
+ * in which case the bitmap is rendered at the largest allowed resolution and stretched
+ * @param {number} width - Canvas width at 100%
+ * @param {number} height - Canvas height at 100%
+ * @param {number} zoom - View zoom
+ * @param {number} [devicePixelRatio=1]
+ * @returns {number}
+ */
+export function getCanvasPixelRatio(width, height, zoom, devicePixelRatio = 1) {
+  const ratio = zoom * devicePixelRatio;
+  if (!width || !height) return ratio;
+  return Math.min(
+    ratio,
+    MAX_CANVAS_DIMENSION / width,
+    MAX_CANVAS_DIMENSION / height,
+    Math.sqrt(MAX_CANVAS_AREA / (width * height))
+  );
+}
+
+/**
+ * Format a zoom factor for display
+ * @param {number} zoom
+ * @returns {string} e.g. "150%"
+ */
+export function formatZoom(zoom) {
+  return `${Math.round(zoom * 100)}%`;
+}